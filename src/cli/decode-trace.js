@@ -1,10 +1,17 @@
 #!/usr/bin/env node
-import { SourceMapConsumer } from 'source-map';
 import fs from 'fs';
 import path from 'path';
 import readline from 'readline';
+import { parseArgs } from 'util';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
+import { parseStackTrace as parseStackFrames } from '../core/stack-frame-parser.js';
+import { WorkspaceSourceResolver } from '../core/workspace-source-resolver.js';
+import { findEnclosingFunction, FunctionScopeCache } from '../core/source-scope-analyzer.js';
+import { parseLocation, findGeneratedPositions, buildLogQLFilter } from '../core/reverse-lookup.js';
+import { OUTPUT_FORMATS, formatText, formatJSON, formatMarkdown } from '../core/stack-trace-formatter.js';
+import { parseErrorExport, decodeBatch } from '../core/batch-decoder.js';
+import { StackTraceDecoder } from '../core/decoder-wrapper.js';
 
 // 환경 변수 로드
 dotenv.config();
@@ -16,44 +23,42 @@ async function getStackTraceConfig() {
     return createStackTraceConfig();
 }
 
-// Stack trace 파싱
+// Stack trace 파싱 (V8, Node.js, Firefox, Safari 형식 지원)
 function parseStackTrace(stackTrace) {
-    const lines = stackTrace.split('\n');
-    const parsed = [];
-
-    // 다양한 패턴 지원
-    const patterns = [
-        // https://domain.com/path/file.js:line:column
-        /https?:\/\/[^\s]+\/([^/:]+\.js):(\d+):(\d+)/g,
-        // at functionName (file.js:line:column)
-        /at .+ \(([^:]+):(\d+):(\d+)\)/g,
-        // at file.js:line:column
-        /at ([^:]+):(\d+):(\d+)/g,
-    ];
-
-    for (const line of lines) {
-        for (const pattern of patterns) {
-            const matches = [...line.matchAll(pattern)];
-            for (const match of matches) {
-                // 파일명에서 경로 부분 제거
-                const fileName = match[1].split('/').pop();
-                parsed.push({
-                    original: line.trim(),
-                    file: fileName,
-                    line: parseInt(match[2]),
-                    column: parseInt(match[3]),
-                });
-            }
-        }
-    }
+    return parseStackFrames(stackTrace).map(frame => ({
+        original: frame.original,
+        url: frame.url,
+        file: frame.file,
+        line: frame.line,
+        column: frame.column ?? 0,
+        function: frame.function,
+        engine: frame.engine,
+    }));
+}
 
-    return parsed;
+// 소스맵 탐색/로드는 오케스트레이터의 디코더와 같은 방식 사용
+// (빌드 매니페스트 → 정확한 파일명 → 번들의 sourceMappingURL/인라인 소스맵 → fuzzy matching,
+//  ")]}'" 접두사와 인덱스 소스맵의 sections.url 처리)
+let sourceMapLocator = null;
+
+function getSourceMapLocator(config) {
+    if (!sourceMapLocator) {
+        sourceMapLocator = new StackTraceDecoder({
+            decoder: {
+                sourceMapDir: config.sourceMapDir,
+                manifestPath: config.manifestPath,
+                debug: config.debug,
+            },
+        });
+    }
+    return sourceMapLocator;
 }
 
-// Source map 로드
-async function loadSourceMap(sourceMapPath) {
-    const rawSourceMap = JSON.parse(fs.readFileSync(sourceMapPath, 'utf8'));
-    return await new SourceMapConsumer(rawSourceMap);
+// Source map 로드 (인라인 소스맵이면 sourceMap.path는 번들 파일)
+async function loadSourceMap(locator, sourceMap) {
+    return sourceMap.inline
+        ? await locator.loadInlineSourceMap(sourceMap.path)
+        : await locator.loadSourceMap(sourceMap.path);
 }
 
 // 원본 위치 찾기
@@ -97,151 +102,11 @@ function getSourceContext(consumer, sourcePath, line, contextLines = 3) {
     }
 }
 
-// 파일명에서 hash 부분 제거 (예: index-a1b2c3d4.js -> index)
-function extractBaseName(fileName) {
-    // .js 확장자 제거
-    const nameWithoutExt = fileName.replace(/\.js$/, '');
-
-    // hash 패턴 제거 (마지막 하이픈 이후가 hash인 경우)
-    // Vite는 -[해시] 형식을 사용 (해시는 6자 이상의 영숫자, 하이픈, 언더스코어)
-    // 예: useAccessibilityStore-Q8JOaMCl -> useAccessibilityStore
-    //     useAccessibilityStore-KbWrkZ-9 -> useAccessibilityStore
-
-    // 마지막 하이픈을 기준으로 분리하되, 해시 패턴과 매칭되는 경우만
-    const lastDashIndex = nameWithoutExt.lastIndexOf('-');
-    if (lastDashIndex > 0) {
-        const possibleHash = nameWithoutExt.substring(lastDashIndex + 1);
-
-        // Vite 해시 패턴 감지:
-        // 1. 숫자만으로 된 패턴 (길이 무관, 예: 9, 123)
-        // 2. 2자 이상의 영숫자 조합이며 다음 중 하나:
-        //    - 대소문자가 모두 섞여 있음 (예: BfxPiVjV, Bglop)
-        //    - 숫자가 포함됨 (예: 3s, abc123)
-
-        if (/^\d+$/.test(possibleHash)) {
-            // 숫자만으로 된 빌드 번호는 무조건 제거
-            return extractBaseName(nameWithoutExt.substring(0, lastDashIndex) + '.js');
-        } else if (/^[a-zA-Z0-9_-]{2,}$/.test(possibleHash)) {
-            const hasUpperAndLower = /[A-Z]/.test(possibleHash) && /[a-z]/.test(possibleHash);
-            const hasDigit = /\d/.test(possibleHash);
-
-            // 해시로 판단되면 재귀적으로 제거
-            if (hasUpperAndLower || hasDigit) {
-                return extractBaseName(nameWithoutExt.substring(0, lastDashIndex) + '.js');
-            }
-        }
-    }
-
-
-    return nameWithoutExt;
-}
-
-// Source map 파일 찾기 (여러 패턴 시도 + fuzzy matching)
-function findSourceMapFile(config, fileName) {
-    const sourceMapDir = path.join(process.cwd(), config.sourceMapDir);
-
-    // 1. 정확한 매치 시도 (기존 동작)
-    const exactPatterns = [
-        path.join(sourceMapDir, `${fileName}.map`),
-        path.join(sourceMapDir, fileName.replace('.js', '.js.map')),
-    ];
-
-    for (const pattern of exactPatterns) {
-        if (fs.existsSync(pattern)) {
-            return pattern;
-        }
-    }
-
-    // 2. Hash를 제거한 base name으로 fuzzy matching
-    const baseName = extractBaseName(fileName);
-
-    if (config.debug) {
-        console.log(chalk.dim(`[디버그] 유사 매칭: fileName="${fileName}", baseName="${baseName}"`));
-    }
-
-    // searchDir는 이미 static/js까지 포함된 경로
-    if (!fs.existsSync(sourceMapDir)) {
-        if (config.debug) {
-            console.log(chalk.dim(`[디버그] 소스맵 디렉토리를 찾을 수 없음: ${sourceMapDir}`));
-        }
-        return null;
-    }
-
-    try {
-        const files = fs.readdirSync(sourceMapDir);
-
-        if (config.debug) {
-            console.log(chalk.dim(`[디버그] ${sourceMapDir}에서 ${files.length}개 파일 스캔 중`));
-        }
-
-        const matchingFiles = files
-            .filter(file => {
-                if (!file.endsWith('.js.map')) return false;
-
-                // 파일의 base name 추출
-                const fileBaseName = extractBaseName(file.replace('.js.map', '.js'));
-                const match = fileBaseName === baseName;
-
-                if (config.debug && file.includes('useAccessibility')) {
-                    console.log(chalk.dim(`[디버그]   ${file}: fileBaseName="${fileBaseName}", match=${match}`));
-                }
-
-                return match;
-            })
-            .map(file => ({
-                path: path.join(sourceMapDir, file),
-                mtime: fs.statSync(path.join(sourceMapDir, file)).mtime
-            }));
-
-        // 가장 최신 파일 선택
-        if (matchingFiles.length > 0) {
-            matchingFiles.sort((a, b) => b.mtime - a.mtime);
-            if (config.debug) {
-                console.log(chalk.dim(`[디버그] ${matchingFiles.length}개 매칭 파일 발견, 사용: ${matchingFiles[0].path}`));
-            }
-            return matchingFiles[0].path;
-        }
-    } catch (error) {
-        if (config.debug) {
-            console.log(chalk.dim(`[디버그] 디렉토리 읽기 오류: ${error.message}`));
-        }
-        return null;
-    }
-
-    return null;
-}
-
 // IDE 링크 형식으로 출력
-function createIDELink(filePath, line, column, ideType = 'vscode', debug = false) {
-    // source map에서 반환된 경로 처리
-    // webpack:// 프로토콜 제거
-    let cleanPath = filePath.replace(/^webpack:\/\/[^/]+\//, '');
-
-    // 프로젝트 루트 기준 상대 경로인지 확인
-    const isRelative = !path.isAbsolute(cleanPath);
-
-    // 절대 경로 생성 (프로젝트 루트 기준)
-    const absolutePath = isRelative
-        ? path.resolve(process.cwd(), cleanPath)
-        : path.resolve(cleanPath);
-
-    // 프로젝트 루트 기준 상대 경로 계산
-    let relativePath = path.relative(process.cwd(), absolutePath).replace(/\\/g, '/');
-
-    // ../를 제거하고 정규화 (source map이 이미 상대 경로인 경우)
-    // 예: ../../src/... -> src/...
-    if (relativePath.startsWith('..')) {
-        // cleanPath가 이미 src/로 시작하면 그대로 사용
-        if (cleanPath.match(/^(src|lib|dist|public)\//)) {
-            relativePath = cleanPath.replace(/\\/g, '/');
-        } else {
-            // ../를 제거하고 src/부터 찾기
-            const srcMatch = cleanPath.match(/(src\/.+)/);
-            if (srcMatch) {
-                relativePath = srcMatch[1];
-            }
-        }
-    }
+// 경로 정리(webpack://, ../, src/ 찾기)는 디코더와 같은 WorkspaceSourceResolver를 사용 (프로젝트 루트 기준)
+function createIDELink(filePath, line, column, ideType = 'vscode', debug = false, sourceMapPath = null) {
+    const { relativePath, absolutePath, exists } = new WorkspaceSourceResolver(process.cwd())
+        .normalize(filePath, { sourceMapPath });
 
     // Windows 경로의 백슬래시를 슬래시로 변환
     const unixPath = absolutePath.replace(/\\/g, '/');
@@ -249,8 +114,7 @@ function createIDELink(filePath, line, column, ideType = 'vscode', debug = false
     // 디버그 정보 출력 (debug 옵션이 true일 때만)
     if (debug) {
         console.log(chalk.dim(`   [디버그] 원본: ${filePath}`));
-        console.log(chalk.dim(`   [디버그] 정리된 경로: ${cleanPath}`));
-        console.log(chalk.dim(`   [디버그] 상대 경로: ${relativePath}`));
+        console.log(chalk.dim(`   [디버그] 상대 경로: ${relativePath}${exists ? '' : ' (파일 없음)'}`));
         console.log(chalk.dim(`   [디버그] 절대 경로: ${absolutePath}`));
         console.log(chalk.dim(`   [디버그] 줄: ${line}, 컬럼: ${column}`));
     }
@@ -280,41 +144,93 @@ function createIDELink(filePath, line, column, ideType = 'vscode', debug = false
     }
 }
 
+// 같은 원본 소스의 함수 범위를 프레임마다 다시 분석하지 않도록 실행 동안 공유
+const scopeCache = new FunctionScopeCache();
+
+// 감싸는 함수 찾기 (소스맵 name보다 원본 소스에서 찾은 이름을 우선 사용, node_modules는 분석하지 않음)
+function findEnclosing(consumer, original) {
+    if (/(^|\/)node_modules\//.test(original.source || '')) {
+        return null;
+    }
+
+    try {
+        const content = consumer.sourceContentFor(original.source, true);
+        return content
+            ? findEnclosingFunction(content, { line: original.line, column: original.column, fileName: original.source, scopeCache })
+            : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// 단일 entry 디코딩 (출력 형식과 무관한 데이터)
+// consumers: 같은 실행 안에서 소스맵을 다시 파싱하지 않도록 공유하는 소스맵 경로 → consumer (호출한 쪽에서 해제)
+async function decodeFrame(entry, config, consumers) {
+    const locator = getSourceMapLocator(config);
+    const sourceMap = locator.locateSourceMap(entry.file);
+    if (!sourceMap) {
+        return { error: 'SOURCE_MAP_NOT_FOUND' };
+    }
+
+    const sourceMapPath = sourceMap.path;
+    if (!consumers.has(sourceMapPath)) {
+        consumers.set(sourceMapPath, await loadSourceMap(locator, sourceMap));
+    }
+    const consumer = consumers.get(sourceMapPath);
+
+    const original = getOriginalPosition(consumer, entry.line, entry.column);
+    if (!original) {
+        return { error: 'MAPPING_FAILED', sourceMapPath };
+    }
+
+    const enclosing = findEnclosing(consumer, original);
+    const { relativePath } = new WorkspaceSourceResolver(process.cwd()).normalize(original.source, { sourceMapPath });
+
+    return { sourceMapPath, consumer, original, enclosing, relativePath, functionName: enclosing?.name || original.name || null };
+}
+
+// 소스맵 consumer 해제
+function destroyConsumers(consumers) {
+    for (const consumer of consumers.values()) {
+        consumer.destroy();
+    }
+    consumers.clear();
+}
+
 // 단일 entry 처리 함수
 async function processEntry(entry, config, index, total) {
     console.log(chalk.gray('━'.repeat(80)));
     console.log(chalk.cyan(`[${index + 1}/${total}] `) + chalk.dim(`원본: ${entry.original}`));
     console.log();
 
-    const sourceMapPath = findSourceMapFile(config, entry.file);
-
-    if (!sourceMapPath) {
-        console.log(chalk.red(`❌ 소스맵을 찾을 수 없음: ${entry.file}`));
-        console.log(chalk.dim(`   검색 위치: ${config.sourceMapDir}`));
-        console.log();
-        return;
-    }
-
+    const consumers = new Map();
     try {
-        const consumer = await loadSourceMap(sourceMapPath);
-        const original = getOriginalPosition(consumer, entry.line, entry.column);
+        const decoded = await decodeFrame(entry, config, consumers);
 
-        if (!original) {
+        if (decoded.error === 'SOURCE_MAP_NOT_FOUND') {
+            console.log(chalk.red(`❌ 소스맵을 찾을 수 없음: ${entry.file}`));
+            console.log(chalk.dim(`   검색 위치: ${config.sourceMapDir}`));
+            console.log();
+            return;
+        }
+        if (decoded.error) {
             console.log(chalk.yellow('⚠️  원본 소스로 매핑할 수 없습니다'));
-            consumer.destroy();
             return;
         }
 
+        const { consumer, original, functionName, sourceMapPath } = decoded;
+
         // 원본 위치 출력
         console.log(chalk.cyan('📍 원본 위치:'));
         console.log(`   ${chalk.green(original.source)}:${chalk.yellow(original.line)}:${chalk.yellow(original.column)}`);
 
-        if (original.name) {
-            console.log(`   함수: ${chalk.magenta(original.name)}`);
+        if (functionName) {
+            const mapped = original.name && original.name !== functionName ? chalk.dim(` (소스맵 이름: ${original.name})`) : '';
+            console.log(`   함수: ${chalk.magenta(functionName)}${mapped}`);
         }
 
         // 클릭 가능한 링크 (IDE)
-        const link = createIDELink(original.source, original.line, original.column, config.ide, config.debug);
+        const link = createIDELink(original.source, original.line, original.column, config.ide, config.debug, sourceMapPath);
         console.log(chalk.dim(`   ${link}`));
 
         // 소스 코드 컨텍스트
@@ -334,10 +250,11 @@ async function processEntry(entry, config, index, total) {
         }
 
         console.log();
-        consumer.destroy();
     } catch (error) {
         console.log(chalk.red(`❌ 처리 중 오류 발생: ${error.message}`));
         console.log();
+    } finally {
+        destroyConsumers(consumers);
     }
 }
 
@@ -469,14 +386,62 @@ async function interactiveMode(config) {
     }
 }
 
+// 프레임별 디코딩 결과 (text/json/markdown 출력용)
+async function decodeFrames(parsed, config) {
+    const consumers = new Map();
+    const results = [];
+
+    try {
+        for (const frame of parsed) {
+            let decoded;
+            try {
+                decoded = await decodeFrame(frame, config, consumers);
+            } catch (error) {
+                decoded = { error: 'DECODING_ERROR' };
+            }
+
+            results.push({
+                frame,
+                original: decoded.error ? null : {
+                    file: decoded.relativePath,
+                    source: decoded.original.source,
+                    line: decoded.original.line,
+                    // 소스맵 컬럼은 0부터 시작 → 스택 트레이스/--reverse와 같은 1부터 시작하는 컬럼으로 변환
+                    column: decoded.original.column + 1,
+                    function: decoded.functionName,
+                    mappedName: decoded.original.name || null,
+                },
+                error: decoded.error || null,
+            });
+        }
+    } finally {
+        destroyConsumers(consumers);
+    }
+
+    return results;
+}
+
 // Pipe 모드 (echo "..." | node decode.js)
-async function pipeMode(config) {
+async function pipeMode(config, format = OUTPUT_FORMATS.PRETTY) {
     let input = '';
 
     for await (const chunk of process.stdin) {
         input += chunk;
     }
 
+    if (format !== OUTPUT_FORMATS.PRETTY) {
+        // 스택 트레이스 줄을 찾지 못해도 입력을 그대로 출력 (다른 도구로 이어서 처리할 수 있도록)
+        const stackTrace = input.replace(/\n$/, '');
+        const results = await decodeFrames(parseStackTrace(stackTrace), config);
+        const formatters = {
+            [OUTPUT_FORMATS.TEXT]: formatText,
+            [OUTPUT_FORMATS.JSON]: formatJSON,
+            [OUTPUT_FORMATS.MARKDOWN]: formatMarkdown,
+        };
+        console.log(formatters[format](stackTrace, results));
+        return;
+    }
+
     if (input.trim()) {
         const parsed = parseStackTrace(input);
 
@@ -491,15 +456,249 @@ async function pipeMode(config) {
     }
 }
 
+// 역방향 조회 모드 (decode-trace --reverse src/stores/authStore.js:53)
+async function reverseMode(config, targetText) {
+    const target = parseLocation(targetText);
+    if (!target) {
+        console.log(chalk.red(`❌ 원본 위치 형식이 올바르지 않습니다: ${targetText}`));
+        console.log(chalk.dim('   예: decode-trace --reverse src/stores/authStore.js:53'));
+        process.exit(1);
+    }
+
+    const sourceMapDir = path.join(process.cwd(), config.sourceMapDir);
+    console.log(chalk.cyan.bold(`🔁 역방향 조회: ${target.file}:${target.line}${target.column !== null ? `:${target.column}` : ''}\n`));
+
+    const results = await findGeneratedPositions(sourceMapDir, target, { debug: config.debug });
+    if (results.length === 0) {
+        console.log(chalk.yellow('⚠️  이 원본 위치를 포함한 소스맵을 찾을 수 없습니다'));
+        console.log(chalk.dim(`   검색 위치: ${config.sourceMapDir}`));
+        return;
+    }
+
+    for (const result of results) {
+        console.log(chalk.gray('━'.repeat(80)));
+        console.log(`📦 ${chalk.green(result.chunk)}`);
+        console.log(chalk.dim(`   소스맵: ${result.sourceMap}`));
+        console.log(chalk.dim(`   원본 source: ${result.source}`));
+
+        // 요청한 줄에 매핑이 없으면 가장 가까운 다음 줄의 위치가 반환됨
+        const shifted = result.positions.find(position => position.originalLine !== target.line);
+        if (shifted) {
+            console.log(chalk.yellow(`   ⚠️  ${target.line}번째 줄에 매핑이 없어 가장 가까운 ${shifted.originalLine}번째 줄의 위치를 표시합니다`));
+        }
+
+        for (const position of result.positions) {
+            const span = position.lastColumn !== null && position.lastColumn !== position.column
+                ? chalk.dim(` (~${position.lastColumn})`)
+                : '';
+            const name = position.name ? chalk.magenta(` ${position.name}`) : '';
+            const original = chalk.dim(` ← ${position.originalLine}:${position.originalColumn}`);
+            console.log(`   ${chalk.yellow(`${result.chunk}:${position.line}:${position.column}`)}${span}${name}${original}`);
+        }
+
+        console.log(chalk.dim(`   LogQL: ${buildLogQLFilter([result], config.logQuery)}`));
+    }
+
+    console.log(chalk.gray('━'.repeat(80)));
+    if (results.length > 1) {
+        console.log(chalk.cyan('🔎 전체 LogQL:'));
+        console.log(buildLogQLFilter(results, config.logQuery));
+    }
+}
+
+// 일괄 디코딩 모드 (decode-trace --batch errors.ndjson [--output report.json])
+// 보고서(JSON)는 stdout 또는 --output 파일로, 진행 상황과 요약은 stderr로 출력
+async function batchMode(inputPath, outputPath) {
+    let items;
+    try {
+        const text = inputPath === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(inputPath, 'utf8');
+        items = parseErrorExport(text);
+    } catch (error) {
+        console.error(chalk.red(`❌ 에러 파일을 읽을 수 없음: ${error.message}`));
+        process.exit(1);
+    }
+
+    // 오케스트레이터와 같은 디코더 설정 (릴리스 아카이브, in-app 패턴, 작업 디렉토리)
+    const { createConfig } = await import('../config/index.js');
+    const config = createConfig();
+    const decoder = new StackTraceDecoder(config);
+
+    console.error(chalk.dim(`📦 ${items.length}개 에러 디코딩 중... (소스맵 디렉토리: ${config.decoder.sourceMapDir})`));
+
+    let report;
+    try {
+        const { summary, results } = await decodeBatch(items, decoder, {
+            releaseLabels: config.decoder.releaseLabels,
+            onProgress: (done, total) => {
+                if (done % 100 === 0 && done < total) {
+                    console.error(chalk.dim(`   ${done}/${total}`));
+                }
+            },
+        });
+        report = {
+            generatedAt: new Date().toISOString(),
+            input: inputPath === '-' ? 'stdin' : path.resolve(inputPath),
+            summary,
+            cache: decoder.cache.stats,
+            results,
+        };
+    } finally {
+        decoder.close();
+    }
+
+    const json = JSON.stringify(report, null, 2);
+    if (outputPath) {
+        fs.writeFileSync(outputPath, json + '\n');
+    } else {
+        console.log(json);
+    }
+
+    const { summary } = report;
+    console.error(chalk.cyan('\n📊 일괄 디코딩 결과:'));
+    console.error(`   전체: ${summary.total}개, 성공: ${chalk.green(summary.decoded)}개, 실패: ${chalk.red(summary.failed)}개`);
+    Object.entries(summary.reasons)
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([reason, count]) => console.error(chalk.dim(`   - ${reason}: ${count}개`)));
+    if (outputPath) {
+        console.error(chalk.dim(`   보고서: ${outputPath}`));
+    }
+}
+
+// 에러 헤더 줄에서 타입/메시지 추출 ("Uncaught TypeError: ..." → TypeError)
+function parseErrorHeader(stackTrace) {
+    const header = stackTrace.trim().split('\n')[0];
+    const match = header.match(/^\s*(?:Uncaught\s+)?([A-Z]\w*(?:Error|Exception))\b:?\s*(.*)$/);
+    return match
+        ? { type: match[1], message: match[2] || header }
+        : { type: 'Error', message: header };
+}
+
+// stdin 입력을 오케스트레이터가 처리하는 에러 형태로 변환
+// 수집기 형식 JSON({ hash, count, error: {...} })이나 스택 트레이스를 그대로 받음
+function readErrorInfo(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const item = parseErrorExport(trimmed).find(candidate => candidate.entry);
+        if (!item) {
+            return null;
+        }
+        const { entry } = item;
+        if (entry.source?.error) {
+            return { ...entry.source, error: { type: 'Error', ...entry.source.error, stackTrace: entry.stackTrace } };
+        }
+        return { hash: entry.hash, error: { ...parseErrorHeader(entry.stackTrace), message: entry.message, stackTrace: entry.stackTrace } };
+    }
+
+    return trimmed ? { hash: null, error: { ...parseErrorHeader(trimmed), stackTrace: trimmed } } : null;
+}
+
+// 프롬프트 미리보기 모드: 에러를 디코딩하고 Claude Code에 보낼 프롬프트를 출력
+async function renderPromptMode() {
+    if (process.stdin.isTTY) {
+        printUsageError('--render-prompt는 stdin으로 스택 트레이스 또는 에러 JSON을 받습니다');
+    }
+
+    const errorInfo = readErrorInfo(fs.readFileSync(0, 'utf8'));
+    if (!errorInfo) {
+        console.error(chalk.red('❌ 입력에서 스택 트레이스를 찾을 수 없음'));
+        process.exit(1);
+    }
+
+    // 오케스트레이터와 같은 설정 (템플릿 디렉토리, 규칙 파일, 릴리스 아카이브)
+    const { createConfig } = await import('../config/index.js');
+    const { getReleaseFromError } = await import('../core/source-map-archive.js');
+    const { ClaudeCodeClient } = await import('../core/claude-code-client.js');
+    const config = createConfig();
+    const client = new ClaudeCodeClient(config);
+    const decoder = new StackTraceDecoder(config);
+
+    let decoded;
+    try {
+        const release = getReleaseFromError(errorInfo, config.decoder.releaseLabels);
+        decoded = await decoder.decodeStackTrace(errorInfo.error.stackTrace, { release, message: errorInfo.error.message });
+    } finally {
+        decoder.close();
+    }
+
+    if (!decoded || decoded.error) {
+        console.error(chalk.red(`❌ 디코딩 실패 (${decoded?.error || 'UNKNOWN_ERROR'}): ${decoded?.message || '알 수 없는 오류'}`));
+        process.exit(1);
+    }
+    if (decoded.demangledMessage) {
+        errorInfo.error.demangledMessage = decoded.demangledMessage;
+    }
+
+    // 프롬프트는 stdout, 선택된 템플릿 정보는 stderr
+    const template = client.selectPromptTemplate(errorInfo);
+    if (template) {
+        const { text, missing } = client.promptTemplates.render(template, client.buildPromptContext(errorInfo, decoded));
+        console.error(chalk.dim(`📝 템플릿: ${template.name} (${path.join(client.promptTemplates.templateDir, template.file)})`));
+        if (missing.length > 0) {
+            console.error(chalk.yellow(`⚠️  값이 없는 변수: ${missing.map(name => `{{${name}}}`).join(', ')}`));
+        }
+        console.log(text);
+    } else {
+        console.error(chalk.dim(`📝 기본 프롬프트${client.promptTemplates.templates.length > 0 ? ' (맞는 템플릿 없음)' : ''}`));
+        console.log(client.generatePrompt(errorInfo, decoded));
+    }
+    if (client.promptTemplates.rulesFile) {
+        console.error(chalk.dim(`   프로젝트 규칙: ${client.promptTemplates.rulesFile}`));
+    }
+}
+
+// 명령줄 옵션
+function parseOptions() {
+    try {
+        return parseArgs({
+            options: {
+                reverse: { type: 'string' },
+                format: { type: 'string', default: OUTPUT_FORMATS.PRETTY },
+                batch: { type: 'string' },
+                output: { type: 'string' },
+                'render-prompt': { type: 'boolean' },
+            },
+        }).values;
+    } catch (error) {
+        printUsageError(error.message);
+    }
+}
+
+function printUsageError(message) {
+    console.log(chalk.red(`❌ ${message}`));
+    console.log(chalk.dim('   사용법: decode-trace [--format pretty|text|json|markdown] [--reverse <파일>:<줄>[:<컬럼>]]'));
+    console.log(chalk.dim('          decode-trace --batch <에러 파일(NDJSON/JSON 배열), - 는 stdin> [--output <보고서 파일>]'));
+    console.log(chalk.dim('          <스택 트레이스 또는 에러 JSON> | decode-trace --render-prompt'));
+    process.exit(1);
+}
+
 // 메인 실행
 (async () => {
+    const options = parseOptions();
+    if (!Object.values(OUTPUT_FORMATS).includes(options.format)) {
+        printUsageError(`지원하지 않는 출력 형식: ${options.format}`);
+    }
+
+    if (options.batch) {
+        await batchMode(options.batch, options.output);
+        return;
+    }
+    if (options['render-prompt']) {
+        await renderPromptMode();
+        return;
+    }
+
     const config = await getStackTraceConfig();
 
-    console.log(chalk.dim(`설정: 소스맵 디렉토리=${config.sourceMapDir}, 컨텍스트 줄=${config.contextLines}\n`));
+    // text/json/markdown은 출력을 그대로 다른 곳에 붙여넣을 수 있도록 설정 줄을 생략
+    if (options.format === OUTPUT_FORMATS.PRETTY) {
+        console.log(chalk.dim(`설정: 소스맵 디렉토리=${config.sourceMapDir}, 컨텍스트 줄=${config.contextLines}\n`));
+    }
 
-    if (process.stdin.isTTY) {
+    if (options.reverse) {
+        await reverseMode(config, options.reverse);
+    } else if (process.stdin.isTTY) {
         interactiveMode(config);
     } else {
-        pipeMode(config);
+        pipeMode(config, options.format);
     }
 })();
\ No newline at end of file
@@ -48,6 +48,7 @@ async function runAutoFix() {
 
         const decoder = new StackTraceDecoder(config);
         const decoded = await decoder.decodeStackTrace(error.error.stackTrace);
+        decoder.close();
 
         if (!decoded) {
             console.log(chalk.yellow('   ⚠️  디코딩 실패: 소스맵을 찾을 수 없음\n'));
@@ -56,7 +57,7 @@ async function runAutoFix() {
         }
 
         console.log(chalk.green('   ✓ 디코딩 완료'));
-        console.log(chalk.dim(`   원본 파일: ${decoded.original.file}:${decoded.original.line}\n`));
+        console.log(chalk.dim(`   원본 파일: ${decoded.original.relativePath}:${decoded.original.line}${decoded.original.exists ? '' : ' (작업 디렉토리에 없음)'}\n`));
 
         // 디코딩된 소스 코드 미리보기
         console.log(chalk.cyan('📄 에러 발생 위치:\n'));
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import dotenv from 'dotenv';
+import { createConfig } from '../config/index.js';
+import { SourceMapArchive } from '../core/source-map-archive.js';
+
+// 환경 변수 로드
+dotenv.config();
+
+/**
+ * 릴리스별 소스맵 아카이브 관리
+ */
+function main() {
+    const config = createConfig();
+    const archive = new SourceMapArchive(config.decoder.archiveDir);
+    const command = process.argv[2];
+
+    switch (command) {
+        case 'ingest': {
+            const buildDir = process.argv[3];
+            const release = process.argv[4];
+            if (!buildDir || !release) {
+                console.log(chalk.red('❌ 빌드 디렉토리와 릴리스 ID가 필요합니다'));
+                console.log(chalk.dim('   예: node src/cli/sourcemap-archive.js ingest ./workspace/target 1.4.2'));
+                process.exit(1);
+            }
+
+            const result = archive.ingest(buildDir, release);
+            console.log(chalk.green(`✓ 릴리스 ${result.release} 보관 완료: 소스맵 ${result.files}개, 번들 파일 ${result.scripts}개`));
+            if (result.manifests.length > 0) {
+                console.log(chalk.dim(`   매니페스트: ${result.manifests.join(', ')}`));
+            }
+            console.log(chalk.dim(`   위치: ${result.dir}`));
+            break;
+        }
+
+        case 'list': {
+            const releases = archive.list();
+            console.log(chalk.cyan(`📦 보관 중인 릴리스: ${releases.length}개`));
+            for (const release of releases) {
+                console.log(`   ${chalk.green(release.release)}  ${chalk.dim(release.ingestedAt)}  소스맵 ${release.files ?? '?'}개`);
+            }
+            break;
+        }
+
+        case 'prune': {
+            // 0일(가장 최근 릴리스만 유지)도 지정할 수 있도록 값이 있으면 그대로 사용
+            const daysArg = process.argv[3];
+            if (daysArg !== undefined && !/^\d+$/.test(daysArg)) {
+                console.log(chalk.red(`❌ 보관 기간은 0 이상의 정수(일)여야 합니다: ${daysArg}`));
+                process.exit(1);
+            }
+            const days = daysArg !== undefined ? parseInt(daysArg) : config.decoder.archiveRetentionDays;
+            console.log(`🗑️  ${days}일 이상된 릴리스 정리 중...`);
+            const removed = archive.prune(days);
+            console.log(chalk.green(`✓ ${removed.length}개 릴리스 삭제${removed.length > 0 ? `: ${removed.join(', ')}` : ''}`));
+            break;
+        }
+
+        default:
+            console.log('사용법:');
+            console.log('  node src/cli/sourcemap-archive.js ingest <빌드 디렉토리> <릴리스 ID>  - 빌드의 소스맵과 번들 파일(*.js, *.mjs) 보관');
+            console.log('  node src/cli/sourcemap-archive.js list                               - 보관 중인 릴리스 목록');
+            console.log('  node src/cli/sourcemap-archive.js prune [일]                         - 오래된 릴리스 삭제');
+            break;
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(chalk.red('❌ 오류 발생:'), error.message);
+    process.exit(1);
+}
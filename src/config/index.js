@@ -4,6 +4,14 @@ import path from 'path';
 // Load environment variables
 dotenv.config();
 
+/**
+ * 정수 환경 변수 (0 허용, 숫자가 아니면 기본값)
+ */
+function parseIntEnv(value, defaultValue) {
+    const parsed = parseInt(value ?? String(defaultValue));
+    return Number.isNaN(parsed) ? defaultValue : parsed;
+}
+
 /**
  * Create the main auto-fixer configuration
  */
@@ -17,11 +25,43 @@ export function createConfig() {
             lookbackWindow: process.env.GRAFANA_LOOKBACK_WINDOW || 'now-1h',
             logQuery: process.env.GRAFANA_LOG_QUERY || '{job="frontend"}',
             maxResults: parseInt(process.env.GRAFANA_MAX_RESULTS) || 100,
+            // 커서 기반 증분 수집 (false면 매번 lookbackWindow 전체를 다시 조회)
+            incremental: process.env.GRAFANA_INCREMENTAL !== 'false', // default true
+            maxPages: parseInt(process.env.GRAFANA_MAX_PAGES) || 50,
+            // tail 모드 (auto-fix-orchestrator.js tail)
+            tailDelayFor: parseInt(process.env.GRAFANA_TAIL_DELAY_FOR) || 0,
+            tailReconnectDelay: parseInt(process.env.GRAFANA_TAIL_RECONNECT_DELAY) || 1000,
+            tailMaxReconnectDelay: parseInt(process.env.GRAFANA_TAIL_MAX_RECONNECT_DELAY) || 30000,
+            maxSamplesPerGroup: parseInt(process.env.GRAFANA_MAX_SAMPLES) || 3,
+            // 여러 줄 스택 트레이스 재조립 시 허용하는 라인 간 최대 간격 (ms)
+            stitchWindowMs: parseInt(process.env.GRAFANA_STITCH_WINDOW_MS) || 1000,
         },
 
         decoder: {
             sourceMapDir: process.env.SOURCE_MAP_DIR || './workspace/target/static/js',
             contextLines: parseInt(process.env.DECODER_CONTEXT_LINES) || 10,
+            // 호출자 프레임의 소스 코드 컨텍스트 줄 수 (0이면 생략)
+            frameContextLines: parseInt(process.env.DECODER_FRAME_CONTEXT_LINES || '2'),
+            // blame 프레임 스니펫 범위: 'lines'(앞뒤 contextLines줄) 또는 'function'(감싸는 함수 전체)
+            snippetScope: process.env.DECODER_SNIPPET_SCOPE || 'lines',
+            // 'function'일 때 이보다 긴 함수는 contextLines 범위만 포함
+            snippetMaxLines: parseInt(process.env.DECODER_SNIPPET_MAX_LINES) || 80,
+            // 빌드 매니페스트 경로 (비워두면 소스맵 디렉토리와 상위 디렉토리에서 자동 탐색)
+            manifestPath: process.env.DECODER_MANIFEST_PATH || null,
+            // 릴리스별 소스맵 아카이브 (npm run sourcemap:ingest)
+            archiveDir: process.env.SOURCEMAP_ARCHIVE_DIR || './.auto-fix-data/sourcemap-archive',
+            // 0이면 가장 최신 릴리스만 남김
+            archiveRetentionDays: parseIntEnv(process.env.SOURCEMAP_ARCHIVE_RETENTION_DAYS, 30),
+            // 에러의 릴리스 ID를 읽을 Loki 라벨 (앞쪽이 우선)
+            releaseLabels: process.env.SOURCEMAP_RELEASE_LABELS
+                ? process.env.SOURCEMAP_RELEASE_LABELS.split(',').map(l => l.trim())
+                : ['version', 'release', 'commit'],
+            // 메모리에 유지할 파싱된 소스맵 최대 개수
+            cacheSize: parseInt(process.env.DECODER_CACHE_SIZE) || 20,
+            // 애플리케이션 코드로 볼 원본 경로 패턴 (비어 있으면 서드파티/무시 패턴이 아닌 모든 소스)
+            inAppPatterns: process.env.DECODER_IN_APP_PATTERNS
+                ? process.env.DECODER_IN_APP_PATTERNS.split(',').map(p => p.trim())
+                : [],
             ide: process.env.DECODER_IDE || 'intellij',
             debug: process.env.DECODER_DEBUG === 'true' || false,
         },
@@ -31,6 +71,10 @@ export function createConfig() {
             workingDir: process.env.WORKING_DIR || './workspace',
             timeout: parseInt(process.env.CLAUDE_CODE_TIMEOUT) || 300000,
             maxRetries: parseInt(process.env.CLAUDE_CODE_MAX_RETRIES) || 3,
+            // 검증 실패 시 같은 세션에 실패 출력을 보내 다시 수정을 요청할 최대 횟수 (0이면 교정하지 않음)
+            maxCorrectionRounds: parseInt(process.env.CLAUDE_MAX_CORRECTION_ROUNDS || '2'),
+            // CLI 출력 형식: json(기본), stream-json, text (json 형식에서 세션 ID/턴 수/비용/토큰 사용량을 읽음)
+            outputFormat: process.env.CLAUDE_OUTPUT_FORMAT || 'json',
             // Permission handling
             permissionMode: process.env.CLAUDE_PERMISSION_MODE || 'acceptEdits',
             allowedTools: process.env.CLAUDE_ALLOWED_TOOLS
@@ -38,6 +82,31 @@ export function createConfig() {
                 : null,
         },
 
+        verification: {
+            // 수정 후 작업 디렉토리에서 순서대로 실행할 명령 (JSON 배열, 비워두면 검증 생략)
+            // 예: ["npm run lint", {"name": "typecheck", "command": "npx tsc --noEmit", "timeout": 120000}]
+            steps: process.env.VERIFY_STEPS || '',
+            // timeout이 없는 단계의 제한 시간 (ms)
+            stepTimeout: parseInt(process.env.VERIFY_STEP_TIMEOUT) || 300000,
+        },
+
+        prompt: {
+            // 에러 유형별 프롬프트 템플릿 디렉토리 (*.md, 비워두면 기본 프롬프트만 사용)
+            templateDir: process.env.PROMPT_TEMPLATE_DIR || null,
+            // 모든 프롬프트에 붙일 프로젝트 규칙 파일 (코딩 컨벤션, 금지 패턴 등)
+            rulesFile: process.env.PROMPT_RULES_FILE || null,
+            // 에러를 일으킨 함수를 호출한 애플리케이션 코드 프레임의 주변 코드 포함
+            includeCallers: process.env.PROMPT_INCLUDE_CALLERS !== 'false',
+            // 에러 위치 파일의 import 목록 포함
+            includeImports: process.env.PROMPT_INCLUDE_IMPORTS !== 'false',
+            // 에러 직전에 같은 스트림에 기록된 로그 줄 수 (0이면 Loki를 조회하지 않음)
+            breadcrumbLines: parseInt(process.env.PROMPT_BREADCRUMB_LINES || '10'),
+            // 에러 시각 이전 로그를 조회할 범위 (밀리초)
+            breadcrumbWindowMs: parseInt(process.env.PROMPT_BREADCRUMB_WINDOW_MS || '60000'),
+            // 호출자 코드, import, 직전 로그 섹션에 쓸 최대 문자 수
+            contextBudget: parseInt(process.env.PROMPT_CONTEXT_BUDGET || '8000'),
+        },
+
         git: {
             autoCommit: process.env.GIT_AUTO_COMMIT !== 'false', // default true
             branch: process.env.GIT_BRANCH || 'auto-fix/errors',
@@ -51,6 +120,8 @@ export function createConfig() {
             minIntervalBetweenFixes: parseInt(process.env.MIN_INTERVAL_BETWEEN_FIXES) || 5000,
             maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
             timeoutPerFix: parseInt(process.env.TIMEOUT_PER_FIX) || 300000,
+            // 디코딩 위치 신뢰도(0~1)가 이보다 낮으면 수정 요청 없이 LOW_CONFIDENCE로 스킵
+            minDecodeConfidence: parseFloat(process.env.MIN_DECODE_CONFIDENCE || '0.3'),
         },
 
         filters: {
@@ -90,6 +161,7 @@ export function createConfig() {
 
         paths: {
             processedErrorsDb: process.env.PROCESSED_ERRORS_DB || './.auto-fix-data/processed-errors-db.json',
+            collectorState: process.env.COLLECTOR_STATE_DB || './.auto-fix-data/collector-state.json',
             metricsFile: process.env.METRICS_FILE || './.auto-fix-data/metrics.json',
             logFile: process.env.LOG_FILE || './.auto-fix-data/logs/auto-fix.log',
         },
@@ -103,9 +175,12 @@ export function createStackTraceConfig() {
     return {
         sourceMapDir: process.env.SOURCE_MAP_DIR || './workspace/target/static/js',
         sourceMapPattern: process.env.SOURCE_MAP_PATTERN || '*.js.map',
+        manifestPath: process.env.DECODER_MANIFEST_PATH || null,
         contextLines: parseInt(process.env.STACK_TRACE_CONTEXT_LINES) || 5,
         ide: process.env.STACK_TRACE_IDE || 'intellij',
         debug: process.env.STACK_TRACE_DEBUG === 'true' || false,
+        // --reverse 모드에서 출력할 LogQL의 스트림 셀렉터
+        logQuery: process.env.GRAFANA_LOG_QUERY || '{job="frontend"}',
     };
 }
 
@@ -3,9 +3,12 @@ import chalk from 'chalk';
 import { createConfig, validateConfig } from '../config/index.js';
 import { GrafanaLogCollector } from './grafana-log-collector.js';
 import { StackTraceDecoder } from './decoder-wrapper.js';
+import { getReleaseFromError } from './source-map-archive.js';
+import { ErrorFilter } from './error-filter.js';
 import { ClaudeCodeClient } from './claude-code-client.js';
+import { summarizeClaudeRuns, formatRunSummary } from './claude-output-parser.js';
 import { ProcessedErrorsDB } from '../db/processed-errors-db.js';
-import { SlackNotifier } from '../utils/slack-notifier.js';
+import { SlackNotifier, summarizeProcessedError } from '../utils/slack-notifier.js';
 import { GitUtils } from '../utils/git-utils.js';
 import path from 'path';
 
@@ -84,6 +87,7 @@ class AutoFixOrchestrator {
         this.config = config;
         this.mode = mode;
         this.collector = new GrafanaLogCollector(config);
+        this.errorFilter = new ErrorFilter(config);
         this.decoder = new StackTraceDecoder(config);
         this.claudeClient = new ClaudeCodeClient(config);
         this.db = new ProcessedErrorsDB(config.paths.processedErrorsDb);
@@ -93,9 +97,11 @@ class AutoFixOrchestrator {
         this.stats = {
             totalRuns: 0,
             totalErrors: 0,
+            totalOccurrences: 0,
             totalFixed: 0,
             totalFailed: 0,
             totalSkipped: 0,
+            totalFiltered: 0,
         };
     }
 
@@ -107,11 +113,15 @@ class AutoFixOrchestrator {
 
         console.log(chalk.cyan(`\n📝 에러 처리 중: ${errorHash}`));
         console.log(chalk.dim(`   메시지: ${error.error.message.substring(0, 80)}`));
+        if (error.count) {
+            const { pods, browsers } = error.affected;
+            console.log(chalk.dim(`   발생: ${error.count}회 (${error.firstSeen} ~ ${error.lastSeen}), pod ${pods.length}개, 브라우저 ${browsers.join(', ') || '-'}`));
+        }
 
         // 1. 스택 트레이스 디코딩
         console.log(chalk.dim('   스택 트레이스 디코딩 중...'));
-        const decoded = await this.decoder.decodeStackTrace(error.error.stackTrace);
-
+        const release = getReleaseFromError(error, this.config.decoder.releaseLabels);
+        const decoded = await this.decoder.decodeStackTrace(error.error.stackTrace, { release, message: error.error.message });
         if (!decoded || decoded.error) {
             const reason = decoded?.error || 'UNKNOWN_ERROR';
             const message = decoded?.message || '알 수 없는 오류';
@@ -123,27 +133,122 @@ class AutoFixOrchestrator {
                 console.log(chalk.dim('      팁: vite.config.js에서 sourceMap: true 설정 확인 또는 npm run build 실행 필요'));
             }
 
+            if (reason === 'NO_IN_APP_FRAME') {
+                decoded.blame.skipped.forEach(skip => {
+                    console.log(chalk.dim(`      #${skip.index} ${skip.file} - ${skip.reason}`));
+                });
+            }
+
             this.db.markAsProcessed(errorHash, reason, {
                 message: error.error.message,
-                details: message
+                ...(decoded?.demangledMessage && { demangledMessage: decoded.demangledMessage }),
+                occurrences: error.count,
+                details: message,
+                ...(decoded?.frames && { stack: this.summarizeStack(decoded.frames) }),
+                release,
             });
             this.stats.totalSkipped++;
             return { success: false, reason: reason };
         }
 
-        console.log(chalk.dim(`   ✓ 디코딩 완료: ${decoded.original.file}:${decoded.original.line}`));
+        console.log(chalk.dim(`   ✓ 디코딩 완료: ${decoded.original.relativePath}:${decoded.original.line}`));
+        if (decoded.release && !decoded.release.archived) {
+            console.log(chalk.dim(`   릴리스 ${decoded.release.id}의 소스맵 아카이브가 없어 최신 빌드 소스맵으로 디코딩`));
+        }
+        // 해시는 수집한 메시지 기준으로 유지하고, 복원한 메시지는 따로 보관 (프롬프트/Slack/커밋 메시지에 사용)
+        if (decoded.demangledMessage) {
+            error.error.demangledMessage = decoded.demangledMessage;
+            console.log(chalk.dim(`   메시지 식별자 복원: ${decoded.demangledIdentifiers.map(({ from, to }) => `${from} → ${to}`).join(', ')}`));
+        }
+
+        // 작업 디렉토리에 없는 파일은 수정할 수 없으므로 스킵
+        if (!decoded.original.exists) {
+            console.log(chalk.yellow(`   ⚠️  스킵: 작업 디렉토리에서 파일을 찾을 수 없음 (${decoded.original.absolutePath})`));
+            console.log(chalk.dim(`      소스맵 경로: ${decoded.original.file}`));
+            console.log(chalk.dim('      팁: WORKING_DIR이 에러가 발생한 프로젝트의 루트를 가리키는지 확인'));
+            this.db.markAsProcessed(errorHash, 'FILE_NOT_FOUND', {
+                message: error.error.message,
+                ...(decoded.demangledMessage && { demangledMessage: decoded.demangledMessage }),
+                occurrences: error.count,
+                file: decoded.original.relativePath,
+                source: decoded.original.file,
+                line: decoded.original.line,
+                stack: this.summarizeStack(decoded.frames),
+                release,
+            });
+            this.stats.totalSkipped++;
+            return { success: false, reason: 'FILE_NOT_FOUND' };
+        }
+
+        // 빈 줄/주석이나 메시지와 맞지 않는 줄로 디코딩된 경우 잘못된 위치를 수정하지 않도록 스킵
+        const { minDecodeConfidence } = this.config.limits;
+        if (decoded.confidence.score < minDecodeConfidence) {
+            const signals = decoded.confidence.signals.join(', ');
+            console.log(chalk.yellow(`   ⚠️  스킵: 디코딩 위치 신뢰도 ${decoded.confidence.score} < ${minDecodeConfidence} (${signals})`));
+            console.log(chalk.dim('      팁: 소스맵이 배포된 빌드와 같은지 확인 (릴리스별 소스맵 아카이브 사용 권장)'));
+            this.db.markAsProcessed(errorHash, 'LOW_CONFIDENCE', {
+                message: error.error.message,
+                ...(decoded.demangledMessage && { demangledMessage: decoded.demangledMessage }),
+                occurrences: error.count,
+                file: decoded.original.relativePath,
+                line: decoded.original.line,
+                confidence: decoded.confidence,
+                stack: this.summarizeStack(decoded.frames),
+                release,
+            });
+            this.stats.totalSkipped++;
+            return { success: false, reason: 'LOW_CONFIDENCE' };
+        }
+        if (decoded.frames.length > 1) {
+            const inAppCount = decoded.frames.filter(frame => frame.inApp).length;
+            console.log(chalk.dim(`   호출 스택: ${decoded.frames.length}개 프레임 (애플리케이션 코드 ${inAppCount}개)`));
+        }
+        if (decoded.blame.skipped.length > 0) {
+            console.log(chalk.dim(`   blame 프레임: #${decoded.blame.index} (서드파티 등 ${decoded.blame.skipped.length}개 프레임 건너뜀)`));
+        }
+        if (decoded.sourceOrigin === 'workspace') {
+            console.log(chalk.dim('   sourcesContent가 없어 작업 디렉토리 파일에서 소스 코드를 읽음'));
+        } else if (!decoded.sourceCode) {
+            console.log(chalk.yellow('   ⚠️  소스 코드를 찾지 못해 위치 정보만 전달합니다'));
+        }
+        if (decoded.drift) {
+            console.log(chalk.yellow(`   ⚠️  소스 불일치 (${decoded.drift.reason}): ${decoded.drift.message}`));
+        }
+        if (decoded.confidence.signals.length > 0) {
+            console.log(chalk.dim(`   디코딩 신뢰도: ${decoded.confidence.score} (${decoded.confidence.signals.join(', ')})`));
+        }
+
+        // 에러 직전에 같은 스트림에 기록된 로그 (프롬프트 컨텍스트)
+        const { breadcrumbLines = 10, breadcrumbWindowMs = 60000 } = this.config.prompt || {};
+        const breadcrumbs = breadcrumbLines > 0
+            ? await this.collector.fetchBreadcrumbs(error, { limit: breadcrumbLines, windowMs: breadcrumbWindowMs })
+            : [];
+        if (breadcrumbs.length > 0) {
+            console.log(chalk.dim(`   에러 직전 로그: ${breadcrumbs.length}줄`));
+        }
 
-        // 2. Claude Code로 수정
+        // 2. Claude Code로 수정 (실패하거나 검증에 실패하면 되돌릴 수 있도록 수정 전 상태 기록)
+        const snapshot = await this.gitUtils.snapshotChanges(this.claudeClient.workingDir);
         console.log(chalk.dim('   Claude Code에게 수정 요청 중...'));
-        const fixResult = await this.claudeClient.fixError(error, decoded);
+        let fixResult = await this.claudeClient.fixError(error, decoded, { breadcrumbs });
 
         if (!fixResult.success) {
             console.log(chalk.red('   ❌ 수정 실패'));
+            // 제한 시간 초과 등으로 수정 도중에 끝났을 수 있으므로 수정 전 상태로 되돌림
+            const rollback = await this.gitUtils.rollbackChanges(snapshot, this.claudeClient.workingDir);
             this.db.markAsProcessed(errorHash, 'FAILED', {
                 message: error.error.message,
-                file: decoded.original.file,
+                ...(decoded.demangledMessage && { demangledMessage: decoded.demangledMessage }),
+                occurrences: error.count,
+                file: decoded.original.relativePath,
                 line: decoded.original.line,
+                stack: this.summarizeStack(decoded.frames),
+                release,
+                blame: this.summarizeBlame(decoded.blame),
+                ...(decoded.drift && { drift: decoded.drift.reason }),
+                confidence: decoded.confidence.score,
                 error: fixResult.error,
+                rollback,
             });
             this.stats.totalFailed++;
             return { success: false, reason: 'FIX_FAILED' };
@@ -151,24 +256,123 @@ class AutoFixOrchestrator {
 
         console.log(chalk.green('   ✓ 수정 완료'));
 
+        // 3. 린트/타입 체크/테스트/빌드로 검증
+        // 실패하면 같은 세션에 실패 출력을 보내 교정을 요청하고, 교정 횟수를 넘기면 커밋하지 않고 변경 롤백
+        // 첫 수정과 교정 요청의 CLI 실행 결과 (턴 수, 비용, 토큰 사용량 합계용)
+        const claudeRuns = [fixResult.result.run];
+        let verification = await this.claudeClient.verifyFix(error, fixResult);
+        let correctionRounds = 0;
+        while (!verification.passed && correctionRounds < this.claudeClient.maxCorrectionRounds) {
+            correctionRounds++;
+            const correction = await this.claudeClient.correctFix(error, fixResult, verification, correctionRounds);
+            if (!correction.success) {
+                break;
+            }
+            fixResult = correction;
+            claudeRuns.push(correction.result.run);
+            verification = await this.claudeClient.verifyFix(error, fixResult);
+        }
+
+        const claude = summarizeClaudeRuns(claudeRuns);
+        if (claude) {
+            console.log(chalk.dim(`   Claude Code: ${formatRunSummary(claude)}`));
+        }
+
+        if (!verification.passed) {
+            const { failedStep } = verification;
+            console.log(chalk.red(`   ❌ 검증 실패: ${failedStep.name} (${failedStep.command})`));
+            const rollback = await this.gitUtils.rollbackChanges(snapshot, this.claudeClient.workingDir);
+            this.db.markAsProcessed(errorHash, 'VERIFY_FAILED', {
+                message: error.error.message,
+                ...(decoded.demangledMessage && { demangledMessage: decoded.demangledMessage }),
+                occurrences: error.count,
+                file: decoded.original.relativePath,
+                line: decoded.original.line,
+                stack: this.summarizeStack(decoded.frames),
+                release,
+                blame: this.summarizeBlame(decoded.blame),
+                ...(decoded.drift && { drift: decoded.drift.reason }),
+                confidence: decoded.confidence.score,
+                verification: {
+                    step: failedStep.name,
+                    command: failedStep.command,
+                    exitCode: failedStep.exitCode,
+                    timedOut: failedStep.timedOut,
+                    output: failedStep.output,
+                    passedSteps: verification.steps.filter(step => step.passed).map(step => step.name),
+                },
+                correctionRounds,
+                sessionId: fixResult.sessionId,
+                ...(claude && { claude }),
+                rollback,
+            });
+            this.stats.totalFailed++;
+            return { success: false, reason: 'VERIFY_FAILED' };
+        }
+
+        if (correctionRounds > 0) {
+            console.log(chalk.dim(`   검증 실패 후 ${correctionRounds}회 교정으로 통과`));
+        }
+
         // 커밋 수행
-        const fileName = path.basename(decoded.original.file);
-        const commitMsg = `${error.error.message.split('\n')[0].substring(0, 80)} (${fileName}:${decoded.original.line})`;
-        await this.gitUtils.commitChanges(decoded.original.file, commitMsg);
+        const fileName = path.basename(decoded.original.relativePath);
+        const commitMsg = `${(decoded.demangledMessage || error.error.message).split('\n')[0].substring(0, 80)} (${fileName}:${decoded.original.line})`;
+        await this.gitUtils.commitChanges(decoded.original.absolutePath, commitMsg);
         this.db.markAsProcessed(errorHash, 'FIXED', {
             message: error.error.message,
-            file: decoded.original.file,
+            ...(decoded.demangledMessage && { demangledMessage: decoded.demangledMessage }),
+            occurrences: error.count,
+            file: decoded.original.relativePath,
             line: decoded.original.line,
+            stack: this.summarizeStack(decoded.frames),
+            release,
+            blame: this.summarizeBlame(decoded.blame),
+            ...(decoded.drift && { drift: decoded.drift.reason }),
+            confidence: decoded.confidence.score,
+            ...(correctionRounds > 0 && { correctionRounds }),
+            sessionId: fixResult.sessionId,
+            ...(claude && { claude }),
         });
         this.stats.totalFixed++;
 
         return { success: true };
     }
 
+    /**
+     * DB에 저장할 호출 스택 요약
+     */
+    summarizeStack(frames = []) {
+        return frames.map(frame => frame.original
+            ? `${frame.original.relativePath}:${frame.original.line}${frame.inApp ? '' : ' (서드파티)'}`
+            : `${frame.minified.file}:${frame.minified.line}:${frame.minified.column} (${frame.error})`);
+    }
+
+    /**
+     * DB에 저장할 blame 프레임 선택 근거
+     */
+    summarizeBlame(blame) {
+        return {
+            index: blame.index,
+            reason: blame.reason,
+            skipped: blame.skipped.map(skip => `#${skip.index} ${skip.file} (${skip.reason})`),
+        };
+    }
+
     /**
      * 메인 루프 1회 실행
      */
     async runOnce() {
+        await this.runCycle(
+            () => this.collector.collectErrors(),
+            'Grafana에서 에러 로그 수집 중...'
+        );
+    }
+
+    /**
+     * 수집 → 필터 → 중복 제거 → 수정 → 알림 한 사이클 실행
+     * @param {() => Promise<Array>} collect - 에러 그룹 목록을 반환하는 수집 함수
+     */
+    async runCycle(collect, collectLabel) {
         const processedErrors = [];
 
         try {
@@ -176,21 +380,35 @@ class AutoFixOrchestrator {
 
             console.log(chalk.cyan.bold(`\n🔄 실행 #${this.stats.totalRuns}\n`));
 
-            // 1. Grafana에서 에러 수집
-            console.log(chalk.cyan('1️⃣  Grafana에서 에러 로그 수집 중...'));
-            const errors = await this.collector.collectErrors();
+            // 1. 에러 수집
+            console.log(chalk.cyan(`1️⃣  ${collectLabel}`));
+            const errors = await collect();
 
             if (errors.length === 0) {
                 console.log(chalk.dim('   에러 없음\n'));
                 return;
             }
 
+            const occurrences = errors.reduce((sum, error) => sum + (error.count || 1), 0);
             this.stats.totalErrors += errors.length;
-            console.log(chalk.green(`   ✓ ${errors.length}개의 에러 수집 완료\n`));
+            this.stats.totalOccurrences += occurrences;
+            console.log(chalk.green(`   ✓ ${errors.length}개의 에러 수집 완료 (총 ${occurrences}회 발생)\n`));
+
+            // 2. 필터 규칙 적용 (errorTypes, ignorePatterns, timeWindow, minOccurrences)
+            console.log(chalk.cyan('2️⃣  필터 규칙 적용 중...'));
+            const filterResult = this.errorFilter.apply(errors);
+            this.errorFilter.printReport(filterResult);
+            this.stats.totalFiltered += filterResult.dropped.length;
+
+            if (filterResult.passed.length === 0) {
+                console.log(chalk.yellow('   ⚠️  필터를 통과한 에러 없음\n'));
+                return;
+            }
+            console.log();
 
-            // 2. 중복 제거
-            console.log(chalk.cyan('2️⃣  중복 에러 필터링 중...'));
-            const newErrors = this.db.filterUnprocessed(errors);
+            // 3. 중복 제거
+            console.log(chalk.cyan('3️⃣  중복 에러 필터링 중...'));
+            const newErrors = this.db.filterUnprocessed(filterResult.passed);
 
             if (newErrors.length === 0) {
                 console.log(chalk.yellow('   ⚠️  모든 에러가 이미 처리됨\n'));
@@ -199,12 +417,12 @@ class AutoFixOrchestrator {
 
             console.log(chalk.green(`   ✓ ${newErrors.length}개의 새로운 에러 발견\n`));
 
-            // 3. 에러 처리 (최대 개수 제한)
+            // 4. 에러 처리 (최대 개수 제한)
             // once 모드일 경우 1개만 처리
             const maxFixes = this.mode === 'once' ? 1 : this.config.limits.maxFixesPerRun;
             const errorsToProcess = newErrors.slice(0, maxFixes);
 
-            console.log(chalk.cyan(`3️⃣  에러 수정 시작 (최대 ${maxFixes}개)\n`));
+            console.log(chalk.cyan(`4️⃣  에러 수정 시작 (최대 ${maxFixes}개)\n`));
 
             for (let i = 0; i < errorsToProcess.length; i++) {
                 const error = errorsToProcess[i];
@@ -217,12 +435,7 @@ class AutoFixOrchestrator {
                 if (result.success || result.reason) {
                     const processedInfo = this.db.get(error.hash);
                     if (processedInfo) {
-                        processedErrors.push({
-                            status: processedInfo.status,
-                            message: processedInfo.metadata?.message || error.error.message,
-                            file: processedInfo.metadata?.file || '',
-                            line: processedInfo.metadata?.line || '',
-                        });
+                        processedErrors.push(summarizeProcessedError(processedInfo, error));
                     }
                 }
 
@@ -234,16 +447,17 @@ class AutoFixOrchestrator {
                 }
             }
 
-            // 4. 통계 출력
+            // 5. 통계 출력
             this.printStats();
 
-            // 5. Slack 알림 전송
+            // 6. Slack 알림 전송
             await this.slackNotifier.sendNotification({
                 mode: this.mode,
                 fixed: this.stats.totalFixed,
                 failed: this.stats.totalFailed,
                 skipped: this.stats.totalSkipped,
                 total: errors.length,
+                occurrences: occurrences,
                 errors: processedErrors,
             });
 
@@ -287,16 +501,69 @@ class AutoFixOrchestrator {
         }
     }
 
+    /**
+     * Loki tail 기반 실시간 실행
+     * 수신된 에러는 큐에 쌓이고, 이전 배치 처리가 끝나면 순서대로 처리됩니다.
+     */
+    async runTail() {
+        console.log(chalk.cyan.bold('🤖 AI 자동 버그 수정 - 실시간(tail) 모드\n'));
+        console.log(chalk.dim(`   쿼리: ${this.config.grafana.logQuery}`));
+        console.log(chalk.dim(`   최대 수정/배치: ${this.config.limits.maxFixesPerRun}개`));
+        console.log(chalk.dim(`   작업 디렉토리: ${this.config.claudeCode.workingDir}\n`));
+
+        this.tailQueue = new Map();
+        this.draining = false;
+
+        const tail = this.collector.startTail((errors) => {
+            // 같은 해시는 최신 집계로 교체
+            for (const error of errors) {
+                this.tailQueue.set(error.hash, error);
+            }
+            this.drainTailQueue();
+        });
+
+        process.on('SIGINT', () => {
+            tail.stop();
+            this.decoder.close();
+            console.log(chalk.red('\n🛑 종료합니다.'));
+            this.printStats();
+            process.exit(0);
+        });
+    }
+
+    /**
+     * tail 큐 처리 (한 번에 하나의 배치만 처리)
+     */
+    async drainTailQueue() {
+        if (this.draining) {
+            return;
+        }
+        this.draining = true;
+
+        while (this.tailQueue.size > 0) {
+            const batch = [...this.tailQueue.values()];
+            this.tailQueue.clear();
+
+            await this.runCycle(async () => batch, 'Loki tail에서 수신한 에러 처리 중...');
+        }
+
+        this.draining = false;
+    }
+
     /**
      * 통계 출력
      */
     printStats() {
         console.log(chalk.cyan('\n📊 누적 통계:'));
         console.log(chalk.dim(`   총 실행 횟수: ${this.stats.totalRuns}회`));
-        console.log(chalk.dim(`   총 수집된 에러: ${this.stats.totalErrors}개`));
+        console.log(chalk.dim(`   총 수집된 에러: ${this.stats.totalErrors}개 (총 ${this.stats.totalOccurrences}회 발생)`));
         console.log(chalk.green(`   ✓ 수정 성공: ${this.stats.totalFixed}개`));
         console.log(chalk.red(`   ✗ 수정 실패: ${this.stats.totalFailed}개`));
         console.log(chalk.yellow(`   ⊘ 스킵됨: ${this.stats.totalSkipped}개`));
+        console.log(chalk.dim(`   필터로 제외됨: ${this.stats.totalFiltered}개`));
+
+        const cacheStats = this.decoder.cache.stats;
+        console.log(chalk.dim(`   소스맵 캐시: 적중 ${cacheStats.hits}회, 로드 ${cacheStats.misses}회, 해제 ${cacheStats.evictions}회`));
 
         // DB 통계
         const dbStats = this.db.getStats();
@@ -328,18 +595,26 @@ async function main() {
                 // 1회 실행
                 console.log(chalk.cyan.bold('🤖 AI 자동 버그 수정 - 단일 실행\n'));
                 await orchestrator.runOnce();
+                orchestrator.decoder.close();
                 break;
 
             case 'continuous':
             case 'loop':
                 // 무한 루프
                 await orchestrator.runContinuously();
+                orchestrator.decoder.close();
+                break;
+
+            case 'tail':
+                // Loki tail 실시간 스트리밍
+                await orchestrator.runTail();
                 break;
 
             default:
                 console.log('사용법:');
                 console.log('  node auto-fix-orchestrator.js once       - 1회 실행');
                 console.log('  node auto-fix-orchestrator.js continuous - 연속 실행');
+                console.log('  node auto-fix-orchestrator.js tail       - 실시간(Loki tail) 실행');
                 break;
         }
 
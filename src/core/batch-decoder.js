@@ -0,0 +1,219 @@
+import { getReleaseFromError } from './source-map-archive.js';
+
+/**
+ * 에러 내보내기 파일 일괄 디코딩
+ * QA/고객지원에서 받은 NDJSON 또는 JSON 배열 파일의 에러를 하나의 디코더(공유 소스맵 캐시)로 디코딩하고,
+ * 에러별 결과와 실패 이유를 담은 보고서를 만듭니다.
+ */
+
+/**
+ * 보고서의 에러별 상태
+ */
+export const BATCH_STATUS = {
+    DECODED: 'DECODED',
+    FAILED: 'FAILED',
+};
+
+/**
+ * 파일 형식 문제로 디코딩하지 못한 항목의 실패 이유
+ */
+export const INVALID_ENTRY_REASONS = {
+    // JSON으로 파싱할 수 없는 줄
+    INVALID_JSON: 'INVALID_JSON',
+    // 스택 트레이스가 없는 항목
+    NO_STACK_TRACE: 'NO_STACK_TRACE',
+};
+
+/**
+ * 항목 하나를 { hash, message, stackTrace } 형태로 변환
+ * - 수집기 형식: { hash, labels, count, error: { message, stackTrace } }
+ * - 평문 형식: { message, stackTrace } 또는 { message, stack }
+ * - 문자열: 스택 트레이스 전체 (첫 줄을 메시지로 사용)
+ */
+function normalizeEntry(item) {
+    if (typeof item === 'string') {
+        return {
+            hash: null,
+            message: item.trim().split('\n')[0],
+            stackTrace: item,
+            source: null,
+        };
+    }
+
+    if (!item || typeof item !== 'object') {
+        return null;
+    }
+
+    const error = item.error && typeof item.error === 'object' ? item.error : item;
+    const stackTrace = error.stackTrace || error.stack || null;
+    if (typeof stackTrace !== 'string') {
+        return null;
+    }
+
+    return {
+        hash: item.hash || null,
+        message: error.message || stackTrace.trim().split('\n')[0],
+        stackTrace,
+        // 릴리스 ID를 읽을 원본 항목 (수집기 형식의 labels, error.raw)
+        source: item,
+    };
+}
+
+/**
+ * NDJSON 또는 JSON 배열 파싱
+ * 잘못된 줄은 건너뛰지 않고 실패 이유와 함께 항목으로 남깁니다.
+ * @returns {Array<{ line: number|null, entry: Object|null, reason?: string, details?: string }>}
+ */
+export function parseErrorExport(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+        return [];
+    }
+
+    const toItem = (value, line) => {
+        const entry = normalizeEntry(value);
+        return entry
+            ? { line, entry }
+            : { line, entry: null, reason: INVALID_ENTRY_REASONS.NO_STACK_TRACE, details: '스택 트레이스가 없는 항목' };
+    };
+
+    if (trimmed.startsWith('[')) {
+        const items = JSON.parse(trimmed);
+        return items.map((item, index) => toItem(item, index + 1));
+    }
+
+    const items = [];
+    text.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        try {
+            items.push(toItem(JSON.parse(line), index + 1));
+        } catch (error) {
+            items.push({ line: index + 1, entry: null, reason: INVALID_ENTRY_REASONS.INVALID_JSON, details: error.message });
+        }
+    });
+    return items;
+}
+
+/**
+ * 디코딩 결과를 보고서 항목으로 변환
+ */
+function toReportResult(index, line, entry, release, decoded) {
+    const base = {
+        index,
+        line,
+        hash: entry.hash,
+        message: entry.message,
+        release,
+        // 릴리스 아카이브가 없으면 최신 빌드 소스맵으로 디코딩한 결과
+        ...(decoded.release && { releaseArchived: decoded.release.archived }),
+    };
+
+    if (decoded.error) {
+        return {
+            ...base,
+            status: BATCH_STATUS.FAILED,
+            reason: decoded.error,
+            details: decoded.message || null,
+            ...(decoded.frames && { frames: summarizeFrames(decoded.frames) }),
+        };
+    }
+
+    return {
+        ...base,
+        status: BATCH_STATUS.DECODED,
+        ...(decoded.demangledMessage && { demangledMessage: decoded.demangledMessage }),
+        original: {
+            file: decoded.original.file,
+            relativePath: decoded.original.relativePath,
+            line: decoded.original.line,
+            column: decoded.original.column,
+            function: decoded.original.function || null,
+            exists: decoded.original.exists,
+        },
+        confidence: decoded.confidence,
+        ...(decoded.drift && { drift: decoded.drift.reason }),
+        blameIndex: decoded.blame.index,
+        frames: summarizeFrames(decoded.frames),
+    };
+}
+
+/**
+ * 호출 스택 요약 (minified → 원본 위치)
+ */
+function summarizeFrames(frames) {
+    return frames.map(frame => ({
+        index: frame.index,
+        minified: `${frame.minified.file}:${frame.minified.line}:${frame.minified.column}`,
+        original: frame.original
+            ? `${frame.original.relativePath || frame.original.file}:${frame.original.line}:${frame.original.column}`
+            : null,
+        inApp: frame.inApp,
+        ...(frame.error && { error: frame.error }),
+    }));
+}
+
+/**
+ * 보고서 요약 (상태/실패 이유별 개수)
+ */
+export function summarizeResults(results) {
+    const reasons = {};
+    let decoded = 0;
+
+    for (const result of results) {
+        if (result.status === BATCH_STATUS.DECODED) {
+            decoded++;
+        } else {
+            reasons[result.reason] = (reasons[result.reason] || 0) + 1;
+        }
+    }
+
+    return {
+        total: results.length,
+        decoded,
+        failed: results.length - decoded,
+        reasons,
+    };
+}
+
+/**
+ * 일괄 디코딩
+ * @param {Array} items - parseErrorExport 결과
+ * @param {StackTraceDecoder} decoder - 모든 항목이 공유하는 디코더 (소스맵 캐시)
+ * @param {string[]} options.releaseLabels - 릴리스 ID를 읽을 라벨
+ * @param {Function} options.onProgress - (완료 개수, 전체 개수) 콜백
+ * @returns {Promise<{ summary: Object, results: Array }>}
+ */
+export async function decodeBatch(items, decoder, { releaseLabels = [], onProgress = null } = {}) {
+    const results = [];
+
+    for (const [index, item] of items.entries()) {
+        if (!item.entry) {
+            results.push({
+                index,
+                line: item.line,
+                hash: null,
+                message: null,
+                release: null,
+                status: BATCH_STATUS.FAILED,
+                reason: item.reason,
+                details: item.details,
+            });
+        } else {
+            const { entry } = item;
+            const release = entry.source ? getReleaseFromError(entry.source, releaseLabels) : null;
+            let decoded;
+            try {
+                decoded = await decoder.decodeStackTrace(entry.stackTrace, { release, message: entry.message });
+            } catch (error) {
+                decoded = { error: 'DECODING_ERROR', message: error.message };
+            }
+            results.push(toReportResult(index, item.line, entry, release, decoded));
+        }
+
+        onProgress?.(index + 1, items.length);
+    }
+
+    return { summary: summarizeResults(results), results };
+}
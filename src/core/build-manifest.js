@@ -0,0 +1,307 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 빌드 매니페스트
+ * 번들러가 출력한 매니페스트에서 실제 배포된 청크 파일명과 소스맵 경로의 대응을 읽습니다.
+ * - Vite: .vite/manifest.json (Vite 5+), manifest.json
+ * - webpack: asset-manifest.json (CRA), assets-manifest.json (webpack-assets-manifest), stats.json
+ */
+
+/**
+ * 지원하는 매니페스트 형식
+ */
+export const MANIFEST_FORMATS = {
+    VITE: 'vite',
+    WEBPACK_ASSETS: 'webpack-assets',
+    WEBPACK_STATS: 'webpack-stats',
+};
+
+// 빌드 출력 디렉토리 기준 매니페스트 후보 (앞쪽이 우선)
+const MANIFEST_CANDIDATES = [
+    '.vite/manifest.json',
+    'manifest.json',
+    'asset-manifest.json',
+    'assets-manifest.json',
+    'stats.json',
+];
+
+// 매니페스트를 찾을 상위 디렉토리 단계 수
+const MANIFEST_SEARCH_DEPTH = 2;
+
+/**
+ * 매니페스트에 기록된 경로를 빌드 출력 디렉토리 기준 상대 경로로 변환
+ * (publicPath/CDN 주소 제거: "https://cdn.example.com/static/js/a.js" → "static/js/a.js")
+ */
+function toRelativePath(assetPath) {
+    return assetPath
+        .replace(/^[a-z]+:\/\/[^/]+/i, '')
+        .split(/[?#]/)[0]
+        .replace(/^\/+/, '');
+}
+
+/**
+ * 청크 항목 추가 (같은 파일명이 여러 번 나오면 먼저 나온 항목 유지)
+ */
+function addChunk(chunks, jsPath, mapPath) {
+    const relativeJs = toRelativePath(jsPath);
+    const name = path.posix.basename(relativeJs);
+    if (!chunks.has(name)) {
+        chunks.set(name, { file: relativeJs, map: toRelativePath(mapPath) });
+    }
+}
+
+/**
+ * Vite 매니페스트: { "src/main.ts": { "file": "assets/main-B1a2.js", ... } }
+ */
+function parseViteManifest(data) {
+    const values = Object.values(data);
+    if (values.length === 0 || !values.every(value => value && typeof value.file === 'string')) {
+        return null;
+    }
+
+    const chunks = new Map();
+    for (const { file } of values) {
+        if (file.endsWith('.js') || file.endsWith('.mjs')) {
+            addChunk(chunks, file, `${file}.map`);
+        }
+    }
+    return chunks;
+}
+
+/**
+ * webpack 에셋 매니페스트: { "files": { "main.js": "/static/js/main.8a2b.js", "main.js.map": "..." } }
+ * 또는 files 없이 평평한 객체 (webpack-assets-manifest)
+ */
+function parseAssetsManifest(data) {
+    const files = data.files && typeof data.files === 'object' ? data.files : data;
+    const entries = Object.entries(files);
+    if (entries.length === 0 || !entries.every(([, value]) => typeof value === 'string')) {
+        return null;
+    }
+
+    const chunks = new Map();
+    for (const [key, value] of entries) {
+        if (/\.m?js$/.test(key)) {
+            addChunk(chunks, value, files[`${key}.map`] || `${value}.map`);
+        }
+    }
+    return chunks;
+}
+
+/**
+ * webpack stats.json: { "assets": [{ "name": "...", "info": { "related": { "sourceMap": "..." } } }], "chunks": [...] }
+ */
+function parseWebpackStats(data) {
+    if (!Array.isArray(data.assets)) {
+        return null;
+    }
+
+    const assetNames = new Set(data.assets.map(asset => asset.name));
+    const auxiliaryFiles = new Set((data.chunks || []).flatMap(chunk => chunk.auxiliaryFiles || []));
+
+    const chunks = new Map();
+    for (const asset of data.assets) {
+        if (!/\.m?js$/.test(asset.name)) continue;
+
+        const related = asset.info?.related?.sourceMap;
+        const relatedMap = Array.isArray(related) ? related[0] : related;
+        const siblingMap = `${asset.name}.map`;
+
+        if (relatedMap) {
+            addChunk(chunks, asset.name, relatedMap);
+        } else if (assetNames.has(siblingMap) || auxiliaryFiles.has(siblingMap)) {
+            addChunk(chunks, asset.name, siblingMap);
+        }
+    }
+    return chunks;
+}
+
+/**
+ * 매니페스트 파싱
+ * @returns {{ format: string, path: string, root: string, chunks: Map<string, { file: string, map: string }> } | null}
+ *   형식을 알 수 없거나 JS 청크가 없으면(예: PWA manifest.json) null
+ */
+export function parseBuildManifest(data, manifestPath) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return null;
+    }
+
+    // .vite/manifest.json은 빌드 출력 디렉토리 한 단계 아래에 있음
+    const manifestDir = path.dirname(manifestPath);
+    const root = path.basename(manifestDir) === '.vite' ? path.dirname(manifestDir) : manifestDir;
+
+    const parsers = [
+        [MANIFEST_FORMATS.WEBPACK_STATS, parseWebpackStats],
+        [MANIFEST_FORMATS.VITE, parseViteManifest],
+        [MANIFEST_FORMATS.WEBPACK_ASSETS, parseAssetsManifest],
+    ];
+
+    // JS 청크가 하나도 없으면(예: 문자열 값만 있는 PWA manifest.json) 매니페스트로 보지 않아
+    // 뒤쪽 후보(asset-manifest.json 등)를 가리지 않게 함
+    for (const [format, parse] of parsers) {
+        const chunks = parse(data);
+        if (chunks && chunks.size > 0) {
+            return { format, path: manifestPath, root, chunks };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 매니페스트를 찾을 디렉토리 (소스맵 디렉토리부터 maxDepth 단계 위까지)
+ */
+function getSearchDirectories(startDir, maxDepth) {
+    const dirs = [];
+    let dir = path.resolve(startDir);
+
+    for (let depth = 0; depth <= maxDepth; depth++) {
+        dirs.push(dir);
+
+        const parent = path.dirname(dir);
+        if (parent === dir) break;
+        dir = parent;
+    }
+
+    return dirs;
+}
+
+/**
+ * 파일/디렉토리 mtime (없으면 null)
+ */
+function getMtime(target) {
+    try {
+        return fs.statSync(target).mtimeMs;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 소스맵 디렉토리와 상위 디렉토리에서 매니페스트 후보 찾기
+ * (예: SOURCE_MAP_DIR=./dist/static/js → dist/static/js, dist/static, dist 순서로 검색)
+ */
+export function findBuildManifestCandidates(startDir, maxDepth = MANIFEST_SEARCH_DEPTH) {
+    return getSearchDirectories(startDir, maxDepth)
+        .flatMap(dir => MANIFEST_CANDIDATES.map(name => path.join(dir, name)))
+        .filter(candidate => fs.existsSync(candidate));
+}
+
+/**
+ * 빌드 매니페스트 기반 소스맵 조회
+ * 매니페스트는 mtime이 바뀔 때만 다시 파싱하고,
+ * 자동 탐색은 검색한 디렉토리의 mtime이 바뀔 때(파일 추가/삭제)만 다시 합니다.
+ */
+export class BuildManifest {
+    /**
+     * @param {string} options.sourceMapDir - 소스맵 디렉토리 (매니페스트 자동 탐색 시작 위치)
+     * @param {string|null} options.manifestPath - 매니페스트 경로 직접 지정 (지정 시 자동 탐색 안 함)
+     */
+    constructor({ sourceMapDir, manifestPath = null }) {
+        this.sourceMapDir = sourceMapDir;
+        this.manifestPath = manifestPath ? path.resolve(manifestPath) : null;
+        this.loaded = new Map();
+        // 자동 탐색 결과 { path, dirs: Array<[디렉토리, mtimeMs]> } (찾지 못했으면 path는 null)
+        this.located = null;
+    }
+
+    /**
+     * 사용할 매니페스트 로드 (인식 가능한 첫 번째 후보)
+     */
+    load() {
+        if (this.manifestPath) {
+            return this.loadFile(this.manifestPath);
+        }
+
+        // 검색한 디렉토리에 파일이 추가/삭제되지 않았으면 이전에 찾은 매니페스트 사용
+        if (this.located && this.located.dirs.every(([dir, mtimeMs]) => getMtime(dir) === mtimeMs)) {
+            if (!this.located.path) {
+                return null;
+            }
+            const manifest = this.loadFile(this.located.path);
+            if (manifest) {
+                return manifest;
+            }
+        }
+
+        // 탐색 전에 mtime을 기록해야 탐색 중에 추가된 파일도 다음 호출에서 반영됨
+        const dirs = getSearchDirectories(this.sourceMapDir, MANIFEST_SEARCH_DEPTH)
+            .flatMap(dir => [dir, path.join(dir, '.vite')])
+            .map(dir => [dir, getMtime(dir)]);
+
+        for (const candidate of findBuildManifestCandidates(this.sourceMapDir)) {
+            const manifest = this.loadFile(candidate);
+            if (manifest) {
+                this.located = { path: candidate, dirs };
+                return manifest;
+            }
+        }
+
+        this.located = { path: null, dirs };
+        return null;
+    }
+
+    /**
+     * 매니페스트 파일 로드 (mtime 기준 캐시)
+     */
+    loadFile(manifestPath) {
+        let mtimeMs;
+        try {
+            ({ mtimeMs } = fs.statSync(manifestPath));
+        } catch (error) {
+            return null;
+        }
+
+        const cached = this.loaded.get(manifestPath);
+        if (cached && cached.mtimeMs === mtimeMs) {
+            return cached.manifest;
+        }
+
+        let manifest = null;
+        try {
+            manifest = parseBuildManifest(JSON.parse(fs.readFileSync(manifestPath, 'utf8')), manifestPath);
+        } catch (error) {
+            manifest = null;
+        }
+
+        this.loaded.set(manifestPath, { mtimeMs, manifest });
+        return manifest;
+    }
+
+    /**
+     * 배포된 청크 파일명으로 빌드 출력의 번들 파일 경로 찾기
+     * @returns {string|null}
+     */
+    resolveScript(fileName) {
+        const manifest = this.load();
+        const chunk = manifest?.chunks.get(fileName);
+        if (!chunk) {
+            return null;
+        }
+
+        const scriptPath = path.join(manifest.root, chunk.file);
+        return fs.existsSync(scriptPath) ? scriptPath : null;
+    }
+
+    /**
+     * 배포된 청크 파일명으로 소스맵 경로 찾기
+     * @returns {{ path: string, manifest: string, format: string } | null}
+     */
+    resolve(fileName) {
+        const manifest = this.load();
+        const chunk = manifest?.chunks.get(fileName);
+        if (!chunk) {
+            return null;
+        }
+
+        // 빌드 출력 디렉토리 기준 경로, 없으면 소스맵 디렉토리에 복사된 파일
+        const candidates = [
+            path.join(manifest.root, chunk.map),
+            path.join(this.sourceMapDir, path.posix.basename(chunk.map)),
+        ];
+
+        const found = candidates.find(candidate => fs.existsSync(candidate));
+        return found ? { path: found, manifest: manifest.path, format: manifest.format } : null;
+    }
+}
@@ -1,8 +1,22 @@
 ﻿#!/usr/bin/env node
 import { spawn } from 'child_process';
+import fs from 'fs';
+import { randomUUID } from 'crypto';
 import chalk from 'chalk';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { parseVerifySteps, runVerification } from './fix-verifier.js';
+import { OUTPUT_FORMATS, parseClaudeOutput, formatCost, formatRunSummary, summarizeClaudeRuns } from './claude-output-parser.js';
+import { PromptTemplateLibrary } from './prompt-templates.js';
+import {
+    extractImports,
+    resolveImportPath,
+    formatSourceLines,
+    formatCallerItems,
+    formatImportItems,
+    formatBreadcrumbItems,
+    fitSectionsToBudget,
+} from './prompt-context.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,30 +33,43 @@ export class ClaudeCodeClient {
         this.workingDir = path.resolve(process.cwd(), config.claudeCode.workingDir);
         this.timeout = config.claudeCode.timeout || 300000; // 5분
         this.maxRetries = config.claudeCode.maxRetries || 3;
+        // 검증 실패 시 같은 세션을 이어서 수정을 요청할 최대 횟수 (0이면 교정하지 않음)
+        this.maxCorrectionRounds = config.claudeCode.maxCorrectionRounds ?? 2;
+        // CLI 출력 형식 (json/stream-json이면 결과 객체에서 세션 ID, 비용, 토큰 사용량을 읽음)
+        this.outputFormat = config.claudeCode.outputFormat || OUTPUT_FORMATS.JSON;
+        // 에러 유형별 프롬프트 템플릿과 프로젝트 규칙 (없으면 기본 프롬프트)
+        this.promptTemplates = new PromptTemplateLibrary(config.prompt);
+        // 수정 후 실행할 검증 단계 (린트, 타입 체크, 테스트, 빌드 등)
+        this.verifySteps = parseVerifySteps(config.verification?.steps, config.verification?.stepTimeout || 300000);
     }
 
     /**
      * 에러 수정 요청
+     * @param {Object} options.breadcrumbs - 에러 직전 로그 (GrafanaLogCollector.fetchBreadcrumbs 결과)
      */
-    async fixError(errorInfo, decodedLocation) {
+    async fixError(errorInfo, decodedLocation, { breadcrumbs = [] } = {}) {
         console.log(chalk.cyan('🤖 Claude Code에게 수정 요청 중...'));
         console.log(chalk.dim(`   에러: ${errorInfo.error.message}`));
-        console.log(chalk.dim(`   파일: ${decodedLocation.original.file}:${decodedLocation.original.line}`));
+        console.log(chalk.dim(`   파일: ${decodedLocation.original.relativePath || decodedLocation.original.file}:${decodedLocation.original.line}`));
 
         // 프롬프트 생성
-        const prompt = this.generatePrompt(errorInfo, decodedLocation);
+        const template = this.selectPromptTemplate(errorInfo);
+        if (template) {
+            console.log(chalk.dim(`   프롬프트 템플릿: ${template.name} (${template.file})`));
+        }
+        const prompt = this.generatePrompt(errorInfo, decodedLocation, { breadcrumbs });
 
         // Claude Code 실행
         let retries = 0;
         let lastError = null;
 
         while (retries < this.maxRetries) {
+            // 시도마다 새 세션 (검증 실패 시 이 세션을 --resume으로 이어감)
+            const sessionId = randomUUID();
             try {
-                const result = await this.runClaudeCode(prompt);
+                const result = await this.runClaudeCode(prompt, { sessionId });
                 console.log(chalk.green('✓ 수정 완료'));
-                if (result.cost) {
-                    console.log(chalk.yellow(`   💰 예상 비용: ${result.cost}`));
-                }
+                this.logRun(result);
 
                 return {
                     success: true,
@@ -50,6 +77,8 @@ export class ClaudeCodeClient {
                     prompt: prompt,
                     errorHash: errorInfo.hash,
                     cost: result.cost,
+                    // CLI가 알려준 세션 ID 우선 (교정 요청 시 --resume에 사용)
+                    sessionId: result.run?.sessionId || sessionId,
                 };
             } catch (error) {
                 lastError = error;
@@ -71,57 +100,266 @@ export class ClaudeCodeClient {
         };
     }
 
+    /**
+     * 검증 실패 교정 요청
+     * 수정한 세션을 --resume으로 이어서, 실패한 검증 단계의 출력을 전달하고 다시 수정하도록 요청합니다.
+     * @param {Object} fixResult - 이전 fixError/correctFix 결과 (sessionId 포함)
+     * @param {Object} verification - 실패한 verifyFix 결과
+     * @param {number} round - 교정 회차 (1부터)
+     */
+    async correctFix(errorInfo, fixResult, verification, round) {
+        const { failedStep } = verification;
+        console.log(chalk.cyan(`🔁 검증 실패 교정 요청 (${round}/${this.maxCorrectionRounds}): ${failedStep.name}`));
+
+        const prompt = this.generateCorrectionPrompt(verification, round);
+
+        try {
+            const result = await this.runClaudeCode(prompt, { sessionId: fixResult.sessionId, resume: true });
+            console.log(chalk.green('✓ 교정 완료'));
+            this.logRun(result);
+
+            return {
+                success: true,
+                result: result,
+                prompt: prompt,
+                errorHash: errorInfo.hash,
+                cost: result.cost,
+                sessionId: result.run?.sessionId || fixResult.sessionId,
+            };
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  교정 요청 실패: ${error.message}`));
+            return {
+                success: false,
+                error: error.message,
+                errorHash: errorInfo.hash,
+                sessionId: fixResult.sessionId,
+            };
+        }
+    }
+
+    /**
+     * 실행 결과 로그 (턴 수, 소요 시간, 비용, 토큰)
+     */
+    logRun(result) {
+        if (result.run) {
+            console.log(chalk.yellow(`   💰 ${formatRunSummary(summarizeClaudeRuns([result.run]))}`));
+        } else if (result.cost) {
+            console.log(chalk.yellow(`   💰 예상 비용: ${result.cost}`));
+        }
+    }
+
+    /**
+     * 교정 프롬프트 생성 (이전 수정 세션의 후속 턴)
+     */
+    generateCorrectionPrompt(verification, round) {
+        const { failedStep, steps } = verification;
+        const passed = steps.filter(step => step.passed).map(step => step.name);
+        const outcome = failedStep.timedOut
+            ? '제한 시간 초과'
+            : `종료 코드 ${failedStep.exitCode}`;
+
+        return `방금 수정한 코드가 검증 단계를 통과하지 못했습니다 (교정 ${round}/${this.maxCorrectionRounds}).
+
+## 실패한 검증 단계
+- 단계: ${failedStep.name}
+- 명령: \`${failedStep.command}\`
+- 결과: ${outcome}
+${passed.length > 0 ? `- 통과한 단계: ${passed.join(', ')}\n` : ''}
+## 출력
+\`\`\`text
+${failedStep.output.trim()}
+\`\`\`
+
+## 요구사항
+1. 위 출력에서 실패 원인을 파악하고, 원래 에러 수정은 유지하면서 검증이 통과하도록 코드를 고쳐주세요
+2. 이번 수정과 관계없는 실패로 보이면 그 이유를 설명하고 불필요한 변경은 하지 마세요
+3. 검증 명령을 통과시키기 위해 테스트를 삭제하거나 린트/타입 검사를 비활성화하지 마세요
+4. 중요: 코드를 수정만 하고, 절대 git commit을 수행하지 마세요. 커밋은 외부 시스템이 처리합니다.
+`;
+    }
+
     /**
      * 프롬프트 생성
+     * 에러 타입/메시지에 맞는 템플릿이 있으면 템플릿을, 없으면 기본 프롬프트를 사용합니다.
      */
-    generatePrompt(errorInfo, decodedLocation) {
-        const { error } = errorInfo;
-        const { original, sourceCode } = decodedLocation;
+    generatePrompt(errorInfo, decodedLocation, { breadcrumbs = [] } = {}) {
+        const context = this.buildPromptContext(errorInfo, decodedLocation, { breadcrumbs });
+        const template = this.selectPromptTemplate(errorInfo);
+        if (template) {
+            return this.promptTemplates.render(template, context).text;
+        }
 
-        // 소스 코드 컨텍스트 생성
-        const contextLines = sourceCode
-            .map((line) => {
-                const marker = line.isTarget ? '→ ' : '  ';
-                return `${marker}${line.lineNum.toString().padStart(4, ' ')} | ${line.content}`;
-            })
-            .join('\n');
-
-        // 원본 스택 트레이스 포맷팅 (커밋 메시지용)
-        const stackTraceForCommit = error.stackTrace
-            .split('\n')
-            .slice(0, 3) // 처음 3줄만 사용
-            .map(line => `  ${line.trim()}`)
-            .join('\n');
+        const { error } = errorInfo;
+        const { original } = decodedLocation;
+        const { file } = context.original;
+        const { rules } = this.promptTemplates;
+        const callStack = this.formatCallStack(decodedLocation.frames, decodedLocation.blame);
 
         const prompt = `다음 프로덕션 에러를 수정해주세요:
 
 ## 에러 정보
 - 타입: ${error.type}
-- 메시지: ${error.message}
-- 발생 위치: ${original.file}:${original.line}:${original.column}
-${original.function ? `- 함수: ${original.function}` : ''}
+- 메시지: ${error.demangledMessage || error.message}
+${error.demangledMessage ? `- 수집된 메시지 (minified 식별자): ${error.message}\n` : ''}- 발생 위치: ${file}:${original.line}:${original.column}
+${original.function ? `- 함수: ${original.function}${original.enclosing?.inCallback ? ' (내부 익명 콜백)' : ''}` : ''}
 
 ## 소스 코드
-파일: ${original.file}
-
+파일: ${file}
+${context.warnings ? `\n${context.warnings}\n` : ''}
 \`\`\`javascript
-${contextLines}
+${context.sourceCode}
 \`\`\`
-
+${callStack}${context.additionalContext}
 ## 요구사항
 1. 에러의 근본 원인을 파악하고 수정
 2. 유사한 에러가 다른 곳에서도 발생하지 않도록 방어적 코드 작성
 3. 수정 후 코드가 정상 작동하는지 확인
 4. 중요: 코드를 수정만 하고, 절대 git commit을 수행하지 마세요. 커밋은 외부 시스템이 처리합니다.
-`;
+${rules ? `\n## 프로젝트 규칙\n${rules}\n` : ''}`;
 
         return prompt;
     }
 
+    /**
+     * 에러에 맞는 프롬프트 템플릿 (없으면 null → 기본 프롬프트)
+     */
+    selectPromptTemplate(errorInfo) {
+        const { error } = errorInfo;
+        return this.promptTemplates.select({ type: error.type, message: error.demangledMessage || error.message });
+    }
+
+    /**
+     * 프롬프트 템플릿 변수
+     * {{error.message}}, {{original.file}}, {{sourceCode}}, {{stack}}, {{occurrences}},
+     * {{callers}}, {{imports}}, {{breadcrumbs}}, {{additionalContext}} 등
+     */
+    buildPromptContext(errorInfo, decodedLocation, { breadcrumbs = [] } = {}) {
+        const { error } = errorInfo;
+        const { original, sourceCode, drift, confidence } = decodedLocation;
+
+        // 소스 코드 컨텍스트 생성 (소스맵과 작업 디렉토리 모두에 없으면 위치만 전달)
+        const contextLines = sourceCode
+            ? formatSourceLines(sourceCode)
+            : '// 소스 코드를 가져오지 못했습니다. 위 발생 위치의 파일을 직접 열어 확인하세요.';
+        const extra = this.buildAdditionalContext(decodedLocation, breadcrumbs);
+
+        const warnings = [];
+        // 작업 디렉토리의 파일이 빌드 시점과 다르면 줄 번호가 어긋날 수 있음을 알림
+        if (drift) {
+            warnings.push(`> 주의: ${drift.message}. 에러가 발생한 빌드 이후 파일이 수정되었을 수 있으므로 줄 번호 대신 코드 내용으로 위치를 찾으세요.`);
+        }
+        // 디코딩 위치가 메시지와 바로 맞지 않으면 주변 줄도 확인하도록 알림
+        if (confidence && confidence.score < 0.7) {
+            warnings.push(`> 주의: 디코딩된 위치의 신뢰도가 낮습니다 (${confidence.score}, ${confidence.signals.join(', ')}). 표시된 줄 주변에서 에러 메시지의 코드를 찾으세요.`);
+        }
+
+        return {
+            error: {
+                type: error.type,
+                message: error.demangledMessage || error.message,
+                // minified 식별자가 남아 있는 수집된 메시지
+                collectedMessage: error.message,
+                stackTrace: error.stackTrace,
+            },
+            original: {
+                // 작업 디렉토리 기준 경로 (없으면 소스맵의 source 경로)
+                file: original.relativePath || original.file,
+                line: original.line,
+                column: original.column,
+                function: original.function || '',
+            },
+            sourceCode: contextLines,
+            // 디코딩된 호출 스택 (없으면 수집된 스택 트레이스)
+            stack: this.formatFrameLines(decodedLocation.frames, decodedLocation.blame) || error.stackTrace,
+            occurrences: errorInfo.count || 1,
+            release: decodedLocation.release?.id || '',
+            warnings: warnings.join('\n\n'),
+            callers: extra.callers,
+            imports: extra.imports,
+            breadcrumbs: extra.breadcrumbs,
+            // 비어 있지 않은 추가 컨텍스트 섹션 전체 (## 제목 포함)
+            additionalContext: [
+                extra.callers ? `\n## 호출자 코드\n에러가 발생한 함수로 값을 넘긴 애플리케이션 코드입니다. 값이 어디에서 왔는지 확인하세요.\n\n${extra.callers}\n` : '',
+                extra.imports ? `\n## 관련 파일 (import)\n${extra.imports}\n` : '',
+                extra.breadcrumbs ? `\n## 에러 직전 로그\n같은 스트림에 에러 직전에 기록된 로그입니다 (오래된 순).\n\n\`\`\`\n${extra.breadcrumbs}\n\`\`\`\n` : '',
+            ].join(''),
+        };
+    }
+
+    /**
+     * 추가 컨텍스트 섹션 (호출자 코드, import, 에러 직전 로그)
+     * 설정에서 끈 섹션은 비워두고, 전체를 컨텍스트 예산 안으로 줄입니다.
+     */
+    buildAdditionalContext(decodedLocation, breadcrumbs = []) {
+        const options = this.config.prompt || {};
+        const { original, sourceCode, frames, blame } = decodedLocation;
+
+        const callerItems = options.includeCallers === false ? [] : formatCallerItems(frames, blame);
+
+        let importItems = [];
+        if (options.includeImports !== false && original.exists && original.absolutePath) {
+            try {
+                const content = fs.readFileSync(original.absolutePath, 'utf8');
+                const resolve = specifier => resolveImportPath(specifier, original.absolutePath, this.workingDir);
+                const snippet = (sourceCode || []).map(line => line.content).join('\n');
+                importItems = formatImportItems(extractImports(content), resolve, snippet);
+            } catch (error) {
+                console.warn(chalk.yellow(`⚠️  import 목록을 읽지 못했습니다: ${error.message}`));
+            }
+        }
+
+        return fitSectionsToBudget([
+            { key: 'callers', items: callerItems, separator: '\n\n' },
+            { key: 'imports', items: importItems },
+            // 에러에 가까운 최근 로그부터 채움
+            { key: 'breadcrumbs', items: formatBreadcrumbItems(breadcrumbs), keepLast: true },
+        ], options.contextBudget ?? 8000);
+    }
+
+    /**
+     * 호출 스택 섹션 생성 (프레임이 2개 이상일 때만)
+     * blame 프레임(수정 대상)은 → 로 표시합니다.
+     */
+    formatCallStack(frames, blame = null) {
+        if (!frames || frames.length < 2) {
+            return '';
+        }
+
+        return `
+## 호출 스택
+${blame?.index > 0 ? `상위 ${blame.index}개 프레임은 라이브러리/프레임워크 코드이거나 디코딩할 수 없어 제외했습니다. → 로 표시된 애플리케이션 코드를 수정하세요.\n` : ''}${this.formatFrameLines(frames, blame)}
+`;
+    }
+
+    /**
+     * 프레임별 한 줄 (원본 위치, 호출자 프레임은 해당 줄 코드 포함)
+     */
+    formatFrameLines(frames, blame = null) {
+        if (!frames || frames.length === 0) {
+            return '';
+        }
+
+        return frames.map((frame) => {
+            const tag = frame.inApp ? '' : ' (서드파티)';
+            const marker = frame.index === blame?.index ? '→ ' : '';
+            if (!frame.original) {
+                return `${marker}${frame.index}. ${frame.minified.function || '(익명)'} - ${frame.minified.file}:${frame.minified.line}:${frame.minified.column} (디코딩 실패)`;
+            }
+
+            const { line, column, function: fn } = frame.original;
+            const file = frame.original.relativePath || frame.original.file;
+            const snippet = (frame.index > 0 && frame.sourceCode?.find(l => l.isTarget)?.content.trim()) || null;
+            return `${marker}${frame.index}. ${fn || '(익명)'} - ${file}:${line}:${column}${tag}${snippet ? `\n   \`${snippet}\`` : ''}`;
+        }).join('\n');
+    }
+
     /**
      * Claude Code CLI 실행
+     * @param {string} prompt - stdin으로 전달할 프롬프트
+     * @param {string} options.sessionId - 세션 ID (새 세션이면 --session-id, resume이면 --resume으로 전달)
+     * @param {boolean} options.resume - 기존 세션을 이어서 실행
      */
-    async runClaudeCode(prompt) {
+    async runClaudeCode(prompt, { sessionId = null, resume = false } = {}) {
         return new Promise((resolve, reject) => {
             let output = '';
             let errorOutput = '';
@@ -129,6 +367,9 @@ ${contextLines}
             console.log(chalk.dim('   Claude Code 실행 중...'));
             console.log(chalk.dim(`   작업 디렉토리: ${this.workingDir}`));
             console.log(chalk.dim(`   권한 모드: ${this.config.claudeCode.permissionMode || 'acceptEdits'}`));
+            if (sessionId) {
+                console.log(chalk.dim(`   세션: ${sessionId}${resume ? ' (이어서 실행)' : ''}`));
+            }
 
             // Claude Code CLI 인자
             const args = [
@@ -136,6 +377,18 @@ ${contextLines}
                 '--permission-mode', this.config.claudeCode.permissionMode || 'acceptEdits',
             ];
 
+            if (sessionId) {
+                args.push(resume ? '--resume' : '--session-id', sessionId);
+            }
+
+            // 구조화된 출력 (stream-json은 --print와 함께 쓸 때 --verbose 필요)
+            if (this.outputFormat !== OUTPUT_FORMATS.TEXT) {
+                args.push('--output-format', this.outputFormat);
+                if (this.outputFormat === OUTPUT_FORMATS.STREAM_JSON) {
+                    args.push('--verbose');
+                }
+            }
+
             // 허용된 도구 목록 추가 (옵션)
             if (this.config.claudeCode.allowedTools && this.config.claudeCode.allowedTools.length > 0) {
                 args.push('--allowedTools', this.config.claudeCode.allowedTools.join(','));
@@ -178,14 +431,21 @@ ${contextLines}
                 clearTimeout(timeoutId);
 
                 if (code === 0) {
-                    // 비용 정보 추출
-                    const costMatch = output.match(/Cost:\s*(\$[\d\.]+)/i);
-                    const cost = costMatch ? costMatch[1] : null;
+                    // json/stream-json 결과 객체 (text 형식이거나 파싱할 수 없으면 null)
+                    const run = parseClaudeOutput(output);
+                    if (run?.isError) {
+                        reject(new Error(`Claude Code finished with ${run.subtype || 'error'}: ${run.text}`));
+                        return;
+                    }
+
+                    // text 형식은 출력에서 비용 정보 추출
+                    const costMatch = run ? null : output.match(/Cost:\s*(\$[\d\.]+)/i);
 
                     resolve({
-                        output: output,
+                        output: run ? run.text : output,
                         exitCode: code,
-                        cost: cost,
+                        cost: run ? formatCost(run.costUsd) : costMatch?.[1] || null,
+                        run,
                     });
                 } else {
                     console.log('--- Claude Code Stdout ---');
@@ -201,18 +461,29 @@ ${contextLines}
 
     /**
      * 수정 결과 검증
+     * 작업 디렉토리에서 검증 단계를 순서대로 실행하고, 처음 실패한 단계의 출력을 돌려줍니다.
+     * @returns {Promise<{ passed: boolean, steps: Array, failedStep: Object|null }>}
      */
     async verifyFix(errorInfo, fixResult) {
-        // TODO: 린트, 테스트 실행 등으로 검증
-        console.log(chalk.dim('   수정 결과 검증 중...'));
+        if (!fixResult.success) {
+            return { passed: false, steps: [], failedStep: null };
+        }
+
+        if (this.verifySteps.length === 0) {
+            console.log(chalk.dim('   검증 단계 없음 (VERIFY_STEPS 미설정)'));
+            return { passed: true, steps: [], failedStep: null };
+        }
+
+        console.log(chalk.dim(`   수정 결과 검증 중... (${this.verifySteps.length}단계)`));
+        const result = await runVerification(this.verifySteps, this.workingDir);
 
-        // 기본적으로 Claude Code가 성공적으로 완료되면 검증 통과
-        if (fixResult.success) {
+        if (result.passed) {
             console.log(chalk.green('✓ 검증 통과'));
-            return true;
+        } else {
+            console.log(chalk.red(`❌ 검증 실패: ${result.failedStep.name}`));
         }
 
-        return false;
+        return result;
     }
 
     /**
@@ -243,7 +514,9 @@ if (import.meta.url === `file://${process.argv[1]}`) {
                 file: 'src/common/store/useAccessibilityStore.js',
                 line: 53,
                 column: 24,
-                function: 'status',
+                // 소스맵 names에는 읽은 속성 이름만 있고, 함수 이름은 원본 소스에서 찾음
+                function: 'checkAccessibility',
+                mappedName: 'status',
             },
             sourceCode: [
                 { lineNum: 48, content: 'async function checkAccessibility() {', isTarget: false },
@@ -0,0 +1,155 @@
+/**
+ * Claude Code CLI 출력 파서
+ * --output-format json(결과 객체 하나) 또는 stream-json(NDJSON 이벤트, 마지막이 result)의 출력에서
+ * 최종 응답, 세션 ID, 턴 수, 소요 시간, 비용, 토큰 사용량을 읽습니다.
+ */
+
+export const OUTPUT_FORMATS = {
+    TEXT: 'text',
+    JSON: 'json',
+    STREAM_JSON: 'stream-json',
+};
+
+/**
+ * result 이벤트 찾기
+ * json 형식은 객체 하나(이전 CLI 버전은 메시지 배열), stream-json 형식은 줄마다 이벤트입니다.
+ */
+function findResultEvent(stdout) {
+    const trimmed = stdout.trim();
+    if (!trimmed) {
+        return null;
+    }
+
+    try {
+        const value = JSON.parse(trimmed);
+        if (Array.isArray(value)) {
+            return value.findLast(item => item?.type === 'result') || null;
+        }
+        return value?.type === 'result' ? value : null;
+    } catch {
+        // 여러 줄의 이벤트 (stream-json)
+    }
+
+    const lines = trimmed.split('\n');
+    for (let i = lines.length - 1; i >= 0; i--) {
+        try {
+            const event = JSON.parse(lines[i]);
+            if (event?.type === 'result') {
+                return event;
+            }
+        } catch {
+            // JSON이 아닌 줄 (경고 메시지 등)
+        }
+    }
+    return null;
+}
+
+const toNumber = value => (Number.isFinite(value) ? value : null);
+
+/**
+ * CLI 출력 파싱
+ * @param {string} stdout - CLI 표준 출력
+ * @returns {{
+ *   text: string, sessionId: string|null, isError: boolean, subtype: string|null,
+ *   numTurns: number|null, durationMs: number|null, durationApiMs: number|null, costUsd: number|null,
+ *   usage: { inputTokens: number, outputTokens: number, cacheCreationInputTokens: number, cacheReadInputTokens: number } | null
+ * } | null} result 이벤트가 없으면 null (text 형식 또는 예상하지 못한 출력)
+ */
+export function parseClaudeOutput(stdout) {
+    const event = findResultEvent(stdout || '');
+    if (!event) {
+        return null;
+    }
+
+    const usage = event.usage
+        ? {
+            inputTokens: event.usage.input_tokens || 0,
+            outputTokens: event.usage.output_tokens || 0,
+            cacheCreationInputTokens: event.usage.cache_creation_input_tokens || 0,
+            cacheReadInputTokens: event.usage.cache_read_input_tokens || 0,
+        }
+        : null;
+
+    return {
+        text: typeof event.result === 'string' ? event.result : '',
+        sessionId: event.session_id || null,
+        isError: event.is_error === true || (event.subtype ? event.subtype !== 'success' : false),
+        subtype: event.subtype || null,
+        numTurns: toNumber(event.num_turns),
+        durationMs: toNumber(event.duration_ms),
+        durationApiMs: toNumber(event.duration_api_ms),
+        // 이전 CLI 버전은 cost_usd
+        costUsd: toNumber(event.total_cost_usd ?? event.cost_usd),
+        usage,
+    };
+}
+
+/**
+ * 비용 표시 ($0.1234)
+ */
+export function formatCost(costUsd) {
+    return costUsd === null || costUsd === undefined ? null : `$${costUsd.toFixed(4)}`;
+}
+
+/**
+ * 토큰 수 표시 (12.3k)
+ */
+function formatTokens(count) {
+    return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+/**
+ * 여러 실행(첫 수정 + 교정)의 합계
+ * @param {Array<Object|null>} runs - parseClaudeOutput 결과 목록
+ * @returns {Object|null} DB/Slack에 남길 요약 (파싱된 실행이 없으면 null)
+ */
+export function summarizeClaudeRuns(runs) {
+    const parsed = runs.filter(Boolean);
+    if (parsed.length === 0) {
+        return null;
+    }
+
+    const sum = key => (parsed.some(run => run[key] !== null)
+        ? parsed.reduce((total, run) => total + (run[key] || 0), 0)
+        : null);
+    const usage = parsed.some(run => run.usage)
+        ? parsed.reduce((total, run) => {
+            for (const [key, value] of Object.entries(run.usage || {})) {
+                total[key] = (total[key] || 0) + value;
+            }
+            return total;
+        }, {})
+        : null;
+    const last = parsed[parsed.length - 1];
+
+    return {
+        sessionId: last.sessionId,
+        runs: parsed.length,
+        numTurns: sum('numTurns'),
+        durationMs: sum('durationMs'),
+        costUsd: sum('costUsd'),
+        usage,
+        // 마지막 실행의 최종 응답 (수정 내용 설명)
+        result: last.text,
+    };
+}
+
+/**
+ * 요약 한 줄 (예: "3턴, 45.2초, $0.1234, 토큰 입력 12.3k / 출력 1.2k")
+ */
+export function formatRunSummary(summary) {
+    if (!summary) {
+        return '';
+    }
+
+    const parts = [];
+    if (summary.numTurns !== null) parts.push(`${summary.numTurns}턴`);
+    if (summary.durationMs !== null) parts.push(`${(summary.durationMs / 1000).toFixed(1)}초`);
+    if (summary.costUsd !== null) parts.push(formatCost(summary.costUsd));
+    if (summary.usage) {
+        const input = summary.usage.inputTokens + summary.usage.cacheCreationInputTokens + summary.usage.cacheReadInputTokens;
+        parts.push(`토큰 입력 ${formatTokens(input)} / 출력 ${formatTokens(summary.usage.outputTokens)}`);
+    }
+    if (summary.runs > 1) parts.push(`실행 ${summary.runs}회`);
+    return parts.join(', ');
+}
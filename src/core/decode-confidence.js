@@ -0,0 +1,176 @@
+/**
+ * 디코딩 위치 신뢰도
+ * 컬럼이 한 칸 어긋나거나 오래된 소스맵이면 빈 줄이나 주석으로 디코딩되는 경우가 있어,
+ * 디코딩된 줄을 에러 메시지와 대조해 0~1 사이의 점수와 근거(signals)를 계산합니다.
+ */
+
+/**
+ * 점수에 반영한 근거
+ */
+export const CONFIDENCE_SIGNALS = {
+    // 대상 줄이 비어 있음
+    BLANK_LINE: 'BLANK_LINE',
+    // 대상 줄이 주석
+    COMMENT_LINE: 'COMMENT_LINE',
+    // 원본 소스가 없어 줄을 확인하지 못함
+    NO_SOURCE: 'NO_SOURCE',
+    // 메시지의 속성/함수 이름이 대상 줄에 있음
+    IDENTIFIER_MATCH: 'IDENTIFIER_MATCH',
+    // 대상 줄에는 없고 바로 앞뒤 줄에 있음
+    IDENTIFIER_NEARBY: 'IDENTIFIER_NEARBY',
+    // 메시지의 속성/함수 이름이 대상 줄 주변에 없음
+    IDENTIFIER_MISSING: 'IDENTIFIER_MISSING',
+    // 기본 검색(GREATEST_LOWER_BOUND)이 실패해 LEAST_UPPER_BOUND로 찾음
+    BIAS_FALLBACK: 'BIAS_FALLBACK',
+    // 파일 이름 유사도로 고른 소스맵
+    FUZZY_SOURCE_MAP: 'FUZZY_SOURCE_MAP',
+    // 작업 디렉토리의 파일이 빌드 시점과 다름
+    SOURCE_DRIFT: 'SOURCE_DRIFT',
+};
+
+// 확인할 근거가 없을 때의 점수
+const BASE_SCORE = 0.7;
+
+const SIGNAL_EFFECTS = {
+    [CONFIDENCE_SIGNALS.BLANK_LINE]: -0.6,
+    [CONFIDENCE_SIGNALS.COMMENT_LINE]: -0.5,
+    [CONFIDENCE_SIGNALS.NO_SOURCE]: -0.2,
+    [CONFIDENCE_SIGNALS.IDENTIFIER_MATCH]: 0.3,
+    [CONFIDENCE_SIGNALS.IDENTIFIER_NEARBY]: 0.1,
+    // 복원하지 못한 minified 이름은 원본 소스에 없으므로 크게 깎지 않음
+    [CONFIDENCE_SIGNALS.IDENTIFIER_MISSING]: -0.2,
+    [CONFIDENCE_SIGNALS.BIAS_FALLBACK]: -0.1,
+    [CONFIDENCE_SIGNALS.FUZZY_SOURCE_MAP]: -0.15,
+    [CONFIDENCE_SIGNALS.SOURCE_DRIFT]: -0.2,
+};
+
+// 줄 자체가 잘못 디코딩된 것으로 보이는 근거 (다른 bias로 다시 찾아볼 대상)
+const LOCATION_SIGNALS = new Set([
+    CONFIDENCE_SIGNALS.BLANK_LINE,
+    CONFIDENCE_SIGNALS.COMMENT_LINE,
+    CONFIDENCE_SIGNALS.IDENTIFIER_MISSING,
+]);
+
+/**
+ * 메시지에서 에러 위치의 코드가 해야 하는 접근
+ * - property: 속성 읽기/쓰기 (reading 'status')
+ * - call: 함수 호출 (x is not a function)
+ * - construct: new 호출 (X is not a constructor)
+ * - reference: 변수 참조 (x is not defined)
+ */
+const ACCESS_PATTERNS = [
+    { pattern: /\((?:reading|setting) '([^']+)'\)/, kind: 'property' },
+    { pattern: /can't access property "([\w$]+)"/, kind: 'property' },
+    { pattern: /\(evaluating '([^']+)'\)/, kind: 'property' },
+    { pattern: /([\w$.]+) is not a function/, kind: 'call' },
+    { pattern: /([\w$.]+) is not a constructor/, kind: 'construct' },
+    { pattern: /([\w$]+) is not defined/, kind: 'reference' },
+    { pattern: /Cannot access '([\w$]+)' before initialization/, kind: 'reference' },
+];
+
+// 이름이 아닌 값 ("undefined is not a function")
+const NON_IDENTIFIERS = new Set(['undefined', 'null', 'this']);
+
+/**
+ * 메시지에서 대상 줄에 있어야 하는 이름과 접근 방식 추출
+ * 점(.)으로 이어진 식은 마지막 이름만 사용합니다. (e.map is not a function → map 호출)
+ * @returns {Array<{ name: string, kind: string }>}
+ */
+export function getExpectedAccesses(message) {
+    if (!message) {
+        return [];
+    }
+
+    const accesses = [];
+    for (const { pattern, kind } of ACCESS_PATTERNS) {
+        const match = message.match(pattern);
+        if (!match) continue;
+
+        const name = match[1].match(/[A-Za-z_$][\w$]*(?=[^\w$]*$)/)?.[0];
+        if (name && !NON_IDENTIFIERS.has(name) && !accesses.some(access => access.name === name)) {
+            accesses.push({ name, kind });
+        }
+    }
+    return accesses;
+}
+
+const escapeRegExp = text => text.replace(/[$]/g, '\\$&');
+
+/**
+ * 코드 줄이 해당 접근을 포함하는지
+ */
+export function lineMatchesAccess(lineText, { name, kind }) {
+    const id = escapeRegExp(name);
+    // 줄 끝 주석은 제외 (문자열 안의 http:// 는 유지)
+    const code = lineText.replace(/(^|\s)\/\/.*$/, '$1');
+
+    switch (kind) {
+        case 'call':
+            return new RegExp(`(?<![\\w$])${id}\\s*(?:\\?\\.\\s*)?[(\`]|<${id}[\\s/>]`).test(code);
+        case 'construct':
+            return new RegExp(`\\bnew\\s+(?:[\\w$]+\\.)*${id}(?![\\w$])`).test(code);
+        default:
+            return new RegExp(`(?<![\\w$])${id}(?![\\w$])`).test(code);
+    }
+}
+
+/**
+ * 주석 줄인지 (여러 줄 주석의 중간 줄은 관례대로 *로 시작한다고 가정)
+ */
+function isCommentLine(lineText) {
+    return /^(?:\/\/|\/\*|\*|<!--|\{\s*\/\*)/.test(lineText.trim());
+}
+
+/**
+ * 디코딩된 위치의 신뢰도 계산
+ * @param {Object} options
+ * @param {string|null} options.content - 원본 소스 내용
+ * @param {number} options.line - 디코딩된 줄 (1부터)
+ * @param {string|null} options.message - 에러 메시지 (복원한 메시지가 있으면 그것을 사용)
+ * @param {boolean} options.biasFallback - LEAST_UPPER_BOUND로 찾은 위치인지
+ * @param {boolean} options.fuzzySourceMap - 파일 이름 유사도로 고른 소스맵인지
+ * @param {Object|null} options.drift - 소스 불일치 정보
+ * @returns {{ score: number, signals: string[] }}
+ */
+export function assessDecodedLocation({ content, line, message = null, biasFallback = false, fuzzySourceMap = false, drift = null }) {
+    const signals = [];
+    const lines = content !== null && content !== undefined ? content.split('\n') : null;
+    const targetLine = lines?.[line - 1];
+
+    if (targetLine === undefined) {
+        signals.push(CONFIDENCE_SIGNALS.NO_SOURCE);
+    } else if (targetLine.trim() === '') {
+        signals.push(CONFIDENCE_SIGNALS.BLANK_LINE);
+    } else if (isCommentLine(targetLine)) {
+        signals.push(CONFIDENCE_SIGNALS.COMMENT_LINE);
+    } else {
+        const accesses = getExpectedAccesses(message);
+        if (accesses.length > 0) {
+            const nearby = [lines[line - 2], lines[line]].filter(text => text !== undefined);
+            if (accesses.some(access => lineMatchesAccess(targetLine, access))) {
+                signals.push(CONFIDENCE_SIGNALS.IDENTIFIER_MATCH);
+            } else if (accesses.some(access => nearby.some(text => lineMatchesAccess(text, access)))) {
+                signals.push(CONFIDENCE_SIGNALS.IDENTIFIER_NEARBY);
+            } else {
+                signals.push(CONFIDENCE_SIGNALS.IDENTIFIER_MISSING);
+            }
+        }
+    }
+
+    if (biasFallback) signals.push(CONFIDENCE_SIGNALS.BIAS_FALLBACK);
+    if (fuzzySourceMap) signals.push(CONFIDENCE_SIGNALS.FUZZY_SOURCE_MAP);
+    if (drift) signals.push(CONFIDENCE_SIGNALS.SOURCE_DRIFT);
+
+    const score = signals.reduce((sum, signal) => sum + SIGNAL_EFFECTS[signal], BASE_SCORE);
+    return {
+        score: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100,
+        signals,
+    };
+}
+
+/**
+ * 줄 자체가 잘못 디코딩된 것으로 보이는지 (빈 줄, 주석, 메시지와 맞지 않는 줄)
+ */
+export function isLocationSuspect(confidence) {
+    return confidence.signals.some(signal => LOCATION_SIGNALS.has(signal));
+}
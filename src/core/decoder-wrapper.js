@@ -4,6 +4,63 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
+import { parseStackTrace } from './stack-frame-parser.js';
+import { matchesPattern } from './error-filter.js';
+import { SourceMapCache } from './source-map-cache.js';
+import { BuildManifest } from './build-manifest.js';
+import { SourceMapArchive } from './source-map-archive.js';
+import { WorkspaceSourceResolver, detectDrift } from './workspace-source-resolver.js';
+import { findEnclosingFunction, FunctionScopeCache } from './source-scope-analyzer.js';
+import { demangleMessage } from './identifier-demangler.js';
+import { assessDecodedLocation, isLocationSuspect } from './decode-confidence.js';
+import {
+    readSourceMappingURL,
+    resolveSourceMappingPath,
+    decodeDataURL,
+    parseSourceMapJSON,
+    resolveSections,
+} from './source-mapping-url.js';
+
+/**
+ * 프레임을 blame 대상에서 제외한 이유
+ */
+export const SKIP_REASONS = {
+    DECODE_FAILED: 'DECODE_FAILED',
+    THIRD_PARTY: 'THIRD_PARTY',
+    IGNORED_PATH: 'IGNORED_PATH',
+    NOT_IN_APP: 'NOT_IN_APP',
+};
+
+/**
+ * 원본 위치 검색 방향 (앞쪽부터 시도)
+ * 기본 검색이 실패하거나 빈 줄/주석으로 디코딩되면 다음 매핑 방향으로 다시 찾습니다.
+ */
+export const LOOKUP_BIASES = [
+    { name: 'GREATEST_LOWER_BOUND', value: SourceMapConsumer.GREATEST_LOWER_BOUND },
+    { name: 'LEAST_UPPER_BOUND', value: SourceMapConsumer.LEAST_UPPER_BOUND },
+];
+
+/**
+ * 소스맵을 찾은 방법 (우선순위 순)
+ */
+export const SOURCE_MAP_STRATEGIES = {
+    MANIFEST: 'MANIFEST',
+    EXACT: 'EXACT',
+    SOURCE_MAPPING_URL: 'SOURCE_MAPPING_URL',
+    INLINE: 'INLINE',
+    FUZZY: 'FUZZY',
+};
+
+/**
+ * 소스 코드 스니펫을 읽은 곳
+ */
+export const SOURCE_ORIGINS = {
+    SOURCES_CONTENT: 'sourcesContent',
+    WORKSPACE: 'workspace',
+};
+
+// 번들러가 생성한 런타임/헬퍼 모듈 (webpack 런타임, Vite 클라이언트, rollup 가상 모듈)
+const BUNDLER_SOURCE_PATTERN = /(^|\/)node_modules\/|webpack\/(?:runtime|bootstrap)|\/@vite\/|^\x00|commonjsHelpers/;
 
 /**
  * 스택 트레이스 디코더 래퍼
@@ -14,50 +71,259 @@ export class StackTraceDecoder {
         this.config = config;
         this.sourceMapDir = path.join(process.cwd(), config.decoder.sourceMapDir);
         this.contextLines = config.decoder.contextLines || 10;
+        this.frameContextLines = config.decoder.frameContextLines ?? 2;
+        // 'function'이면 blame 프레임 스니펫을 감싸는 함수 전체로 확장 (snippetMaxLines 이하일 때)
+        this.snippetScope = config.decoder.snippetScope || 'lines';
+        this.snippetMaxLines = config.decoder.snippetMaxLines || 80;
+        this.inAppPatterns = config.decoder.inAppPatterns || [];
         this.debug = config.decoder.debug || false;
+        this.cache = new SourceMapCache({
+            maxSize: config.decoder.cacheSize || 20,
+            load: sourceMapPath => this.loadSourceMap(sourceMapPath),
+        });
+        this.archive = new SourceMapArchive(config.decoder.archiveDir);
+        // 소스맵 디렉토리별 빌드 매니페스트 (기본 디렉토리 + 릴리스 아카이브)
+        this.manifests = new Map();
+        // sourcesContent가 없는 소스맵은 작업 디렉토리의 원본 파일을 사용
+        this.workspace = new WorkspaceSourceResolver(config.claudeCode?.workingDir);
+        // 원본 소스별 함수 범위 (같은 파일의 여러 프레임/에러에서 재사용)
+        this.scopeCache = new FunctionScopeCache();
+    }
+
+    /**
+     * 소스맵 디렉토리의 빌드 매니페스트
+     * DECODER_MANIFEST_PATH는 기본 소스맵 디렉토리에만 적용됩니다.
+     */
+    getManifest(sourceMapDir) {
+        if (!this.manifests.has(sourceMapDir)) {
+            this.manifests.set(sourceMapDir, new BuildManifest({
+                sourceMapDir,
+                manifestPath: sourceMapDir === this.sourceMapDir ? this.config.decoder.manifestPath : null,
+            }));
+        }
+        return this.manifests.get(sourceMapDir);
+    }
+
+    /**
+     * 릴리스에 해당하는 소스맵 디렉토리 (아카이브에 없으면 기본 소스맵 디렉토리)
+     * @returns {{ dir: string, release: { id: string, archived: boolean } | null }}
+     */
+    resolveSourceMapDir(release) {
+        if (!release) {
+            return { dir: this.sourceMapDir, release: null };
+        }
+
+        const archivedDir = this.archive.resolveDir(release);
+        if (this.debug) {
+            console.log(chalk.dim(archivedDir
+                ? `   Release ${release}: ${archivedDir}`
+                : `   Release ${release} 아카이브 없음, 기본 소스맵 디렉토리 사용`));
+        }
+
+        return {
+            dir: archivedDir || this.sourceMapDir,
+            release: { id: release, archived: Boolean(archivedDir) },
+        };
+    }
+
+    /**
+     * 캐시된 소스맵 해제 (프로세스 종료 전 호출)
+     */
+    close() {
+        this.cache.clear();
+        this.scopeCache.clear();
     }
 
     /**
      * 스택 트레이스 디코딩 (메인 함수)
+     * blame 프레임(첫 번째 애플리케이션 코드 프레임)의 디코딩 결과에
+     * 전체 호출 스택(frames)과 선택 근거(blame)를 함께 반환합니다.
+     * @param {string|null} options.release - 에러가 발생한 릴리스 ID (아카이브된 빌드의 소스맵 사용)
+     * @param {string|null} options.message - 에러 메시지 (minified 식별자를 원래 이름으로 바꾼 demangledMessage 추가,
+     *                                         최상위 프레임의 디코딩 신뢰도 계산에 사용)
      */
-    async decodeStackTrace(stackTrace) {
+    async decodeStackTrace(stackTrace, { release = null, message = null } = {}) {
         const parsed = this.parseStackTrace(stackTrace);
 
         if (parsed.length === 0) {
             return { error: 'NO_STACK_TRACE_FOUND', message: 'No stack trace entries found' };
         }
 
-        // 첫 번째 항목만 처리 (가장 상위 에러)
-        const entry = parsed[0];
-        return await this.decodeEntry(entry);
+        const { dir: sourceMapDir, release: releaseInfo } = this.resolveSourceMapDir(release);
+        const extra = releaseInfo ? { release: releaseInfo } : {};
+
+        // 메시지의 식별자는 에러가 던져진 최상위 프레임 기준으로 복원
+        const demangled = message ? await this.demangleMessage(message, parsed[0], sourceMapDir) : null;
+        if (demangled?.replacements.length > 0) {
+            extra.demangledMessage = demangled.message;
+            extra.demangledIdentifiers = demangled.replacements;
+        }
+
+        const frames = [];
+        let top = null;
+        for (let i = 0; i < parsed.length; i++) {
+            // 호출자 프레임은 짧은 스니펫만 포함
+            const contextLines = i === 0 ? this.contextLines : this.frameContextLines;
+            // 에러 메시지는 에러가 던져진 최상위 프레임에만 해당
+            const decoded = await this.decodeEntry(parsed[i], {
+                contextLines,
+                sourceMapDir,
+                scopeSnippet: i === 0,
+                message: i === 0 ? demangled?.message || message : null,
+            });
+            top = top || decoded;
+            frames.push(this.toFrame(parsed[i], decoded, i));
+        }
+
+        const blame = this.selectBlameFrame(frames);
+
+        if (blame.index === null) {
+            // 디코딩된 프레임이 하나도 없으면 최상위 프레임의 오류를 그대로 전달
+            if (frames.every(frame => frame.error)) {
+                return { ...top, frames, blame, ...extra };
+            }
+            return {
+                error: 'NO_IN_APP_FRAME',
+                message: `애플리케이션 코드 프레임을 찾을 수 없음 (${frames.length}개 프레임 모두 제외)`,
+                frames,
+                blame,
+                ...extra,
+            };
+        }
+
+        const selected = blame.index === 0
+            ? top
+            : await this.decodeEntry(parsed[blame.index], { sourceMapDir, scopeSnippet: true });
+
+        return { ...selected, frames, blame, ...extra };
     }
 
     /**
-     * 단일 스택 트레이스 항목 디코딩
+     * 디코딩 결과를 호출 스택 프레임 형태로 변환
      */
-    async decodeEntry(entry) {
-        const sourceMapPath = this.findSourceMapFile(entry.file);
-
-        if (!sourceMapPath) {
-            const warningMsg = `소스맵을 찾을 수 없음: ${entry.file}`;
-            if (this.debug) {
-                console.log(chalk.yellow(`⚠️  ${warningMsg}`));
-                console.log(chalk.dim(`   검색 경로: ${this.sourceMapDir}`));
-            }
+    toFrame(entry, decoded, index) {
+        if (decoded.error) {
             return {
-                error: 'SOURCE_MAP_NOT_FOUND',
-                message: warningMsg,
-                file: entry.file,
-                searchPath: this.sourceMapDir
+                index,
+                minified: this.getMinifiedInfo(entry),
+                original: null,
+                sourceCode: null,
+                inApp: false,
+                error: decoded.error,
+                message: decoded.message,
             };
         }
 
+        return {
+            index,
+            minified: decoded.minified,
+            original: decoded.original,
+            sourceCode: decoded.sourceCode,
+            sourceMap: decoded.sourceMap,
+            drift: decoded.drift,
+            confidence: decoded.confidence,
+            inApp: this.getSkipReason(decoded.original.file) === null,
+        };
+    }
+
+    /**
+     * 원본 소스가 애플리케이션 코드가 아닌 이유 (애플리케이션 코드면 null)
+     * - node_modules/번들러 런타임 → THIRD_PARTY
+     * - filters.ignorePatterns 일치 → IGNORED_PATH
+     * - decoder.inAppPatterns가 설정되어 있고 어느 것과도 일치하지 않음 → NOT_IN_APP
+     */
+    getSkipReason(source) {
+        if (!source || BUNDLER_SOURCE_PATTERN.test(source.replace(/\\/g, '/'))) {
+            return SKIP_REASONS.THIRD_PARTY;
+        }
+
+        const ignorePatterns = this.config.filters?.ignorePatterns || [];
+        if (ignorePatterns.some(pattern => matchesPattern(source, pattern))) {
+            return SKIP_REASONS.IGNORED_PATH;
+        }
+
+        if (this.inAppPatterns.length > 0 && !this.inAppPatterns.some(pattern => matchesPattern(source, pattern))) {
+            return SKIP_REASONS.NOT_IN_APP;
+        }
+
+        return null;
+    }
+
+    /**
+     * blame 프레임 선택
+     * 위에서부터 디코딩에 성공한 첫 번째 애플리케이션 코드 프레임을 고르고, 건너뛴 프레임과 이유를 기록합니다.
+     * @returns {{ index: number|null, reason: string, skipped: Array<{ index: number, file: string, reason: string }> }}
+     */
+    selectBlameFrame(frames) {
+        const skipped = [];
+
+        for (const frame of frames) {
+            const reason = frame.error
+                ? SKIP_REASONS.DECODE_FAILED
+                : this.getSkipReason(frame.original.file);
+
+            if (reason === null) {
+                return {
+                    index: frame.index,
+                    reason: skipped.length === 0 ? 'TOP_FRAME' : 'FIRST_IN_APP_FRAME',
+                    file: frame.original.file,
+                    skipped,
+                };
+            }
+
+            skipped.push({
+                index: frame.index,
+                file: frame.original?.file || frame.minified.file,
+                reason,
+            });
+        }
+
+        return { index: null, reason: 'NO_IN_APP_FRAME', file: null, skipped };
+    }
+
+    /**
+     * minified 위치 정보
+     */
+    getMinifiedInfo(entry) {
+        return {
+            file: entry.file,
+            line: entry.line,
+            column: entry.column,
+            function: entry.function,
+            text: entry.original,
+        };
+    }
+
+    /**
+     * 단일 스택 트레이스 항목 디코딩
+     * @param {number} options.contextLines - 소스 코드 컨텍스트 줄 수 (0이면 생략)
+     * @param {string} options.sourceMapDir - 소스맵 디렉토리 (기본: SOURCE_MAP_DIR)
+     * @param {boolean} options.scopeSnippet - DECODER_SNIPPET_SCOPE=function일 때 스니펫을 감싸는 함수 전체로 확장
+     * @param {string|null} options.message - 에러 메시지 (디코딩된 줄이 메시지의 속성/함수를 다루는지 대조)
+     */
+    async decodeEntry(entry, { contextLines = this.contextLines, sourceMapDir = this.sourceMapDir, scopeSnippet = false, message = null } = {}) {
         try {
-            const consumer = await this.loadSourceMap(sourceMapPath);
-            const original = this.getOriginalPosition(consumer, entry.line, entry.column);
+            // 번들/매니페스트 파일이 잘못되어도 이 프레임만 실패하도록 소스맵 탐색도 try 안에서 수행
+            const sourceMap = this.locateSourceMap(entry.file, sourceMapDir);
+
+            if (!sourceMap) {
+                const warningMsg = `소스맵을 찾을 수 없음: ${entry.file}`;
+                if (this.debug) {
+                    console.log(chalk.yellow(`⚠️  ${warningMsg}`));
+                    console.log(chalk.dim(`   검색 경로: ${sourceMapDir}`));
+                }
+                return {
+                    error: 'SOURCE_MAP_NOT_FOUND',
+                    message: warningMsg,
+                    file: entry.file,
+                    searchPath: sourceMapDir
+                };
+            }
 
-            if (!original) {
-                consumer.destroy();
+            const consumer = await this.getConsumer(sourceMap);
+            const located = this.locateOriginal(consumer, entry, sourceMap, message);
+
+            if (!located) {
                 return {
                     error: 'MAPPING_FAILED',
                     message: `소스맵에서 원본 위치를 찾을 수 없음 (${entry.file}:${entry.line}:${entry.column})`,
@@ -65,24 +331,47 @@ export class StackTraceDecoder {
                 };
             }
 
-            const sourceCode = this.getSourceContext(consumer, original.source, original.line);
+            const { original, location, content, sourceOrigin, drift, confidence } = located;
+
+            // 소스맵의 name은 비어 있거나 읽은 속성 이름(예: status)인 경우가 많으므로 원본 소스에서 감싸는 함수를 찾음
+            // 원본 소스 전체를 분석하므로 애플리케이션 코드 프레임(blame 후보)에만 적용
+            const enclosing = content !== null && this.getSkipReason(original.source) === null
+                ? findEnclosingFunction(content, { line: original.line, column: original.column, fileName: original.source, scopeCache: this.scopeCache })
+                : null;
+
+            const sourceCode = contextLines > 0 && content !== null
+                ? this.getSourceContext(content, original.line, contextLines, scopeSnippet && this.snippetScope === 'function' ? enclosing : null)
+                : null;
 
             const result = {
                 // 원본 정보
-                minified: {
-                    file: entry.file,
-                    line: entry.line,
-                    column: entry.column,
-                },
+                minified: this.getMinifiedInfo(entry),
+                // 사용한 소스맵
+                sourceMap,
                 // 디코딩된 정보
                 original: {
                     file: original.source,
                     line: original.line,
                     column: original.column,
-                    function: original.name,
+                    function: enclosing?.name || original.name || entry.function,
+                    // 소스맵 names에 기록된 이름 (없으면 null)
+                    mappedName: original.name || null,
+                    // 위치를 감싸는 함수 (찾지 못하면 null)
+                    enclosing,
+                    relativePath: location.relativePath,
+                    absolutePath: location.absolutePath,
+                    // 작업 디렉토리에 파일이 있는지 여부
+                    exists: location.exists,
+                    // 위치를 찾은 검색 방향 (LOOKUP_BIASES)
+                    bias: original.bias,
                 },
                 // 소스 코드
                 sourceCode: sourceCode,
+                sourceOrigin,
+                // 작업 디렉토리의 파일이 빌드 시점과 다르면 그 이유
+                drift,
+                // 디코딩 위치 신뢰도 (0~1)와 근거
+                confidence,
                 // 전체 컨텍스트
                 context: {
                     targetLine: sourceCode?.find(l => l.isTarget)?.content,
@@ -91,7 +380,6 @@ export class StackTraceDecoder {
                 },
             };
 
-            consumer.destroy();
             return result;
 
         } catch (error) {
@@ -101,52 +389,137 @@ export class StackTraceDecoder {
     }
 
     /**
-     * 스택 트레이스 파싱
+     * 소스맵 소비자 (캐시가 관리하므로 호출한 쪽에서 destroy하지 않음)
      */
-    parseStackTrace(stackTrace) {
-        const lines = stackTrace.split('\n');
-        const parsed = [];
-
-        const patterns = [
-            // https://domain.com/path/file.js:line:column
-            /https?:\/\/[^\s]+\/([^/:]+\.js):(\d+):(\d+)/g,
-            // at functionName (file.js:line:column)
-            /at .+ \(([^:]+):(\d+):(\d+)\)/g,
-            // at file.js:line:column
-            /at ([^:]+):(\d+):(\d+)/g,
-        ];
-
-        for (const line of lines) {
-            for (const pattern of patterns) {
-                const matches = [...line.matchAll(pattern)];
-                for (const match of matches) {
-                    const fileName = match[1].split('/').pop();
-                    parsed.push({
-                        original: line.trim(),
-                        file: fileName,
-                        line: parseInt(match[2]),
-                        column: parseInt(match[3]),
-                    });
-                }
+    getConsumer(sourceMap) {
+        return sourceMap.inline
+            ? this.cache.get(sourceMap.path, scriptPath => this.loadInlineSourceMap(scriptPath))
+            : this.cache.get(sourceMap.path);
+    }
+
+    /**
+     * 에러 메시지의 minified 식별자를 원래 이름으로 변환
+     * (예: "t is not a function" → "onSubmit is not a function")
+     * @returns {{ message: string, replacements: Array<{ from: string, to: string }> } | null}
+     */
+    async demangleMessage(message, entry, sourceMapDir = this.sourceMapDir) {
+        try {
+            const sourceMap = this.locateSourceMap(entry.file, sourceMapDir);
+            if (!sourceMap) {
+                return null;
+            }
+
+            const consumer = await this.getConsumer(sourceMap);
+            const scriptPath = this.findScriptFile(entry.file, sourceMap, sourceMapDir);
+            return demangleMessage(message, consumer, { line: entry.line, column: entry.column, scriptPath });
+        } catch (error) {
+            if (this.debug) {
+                console.log(chalk.yellow(`⚠️  메시지 식별자 복원 실패: ${error.message}`));
             }
+            return null;
+        }
+    }
+
+    /**
+     * 소스맵에 대응하는 번들 파일 (식별자 비교용, 없으면 null)
+     * 같은 빌드의 파일이어야 하므로 소스맵 옆의 파일을 우선 사용합니다.
+     */
+    findScriptFile(fileName, sourceMap, sourceMapDir = this.sourceMapDir) {
+        if (sourceMap.inline) {
+            return sourceMap.path;
+        }
+
+        const sibling = sourceMap.path.replace(/\.map$/, '');
+        if (sibling !== sourceMap.path && fs.existsSync(sibling)) {
+            return sibling;
         }
 
-        return parsed;
+        try {
+            const index = this.cache.getDirectoryIndex(sourceMapDir, name => this.extractBaseName(name));
+            return index?.scripts.get(fileName) || this.getManifest(sourceMapDir).resolveScript(fileName);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 스택 트레이스 파싱
+     */
+    parseStackTrace(stackTrace) {
+        return parseStackTrace(stackTrace).map(frame => ({
+            original: frame.original,
+            file: frame.file,
+            url: frame.url,
+            line: frame.line,
+            column: frame.column ?? 0,
+            function: frame.function,
+            engine: frame.engine,
+        }));
     }
 
     /**
      * 소스맵 로드
      */
     async loadSourceMap(sourceMapPath) {
-        const rawSourceMap = JSON.parse(fs.readFileSync(sourceMapPath, 'utf8'));
-        return await new SourceMapConsumer(rawSourceMap);
+        const rawSourceMap = parseSourceMapJSON(fs.readFileSync(sourceMapPath, 'utf8'));
+        return await new SourceMapConsumer(resolveSections(rawSourceMap, path.dirname(sourceMapPath)));
+    }
+
+    /**
+     * 번들 파일에 data: URL로 포함된 인라인 소스맵 로드
+     */
+    async loadInlineSourceMap(scriptPath) {
+        const json = decodeDataURL(readSourceMappingURL(scriptPath) || '');
+        if (!json) {
+            throw new Error(`인라인 소스맵을 읽을 수 없음: ${scriptPath}`);
+        }
+        return await new SourceMapConsumer(resolveSections(parseSourceMapJSON(json), path.dirname(scriptPath)));
+    }
+
+    /**
+     * 원본 위치와 소스를 찾고 신뢰도 계산
+     * 기본 검색(GREATEST_LOWER_BOUND)이 실패하거나 대상 줄이 빈 줄/주석/메시지와 맞지 않으면
+     * LEAST_UPPER_BOUND로 다시 찾아 신뢰도가 더 높은 쪽을 사용합니다.
+     * @returns {{ original: Object, location: Object, content: string|null, sourceOrigin: string|null, drift: Object|null, confidence: Object } | null}
+     */
+    locateOriginal(consumer, entry, sourceMap, message = null) {
+        let best = null;
+
+        for (const [index, bias] of LOOKUP_BIASES.entries()) {
+            const original = this.getOriginalPosition(consumer, entry.line, entry.column, bias);
+            if (!original) continue;
+
+            // 작업 디렉토리 기준 경로 (수정/커밋 대상)
+            const location = this.workspace.normalize(original.source, { sourceMapPath: sourceMap.path });
+            const { content, sourceOrigin, drift } = this.getSource(consumer, original, location);
+            const confidence = assessDecodedLocation({
+                content,
+                line: original.line,
+                message,
+                biasFallback: index > 0,
+                fuzzySourceMap: sourceMap.strategy === SOURCE_MAP_STRATEGIES.FUZZY,
+                drift,
+            });
+
+            if (!best || confidence.score > best.confidence.score) {
+                best = { original, location, content, sourceOrigin, drift, confidence };
+            }
+            if (!isLocationSuspect(confidence)) break;
+        }
+
+        if (this.debug && best && best.original.bias !== LOOKUP_BIASES[0].name) {
+            console.log(chalk.dim(`   ${best.original.bias}로 원본 위치를 찾음 (${entry.file}:${entry.line}:${entry.column})`));
+        }
+
+        return best;
     }
 
     /**
      * 원본 위치 찾기
+     * @param {Object} bias - LOOKUP_BIASES 항목 (기본: GREATEST_LOWER_BOUND)
      */
-    getOriginalPosition(consumer, line, column) {
-        const pos = consumer.originalPositionFor({ line, column });
+    getOriginalPosition(consumer, line, column, bias = LOOKUP_BIASES[0]) {
+        const pos = consumer.originalPositionFor({ line, column, bias: bias.value });
 
         if (pos.source === null) {
             return null;
@@ -157,34 +530,78 @@ export class StackTraceDecoder {
             line: pos.line,
             column: pos.column,
             name: pos.name,
+            bias: bias.name,
         };
     }
 
     /**
-     * 소스 코드 컨텍스트 가져오기
+     * 원본 소스 내용 가져오기
+     * sourcesContent를 우선 사용하고, 없으면 작업 디렉토리의 파일을 읽습니다.
+     * 작업 디렉토리의 파일이 소스맵을 만든 시점과 달라 보이면 drift로 표시합니다.
+     * @param {Object} location - 작업 디렉토리 기준 경로 (WorkspaceSourceResolver.normalize 결과)
+     * @returns {{ content: string|null, sourceOrigin: string|null, drift: Object|null }}
      */
-    getSourceContext(consumer, sourcePath, line) {
+    getSource(consumer, original, location) {
+        let mapContent = null;
         try {
-            const content = consumer.sourceContentFor(sourcePath);
-            if (!content) return null;
-
-            const lines = content.split('\n');
-            const start = Math.max(0, line - this.contextLines - 1);
-            const end = Math.min(lines.length, line + this.contextLines);
-
-            const snippet = [];
-            for (let i = start; i < end; i++) {
-                snippet.push({
-                    lineNum: i + 1,
-                    content: lines[i],
-                    isTarget: i + 1 === line,
-                });
+            mapContent = consumer.sourceContentFor(original.source, true);
+        } catch (error) {
+            mapContent = null;
+        }
+
+        let diskContent = null;
+        if (location.exists) {
+            try {
+                diskContent = this.workspace.read(location.absolutePath);
+            } catch (error) {
+                diskContent = null;
             }
+        }
 
-            return snippet;
-        } catch (error) {
-            return null;
+        const drift = diskContent !== null
+            ? detectDrift({ diskContent, mapContent, line: original.line, name: original.name })
+            : null;
+        const content = mapContent ?? diskContent;
+
+        if (this.debug && !mapContent) {
+            console.log(chalk.dim(location.exists
+                ? `   sourcesContent 없음, 작업 디렉토리 파일 사용: ${location.relativePath}`
+                : `   sourcesContent 없음, 작업 디렉토리에서도 찾지 못함: ${original.source}`));
+        }
+
+        return {
+            content,
+            sourceOrigin: mapContent !== null
+                ? SOURCE_ORIGINS.SOURCES_CONTENT
+                : (diskContent !== null ? SOURCE_ORIGINS.WORKSPACE : null),
+            drift,
+        };
+    }
+
+    /**
+     * 소스 내용에서 대상 줄 주변 스니펫 추출
+     * @param {Object|null} scope - 스니펫을 넓힐 함수 범위 (snippetMaxLines보다 길면 무시)
+     */
+    getSourceContext(content, line, contextLines = this.contextLines, scope = null) {
+        const lines = content.split('\n');
+        let start = Math.max(0, line - contextLines - 1);
+        let end = Math.min(lines.length, line + contextLines);
+
+        if (scope && scope.endLine - scope.startLine + 1 <= this.snippetMaxLines) {
+            start = Math.min(start, scope.startLine - 1);
+            end = Math.max(end, Math.min(lines.length, scope.endLine));
+        }
+
+        const snippet = [];
+        for (let i = start; i < end; i++) {
+            snippet.push({
+                lineNum: i + 1,
+                content: lines[i],
+                isTarget: i + 1 === line,
+            });
         }
+
+        return snippet;
     }
 
     /**
@@ -219,59 +636,103 @@ export class StackTraceDecoder {
     }
 
     /**
-     * 소스맵 파일 찾기 (fuzzy matching 포함)
+     * 소스맵 파일 찾기
+     * @returns {string|null} 소스맵 경로
+     */
+    findSourceMapFile(fileName, sourceMapDir = this.sourceMapDir) {
+        return this.locateSourceMap(fileName, sourceMapDir)?.path || null;
+    }
+
+    /**
+     * 소스맵 파일 찾기
+     * 빌드 매니페스트 → 정확한 파일명 → 번들의 sourceMappingURL(파일/인라인) → fuzzy matching 순서
+     * 디렉토리 인덱스는 캐시되며 파일이 추가/삭제되면 다시 생성됩니다.
+     * @returns {{ path: string, strategy: string, inline?: boolean } | null}
+     *   인라인 소스맵이면 path는 번들 파일 경로
      */
-    findSourceMapFile(fileName) {
+    locateSourceMap(fileName, sourceMapDir = this.sourceMapDir) {
+        // 0. 빌드 매니페스트에 기록된 청크 → 소스맵 대응
+        const fromManifest = this.getManifest(sourceMapDir).resolve(fileName);
+        if (fromManifest) {
+            if (this.debug) {
+                console.log(chalk.dim(`   Manifest match (${fromManifest.format}): ${fileName} -> ${fromManifest.path}`));
+            }
+            return { path: fromManifest.path, strategy: SOURCE_MAP_STRATEGIES.MANIFEST };
+        }
+
+        let index;
+        try {
+            index = this.cache.getDirectoryIndex(sourceMapDir, name => this.extractBaseName(name));
+        } catch (error) {
+            return null;
+        }
+        if (!index) {
+            return null;
+        }
+
         // 1. 정확한 매치 시도
-        const exactPatterns = [
-            path.join(this.sourceMapDir, `${fileName}.map`),
-            path.join(this.sourceMapDir, fileName.replace('.js', '.js.map')),
-        ];
-
-        for (const pattern of exactPatterns) {
-            if (fs.existsSync(pattern)) {
-                return pattern;
+        const exactNames = [`${fileName}.map`, fileName.replace('.js', '.js.map')];
+
+        for (const name of exactNames) {
+            if (index.byName.has(name)) {
+                return { path: index.byName.get(name).path, strategy: SOURCE_MAP_STRATEGIES.EXACT };
             }
         }
 
-        // 2. Hash를 제거한 base name으로 fuzzy matching
+        // 2. 번들 파일의 sourceMappingURL 주석
+        const scriptPath = index.scripts.get(fileName) || this.getManifest(sourceMapDir).resolveScript(fileName);
+        const fromComment = scriptPath && this.locateFromSourceMappingURL(scriptPath, sourceMapDir);
+        if (fromComment) {
+            return fromComment;
+        }
+
+        // 3. Hash를 제거한 base name으로 fuzzy matching
         const baseName = this.extractBaseName(fileName);
 
         if (this.debug && baseName !== fileName.replace('.js', '')) {
             console.log(chalk.dim(`   Fuzzy match attempt: ${fileName} -> Base: ${baseName}`));
         }
 
-        if (!fs.existsSync(this.sourceMapDir)) {
-            return null;
+        // 가장 최신 파일 선택 (인덱스에서 mtime 내림차순 정렬됨)
+        const matchingFiles = index.byBaseName.get(baseName) || [];
+        if (matchingFiles.length > 0) {
+            if (this.debug) {
+                console.log(chalk.green(`   ✓ Fuzzy match found: ${matchingFiles[0].path}`));
+            }
+            return { path: matchingFiles[0].path, strategy: SOURCE_MAP_STRATEGIES.FUZZY };
         }
 
+        return null;
+    }
+
+    /**
+     * 번들 파일의 sourceMappingURL이 가리키는 소스맵
+     * @returns {{ path: string, strategy: string, inline?: boolean } | null}
+     */
+    locateFromSourceMappingURL(scriptPath, sourceMapDir) {
+        let url;
         try {
-            const files = fs.readdirSync(this.sourceMapDir);
-
-            const matchingFiles = files
-                .filter(file => {
-                    if (!file.endsWith('.js.map')) return false;
-                    const fileBaseName = this.extractBaseName(file.replace('.js.map', '.js'));
-                    return fileBaseName === baseName;
-                })
-                .map(file => ({
-                    path: path.join(this.sourceMapDir, file),
-                    mtime: fs.statSync(path.join(this.sourceMapDir, file)).mtime
-                }));
-
-            // 가장 최신 파일 선택
-            if (matchingFiles.length > 0) {
-                matchingFiles.sort((a, b) => b.mtime - a.mtime);
-                if (this.debug) {
-                    console.log(chalk.green(`   ✓ Fuzzy match found: ${matchingFiles[0].path}`));
-                }
-                return matchingFiles[0].path;
-            }
+            url = readSourceMappingURL(scriptPath);
         } catch (error) {
             return null;
         }
 
-        return null;
+        if (!url) {
+            return null;
+        }
+
+        if (url.startsWith('data:')) {
+            if (this.debug) {
+                console.log(chalk.dim(`   Inline source map: ${scriptPath}`));
+            }
+            return { path: scriptPath, strategy: SOURCE_MAP_STRATEGIES.INLINE, inline: true };
+        }
+
+        const mapPath = resolveSourceMappingPath(url, scriptPath, sourceMapDir);
+        if (this.debug) {
+            console.log(chalk.dim(`   sourceMappingURL=${url} -> ${mapPath || '(없음)'}`));
+        }
+        return mapPath ? { path: mapPath, strategy: SOURCE_MAP_STRATEGIES.SOURCE_MAPPING_URL } : null;
     }
 
     /**
@@ -282,15 +743,51 @@ export class StackTraceDecoder {
             return null;
         }
 
-        const lines = [
+        const lines = [];
+        if (result.demangledMessage) {
+            lines.push(chalk.cyan('💬 메시지 (식별자 복원):'));
+            lines.push(`   ${result.demangledMessage}`);
+            lines.push(chalk.dim(`   ${result.demangledIdentifiers.map(({ from, to }) => `${from} → ${to}`).join(', ')}`));
+            lines.push('');
+        }
+
+        lines.push(
             chalk.cyan('📍 원본 위치:'),
             `   파일: ${chalk.green(result.original.file)}`,
             `   줄: ${chalk.yellow(result.original.line)}`,
             `   컬럼: ${chalk.yellow(result.original.column)}`,
-        ];
+        );
+
+        if (result.original.relativePath && !result.original.exists) {
+            lines.push(chalk.yellow(`   ⚠️  작업 디렉토리에 파일 없음: ${result.original.absolutePath}`));
+        } else if (result.original.relativePath && result.original.relativePath !== result.original.file) {
+            lines.push(chalk.dim(`   작업 디렉토리: ${result.original.relativePath}`));
+        }
+
+        if (result.sourceMap) {
+            lines.push(chalk.dim(`   소스맵: ${result.sourceMap.path} (${result.sourceMap.strategy})`));
+        }
+        if (result.sourceOrigin === SOURCE_ORIGINS.WORKSPACE) {
+            lines.push(chalk.dim('   소스 코드: 작업 디렉토리 파일 (sourcesContent 없음)'));
+        }
+        if (result.drift) {
+            lines.push(chalk.yellow(`   ⚠️  소스 불일치 (${result.drift.reason}): ${result.drift.message}`));
+        }
+        if (result.confidence) {
+            const signals = result.confidence.signals.length > 0 ? ` (${result.confidence.signals.join(', ')})` : '';
+            const color = result.confidence.score < 0.5 ? chalk.yellow : chalk.dim;
+            lines.push(color(`   신뢰도: ${result.confidence.score.toFixed(2)}${signals}`));
+        }
+        if (result.release) {
+            lines.push(chalk.dim(`   릴리스: ${result.release.id}${result.release.archived ? '' : ' (아카이브 없음, 최신 빌드 소스맵 사용)'}`));
+        }
 
         if (result.original.function) {
-            lines.push(`   함수: ${chalk.magenta(result.original.function)}`);
+            const mapped = result.original.mappedName && result.original.mappedName !== result.original.function
+                ? chalk.dim(` (소스맵 이름: ${result.original.mappedName})`)
+                : '';
+            const callback = result.original.enclosing?.inCallback ? chalk.dim(' 내부 콜백') : '';
+            lines.push(`   함수: ${chalk.magenta(result.original.function)}${callback}${mapped}`);
         }
 
         if (result.sourceCode) {
@@ -306,6 +803,29 @@ export class StackTraceDecoder {
             });
         }
 
+        if (result.blame?.skipped.length > 0) {
+            lines.push('');
+            lines.push(chalk.cyan(`🎯 blame 프레임: #${result.blame.index} (${result.blame.skipped.length}개 프레임 건너뜀)`));
+            result.blame.skipped.forEach(skip => {
+                lines.push(chalk.dim(`   #${skip.index} ${skip.file} - ${skip.reason}`));
+            });
+        }
+
+        if (result.frames?.length > 1) {
+            lines.push('');
+            lines.push(chalk.cyan('📚 호출 스택:'));
+            result.frames.forEach(frame => {
+                if (!frame.original) {
+                    lines.push(chalk.dim(`   ${frame.index}. ${frame.minified.file}:${frame.minified.line}:${frame.minified.column} (${frame.error})`));
+                    return;
+                }
+                const location = `${frame.original.file}:${frame.original.line}:${frame.original.column}`;
+                const marker = frame.index === result.blame?.index ? '❯' : ' ';
+                const text = `  ${marker}${frame.index}. ${frame.original.function || '(익명)'} - ${location}`;
+                lines.push(frame.inApp ? text : chalk.dim(`${text} (서드파티)`));
+            });
+        }
+
         return lines.join('\n');
     }
 }
@@ -332,6 +852,8 @@ if (__filename === process.argv[1]) {
             const decoder = new StackTraceDecoder(config);
             const result = await decoder.decodeStackTrace(stackTrace);
 
+            decoder.close();
+
             if (result) {
                 console.log(decoder.formatResult(result));
 
@@ -0,0 +1,211 @@
+import chalk from 'chalk';
+
+/**
+ * 필터 드롭 사유
+ */
+export const FILTER_REASONS = {
+    ERROR_TYPE: 'ERROR_TYPE',
+    IGNORED_PATH: 'IGNORED_PATH',
+    OUTSIDE_TIME_WINDOW: 'OUTSIDE_TIME_WINDOW',
+    BELOW_MIN_OCCURRENCES: 'BELOW_MIN_OCCURRENCES',
+};
+
+/**
+ * 기간 문자열을 밀리초로 변환 (예: "30s", "15m", "1h", "7d")
+ */
+export function parseDuration(duration) {
+    if (typeof duration === 'number') {
+        return duration;
+    }
+
+    const match = String(duration || '').trim().match(/^(?:now-)?(\d+)([smhd])$/);
+    if (!match) {
+        return null;
+    }
+
+    const value = parseInt(match[1]);
+    return {
+        's': value * 1000,
+        'm': value * 60 * 1000,
+        'h': value * 60 * 60 * 1000,
+        'd': value * 24 * 60 * 60 * 1000,
+    }[match[2]];
+}
+
+/**
+ * 경로가 무시 패턴과 일치하는지 확인
+ * 와일드카드가 없으면 경로 세그먼트 시작부터 비교하고(test/는 src/test/a.js와 일치, latest/a.js와는 불일치),
+ * 있으면 glob(*, **)으로 비교합니다.
+ */
+export function matchesPattern(filePath, pattern) {
+    if (!filePath || !pattern) {
+        return false;
+    }
+
+    const normalized = filePath.replace(/\\/g, '/');
+
+    if (!pattern.includes('*')) {
+        const escaped = pattern.replace(/[.+^${}()|[\]\\?]/g, '\\$&');
+        return new RegExp(`(?:^|/)${escaped.replace(/^\//, '')}`).test(normalized);
+    }
+
+    const regexSource = pattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*\*\//g, '(?:.*/)?')
+        .replace(/\*\*/g, '.*')
+        .replace(/\*/g, '[^/]*');
+
+    return new RegExp(`(?:^|/)${regexSource}$`).test(normalized);
+}
+
+/**
+ * 에러 타입 추출
+ * 로그의 type 필드가 일반 'Error'이면 메시지/스택 첫 줄의 "TypeError: ..." 접두어를 사용합니다.
+ */
+export function resolveErrorType(error) {
+    const declared = error.error?.type;
+    if (declared && declared !== 'Error') {
+        return declared;
+    }
+
+    const candidates = [error.error?.message, error.error?.stackTrace?.split('\n')[0]];
+    for (const text of candidates) {
+        const match = (text || '').match(/^\s*(?:Uncaught\s+)?([A-Z]\w*(?:Error|Exception))\b/);
+        if (match) {
+            return match[1];
+        }
+    }
+
+    return declared || 'Error';
+}
+
+/**
+ * 수집된 에러에 filters 설정 규칙 적용
+ * (errorTypes, ignorePatterns, timeWindow, minOccurrences)
+ */
+export class ErrorFilter {
+    constructor(config) {
+        const filters = config.filters || {};
+        this.errorTypes = filters.errorTypes || [];
+        this.ignorePatterns = filters.ignorePatterns || [];
+        this.minOccurrences = filters.minOccurrences || 1;
+        this.timeWindowMs = parseDuration(filters.timeWindow);
+    }
+
+    /**
+     * 필터 적용
+     * @returns {{ passed: Array, dropped: Array<{ error, reason, detail }> }}
+     */
+    apply(errors, now = Date.now()) {
+        const dropped = [];
+        const candidates = [];
+
+        for (const error of errors) {
+            const reason = this.checkError(error, now);
+            if (reason) {
+                dropped.push({ error, ...reason });
+            } else {
+                candidates.push(error);
+            }
+        }
+
+        // 시간 범위 안에서의 발생 횟수 집계 (그룹화된 에러는 count 사용)
+        const counts = {};
+        for (const error of candidates) {
+            counts[error.hash] = (counts[error.hash] || 0) + (error.count || 1);
+        }
+
+        const passed = [];
+        for (const error of candidates) {
+            const occurrences = counts[error.hash];
+            if (occurrences < this.minOccurrences) {
+                dropped.push({
+                    error,
+                    reason: FILTER_REASONS.BELOW_MIN_OCCURRENCES,
+                    detail: `${occurrences}회 < 최소 ${this.minOccurrences}회`,
+                });
+            } else {
+                passed.push(error);
+            }
+        }
+
+        return { passed, dropped };
+    }
+
+    /**
+     * 개별 에러 규칙 검사 (드롭 사유 또는 null 반환)
+     */
+    checkError(error, now) {
+        const type = resolveErrorType(error);
+        if (this.errorTypes.length > 0 && !this.errorTypes.includes(type)) {
+            return {
+                reason: FILTER_REASONS.ERROR_TYPE,
+                detail: `${type} 은(는) 허용 타입(${this.errorTypes.join(', ')})이 아님`,
+            };
+        }
+
+        // 최상위 프레임이 무시 경로에 있으면 드롭
+        // 수집된(minified) 스택의 경로로 비교하므로 번들되지 않은 스택(Node.js 서버 등)에만 해당합니다.
+        // 번들된 브라우저 에러의 원본 경로(node_modules/ 등)는 디코딩 후 blame 프레임 선택에서 같은 패턴으로 건너뛰고,
+        // 모든 프레임이 건너뛰어지면 NO_IN_APP_FRAME으로 기록됩니다.
+        const topFrame = this.getTopFrameLocation(error.error?.stackTrace || '');
+        const pattern = topFrame && this.ignorePatterns.find(p => matchesPattern(topFrame, p));
+        if (pattern) {
+            return {
+                reason: FILTER_REASONS.IGNORED_PATH,
+                detail: `최상위 프레임이 무시 패턴 "${pattern}" 과 일치: ${topFrame}`,
+            };
+        }
+
+        const lastSeen = error.lastSeen || error.timestamp;
+        if (this.timeWindowMs && lastSeen) {
+            const age = now - new Date(lastSeen).getTime();
+            if (age > this.timeWindowMs) {
+                return {
+                    reason: FILTER_REASONS.OUTSIDE_TIME_WINDOW,
+                    detail: `${Math.round(age / 60000)}분 전 발생 (시간 범위 초과)`,
+                };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 스택 트레이스의 첫 번째 프레임 위치 (파일 경로 부분)
+     */
+    getTopFrameLocation(stackTrace) {
+        for (const line of stackTrace.split('\n')) {
+            const match = line.match(/([^\s()@]+):\d+:\d+/);
+            if (match) {
+                return match[1];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 드롭 사유 리포트 출력
+     */
+    printReport({ passed, dropped }) {
+        console.log(chalk.dim(`   통과: ${passed.length}개, 제외: ${dropped.length}개`));
+
+        if (dropped.length === 0) {
+            return;
+        }
+
+        const byReason = {};
+        for (const item of dropped) {
+            (byReason[item.reason] = byReason[item.reason] || []).push(item);
+        }
+
+        for (const [reason, items] of Object.entries(byReason)) {
+            console.log(chalk.yellow(`   ⊘ ${reason}: ${items.length}개`));
+            items.slice(0, 3).forEach(item => {
+                const shortMsg = (item.error.error?.message || '').substring(0, 60);
+                console.log(chalk.dim(`      - [${item.error.hash}] ${shortMsg}`));
+                console.log(chalk.dim(`        ${item.detail}`));
+            });
+        }
+    }
+}
@@ -0,0 +1,141 @@
+import { spawn } from 'child_process';
+import chalk from 'chalk';
+
+/**
+ * 수정 결과 검증 파이프라인
+ * Claude Code가 수정한 작업 디렉토리에서 린트/타입 체크/테스트/빌드 명령을 순서대로 실행하고,
+ * 처음 실패한 단계에서 멈춥니다. 각 단계의 출력은 DB/Slack에 남길 수 있도록 캡처합니다.
+ */
+
+// DB에 저장할 단계별 출력 최대 길이 (뒤쪽 유지: 실패 원인은 보통 마지막에 출력됨)
+const MAX_OUTPUT_LENGTH = 4000;
+
+/**
+ * VERIFY_STEPS 파싱
+ * JSON 배열의 각 항목은 명령 문자열 또는 { name, command, timeout } 객체입니다.
+ * @param {string|Array} value - JSON 문자열 또는 배열 (비어 있으면 검증 단계 없음)
+ * @param {number} defaultTimeout - timeout이 없는 단계의 제한 시간 (ms)
+ * @returns {Array<{ name: string, command: string, timeout: number }>}
+ */
+export function parseVerifySteps(value, defaultTimeout) {
+    if (!value || (typeof value === 'string' && !value.trim())) {
+        return [];
+    }
+
+    let steps = value;
+    if (typeof value === 'string') {
+        try {
+            steps = JSON.parse(value);
+        } catch (error) {
+            throw new Error(`VERIFY_STEPS must be a JSON array: ${error.message}`);
+        }
+    }
+    if (!Array.isArray(steps)) {
+        throw new Error('VERIFY_STEPS must be a JSON array');
+    }
+
+    return steps.map((step, index) => {
+        const item = typeof step === 'string' ? { command: step } : step;
+        if (!item || typeof item.command !== 'string' || !item.command.trim()) {
+            throw new Error(`VERIFY_STEPS[${index}] has no command`);
+        }
+        return {
+            name: item.name || item.command.trim().split(/\s+/).slice(0, 3).join(' '),
+            command: item.command,
+            timeout: parseInt(item.timeout) || defaultTimeout,
+        };
+    });
+}
+
+/**
+ * 출력 뒤쪽만 유지
+ */
+function truncateOutput(output) {
+    return output.length > MAX_OUTPUT_LENGTH
+        ? `...(앞부분 ${output.length - MAX_OUTPUT_LENGTH}자 생략)\n${output.slice(-MAX_OUTPUT_LENGTH)}`
+        : output;
+}
+
+/**
+ * 검증 단계 하나 실행 (셸 명령, stdout/stderr를 하나의 출력으로 캡처)
+ * @returns {Promise<{ name: string, command: string, passed: boolean, exitCode: number|null, timedOut: boolean, durationMs: number, output: string }>}
+ */
+export function runVerifyStep(step, cwd) {
+    return new Promise((resolve) => {
+        const startedAt = Date.now();
+        let output = '';
+        let timedOut = false;
+
+        const child = spawn(step.command, {
+            cwd,
+            shell: true,
+            // 타임아웃 시 npm 등이 띄운 하위 프로세스까지 함께 종료하기 위해 프로세스 그룹으로 실행
+            detached: process.platform !== 'win32',
+            env: { ...process.env, CI: 'true', FORCE_COLOR: '0' },
+            stdio: ['ignore', 'pipe', 'pipe'],
+        });
+
+        const timeoutId = setTimeout(() => {
+            timedOut = true;
+            try {
+                if (process.platform !== 'win32') {
+                    process.kill(-child.pid, 'SIGKILL');
+                } else {
+                    child.kill();
+                }
+            } catch {
+                // 이미 종료됨
+            }
+        }, step.timeout);
+
+        child.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+        child.stderr.on('data', (data) => {
+            output += data.toString();
+        });
+
+        const finish = (exitCode, extra = '') => {
+            clearTimeout(timeoutId);
+            output += extra;
+            resolve({
+                name: step.name,
+                command: step.command,
+                passed: !timedOut && exitCode === 0,
+                exitCode,
+                timedOut,
+                durationMs: Date.now() - startedAt,
+                output: truncateOutput(timedOut ? `${output}\n[Timeout after ${step.timeout}ms]` : output),
+            });
+        };
+
+        child.on('error', error => finish(null, `\nFailed to run command: ${error.message}`));
+        child.on('close', code => finish(code));
+    });
+}
+
+/**
+ * 검증 단계 순서대로 실행 (처음 실패한 단계에서 중단)
+ * @param {Array} steps - parseVerifySteps 결과
+ * @param {string} cwd - 작업 디렉토리
+ * @returns {Promise<{ passed: boolean, steps: Array, failedStep: Object|null }>}
+ */
+export async function runVerification(steps, cwd) {
+    const results = [];
+
+    for (const step of steps) {
+        console.log(chalk.dim(`   ▸ ${step.name}: ${step.command}`));
+        const result = await runVerifyStep(step, cwd);
+        results.push(result);
+
+        const seconds = (result.durationMs / 1000).toFixed(1);
+        if (!result.passed) {
+            const why = result.timedOut ? `제한 시간 ${step.timeout}ms 초과` : `종료 코드 ${result.exitCode}`;
+            console.log(chalk.red(`     ✗ 실패 (${why}, ${seconds}초)`));
+            return { passed: false, steps: results, failedStep: result };
+        }
+        console.log(chalk.dim(`     ✓ 통과 (${seconds}초)`));
+    }
+
+    return { passed: true, steps: results, failedStep: null };
+}
@@ -5,6 +5,51 @@ import chalk from 'chalk';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import WebSocket from 'ws';
+import { CollectorStateDB } from '../db/collector-state-db.js';
+import { parseDuration } from './error-filter.js';
+import { isStackFrameLine } from './stack-frame-parser.js';
+
+/**
+ * Loki 항목 [타임스탬프, 라인]을 타임스탬프 오름차순으로 정렬
+ */
+function sortByTimestamp(values) {
+    return [...values].sort((a, b) => {
+        const diff = BigInt(a[0]) - BigInt(b[0]);
+        return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+    });
+}
+
+/**
+ * JSON 로그에 자체 스택 트레이스 필드가 있는지
+ */
+function hasOwnStack(fields) {
+    return Boolean(fields && (fields.stack || fields.stacktrace || fields.error?.stack));
+}
+
+/**
+ * LogQL 쿼리의 스트림 셀렉터 ({job="frontend"} | json → {job="frontend"}, 없으면 null)
+ */
+export function getStreamSelector(query) {
+    const text = String(query || '');
+    // 따옴표 안의 {, }를 무시하도록 같은 길이의 공백으로 가림
+    const masked = text.replace(/"(?:[^"\\]|\\.)*"|`[^`]*`/g, match => `"${' '.repeat(match.length - 2)}"`);
+    const start = masked.indexOf('{');
+    const end = masked.indexOf('}', start);
+    return start >= 0 && end > start ? text.slice(start, end + 1) : null;
+}
+
+/**
+ * LogQL 스트림 셀렉터의 라벨 이름 ({job="frontend", env=~"prod.*"} | json → job, env)
+ * 부정 매처(!=, !~)의 라벨은 제외합니다.
+ */
+export function getSelectorLabelNames(query) {
+    const selector = getStreamSelector(query) || '';
+    const masked = selector.replace(/"(?:[^"\\]|\\.)*"|`[^`]*`/g, '""');
+    return [...masked.matchAll(/([A-Za-z_]\w*)\s*(=~|!~|!=|=)/g)]
+        .filter(([, , operator]) => operator === '=' || operator === '=~')
+        .map(([, name]) => name);
+}
 
 /**
  * Grafana Loki 로그 수집기
@@ -16,12 +61,16 @@ export class GrafanaLogCollector {
         this.baseURL = config.grafana.url;
         this.apiKey = config.grafana.apiKey;
         this.datasourceUid = config.grafana.datasourceUid;
+        this.incremental = config.grafana.incremental !== false;
+        this.stateDb = this.incremental
+            ? new CollectorStateDB(config.paths?.collectorState)
+            : null;
     }
 
     /**
      * Grafana Loki에서 로그 쿼리
      */
-    async queryLogs(query, start, end, limit = 100) {
+    async queryLogs(query, start, end, limit = 100, direction = 'backward') {
         const startTimestamp = this.getTimestamp(start);
         const endTimestamp = this.getTimestamp(end);
 
@@ -31,6 +80,7 @@ export class GrafanaLogCollector {
             start: startTimestamp.toString(),
             end: endTimestamp.toString(),
             limit: limit.toString(),
+            direction: direction,
         });
 
         const url = `${this.baseURL}/api/datasources/proxy/uid/${this.datasourceUid}/loki/api/v1/query_range?${params}`;
@@ -58,55 +108,102 @@ export class GrafanaLogCollector {
 
     /**
      * 타임스탬프 변환 (상대 시간 지원)
+     * 나노초 정밀도 유지를 위해 BigInt로 반환합니다.
      */
     getTimestamp(time) {
+        if (typeof time === 'bigint') {
+            return time;
+        }
+
         if (typeof time === 'number') {
-            return time * 1000000; // 나노초로 변환
+            return BigInt(Math.floor(time)) * 1000000n; // 나노초로 변환
+        }
+
+        // 나노초 epoch 문자열 (Loki 타임스탬프)
+        if (/^\d{16,}$/.test(time)) {
+            return BigInt(time);
         }
 
         // 상대 시간 파싱 (예: "1h", "30m", "now")
         if (time === 'now') {
-            return Date.now() * 1000000;
+            return BigInt(Date.now()) * 1000000n;
         }
 
-        const match = time.match(/^now-(\d+)([smhd])$/);
+        const match = time.match(/^now-(\d+[smhd])$/);
         if (match) {
-            const value = parseInt(match[1]);
-            const unit = match[2];
-            const ms = {
-                's': value * 1000,
-                'm': value * 60 * 1000,
-                'h': value * 60 * 60 * 1000,
-                'd': value * 24 * 60 * 60 * 1000,
-            }[unit];
-
-            return (Date.now() - ms) * 1000000;
+            return BigInt(Date.now() - parseDuration(match[1])) * 1000000n;
         }
 
         // ISO 8601 형식
-        return new Date(time).getTime() * 1000000;
+        return BigInt(new Date(time).getTime()) * 1000000n;
+    }
+
+    /**
+     * lookback 설정을 상대 시간 표현으로 정규화 ("1h" 또는 "now-1h" 모두 허용)
+     */
+    getLookbackStart() {
+        const lookback = this.config.grafana.lookbackWindow || '1h';
+        return lookback.startsWith('now') ? lookback : `now-${lookback}`;
+    }
+
+    /**
+     * 상태 저장 키 (데이터소스 + 쿼리)
+     */
+    getStateKey() {
+        return `${this.datasourceUid}:${this.config.grafana.logQuery}`;
     }
 
     /**
      * 에러 로그 수집
+     * incremental 모드에서는 저장된 커서부터 이어서 읽고, 이전 실행의 집계 결과와 병합합니다.
      */
     async collectErrors() {
         console.log(chalk.cyan('🔍 Grafana 로그 수집 중...'));
 
         const query = this.config.grafana.logQuery;
-        const lookback = this.config.grafana.lookbackWindow;
         const limit = this.config.grafana.maxResults || 100;
 
         try {
-            const data = await this.queryLogs(
-                query,
-                `now-${lookback}`,
-                'now',
-                limit
+            if (!this.incremental) {
+                const data = await this.queryLogs(query, this.getLookbackStart(), 'now', limit);
+
+                const entries = this.parseLogData(data);
+                const errors = this.aggregateErrors(entries);
+                console.log(chalk.green(`✓ ${entries.length}개의 에러 로그 발견 (고유 에러 ${errors.length}개)`));
+
+                return errors;
+            }
+
+            const stateKey = this.getStateKey();
+            const previous = this.stateDb.get(stateKey);
+            const start = previous?.lastTimestamp || this.getLookbackStart();
+
+            const end = this.getTimestamp('now');
+            const page = await this.queryAllPages(query, start, end, limit, previous?.boundaryKeys || []);
+
+            // 이전 실행에서 넘어온 닫히지 않은 에러 헤더 그룹을 이어 붙이고,
+            // 이번 끝의 그룹은 읽지 않은 페이지가 남았거나 조회 끝 시각에 가까우면 다음 실행으로 넘김
+            const windowNs = BigInt(this.config.grafana.stitchWindowMs ?? 1000) * 1000000n;
+            const { streams, pending } = this.splitTrailingGroups(
+                this.mergeStreams(previous?.pending || [], page.streams),
+                lastTimestamp => !page.exhausted || end - lastTimestamp <= windowNs,
             );
 
-            const errors = this.parseLogData(data);
-            console.log(chalk.green(`✓ ${errors.length}개의 에러 로그 발견`));
+            const entries = this.parseLogData({ data: { result: streams } });
+            const errors = this.pruneGroups(this.aggregateErrors(entries, previous?.groups || []));
+
+            this.stateDb.update(stateKey, {
+                lastTimestamp: page.lastTimestamp,
+                boundaryKeys: page.boundaryKeys,
+                pending,
+                groups: errors,
+            });
+
+            const from = previous?.lastTimestamp ? '커서' : this.getLookbackStart();
+            console.log(chalk.green(`✓ ${entries.length}개의 새 에러 로그 발견 (${from}부터 ${page.pages}페이지, 고유 에러 ${errors.length}개)`));
+            if (!page.exhausted) {
+                console.log(chalk.yellow(`⚠️  최대 페이지 수(${this.config.grafana.maxPages})에 도달하여 나머지는 다음 실행에서 이어서 읽습니다`));
+            }
 
             return errors;
         } catch (error) {
@@ -115,6 +212,265 @@ export class GrafanaLogCollector {
         }
     }
 
+    /**
+     * query_range를 forward 방향으로 페이지 단위 조회
+     * 각 페이지의 마지막 타임스탬프를 다음 페이지의 start로 사용하고,
+     * 같은 타임스탬프의 항목은 boundaryKeys로 중복을 제거합니다.
+     */
+    async queryAllPages(query, start, end, limit, boundaryKeys = []) {
+        const maxPages = this.config.grafana.maxPages || 50;
+        const endTimestamp = this.getTimestamp(end);
+        let cursor = this.getTimestamp(start);
+        let seenAtCursor = new Set(boundaryKeys);
+
+        const streams = new Map();
+        let pages = 0;
+        let exhausted = false;
+
+        while (pages < maxPages) {
+            const data = await this.queryLogs(query, cursor, endTimestamp, limit, 'forward');
+            pages++;
+
+            let received = 0;
+            let added = 0;
+            let maxTimestamp = cursor;
+            let keysAtMax = new Set(seenAtCursor);
+
+            for (const stream of data.data?.result || []) {
+                const labels = stream.stream || {};
+                const streamKey = JSON.stringify(labels);
+
+                for (const [timestamp, logLine] of stream.values || []) {
+                    received++;
+                    const ts = BigInt(timestamp);
+                    const key = this.getEntryKey(streamKey, timestamp, logLine);
+
+                    if (ts === cursor && seenAtCursor.has(key)) {
+                        continue;
+                    }
+
+                    if (!streams.has(streamKey)) {
+                        streams.set(streamKey, { stream: labels, values: [] });
+                    }
+                    streams.get(streamKey).values.push([timestamp, logLine]);
+                    added++;
+
+                    if (ts > maxTimestamp) {
+                        maxTimestamp = ts;
+                        keysAtMax = new Set();
+                    }
+                    if (ts === maxTimestamp) {
+                        keysAtMax.add(key);
+                    }
+                }
+            }
+
+            cursor = maxTimestamp;
+            seenAtCursor = keysAtMax;
+
+            if (received < limit) {
+                exhausted = true;
+                break;
+            }
+
+            if (added === 0) {
+                // 같은 나노초에 limit 이상의 로그가 있는 경우 더 진행할 수 없음
+                console.warn(chalk.yellow(`⚠️  동일 타임스탬프에 ${limit}개 이상의 로그가 있어 페이지 조회를 중단합니다 (GRAFANA_MAX_RESULTS 증가 필요)`));
+                exhausted = true;
+                break;
+            }
+        }
+
+        return {
+            streams: [...streams.values()],
+            lastTimestamp: cursor.toString(),
+            boundaryKeys: [...seenAtCursor],
+            pages,
+            exhausted,
+        };
+    }
+
+    /**
+     * 로그 항목 식별 키 (스트림 + 타임스탬프 + 내용)
+     */
+    getEntryKey(streamKey, timestamp, logLine) {
+        return crypto
+            .createHash('sha1')
+            .update(`${streamKey}|${timestamp}|${logLine}`)
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    /**
+     * lookback 범위를 벗어난 에러 그룹 제거
+     */
+    pruneGroups(groups) {
+        const cutoff = new Date(Number(this.getTimestamp(this.getLookbackStart()) / 1000000n)).toISOString();
+        return groups.filter(group => group.lastSeen >= cutoff);
+    }
+
+    /**
+     * Loki tail 웹소켓 URL (Grafana 데이터소스 프록시 경유)
+     */
+    getTailUrl(start) {
+        const params = new URLSearchParams({
+            query: this.config.grafana.logQuery,
+            limit: String(this.config.grafana.maxResults || 100),
+            delay_for: String(this.config.grafana.tailDelayFor || 0),
+        });
+        if (start) {
+            params.set('start', start.toString());
+        }
+
+        const wsBase = this.baseURL.replace(/^http/, 'ws');
+        return `${wsBase}/api/datasources/proxy/uid/${this.datasourceUid}/loki/api/v1/tail?${params}`;
+    }
+
+    /**
+     * 실시간 tail 모드 시작
+     * 수신한 로그를 기존 집계에 병합하고, 이번에 발생한 에러 그룹을 onErrors로 전달합니다.
+     * 연결이 끊기면 마지막으로 받은 타임스탬프부터 지수 백오프로 재연결합니다.
+     * 메시지 끝에서 끊긴 에러 헤더 그룹은 다음 메시지의 프레임 라인과 합치고,
+     * 그 전에 다음 메시지가 오지 않으면 stitchWindowMs(+ delay_for) 뒤에 그대로 처리합니다.
+     * @returns {{ stop: () => void }}
+     */
+    startTail(onErrors) {
+        const baseDelay = this.config.grafana.tailReconnectDelay || 1000;
+        const maxDelay = this.config.grafana.tailMaxReconnectDelay || 30000;
+        const holdMs = (this.config.grafana.stitchWindowMs ?? 1000) + (this.config.grafana.tailDelayFor || 0) * 1000;
+
+        const stateKey = this.getStateKey();
+        const previous = this.stateDb?.get(stateKey);
+        let groups = previous?.groups || [];
+        let lastTimestamp = previous?.lastTimestamp ? BigInt(previous.lastTimestamp) : null;
+        let boundaryKeys = new Set(previous?.boundaryKeys || []);
+        let pending = previous?.pending || [];
+
+        let socket = null;
+        let stopped = false;
+        let attempt = 0;
+        let reconnectTimer = null;
+        let pendingTimer = null;
+
+        const processStreams = (streams) => {
+            const entries = this.parseLogData({ data: { result: streams } });
+            groups = this.pruneGroups(this.aggregateErrors(entries, groups));
+
+            this.stateDb?.update(stateKey, {
+                lastTimestamp: lastTimestamp?.toString(),
+                boundaryKeys: [...boundaryKeys],
+                pending,
+                groups: groups,
+            });
+
+            if (entries.length > 0) {
+                const hashes = new Set(entries.map(entry => entry.hash));
+                onErrors(groups.filter(group => hashes.has(group.hash)));
+            }
+        };
+
+        const schedulePendingFlush = () => {
+            clearTimeout(pendingTimer);
+            if (pending.length === 0) {
+                return;
+            }
+            pendingTimer = setTimeout(() => {
+                const streams = pending;
+                pending = [];
+                processStreams(streams);
+            }, holdMs);
+        };
+
+        const handleMessage = (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                console.warn(chalk.yellow(`⚠️  tail 메시지 파싱 실패: ${error.message}`));
+                return;
+            }
+
+            if (message.dropped_entries?.length) {
+                console.warn(chalk.yellow(`⚠️  Loki가 ${message.dropped_entries.length}개의 로그를 누락했습니다 (tail 처리 지연)`));
+            }
+
+            // 재연결 시 이미 받은 항목 제외
+            const streams = [];
+            for (const stream of message.streams || []) {
+                const labels = stream.stream || {};
+                const streamKey = JSON.stringify(labels);
+                const values = [];
+
+                for (const [timestamp, logLine] of stream.values || []) {
+                    const ts = BigInt(timestamp);
+                    const key = this.getEntryKey(streamKey, timestamp, logLine);
+
+                    if (lastTimestamp !== null && (ts < lastTimestamp || (ts === lastTimestamp && boundaryKeys.has(key)))) {
+                        continue;
+                    }
+
+                    values.push([timestamp, logLine]);
+                    if (lastTimestamp === null || ts > lastTimestamp) {
+                        lastTimestamp = ts;
+                        boundaryKeys = new Set();
+                    }
+                    boundaryKeys.add(key);
+                }
+
+                if (values.length > 0) {
+                    streams.push({ stream: labels, values });
+                }
+            }
+
+            const split = this.splitTrailingGroups(this.mergeStreams(pending, streams));
+            pending = split.pending;
+            processStreams(split.streams);
+            schedulePendingFlush();
+        };
+
+        const connect = () => {
+            const url = this.getTailUrl(lastTimestamp);
+            console.log(chalk.cyan(`📡 Loki tail 연결 중...${lastTimestamp !== null ? ' (마지막 수신 위치부터)' : ''}`));
+
+            socket = new WebSocket(url, {
+                headers: { 'Authorization': `Bearer ${this.apiKey}` },
+            });
+
+            socket.on('open', () => {
+                attempt = 0;
+                console.log(chalk.green('✓ Loki tail 연결됨'));
+            });
+
+            socket.on('message', handleMessage);
+
+            socket.on('error', (error) => {
+                console.warn(chalk.yellow(`⚠️  Loki tail 오류: ${error.message}`));
+            });
+
+            socket.on('close', () => {
+                if (stopped) {
+                    return;
+                }
+                const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+                attempt++;
+                console.log(chalk.yellow(`⚠️  Loki tail 연결 끊김, ${delay}ms 후 재연결 (시도 ${attempt})`));
+                reconnectTimer = setTimeout(connect, delay);
+            });
+        };
+
+        schedulePendingFlush();
+        connect();
+
+        return {
+            stop: () => {
+                stopped = true;
+                clearTimeout(reconnectTimer);
+                clearTimeout(pendingTimer);
+                socket?.close();
+            },
+        };
+    }
+
     /**
      * Loki 응답 데이터 파싱
      */
@@ -129,7 +485,7 @@ export class GrafanaLogCollector {
         for (const stream of data.data.result) {
             const labels = stream.stream || {};
 
-            for (const [timestamp, logLine] of stream.values || []) {
+            for (const [timestamp, logLine] of this.stitchMultilineEntries(stream.values || [])) {
                 try {
                     const error = this.parseLogLine(logLine, labels, timestamp);
                     if (error) {
@@ -144,6 +500,358 @@ export class GrafanaLogCollector {
         return errors;
     }
 
+    /**
+     * 여러 줄로 나뉘어 기록된 스택 트레이스 재조립
+     * 같은 스트림에서 "Error: ..." 헤더 뒤에 stitchWindowMs 이내로 이어지는
+     * 스택 프레임 라인들을 하나의 에러 이벤트(stack 필드)로 합칩니다.
+     */
+    stitchMultilineEntries(values) {
+        const windowNs = BigInt(this.config.grafana.stitchWindowMs ?? 1000) * 1000000n;
+        const sorted = sortByTimestamp(values);
+
+        const result = [];
+        let current = null;
+
+        const flush = () => {
+            if (!current) return;
+
+            if (current.frames.length === 0) {
+                result.push([current.timestamp, current.logLine]);
+            } else {
+                const typeMatch = current.text.match(/^\s*(?:Uncaught\s+)?([A-Z]\w*(?:Error|Exception))\b/);
+                const fields = current.fields || { message: current.text };
+                result.push([current.timestamp, JSON.stringify({
+                    ...fields,
+                    type: fields.type || typeMatch?.[1],
+                    stack: [current.text, ...current.frames].join('\n'),
+                    stitchedLines: current.frames.length + 1,
+                })]);
+            }
+            current = null;
+        };
+
+        for (const [timestamp, logLine] of sorted) {
+            const { fields, text } = this.getLineText(logLine);
+
+            // 직전 헤더에 이어지는 프레임 라인
+            if (current && this.isStackFrameLine(text) && BigInt(timestamp) - current.lastTimestamp <= windowNs) {
+                current.frames.push(text.trim());
+                current.lastTimestamp = BigInt(timestamp);
+                continue;
+            }
+
+            flush();
+
+            // 자체 스택 트레이스가 없는 에러 헤더면 이어지는 프레임을 기다림
+            if (!hasOwnStack(fields) && this.isErrorHeaderLine(text)) {
+                current = {
+                    timestamp,
+                    logLine,
+                    fields,
+                    text: text.trim(),
+                    frames: [],
+                    lastTimestamp: BigInt(timestamp),
+                };
+                continue;
+            }
+
+            result.push([timestamp, logLine]);
+        }
+
+        flush();
+        return result;
+    }
+
+    /**
+     * 스트림 끝의 닫히지 않은 에러 헤더 그룹 분리
+     * 마지막 에러 헤더 뒤로 stitchWindowMs 이내의 스택 프레임 라인만 이어지면 다음 tail 메시지나
+     * 다음 수집에서 프레임이 더 올 수 있으므로, isOpen(마지막 항목 타임스탬프)이 true이면 그 원본 항목을 pending으로 떼어냅니다.
+     * @returns {{ streams: Array<{ stream, values }>, pending: Array<{ stream, values }> }}
+     */
+    splitTrailingGroups(streams, isOpen = () => true) {
+        const windowNs = BigInt(this.config.grafana.stitchWindowMs ?? 1000) * 1000000n;
+        const complete = [];
+        const pending = [];
+
+        for (const { stream, values } of streams) {
+            const sorted = sortByTimestamp(values || []);
+
+            // 끝에서부터 헤더에 이어 붙을 프레임 라인 건너뛰기
+            let index = sorted.length - 1;
+            while (index > 0
+                && this.isStackFrameLine(this.getLineText(sorted[index][1]).text)
+                && BigInt(sorted[index][0]) - BigInt(sorted[index - 1][0]) <= windowNs) {
+                index--;
+            }
+
+            const header = index >= 0 ? this.getLineText(sorted[index][1]) : null;
+            const open = header
+                && !hasOwnStack(header.fields)
+                && this.isErrorHeaderLine(header.text)
+                && isOpen(BigInt(sorted[sorted.length - 1][0]));
+
+            if (open) {
+                pending.push({ stream, values: sorted.slice(index) });
+                if (index > 0) {
+                    complete.push({ stream, values: sorted.slice(0, index) });
+                }
+            } else if (sorted.length > 0) {
+                complete.push({ stream, values: sorted });
+            }
+        }
+
+        return { streams: complete, pending };
+    }
+
+    /**
+     * 이전 메시지/실행에서 넘어온 항목을 같은 스트림의 새 항목과 합치기
+     */
+    mergeStreams(carried, streams) {
+        const merged = new Map();
+        for (const { stream = {}, values = [] } of [...carried, ...streams]) {
+            const key = JSON.stringify(stream);
+            if (!merged.has(key)) {
+                merged.set(key, { stream, values: [] });
+            }
+            merged.get(key).values.push(...values);
+        }
+        return [...merged.values()];
+    }
+
+    /**
+     * 로그 라인의 본문 텍스트 추출 (JSON이면 메시지 필드)
+     */
+    getLineText(logLine) {
+        try {
+            const fields = JSON.parse(logLine);
+            if (fields && typeof fields === 'object') {
+                const text = [fields.message, fields.msg, fields.value, fields.error]
+                    .find(value => typeof value === 'string') || '';
+                return { fields, text };
+            }
+        } catch {
+            // 일반 텍스트 로그
+        }
+        return { fields: null, text: logLine };
+    }
+
+    /**
+     * 에러 헤더 라인 여부 (예: "TypeError: ...", "Uncaught Error: ...")
+     */
+    isErrorHeaderLine(text) {
+        return /^\s*(?:Uncaught\s+)?(?:[\w$]+\.)*[A-Z][\w$]*(?:Error|Exception)\b(?::|\s*$)/.test(text);
+    }
+
+    /**
+     * 스택 프레임 라인 여부 (V8, Node.js, Firefox, Safari 형식)
+     */
+    isStackFrameLine(text) {
+        return isStackFrameLine(text);
+    }
+
+    /**
+     * Loki에 인덱싱된 라벨 이름 (| json 같은 파서가 추출한 라벨은 포함되지 않음)
+     * @param {string|null} selector - 이 스트림 셀렉터와 일치하는 스트림의 라벨만 조회
+     */
+    async queryLabelNames(start, end, selector = null) {
+        const params = new URLSearchParams({
+            start: this.getTimestamp(start).toString(),
+            end: this.getTimestamp(end).toString(),
+        });
+        if (selector) {
+            params.set('query', selector);
+        }
+        const url = `${this.baseURL}/api/datasources/proxy/uid/${this.datasourceUid}/loki/api/v1/labels?${params}`;
+
+        const response = await fetch(url, {
+            method: 'GET',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+            },
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP ${response.status}: ${errorText}`);
+        }
+
+        const data = await response.json();
+        return data.data || [];
+    }
+
+    /**
+     * 에러 그룹 라벨 중 스트림 셀렉터에 쓸 수 있는 라벨
+     * 수집 쿼리의 파서가 추출한 라벨(level, message 등)은 스트림 셀렉터에 쓸 수 없으므로 인덱싱된 라벨만 사용하고,
+     * 인덱싱된 라벨을 조회할 수 없으면 GRAFANA_LOG_QUERY 셀렉터에 있는 라벨만 사용합니다.
+     */
+    async getStreamLabels(labels, start, end) {
+        let names = [];
+        try {
+            names = await this.queryLabelNames(start, end, getStreamSelector(this.config.grafana.logQuery));
+        } catch (error) {
+            names = [];
+        }
+        if (names.length === 0) {
+            names = getSelectorLabelNames(this.config.grafana.logQuery);
+        }
+
+        const indexed = new Set(names);
+        return Object.entries(labels).filter(([name]) => indexed.has(name));
+    }
+
+    /**
+     * 에러 직전에 같은 스트림에 기록된 로그 (breadcrumb)
+     * 에러 그룹의 최근 발생 시각과 스트림 라벨로 Loki를 조회하고,
+     * 스택 프레임 라인과 에러 자체의 로그는 제외합니다.
+     * @returns {Promise<Array<{ timestamp: string, level: string|null, line: string }>>} 오래된 순
+     */
+    async fetchBreadcrumbs(errorGroup, { limit = 10, windowMs = 60000 } = {}) {
+        if (limit <= 0 || Object.keys(errorGroup.labels || {}).length === 0 || !errorGroup.timestamp) {
+            return [];
+        }
+
+        const errorTime = new Date(errorGroup.timestamp).getTime();
+        const errorTimeNs = this.getTimestamp(errorTime);
+        const message = errorGroup.error?.message;
+
+        const labels = await this.getStreamLabels(errorGroup.labels, errorTime - windowMs, errorTime + 1);
+        if (labels.length === 0) {
+            return [];
+        }
+        const selector = `{${labels
+            .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`)
+            .join(', ')}}`;
+
+        try {
+            // 에러 이후 로그와 제외될 라인을 감안해 넉넉하게 조회
+            const data = await this.queryLogs(selector, errorTime - windowMs, errorTime + 1, limit * 3, 'backward');
+            const entries = (data.data?.result || [])
+                .flatMap(stream => stream.values || [])
+                .filter(([timestamp]) => BigInt(timestamp) < errorTimeNs + 1000000n)
+                .sort((a, b) => {
+                    const diff = BigInt(a[0]) - BigInt(b[0]);
+                    return diff < 0n ? -1 : diff > 0n ? 1 : 0;
+                });
+
+            const breadcrumbs = [];
+            for (const [timestamp, logLine] of entries) {
+                const { fields, text } = this.getLineText(logLine);
+                const line = (text || logLine).trim();
+                if (!line || this.isStackFrameLine(line) || (message && line.includes(message))) {
+                    continue;
+                }
+
+                breadcrumbs.push({
+                    timestamp: new Date(Number(BigInt(timestamp) / 1000000n)).toISOString(),
+                    level: fields?.level || logLine.match(/\blevel=(\w+)/)?.[1] || null,
+                    line,
+                });
+            }
+
+            return breadcrumbs.slice(-limit);
+        } catch (error) {
+            console.warn(chalk.yellow(`⚠️  에러 직전 로그 조회 실패: ${error.message}`));
+            return [];
+        }
+    }
+
+    /**
+     * 해시 기준으로 에러 그룹화
+     * 발생 횟수, 최초/최근 발생 시각, 라벨 집합, 샘플 페이로드를 집계합니다.
+     * 반환 값은 발생 횟수 내림차순으로 정렬됩니다.
+     */
+    aggregateErrors(entries, previousGroups = []) {
+        const maxSamples = this.config.grafana.maxSamplesPerGroup || 3;
+        const groups = new Map();
+
+        // 이전 실행에서 집계된 그룹에 이어서 누적
+        for (const group of previousGroups) {
+            groups.set(group.hash, {
+                ...group,
+                labelSets: [...group.labelSets],
+                affected: {
+                    pods: [...group.affected.pods],
+                    apps: [...group.affected.apps],
+                    browsers: [...group.affected.browsers],
+                },
+                samples: [...group.samples],
+            });
+        }
+
+        for (const entry of entries) {
+            let group = groups.get(entry.hash);
+
+            if (!group) {
+                group = {
+                    ...entry,
+                    count: 0,
+                    firstSeen: entry.timestamp,
+                    lastSeen: entry.timestamp,
+                    labelSets: [],
+                    affected: { pods: [], apps: [], browsers: [] },
+                    samples: [],
+                };
+                groups.set(entry.hash, group);
+            }
+
+            group.count++;
+
+            if (entry.timestamp < group.firstSeen) {
+                group.firstSeen = entry.timestamp;
+            }
+            if (entry.timestamp > group.lastSeen) {
+                // 대표 항목은 가장 최근 발생 건으로 유지
+                group.lastSeen = entry.timestamp;
+                group.timestamp = entry.timestamp;
+                group.labels = entry.labels;
+                group.error = entry.error;
+            }
+
+            const labelKey = JSON.stringify(entry.labels);
+            if (!group.labelSets.some(labels => JSON.stringify(labels) === labelKey)) {
+                group.labelSets.push(entry.labels);
+            }
+
+            const { pod, app, browser } = this.extractAffected(entry);
+            if (pod && !group.affected.pods.includes(pod)) group.affected.pods.push(pod);
+            if (app && !group.affected.apps.includes(app)) group.affected.apps.push(app);
+            if (browser && !group.affected.browsers.includes(browser)) group.affected.browsers.push(browser);
+
+            if (group.samples.length < maxSamples) {
+                group.samples.push(entry.error.raw);
+            }
+        }
+
+        return [...groups.values()].sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * 영향 범위 정보 추출 (pod, app, browser)
+     */
+    extractAffected(entry) {
+        const labels = entry.labels || {};
+        const raw = entry.error.raw || {};
+        const userAgent = raw.userAgent || raw.user_agent || raw.ua || '';
+
+        return {
+            pod: labels.pod || labels.pod_name || null,
+            app: labels.app || labels.service_name || labels.job || null,
+            browser: labels.browser || raw.browser || this.detectBrowser(userAgent),
+        };
+    }
+
+    /**
+     * User-Agent에서 브라우저 이름 추출
+     */
+    detectBrowser(userAgent) {
+        if (!userAgent) return null;
+        if (/Edg\//.test(userAgent)) return 'Edge';
+        if (/Firefox\//.test(userAgent)) return 'Firefox';
+        if (/Chrome\//.test(userAgent)) return 'Chrome';
+        if (/Safari\//.test(userAgent)) return 'Safari';
+        return 'Other';
+    }
+
     /**
      * 로그 라인 파싱
      */
@@ -264,30 +972,36 @@ export class GrafanaLogCollector {
 
         console.log(chalk.cyan('\n📊 에러 통계:'));
 
-        // 에러 타입별 그룹화
+        // 에러 타입별 그룹화 (고유 에러 수 / 총 발생 횟수)
         const byType = {};
         for (const error of errors) {
             const type = error.error.type || 'Unknown';
-            byType[type] = (byType[type] || 0) + 1;
+            byType[type] = byType[type] || { unique: 0, occurrences: 0 };
+            byType[type].unique++;
+            byType[type].occurrences += error.count || 1;
         }
 
-        for (const [type, count] of Object.entries(byType)) {
-            console.log(chalk.dim(`   ${type}: ${count}개`));
+        for (const [type, { unique, occurrences }] of Object.entries(byType)) {
+            console.log(chalk.dim(`   ${type}: ${unique}개 (총 ${occurrences}회 발생)`));
         }
 
-        // 상위 5개 에러 표시
-        console.log(chalk.cyan('\n🔥 최근 에러:'));
+        // 발생 횟수 상위 5개 에러 표시
+        console.log(chalk.cyan('\n🔥 주요 에러:'));
         errors.slice(0, 5).forEach((error, idx) => {
             const shortMsg = error.error.message.substring(0, 80);
-            const time = new Date(error.timestamp).toLocaleTimeString('ko-KR');
-            const file = error.error.stackTrace.split('\n')[0].split('/').pop().split(':')[0];
-            console.log(chalk.dim(`   ${idx + 1}. [${time}] ${shortMsg}`));
+            const time = new Date(error.lastSeen || error.timestamp).toLocaleTimeString('ko-KR');
+            const frameLine = error.error.stackTrace.split('\n').find(line => /:\d+:\d+/.test(line)) || '';
+            const file = frameLine.split('/').pop().split(':')[0];
+            console.log(chalk.dim(`   ${idx + 1}. [${time}] (${error.count || 1}회) ${shortMsg}`));
             console.log(chalk.dim(`      파일: ${file}`));
+            if (error.affected) {
+                const { pods, apps, browsers } = error.affected;
+                console.log(chalk.dim(`      영향: pod ${pods.length}개, 앱 ${apps.join(', ') || '-'}, 브라우저 ${browsers.join(', ') || '-'}`));
+            }
         });
     }
 }
 
-
 // CLI 모드로 실행된 경우
 const __filename = fileURLToPath(import.meta.url);
 if (__filename === process.argv[1]) {
@@ -0,0 +1,150 @@
+import fs from 'fs';
+
+/**
+ * 에러 메시지의 minified 식별자 복원
+ * "t is not a function", "Cannot read properties of undefined (reading 'a')"처럼
+ * 메시지에 들어간 축약된 이름을 에러 위치 주변 소스맵 매핑의 names로 원래 이름으로 바꿉니다.
+ */
+
+// 에러 위치 앞뒤로 이름을 모을 생성 코드 범위 (컬럼 수)
+const NAME_WINDOW = 200;
+
+// 메시지 앞의 "Uncaught TypeError: " 같은 접두사
+const PREFIX = /^(?:Uncaught )?(?:\w+: )?/;
+
+// 메시지에서 식별자가 들어가는 부분 (V8, Firefox, Safari, d 플래그로 그룹 위치 사용)
+const IDENTIFIER_PATTERNS = [
+    /\((?:reading|setting) '([^']+)'\)/d,
+    /^(?:Uncaught )?(?:\w+: )?([\w$.]+) is not (?:a function|a constructor|defined|iterable)/d,
+    /^(?:Uncaught )?(?:\w+: )?([\w$.]+) is (?:undefined|null)\b/d,
+    /Cannot access '([\w$]+)' before initialization/d,
+    /can't access property "([\w$]+)", ([\w$.]+) is (?:undefined|null)/d,
+    /\(evaluating '([^']+)'\)/d,
+    /\(In '([^']+)', '([^']+)' is/d,
+];
+
+const IDENTIFIER = /[A-Za-z_$][\w$]*/g;
+
+/**
+ * 소스맵의 names가 있는 매핑을 생성 코드 줄별로 모음 (소비자별로 한 번만 계산)
+ */
+const namedMappingsCache = new WeakMap();
+
+function getNamedMappings(consumer) {
+    if (!namedMappingsCache.has(consumer)) {
+        const byLine = new Map();
+        consumer.eachMapping((mapping) => {
+            if (!mapping.name) return;
+            if (!byLine.has(mapping.generatedLine)) {
+                byLine.set(mapping.generatedLine, []);
+            }
+            byLine.get(mapping.generatedLine).push({ column: mapping.generatedColumn, name: mapping.name });
+        });
+        namedMappingsCache.set(consumer, byLine);
+    }
+    return namedMappingsCache.get(consumer);
+}
+
+/**
+ * 메시지에서 식별자 위치 추출
+ * @returns {Array<{ name: string, index: number }>}
+ */
+export function extractMessageIdentifiers(message) {
+    const found = [];
+    for (const pattern of IDENTIFIER_PATTERNS) {
+        const match = message.match(pattern);
+        if (!match) continue;
+
+        for (let group = 1; group < match.length; group++) {
+            if (!match[group]) continue;
+            const groupIndex = match.indices[group][0];
+            for (const identifier of match[group].matchAll(IDENTIFIER)) {
+                const index = groupIndex + identifier.index;
+                if (!found.some(item => item.index === index)) {
+                    found.push({ name: identifier[0], index });
+                }
+            }
+        }
+    }
+    return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * 생성 코드의 해당 줄 읽기
+ */
+function readGeneratedLine(scriptPath, line) {
+    if (!scriptPath) return null;
+    try {
+        return fs.readFileSync(scriptPath, 'utf8').split('\n')[line - 1] ?? null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 에러 위치 주변의 minified 이름 → 원래 이름 표
+ * 번들 파일에서 각 매핑 위치의 실제 식별자를 읽어 names와 짝짓습니다. (번들 파일이 없으면 빈 표)
+ * @returns {Map<string, { original: string, distance: number }>}
+ */
+export function buildNameTable(consumer, { line, column, scriptPath = null }) {
+    const table = new Map();
+    const generatedLine = readGeneratedLine(scriptPath, line);
+    if (generatedLine === null) {
+        return table;
+    }
+
+    const mappings = getNamedMappings(consumer).get(line) || [];
+    for (const mapping of mappings) {
+        const distance = Math.abs(mapping.column - column);
+        if (distance > NAME_WINDOW) continue;
+
+        const identifier = generatedLine.slice(mapping.column).match(/^[A-Za-z_$][\w$]*/)?.[0];
+        if (!identifier || identifier === mapping.name) continue;
+
+        // 같은 이름이 여러 번 나오면 에러 위치에 가장 가까운 매핑 사용
+        const existing = table.get(identifier);
+        if (!existing || distance < existing.distance) {
+            table.set(identifier, { original: mapping.name, distance });
+        }
+    }
+
+    return table;
+}
+
+/**
+ * 메시지의 minified 식별자를 원래 이름으로 변환
+ * @returns {{ message: string, replacements: Array<{ from: string, to: string }> }}
+ */
+export function demangleMessage(message, consumer, { line, column, scriptPath = null }) {
+    const identifiers = extractMessageIdentifiers(message);
+    if (identifiers.length === 0) {
+        return { message, replacements: [] };
+    }
+
+    const table = buildNameTable(consumer, { line, column, scriptPath });
+
+    // 번들 파일이 없으면 "t is not a function"처럼 메시지 주어가 단일 식별자일 때만
+    // 에러 위치(호출/참조 위치) 매핑의 name을 사용
+    if (!scriptPath && /^[\w$]+ is /.test(message.replace(PREFIX, ''))) {
+        const { name } = consumer.originalPositionFor({ line, column });
+        if (name && name !== identifiers[0].name) {
+            table.set(identifiers[0].name, { original: name, distance: 0 });
+        }
+    }
+
+    const replacements = [];
+    let result = '';
+    let cursor = 0;
+    for (const identifier of identifiers) {
+        const entry = table.get(identifier.name);
+        if (!entry) continue;
+
+        result += message.slice(cursor, identifier.index) + entry.original;
+        cursor = identifier.index + identifier.name.length;
+        if (!replacements.some(item => item.from === identifier.name)) {
+            replacements.push({ from: identifier.name, to: entry.original });
+        }
+    }
+
+    return { message: result + message.slice(cursor), replacements };
+}
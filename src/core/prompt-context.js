@@ -0,0 +1,211 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 수정 프롬프트의 추가 컨텍스트
+ * 값이 어디에서 왔는지 Claude가 따라갈 수 있도록 호출자 프레임의 코드, 대상 파일의 import,
+ * 에러 직전에 같은 스트림에 기록된 로그(breadcrumb)를 섹션으로 만들고 컨텍스트 예산 안으로 줄입니다.
+ */
+
+// import 경로 해석 시 시도할 확장자 (확장자 없이 import한 경우)
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.vue', '.svelte'];
+
+// breadcrumb 한 줄 최대 길이
+const MAX_BREADCRUMB_LENGTH = 300;
+
+/**
+ * import 구문의 로컬 이름 (import A, { b as c } from → A, c)
+ */
+function getImportedNames(clause) {
+    if (!clause) {
+        return [];
+    }
+
+    const names = [];
+    const namespace = clause.match(/\*\s+as\s+([\w$]+)/);
+    if (namespace) names.push(namespace[1]);
+
+    const named = clause.match(/\{([^}]*)\}/);
+    if (named) {
+        for (const part of named[1].split(',')) {
+            const local = part.trim().replace(/^type\s+/, '').split(/\s+as\s+/).pop().trim();
+            if (local) names.push(local);
+        }
+    }
+
+    const defaultName = clause.replace(/\{[^}]*\}/, '').replace(/\*\s+as\s+[\w$]+/, '').match(/^\s*(?:type\s+)?([\w$]+)/);
+    if (defaultName) names.push(defaultName[1]);
+
+    return names;
+}
+
+/**
+ * 소스 코드의 import/require/동적 import 목록
+ * @returns {Array<{ specifier: string, statement: string, line: number, names: string[] }>}
+ */
+export function extractImports(content) {
+    if (!content) {
+        return [];
+    }
+
+    const imports = [];
+    const patterns = [
+        // import A, { b } from 'x' / export { a } from 'x' (여러 줄 구문 포함)
+        /^[ \t]*(?:import|export)\s+(?:type\s+)?([\w$*{}\s,]+?)\s+from\s+['"]([^'"]+)['"]/gm,
+        // import 'x' (side effect)
+        /^[ \t]*import\s+['"]([^'"]+)['"]/gm,
+        // const a = require('x') / import('x')
+        /(?:\brequire|\bimport)\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+    ];
+
+    patterns.forEach((pattern, index) => {
+        for (const match of content.matchAll(pattern)) {
+            const [statement, first, second] = match;
+            const specifier = index === 0 ? second : first;
+            const line = content.slice(0, match.index).split('\n').length;
+            if (imports.some(item => item.specifier === specifier && item.line === line)) {
+                continue;
+            }
+
+            let names = index === 0 ? getImportedNames(first) : [];
+            if (index === 2) {
+                // const { a, b } = require('x') / const a = require('x')
+                const lineText = content.split('\n')[line - 1] || '';
+                const binding = lineText.match(/(?:const|let|var)\s+(\{[^}]*\}|[\w$]+)\s*=/);
+                names = binding ? getImportedNames(binding[1]) : [];
+            }
+
+            imports.push({
+                specifier,
+                statement: statement.trim().replace(/\s+/g, ' '),
+                line,
+                names,
+            });
+        }
+    });
+
+    return imports.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * 상대 경로 import를 작업 디렉토리 기준 파일 경로로 해석 (패키지/별칭은 null)
+ * @param {string} specifier - import 경로
+ * @param {string} fromFile - import한 파일의 절대 경로
+ * @param {string} workingDir - 작업 디렉토리
+ */
+export function resolveImportPath(specifier, fromFile, workingDir) {
+    if (!specifier.startsWith('.')) {
+        return null;
+    }
+
+    const base = path.resolve(path.dirname(fromFile), specifier);
+    const candidates = [
+        base,
+        ...RESOLVE_EXTENSIONS.map(ext => `${base}${ext}`),
+        ...RESOLVE_EXTENSIONS.map(ext => path.join(base, `index${ext}`)),
+    ];
+    const found = candidates.find((candidate) => {
+        try {
+            return fs.statSync(candidate).isFile();
+        } catch {
+            return false;
+        }
+    });
+
+    return found ? path.relative(workingDir, found).replace(/\\/g, '/') : null;
+}
+
+/**
+ * 줄 번호가 붙은 코드 (→ 표시는 에러/호출 위치)
+ */
+export function formatSourceLines(sourceCode) {
+    return sourceCode
+        .map(line => `${line.isTarget ? '→ ' : '  '}${line.lineNum.toString().padStart(4, ' ')} | ${line.content}`)
+        .join('\n');
+}
+
+/**
+ * 호출자 코드 항목 (blame 프레임을 호출한 애플리케이션 코드 프레임)
+ * @returns {string[]} 프레임별 블록
+ */
+export function formatCallerItems(frames, blame) {
+    if (!frames || blame?.index === null || blame?.index === undefined) {
+        return [];
+    }
+
+    return frames
+        .filter(frame => frame.index > blame.index && frame.inApp && frame.original && frame.sourceCode?.length > 0)
+        .map((frame) => {
+            const { line, function: fn } = frame.original;
+            const file = frame.original.relativePath || frame.original.file;
+            return `#${frame.index} ${fn || '(익명)'} - ${file}:${line}\n\`\`\`javascript\n${formatSourceLines(frame.sourceCode)}\n\`\`\``;
+        });
+}
+
+/**
+ * import 항목 (스니펫에서 사용하는 이름의 import를 먼저)
+ * @param {Array} imports - extractImports 결과
+ * @param {Function} resolve - specifier → 작업 디렉토리 기준 경로 (없으면 null)
+ * @param {string} snippet - 에러 위치 주변 코드
+ * @returns {string[]}
+ */
+export function formatImportItems(imports, resolve, snippet = '') {
+    const isUsed = item => item.names.some(name => new RegExp(`(^|[^\\w$])${name.replace(/\$/g, '\\$')}([^\\w$]|$)`).test(snippet));
+
+    return [...imports]
+        .sort((a, b) => Number(isUsed(b)) - Number(isUsed(a)))
+        .map((item) => {
+            const resolved = resolve(item.specifier);
+            const notes = [
+                resolved && resolved !== item.specifier ? `→ ${resolved}` : null,
+                isUsed(item) ? '스니펫에서 사용' : null,
+            ].filter(Boolean);
+            return `- \`${item.statement}\`${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+        });
+}
+
+/**
+ * breadcrumb 항목 (시각 [레벨] 내용)
+ * @param {Array<{ timestamp: string, level: string|null, line: string }>} breadcrumbs - fetchBreadcrumbs 결과 (오래된 순)
+ * @returns {string[]}
+ */
+export function formatBreadcrumbItems(breadcrumbs) {
+    return (breadcrumbs || []).map(({ timestamp, level, line }) => {
+        const time = timestamp.slice(11, 23);
+        const text = line.length > MAX_BREADCRUMB_LENGTH ? `${line.slice(0, MAX_BREADCRUMB_LENGTH)}...` : line;
+        return `${time}${level ? ` [${level}]` : ''} ${text}`;
+    });
+}
+
+/**
+ * 섹션들을 컨텍스트 예산(문자 수) 안으로 줄이기
+ * 앞쪽 섹션부터 항목 단위로 채우고, 들어가지 않는 항목은 생략 개수만 남깁니다.
+ * breadcrumb처럼 뒤쪽 항목이 중요한 섹션은 keepLast로 최근 항목부터 채웁니다.
+ * @param {Array<{ key: string, items: string[], separator?: string, keepLast?: boolean }>} sections
+ * @param {number} budget - 전체 최대 문자 수
+ * @returns {Object<string, string>} key → 섹션 본문 (항목이 없으면 빈 문자열)
+ */
+export function fitSectionsToBudget(sections, budget) {
+    let remaining = budget;
+    const result = {};
+
+    for (const { key, items, separator = '\n', keepLast = false } of sections) {
+        const ordered = keepLast ? [...items].reverse() : items;
+        const kept = [];
+        for (const item of ordered) {
+            const cost = item.length + separator.length;
+            if (cost > remaining) {
+                break;
+            }
+            kept.push(item);
+            remaining -= cost;
+        }
+
+        const omitted = items.length - kept.length;
+        const body = (keepLast ? kept.reverse() : kept).join(separator);
+        const note = omitted > 0 ? `(컨텍스트 예산 초과로 ${omitted}개 생략)` : '';
+        result[key] = [keepLast ? note : '', body, keepLast ? '' : note].filter(Boolean).join(separator);
+    }
+
+    return result;
+}
@@ -0,0 +1,190 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 에러 유형별 프롬프트 템플릿
+ * 템플릿 디렉토리의 Markdown 파일을 읽어 에러 타입 또는 메시지 정규식으로 템플릿을 고르고,
+ * {{error.message}} 같은 변수를 채워 프롬프트를 만듭니다. 맞는 템플릿이 없으면 기본 프롬프트를 사용합니다.
+ *
+ * 템플릿 파일 형식:
+ *   ---
+ *   name: null-access
+ *   errorTypes: TypeError
+ *   messagePattern: /Cannot read propert(y|ies) of (undefined|null)/i
+ *   priority: 10
+ *   ---
+ *   {{error.message}} 에러를 수정해주세요 ...
+ */
+
+// {{ error.message }} 형태의 변수 (앞뒤 공백 허용)
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * front-matter 파싱 (key: value 줄만 지원)
+ * @returns {{ attributes: Object, body: string }}
+ */
+export function parseFrontMatter(text) {
+    const match = text.replace(/^\uFEFF/, '').match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    if (!match) {
+        return { attributes: {}, body: text };
+    }
+
+    const attributes = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const pair = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+        if (pair && !line.trim().startsWith('#')) {
+            attributes[pair[1]] = pair[2].replace(/^(['"])(.*)\1$/, '$2');
+        }
+    }
+    return { attributes, body: match[2] };
+}
+
+/**
+ * messagePattern 문자열을 정규식으로 변환 ("/pattern/flags" 또는 pattern)
+ */
+function toRegExp(pattern) {
+    const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    // g/y 플래그는 test()가 lastIndex를 기억하므로 제외
+    return literal ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) : new RegExp(pattern);
+}
+
+/**
+ * 템플릿 파일 하나 파싱
+ * @param {string} text - 파일 내용
+ * @param {string} fileName - 기본 이름과 에러 메시지에 사용
+ */
+export function parseTemplate(text, fileName) {
+    const { attributes, body } = parseFrontMatter(text);
+    const errorTypes = attributes.errorTypes
+        ? attributes.errorTypes.split(',').map(type => type.trim()).filter(Boolean)
+        : [];
+
+    let messagePattern = null;
+    if (attributes.messagePattern) {
+        try {
+            messagePattern = toRegExp(attributes.messagePattern);
+        } catch (error) {
+            throw new Error(`Invalid messagePattern in prompt template ${fileName}: ${error.message}`);
+        }
+    }
+
+    return {
+        name: attributes.name || path.basename(fileName, path.extname(fileName)),
+        file: fileName,
+        errorTypes,
+        messagePattern,
+        priority: parseInt(attributes.priority) || 0,
+        body: body.trim(),
+    };
+}
+
+/**
+ * 템플릿이 에러에 맞는지 (에러 타입과 메시지 정규식을 모두 만족, 조건이 없는 템플릿은 선택하지 않음)
+ * @param {Object} template - parseTemplate 결과
+ * @param {{ type: string, message: string }} error
+ */
+export function matchesTemplate(template, error) {
+    if (template.errorTypes.length === 0 && !template.messagePattern) {
+        return false;
+    }
+    if (template.errorTypes.length > 0 && !template.errorTypes.includes(error.type)) {
+        return false;
+    }
+    if (template.messagePattern && !template.messagePattern.test(error.message || '')) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 점 경로로 값 찾기 (error.message → context.error.message)
+ */
+function lookup(context, variablePath) {
+    return variablePath.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+}
+
+/**
+ * 변수 채우기
+ * 값이 없는 변수는 빈 문자열로 바꾸고 missing에 기록합니다.
+ * @returns {{ text: string, missing: string[] }}
+ */
+export function renderTemplate(body, context) {
+    const missing = new Set();
+    const text = body.replace(VARIABLE_PATTERN, (_, variablePath) => {
+        const value = lookup(context, variablePath);
+        if (value === undefined || value === null) {
+            missing.add(variablePath);
+            return '';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+    return { text, missing: [...missing] };
+}
+
+/**
+ * 템플릿 내용과 관계없이 모든 템플릿 프롬프트 끝에 붙이는 지침
+ * 커밋은 오케스트레이터가 검증 후에 하고, 검증은 테스트/린트가 그대로 실행되어야 의미가 있으므로
+ * 템플릿 작성자가 요구사항을 빠뜨려도 항상 포함합니다.
+ */
+export const REQUIRED_INSTRUCTIONS = [
+    '- 코드를 수정만 하고, 절대 git commit을 수행하지 마세요. 커밋은 외부 시스템이 처리합니다.',
+    '- 검증 명령을 통과시키기 위해 테스트를 삭제하거나 린트/타입 검사를 비활성화하지 마세요.',
+].join('\n');
+
+/**
+ * 프롬프트 템플릿 모음
+ */
+export class PromptTemplateLibrary {
+    /**
+     * @param {string|null} options.templateDir - 템플릿 디렉토리 (*.md, 비워두면 기본 프롬프트만 사용)
+     * @param {string|null} options.rulesFile - 모든 프롬프트에 붙일 프로젝트 규칙 파일
+     */
+    constructor({ templateDir = null, rulesFile = null } = {}) {
+        this.templateDir = templateDir ? path.resolve(process.cwd(), templateDir) : null;
+        this.rulesFile = rulesFile ? path.resolve(process.cwd(), rulesFile) : null;
+        this.templates = this.loadTemplates();
+        this.rules = this.rulesFile ? fs.readFileSync(this.rulesFile, 'utf8').replace(/^\uFEFF/, '').trim() : '';
+    }
+
+    /**
+     * 템플릿 디렉토리 읽기 (priority 높은 순, 같으면 파일 이름 순)
+     */
+    loadTemplates() {
+        if (!this.templateDir) {
+            return [];
+        }
+        if (!fs.existsSync(this.templateDir)) {
+            throw new Error(`Prompt template directory not found: ${this.templateDir}`);
+        }
+
+        return fs.readdirSync(this.templateDir)
+            .filter(name => name.endsWith('.md'))
+            .map(name => path.join(this.templateDir, name))
+            // 규칙 파일을 템플릿 디렉토리에 두어도 템플릿으로 읽지 않음
+            .filter(file => file !== this.rulesFile)
+            .sort()
+            .map(file => parseTemplate(fs.readFileSync(file, 'utf8'), path.basename(file)))
+            .sort((a, b) => b.priority - a.priority);
+    }
+
+    /**
+     * 에러에 맞는 템플릿 (없으면 null → 기본 프롬프트)
+     * @param {{ type: string, message: string }} error
+     */
+    select(error) {
+        return this.templates.find(template => matchesTemplate(template, error)) || null;
+    }
+
+    /**
+     * 템플릿 렌더링
+     * 템플릿에 {{rules}}가 없으면 프로젝트 규칙을 끝에 붙이고, 필수 지침은 항상 맨 끝에 붙입니다.
+     */
+    render(template, context) {
+        const result = renderTemplate(template.body, { ...context, rules: this.rules });
+        if (this.rules && !/\{\{\s*rules\s*\}\}/.test(template.body)) {
+            result.text = `${result.text.trimEnd()}\n\n## 프로젝트 규칙\n${this.rules}\n`;
+        }
+        result.text = `${result.text.trimEnd()}\n\n## 필수 지침\n${REQUIRED_INSTRUCTIONS}\n`;
+        return result;
+    }
+}
@@ -0,0 +1,212 @@
+import { SourceMapConsumer } from 'source-map';
+import fs from 'fs';
+import path from 'path';
+import { cleanSourcePath, guessRelativePath } from './workspace-source-resolver.js';
+import { decodeDataURL, parseSourceMapJSON, readSourceMappingURL, resolveSections, resolveSourceMappingPath } from './source-mapping-url.js';
+
+/**
+ * 역방향 조회 (원본 위치 → minified 위치)
+ * 원본 파일의 줄(src/stores/authStore.js:53)이 어느 번들 청크의 몇 번째 줄:컬럼이 되었는지
+ * 소스맵 디렉토리의 소스맵을 모두 훑어 찾고, Loki에서 검색할 LogQL 줄 필터를 만듭니다.
+ */
+
+/**
+ * "파일:줄" 또는 "파일:줄:컬럼" 파싱 (줄과 컬럼 모두 1부터 시작)
+ * @returns {{ file: string, line: number, column: number|null } | null}
+ */
+export function parseLocation(text) {
+    const match = text?.trim().match(/^(.+?):(\d+)(?::(\d+))?$/);
+    if (!match || parseInt(match[2]) < 1 || (match[3] !== undefined && parseInt(match[3]) < 1)) {
+        return null;
+    }
+
+    return {
+        file: match[1],
+        line: parseInt(match[2]),
+        column: match[3] !== undefined ? parseInt(match[3]) : null,
+    };
+}
+
+/**
+ * 비교용 경로 (작업 디렉토리 기준 상대 경로, 슬래시 구분)
+ */
+function toComparablePath(file) {
+    const unixPath = file.replace(/\\/g, '/');
+    const relative = path.isAbsolute(file) ? path.relative(process.cwd(), file).replace(/\\/g, '/') : unixPath;
+    return guessRelativePath(cleanSourcePath(relative));
+}
+
+/**
+ * 소스맵의 source가 찾는 파일인지 (한쪽이 다른 쪽의 경로 접미사이면 같은 파일로 봄)
+ */
+export function matchesSource(source, target) {
+    const candidate = toComparablePath(source);
+    const wanted = toComparablePath(target);
+    if (!candidate || !wanted) {
+        return false;
+    }
+    return candidate === wanted || candidate.endsWith(`/${wanted}`) || wanted.endsWith(`/${candidate}`);
+}
+
+/**
+ * 소스맵에 기록된 모든 source (인덱스 소스맵은 섹션까지 포함)
+ */
+function collectSources(rawSourceMap) {
+    if (Array.isArray(rawSourceMap.sections)) {
+        return rawSourceMap.sections.flatMap(section => (section.map ? collectSources(section.map) : []));
+    }
+    return rawSourceMap.sources || [];
+}
+
+/**
+ * 원본 줄에 대응하는 생성 코드 위치
+ * 해당 줄에 매핑이 없으면 source-map 라이브러리가 다음으로 가까운 줄의 위치를 돌려주므로,
+ * 각 위치를 다시 원본으로 디코딩해 실제 원본 줄(originalLine)을 함께 기록합니다.
+ * 컬럼은 스택 트레이스와 같은 1부터 시작하는 값으로 받고 돌려줍니다 (source-map 라이브러리는 0부터).
+ */
+function findPositions(consumer, source, { line, column }) {
+    const zeroBasedColumn = column !== null ? column - 1 : null;
+    const query = zeroBasedColumn !== null ? { source, line, column: zeroBasedColumn } : { source, line };
+    let positions = consumer.allGeneratedPositionsFor(query);
+
+    if (positions.length === 0) {
+        const position = consumer.generatedPositionFor({
+            source,
+            line,
+            column: zeroBasedColumn ?? 0,
+            bias: SourceMapConsumer.LEAST_UPPER_BOUND,
+        });
+        positions = position.line !== null ? [position] : [];
+    }
+
+    return positions.map((position) => {
+        const original = consumer.originalPositionFor({ line: position.line, column: position.column });
+        return {
+            line: position.line,
+            column: position.column + 1,
+            lastColumn: Number.isFinite(position.lastColumn) ? position.lastColumn + 1 : null,
+            originalLine: original.line,
+            originalColumn: original.column !== null ? original.column + 1 : null,
+            name: original.name,
+        };
+    });
+}
+
+/**
+ * 소스맵 디렉토리에서 검색할 소스맵 목록
+ * 디렉토리의 *.map 파일과, 번들 파일의 sourceMappingURL이 가리키는 소스맵(인라인 또는 다른 디렉토리)을 함께 찾습니다.
+ * @returns {Array<{ name: string, path: string, read: () => string }>} name은 소스맵에 file이 없을 때 쓰는 청크 이름
+ */
+function collectSourceMaps(sourceMapDir) {
+    const names = fs.readdirSync(sourceMapDir).sort();
+    const sourceMaps = names
+        .filter(name => name.endsWith('.map'))
+        .map(name => {
+            const mapPath = path.join(sourceMapDir, name);
+            return { name: name.replace(/\.map$/, ''), path: mapPath, read: () => fs.readFileSync(mapPath, 'utf8') };
+        });
+    const seen = new Set(sourceMaps.map(sourceMap => sourceMap.path));
+
+    for (const name of names.filter(item => /\.m?js$/.test(item))) {
+        const scriptPath = path.join(sourceMapDir, name);
+        let url;
+        try {
+            url = readSourceMappingURL(scriptPath);
+        } catch (error) {
+            continue;
+        }
+        if (!url) continue;
+
+        if (url.startsWith('data:')) {
+            sourceMaps.push({ name, path: scriptPath, read: () => decodeDataURL(url) });
+            continue;
+        }
+
+        const mapPath = resolveSourceMappingPath(url, scriptPath, sourceMapDir);
+        if (mapPath && !seen.has(mapPath)) {
+            seen.add(mapPath);
+            sourceMaps.push({ name, path: mapPath, read: () => fs.readFileSync(mapPath, 'utf8') });
+        }
+    }
+
+    return sourceMaps;
+}
+
+/**
+ * 소스맵 디렉토리에서 원본 위치가 포함된 청크와 생성 코드 위치 찾기
+ * @param {string} sourceMapDir - 소스맵 디렉토리
+ * @param {{ file: string, line: number, column: number|null }} target - 원본 위치
+ * @returns {Promise<Array<{ chunk: string, sourceMap: string, source: string, positions: Array<Object> }>>}
+ */
+export async function findGeneratedPositions(sourceMapDir, target, { debug = false } = {}) {
+    if (!fs.existsSync(sourceMapDir)) {
+        return [];
+    }
+
+    const results = [];
+
+    for (const { name, path: mapPath, read } of collectSourceMaps(sourceMapDir)) {
+        let rawSourceMap;
+        try {
+            rawSourceMap = resolveSections(parseSourceMapJSON(read()), path.dirname(mapPath));
+        } catch (error) {
+            if (debug) {
+                console.log(`[디버그] 소스맵을 읽을 수 없음: ${mapPath} (${error.message})`);
+            }
+            continue;
+        }
+
+        // consumer 생성(wasm 파싱) 전에 sources로 먼저 거름
+        if (!collectSources(rawSourceMap).some(source => matchesSource(source, target.file))) {
+            continue;
+        }
+
+        const consumer = await new SourceMapConsumer(rawSourceMap);
+        try {
+            const chunk = rawSourceMap.file ? path.basename(rawSourceMap.file) : name;
+            for (const source of consumer.sources.filter(item => matchesSource(item, target.file))) {
+                const positions = findPositions(consumer, source, target);
+                if (positions.length > 0) {
+                    results.push({ chunk, sourceMap: mapPath, source, positions });
+                }
+            }
+        } finally {
+            consumer.destroy();
+        }
+    }
+
+    return results;
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 스택 트레이스의 "청크:줄:컬럼"을 찾는 정규식 (같은 청크/줄의 컬럼은 하나로 묶음)
+ */
+function buildLocationPattern(results) {
+    const groups = new Map();
+    for (const { chunk, positions } of results) {
+        for (const { line, column } of positions) {
+            const key = `${escapeRegExp(chunk)}:${line}`;
+            if (!groups.has(key)) groups.set(key, new Set());
+            groups.get(key).add(column);
+        }
+    }
+
+    return [...groups.entries()]
+        .map(([key, columns]) => (columns.size === 1
+            ? `${key}:${[...columns][0]}`
+            : `${key}:(?:${[...columns].join('|')})`))
+        .join('|');
+}
+
+/**
+ * Loki 검색용 LogQL (스트림 셀렉터 + 줄 필터)
+ * 정규식은 백틱 문자열로 감싸 이스케이프를 그대로 유지합니다.
+ * @param {Array} results - findGeneratedPositions 결과 (청크 하나만 넘기면 청크별 필터)
+ * @param {string} selector - 스트림 셀렉터 (예: {job="frontend"})
+ */
+export function buildLogQLFilter(results, selector) {
+    const pattern = buildLocationPattern(results);
+    return pattern ? `${selector} |~ \`${pattern}\`` : null;
+}
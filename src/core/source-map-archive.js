@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import { findBuildManifestCandidates } from './build-manifest.js';
+import { readSourceMappingURL } from './source-mapping-url.js';
+
+// 릴리스별 메타데이터 파일명
+const RELEASE_META_FILE = 'release.json';
+
+/**
+ * 릴리스 ID를 디렉토리 이름으로 사용할 수 있게 정리
+ */
+export function toReleaseDirName(release) {
+    return String(release).trim().replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * 에러의 Loki 라벨(없으면 로그 페이로드)에서 릴리스 ID 추출
+ * @param {object} error - 수집된 에러 (labels, error.raw)
+ * @param {string[]} releaseLabels - 우선순위 순서의 라벨 이름 (예: version, release, commit)
+ */
+export function getReleaseFromError(error, releaseLabels) {
+    const sources = [error?.labels || {}, error?.error?.raw || {}];
+
+    for (const label of releaseLabels) {
+        for (const source of sources) {
+            const value = source[label];
+            if (value !== undefined && value !== null && String(value).trim()) {
+                return String(value).trim();
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 빌드 디렉토리에서 소스맵과 번들 파일 목록 (하위 디렉토리 포함)
+ * @returns {{ sourceMaps: string[], scripts: string[] }}
+ */
+function findBuildFiles(dir, files = { sourceMaps: [], scripts: [] }) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (entry.name !== 'node_modules') {
+                findBuildFiles(fullPath, files);
+            }
+        } else if (entry.name.endsWith('.js.map') || entry.name.endsWith('.mjs.map')) {
+            files.sourceMaps.push(fullPath);
+        } else if (/\.m?js$/.test(entry.name)) {
+            files.scripts.push(fullPath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * sourceMappingURL 주석이 있는 번들 파일인지 (인라인 소스맵만 있는 빌드 확인용)
+ */
+function hasSourceMappingURL(scriptPath) {
+    try {
+        return Boolean(readSourceMappingURL(scriptPath));
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 릴리스별 소스맵 아카이브
+ * 빌드마다 *.js.map 파일과 번들 파일(*.js, *.mjs)을 <archiveDir>/<release>/ 아래에 보관해서,
+ * 지난 배포에서 발생한 에러도 해당 빌드의 소스맵(sourceMappingURL/인라인 소스맵 포함)으로 디코딩할 수 있게 합니다.
+ */
+export class SourceMapArchive {
+    constructor(archiveDir = './.auto-fix-data/sourcemap-archive') {
+        this.archiveDir = path.resolve(archiveDir);
+    }
+
+    /**
+     * 빌드 출력의 소스맵을 릴리스 ID로 보관
+     * 소스맵과 번들 파일은 한 디렉토리에 평평하게 복사하고(파일명이 겹치면 에러), 빌드 매니페스트가 있으면 함께 복사합니다.
+     * 번들 파일은 sourceMappingURL 주석/인라인 소스맵과 메시지 식별자 복원에 사용됩니다.
+     * @returns {{ release: string, dir: string, files: number, scripts: number, manifests: string[] }}
+     */
+    ingest(buildDir, release) {
+        const sourceDir = path.resolve(buildDir);
+        if (!fs.existsSync(sourceDir)) {
+            throw new Error(`빌드 디렉토리를 찾을 수 없음: ${sourceDir}`);
+        }
+        if (!release || !String(release).trim()) {
+            throw new Error('릴리스 ID가 필요합니다');
+        }
+
+        const { sourceMaps, scripts } = findBuildFiles(sourceDir);
+        if (sourceMaps.length === 0 && !scripts.some(hasSourceMappingURL)) {
+            throw new Error(`소스맵 파일(*.js.map)이 없음: ${sourceDir}`);
+        }
+
+        // 한 디렉토리에 평평하게 복사하므로 파일명이 같으면 하나가 다른 하나를 덮어씀
+        // (기존 보관본을 지우기 전에 확인)
+        const byName = new Map();
+        for (const file of [...sourceMaps, ...scripts]) {
+            const name = path.basename(file);
+            if (byName.has(name)) {
+                const [first, second] = [byName.get(name), file].map(item => path.relative(sourceDir, item));
+                throw new Error(`같은 이름의 파일이 여러 개 있음: ${first}, ${second}`);
+            }
+            byName.set(name, file);
+        }
+
+        const releaseDir = path.join(this.archiveDir, toReleaseDirName(release));
+        fs.rmSync(releaseDir, { recursive: true, force: true });
+        fs.mkdirSync(releaseDir, { recursive: true });
+
+        for (const file of byName.values()) {
+            fs.copyFileSync(file, path.join(releaseDir, path.basename(file)));
+        }
+
+        // 매니페스트는 빌드 출력 루트 기준으로만 찾음 (상위 디렉토리 제외)
+        const manifests = findBuildManifestCandidates(sourceDir, 0).map((manifestPath) => {
+            const relative = path.relative(sourceDir, manifestPath);
+            const target = path.join(releaseDir, relative);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.copyFileSync(manifestPath, target);
+            return relative;
+        });
+
+        const meta = {
+            release: String(release).trim(),
+            ingestedAt: new Date().toISOString(),
+            source: sourceDir,
+            files: sourceMaps.length,
+            scripts: scripts.length,
+            manifests,
+        };
+        fs.writeFileSync(path.join(releaseDir, RELEASE_META_FILE), JSON.stringify(meta, null, 2), 'utf8');
+
+        return { ...meta, dir: releaseDir };
+    }
+
+    /**
+     * 보관 중인 릴리스 목록 (최근 보관 순)
+     */
+    list() {
+        if (!fs.existsSync(this.archiveDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.archiveDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map((entry) => {
+                const dir = path.join(this.archiveDir, entry.name);
+                try {
+                    const meta = JSON.parse(fs.readFileSync(path.join(dir, RELEASE_META_FILE), 'utf8'));
+                    return { ...meta, dir };
+                } catch (error) {
+                    // 메타데이터가 없으면 디렉토리 정보로 대체
+                    return { release: entry.name, ingestedAt: fs.statSync(dir).mtime.toISOString(), files: null, dir };
+                }
+            })
+            .sort((a, b) => new Date(b.ingestedAt) - new Date(a.ingestedAt));
+    }
+
+    /**
+     * 릴리스의 소스맵 디렉토리 (보관되어 있지 않으면 null)
+     */
+    resolveDir(release) {
+        if (!release) {
+            return null;
+        }
+
+        const dir = path.join(this.archiveDir, toReleaseDirName(release));
+        return fs.existsSync(dir) ? dir : null;
+    }
+
+    /**
+     * 오래된 릴리스 삭제 (가장 최근 릴리스는 항상 유지)
+     * @returns {string[]} 삭제된 릴리스 ID
+     */
+    prune(daysOld = 30) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+
+        const removed = [];
+        for (const release of this.list().slice(1)) {
+            if (new Date(release.ingestedAt) < cutoffDate) {
+                fs.rmSync(release.dir, { recursive: true, force: true });
+                removed.push(release.release);
+            }
+        }
+
+        return removed;
+    }
+}
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+
+// 파일 시스템 mtime 해상도보다 충분히 긴 시간 (이보다 최근에 변경된 디렉토리는 인덱스를 믿지 않음)
+const RACY_WINDOW_MS = 1000;
+
+/**
+ * 소스맵 캐시
+ * 파싱된 SourceMapConsumer를 LRU로 보관하고, 소스맵 디렉토리의 파일 목록을 인덱싱합니다.
+ * - 소스맵 파일의 mtime이 바뀌면 해당 consumer를 다시 로드
+ * - 디렉토리의 mtime이 바뀌면(파일 추가/삭제) 인덱스를 다시 생성
+ */
+export class SourceMapCache {
+    /**
+     * @param {object} options.maxSize - 보관할 consumer 최대 개수
+     * @param {Function} options.load - 소스맵 경로를 받아 SourceMapConsumer를 반환하는 함수
+     */
+    constructor({ maxSize = 20, load }) {
+        this.maxSize = Math.max(1, maxSize);
+        this.load = load;
+        this.consumers = new Map();
+        this.indexes = new Map();
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    /**
+     * 소스맵 consumer 가져오기 (없거나 파일이 변경되었으면 로드)
+     * @param {string} mapPath - 소스맵 파일 경로 (인라인 소스맵이면 번들 파일 경로)
+     * @param {Function} load - 기본 로더 대신 사용할 로더
+     */
+    async get(mapPath, load = this.load) {
+        const { mtimeMs } = fs.statSync(mapPath);
+        const cached = this.consumers.get(mapPath);
+
+        if (cached && cached.mtimeMs === mtimeMs) {
+            // 최근 사용 항목을 맨 뒤로 이동
+            this.consumers.delete(mapPath);
+            this.consumers.set(mapPath, cached);
+            this.stats.hits++;
+            return cached.consumer;
+        }
+
+        if (cached) {
+            this.consumers.delete(mapPath);
+            cached.consumer.destroy();
+        }
+
+        this.stats.misses++;
+        const consumer = await load(mapPath);
+        this.consumers.set(mapPath, { consumer, mtimeMs });
+        this.evict();
+
+        return consumer;
+    }
+
+    /**
+     * 최대 개수를 넘는 가장 오래된 consumer 해제
+     */
+    evict() {
+        while (this.consumers.size > this.maxSize) {
+            const [oldestPath, oldest] = this.consumers.entries().next().value;
+            this.consumers.delete(oldestPath);
+            oldest.consumer.destroy();
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * 디렉토리의 소스맵 파일 인덱스
+     * @param {Function} getBaseName - 파일명에서 해시를 제거한 base name을 구하는 함수
+     * @returns {{ byName: Map<string, object>, byBaseName: Map<string, object[]>, scripts: Map<string, string> } | null}
+     *   byName/byBaseName: 소스맵 파일, scripts: 번들 파일명 → 경로
+     */
+    getDirectoryIndex(dir, getBaseName) {
+        let dirStat;
+        try {
+            dirStat = fs.statSync(dir);
+        } catch (error) {
+            this.indexes.delete(dir);
+            return null;
+        }
+
+        // 인덱스 생성 직후 같은 mtime 단위 안에서 파일이 추가될 수 있으므로,
+        // 생성 시점이 디렉토리 변경 직후였다면 다시 생성
+        const cached = this.indexes.get(dir);
+        if (cached && cached.mtimeMs === dirStat.mtimeMs && cached.builtAt - cached.mtimeMs > RACY_WINDOW_MS) {
+            return cached;
+        }
+
+        const byName = new Map();
+        const byBaseName = new Map();
+        const scripts = new Map();
+
+        for (const name of fs.readdirSync(dir)) {
+            if (/\.m?js$/.test(name)) {
+                scripts.set(name, path.join(dir, name));
+                continue;
+            }
+            if (!name.endsWith('.map')) continue;
+
+            const filePath = path.join(dir, name);
+            const entry = {
+                name,
+                path: filePath,
+                mtime: fs.statSync(filePath).mtime,
+            };
+            byName.set(name, entry);
+
+            if (name.endsWith('.js.map')) {
+                const baseName = getBaseName(name.replace('.js.map', '.js'));
+                if (!byBaseName.has(baseName)) {
+                    byBaseName.set(baseName, []);
+                }
+                byBaseName.get(baseName).push(entry);
+            }
+        }
+
+        // base name별로 최신 파일이 먼저 오도록 정렬
+        for (const entries of byBaseName.values()) {
+            entries.sort((a, b) => b.mtime - a.mtime);
+        }
+
+        const index = { mtimeMs: dirStat.mtimeMs, builtAt: Date.now(), byName, byBaseName, scripts };
+        this.indexes.set(dir, index);
+        return index;
+    }
+
+    /**
+     * 모든 consumer 해제 및 인덱스 초기화
+     */
+    clear() {
+        for (const { consumer } of this.consumers.values()) {
+            consumer.destroy();
+        }
+        this.consumers.clear();
+        this.indexes.clear();
+    }
+}
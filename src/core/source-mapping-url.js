@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * sourceMappingURL 주석 처리
+ * 번들 파일 끝의 "//# sourceMappingURL=..." 주석을 읽고, 참조된 소스맵(파일 또는 data: URL)을 찾습니다.
+ */
+
+// 주석은 보통 파일 끝에 있으므로 먼저 끝부분만 읽음
+const TAIL_BYTES = 64 * 1024;
+
+// "//# sourceMappingURL=x.js.map", "/*# sourceMappingURL=x.js.map */" (구형 "//@" 포함)
+const SOURCE_MAPPING_URL_PATTERN = /(?:\/\/|\/\*)[#@]\s*sourceMappingURL=([^\s'"*]+)\s*(?:\*\/)?\s*$/;
+
+/**
+ * 소스 코드에서 마지막 sourceMappingURL 값 추출
+ */
+export function extractSourceMappingURL(code) {
+    const lines = code.split('\n');
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+        const line = lines[i].trim();
+        if (!line) continue;
+
+        const match = line.match(SOURCE_MAPPING_URL_PATTERN);
+        if (match) {
+            return match[1];
+        }
+        // 주석 뒤에 코드가 더 있으면 유효한 sourceMappingURL이 아님
+        if (!line.startsWith('//') && !line.startsWith('/*') && !line.endsWith('*/')) {
+            return null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 번들 파일의 sourceMappingURL 읽기
+ * @returns {string|null}
+ */
+export function readSourceMappingURL(scriptPath) {
+    const { size } = fs.statSync(scriptPath);
+    const fd = fs.openSync(scriptPath, 'r');
+
+    try {
+        const length = Math.min(size, TAIL_BYTES);
+        const buffer = Buffer.alloc(length);
+        fs.readSync(fd, buffer, 0, length, size - length);
+        const tail = buffer.toString('utf8').trimEnd();
+        const url = extractSourceMappingURL(tail);
+
+        // 마지막 줄이 읽은 범위보다 길면(큰 인라인 소스맵) 잘려 있으므로 전체를 다시 읽음
+        if (!url && size > length && !tail.includes('\n')) {
+            return extractSourceMappingURL(fs.readFileSync(scriptPath, 'utf8'));
+        }
+
+        return url;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * data: URL 소스맵 디코딩 (base64 또는 URL 인코딩)
+ * @returns {string|null} 소스맵 JSON 문자열
+ */
+export function decodeDataURL(url) {
+    const match = url.match(/^data:([^,]*?)(;base64)?,(.*)$/s);
+    if (!match) {
+        return null;
+    }
+
+    const [, , base64, data] = match;
+    return base64
+        ? Buffer.from(data, 'base64').toString('utf8')
+        : decodeURIComponent(data);
+}
+
+/**
+ * URL 디코딩 (잘못된 % 인코딩이면 원래 문자열)
+ */
+function safeDecodeURIComponent(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+}
+
+/**
+ * sourceMappingURL이 가리키는 소스맵 파일 경로
+ * 상대 경로는 번들 파일 기준이며, 절대 URL(CDN 등)은 파일명만 사용해 fallbackDir에서 찾습니다.
+ * @returns {string|null}
+ */
+export function resolveSourceMappingPath(url, scriptPath, fallbackDir) {
+    const cleanUrl = safeDecodeURIComponent(url.split(/[?#]/)[0]);
+    const candidates = [];
+
+    if (/^[a-z]+:\/\//i.test(cleanUrl)) {
+        candidates.push(path.join(fallbackDir, path.posix.basename(cleanUrl)));
+    } else if (cleanUrl.startsWith('/')) {
+        candidates.push(path.join(fallbackDir, path.posix.basename(cleanUrl)));
+    } else {
+        candidates.push(path.resolve(path.dirname(scriptPath), cleanUrl));
+        candidates.push(path.join(fallbackDir, path.posix.basename(cleanUrl)));
+    }
+
+    return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * 소스맵 JSON 파싱 (XSSI 방지 접두사 ")]}'" 제거)
+ */
+export function parseSourceMapJSON(text) {
+    return JSON.parse(text.replace(/^\)\]\}'[^\n]*\n/, ''));
+}
+
+/**
+ * 인덱스(sections) 소스맵의 외부 참조(url)를 실제 소스맵으로 치환
+ * source-map 라이브러리는 section의 map만 지원하므로 url은 미리 읽어서 채웁니다.
+ */
+export function resolveSections(rawSourceMap, baseDir) {
+    if (!Array.isArray(rawSourceMap.sections)) {
+        return rawSourceMap;
+    }
+
+    return {
+        ...rawSourceMap,
+        sections: rawSourceMap.sections.map((section) => {
+            if (section.map || !section.url) {
+                return section.map
+                    ? { ...section, map: resolveSections(section.map, baseDir) }
+                    : section;
+            }
+
+            const sectionPath = path.resolve(baseDir, section.url);
+            const map = parseSourceMapJSON(fs.readFileSync(sectionPath, 'utf8'));
+            return { offset: section.offset, map: resolveSections(map, path.dirname(sectionPath)) };
+        }),
+    };
+}
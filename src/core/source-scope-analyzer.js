@@ -0,0 +1,559 @@
+import crypto from 'crypto';
+
+/**
+ * 원본 소스의 함수 범위 분석
+ * 소스맵의 names가 비어 있거나 읽은 속성 이름(예: status)만 있을 때,
+ * 원본 소스를 가볍게 토큰화해서 디코딩된 위치를 감싸는 함수/메서드/컴포넌트 이름과 범위를 찾습니다.
+ * 완전한 파서가 아니므로 찾지 못하면 null을 반환합니다. (JS/TS/JSX, Vue/Svelte의 <script> 블록 지원)
+ */
+
+/**
+ * 함수 종류
+ */
+export const SCOPE_KINDS = {
+    FUNCTION: 'function',
+    ARROW: 'arrow',
+    METHOD: 'method',
+    COMPONENT: 'component',
+};
+
+// "키워드 (...) {" 형태의 일반 블록 (메서드가 아님)
+const BLOCK_KEYWORDS = new Set([
+    'if', 'for', 'while', 'switch', 'catch', 'with', 'function', 'return', 'typeof',
+    'new', 'await', 'yield', 'do', 'else', 'try', 'finally', 'super', 'import',
+]);
+
+// 뒤에 / 가 오면 정규식으로 보는 키워드
+const REGEX_PRECEDING_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await',
+]);
+
+// 함수를 감싸도 이름은 대입 대상에서 가져오는 호출 (const Button = memo((props) => ...))
+const WRAPPER_CALLS = new Set(['memo', 'forwardRef', 'useCallback', 'useMemo', 'observer', 'computed']);
+
+// 화살표 함수의 식 본문이 줄바꿈 뒤 이 키워드를 만나면 끝난 것으로 봄 (세미콜론 생략 스타일)
+const STATEMENT_KEYWORDS = new Set(['const', 'let', 'var', 'function', 'class', 'export', 'import', 'return', 'if']);
+
+const IDENT_START = /[A-Za-z_$\u0080-\uffff]/;
+const IDENT_PART = /[\w$\u0080-\uffff]/;
+
+/**
+ * 소스 코드 토큰화 (주석 제거, 문자열/템플릿/정규식은 하나의 토큰)
+ * @returns {Array<{ type: string, value: string, start: number, line: number }>}
+ */
+export function tokenize(code) {
+    const tokens = [];
+    const braceStack = [];
+    const push = (type, value, start) => tokens.push({ type, value, start });
+
+    // 템플릿 리터럴 본문: 닫는 ` 또는 ${ 까지
+    const readTemplate = (from) => {
+        let j = from;
+        while (j < code.length) {
+            if (code[j] === '\\') {
+                j += 2;
+            } else if (code[j] === '`') {
+                return j + 1;
+            } else if (code[j] === '$' && code[j + 1] === '{') {
+                push('punct', '${', j);
+                braceStack.push('${');
+                return j + 2;
+            } else {
+                j++;
+            }
+        }
+        return j;
+    };
+
+    // 따옴표 문자열 (줄을 넘지 않으므로 JSX 텍스트의 '가 잘못 열려도 그 줄에서 끝남)
+    const readQuoted = (from, quote) => {
+        let j = from + 1;
+        while (j < code.length) {
+            if (code[j] === '\\') {
+                j += 2;
+            } else if (code[j] === quote) {
+                return j + 1;
+            } else if (code[j] === '\n') {
+                return j;
+            } else {
+                j++;
+            }
+        }
+        return j;
+    };
+
+    const readRegex = (from) => {
+        let j = from + 1;
+        let inClass = false;
+        while (j < code.length) {
+            const ch = code[j];
+            if (ch === '\\') {
+                j += 2;
+                continue;
+            }
+            if (ch === '\n') return j;
+            if (ch === '[') inClass = true;
+            if (ch === ']') inClass = false;
+            if (ch === '/' && !inClass) {
+                j++;
+                while (j < code.length && /[a-z]/i.test(code[j])) j++;
+                return j;
+            }
+            j++;
+        }
+        return j;
+    };
+
+    const regexAllowed = () => {
+        const prev = tokens[tokens.length - 1];
+        if (!prev) return true;
+        if (prev.type === 'ident') return REGEX_PRECEDING_KEYWORDS.has(prev.value);
+        if (prev.type !== 'punct') return false;
+        // JSX 닫는 태그(</div>)와 나눗셈
+        return ![')', ']', '}', '<'].includes(prev.value);
+    };
+
+    let i = 0;
+    while (i < code.length) {
+        const ch = code[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '/' && code[i + 1] === '/') {
+            const newline = code.indexOf('\n', i);
+            i = newline === -1 ? code.length : newline;
+        } else if (ch === '/' && code[i + 1] === '*') {
+            const end = code.indexOf('*/', i + 2);
+            i = end === -1 ? code.length : end + 2;
+        } else if (ch === '\'' || ch === '"') {
+            push('string', ch, i);
+            i = readQuoted(i, ch);
+        } else if (ch === '`') {
+            push('template', ch, i);
+            i = readTemplate(i + 1);
+        } else if (ch === '/' && regexAllowed()) {
+            push('regex', ch, i);
+            i = readRegex(i);
+        } else if (IDENT_START.test(ch)) {
+            let j = i + 1;
+            while (j < code.length && IDENT_PART.test(code[j])) j++;
+            push('ident', code.slice(i, j), i);
+            i = j;
+        } else if (/[0-9]/.test(ch)) {
+            let j = i + 1;
+            while (j < code.length && /[\w.]/.test(code[j])) j++;
+            push('number', code.slice(i, j), i);
+            i = j;
+        } else if (ch === '=' && code[i + 1] === '>') {
+            push('punct', '=>', i);
+            i += 2;
+        } else if (ch === '{') {
+            braceStack.push('{');
+            push('punct', '{', i);
+            i++;
+        } else if (ch === '}') {
+            push('punct', '}', i);
+            i++;
+            // ${ ... } 가 끝나면 템플릿 본문 계속
+            if (braceStack.pop() === '${') {
+                push('template', '`', i);
+                i = readTemplate(i);
+            }
+        } else {
+            push('punct', ch, i);
+            i++;
+        }
+    }
+
+    // 줄 번호 (1부터)
+    let line = 1;
+    let cursor = 0;
+    for (const token of tokens) {
+        while (cursor < token.start) {
+            if (code[cursor] === '\n') line++;
+            cursor++;
+        }
+        token.line = line;
+    }
+
+    return tokens;
+}
+
+const OPENERS = { ')': '(', ']': '[', '}': '{' };
+
+/**
+ * 닫는 괄호에 대응하는 여는 괄호 위치 (뒤에서 앞으로)
+ */
+function matchBackward(tokens, closeIndex) {
+    const close = tokens[closeIndex].value;
+    const open = OPENERS[close];
+    let depth = 0;
+    for (let q = closeIndex; q >= 0; q--) {
+        const value = tokens[q].value;
+        if (tokens[q].type !== 'punct') continue;
+        if (value === close) depth++;
+        if (value === open || (open === '{' && value === '${')) depth--;
+        if (depth === 0) return q;
+    }
+    return -1;
+}
+
+/**
+ * 타입스크립트 반환 타입 앞의 ")" 찾기: "(a): Promise<void> {" / "(a): T =>"
+ */
+function findParamsCloseBeforeType(tokens, from) {
+    for (let q = from; q >= 0 && q > from - 30; q--) {
+        const value = tokens[q].value;
+        if (tokens[q].type === 'punct' && [';', '{', '}', '=>'].includes(value)) return -1;
+        if (value === ')' && tokens[q + 1]?.value === ':') return q;
+    }
+    return -1;
+}
+
+/**
+ * 함수 표현식/화살표 함수가 대입된 이름
+ * @param {number} q - 함수 머리(async, function, 매개변수) 바로 앞 토큰 위치
+ */
+function getAssignedName(tokens, q) {
+    const token = tokens[q];
+    if (!token) return null;
+
+    if (token.value === '=') {
+        // const name = / const name: Type = / this.name = / obj.name =
+        for (let k = q - 1; k >= 0 && k > q - 8; k--) {
+            if (['const', 'let', 'var'].includes(tokens[k].value)) {
+                return tokens[k + 1]?.type === 'ident' ? tokens[k + 1].value : null;
+            }
+            if (tokens[k].type === 'punct' && [';', '{', '}', '(', ','].includes(tokens[k].value)) break;
+        }
+        return tokens[q - 1]?.type === 'ident' ? tokens[q - 1].value : null;
+    }
+
+    if (token.value === ':') {
+        // 객체 속성: { onClick: () => ... }, { load: function () {} }
+        const key = tokens[q - 1];
+        return key?.type === 'ident' ? key.value : null;
+    }
+
+    if (token.value === '(') {
+        // 래퍼 호출의 첫 번째 인자: memo((props) => ...), React.memo(function () {})
+        const callee = tokens[q - 1];
+        if (callee?.type === 'ident' && WRAPPER_CALLS.has(callee.value)) {
+            let k = q - 2;
+            while (tokens[k]?.value === '.' && tokens[k - 1]?.type === 'ident') k -= 2;
+            return getAssignedName(tokens, k);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * "(" 앞의 함수 머리 분석: function name(...), function (...), name(...) (메서드)
+ */
+function describeFunctionHead(tokens, openIndex) {
+    let q = openIndex - 1;
+    // 제네릭 <T>
+    if (tokens[q]?.value === '>') {
+        while (q >= 0 && tokens[q].value !== '<') q--;
+        q--;
+    }
+
+    const before = tokens[q];
+    if (!before) return null;
+
+    const isFunctionKeyword = k => tokens[k]?.value === 'function'
+        || (tokens[k]?.value === '*' && tokens[k - 1]?.value === 'function');
+    const headStart = k => {
+        let start = tokens[k]?.value === '*' ? k - 1 : k;
+        if (tokens[start - 1]?.value === 'async') start--;
+        return start;
+    };
+
+    if (isFunctionKeyword(q)) {
+        const start = headStart(q);
+        return { kind: SCOPE_KINDS.FUNCTION, name: getAssignedName(tokens, start - 1), start: tokens[start].start };
+    }
+
+    if (before.type !== 'ident') {
+        return null;
+    }
+
+    if (isFunctionKeyword(q - 1)) {
+        const start = headStart(q - 1);
+        return { kind: SCOPE_KINDS.FUNCTION, name: before.value, start: tokens[start].start };
+    }
+
+    if (BLOCK_KEYWORDS.has(before.value)) {
+        return null;
+    }
+
+    return { kind: SCOPE_KINDS.METHOD, name: before.value, start: before.start };
+}
+
+/**
+ * "=>" 앞의 화살표 함수 머리 분석
+ */
+function describeArrow(tokens, arrowIndex) {
+    const prev = tokens[arrowIndex - 1];
+    let head = -1;
+
+    if (prev?.value === ')') {
+        head = matchBackward(tokens, arrowIndex - 1);
+    } else if (prev?.type === 'ident') {
+        head = arrowIndex - 1;
+    } else {
+        const close = findParamsCloseBeforeType(tokens, arrowIndex - 1);
+        head = close === -1 ? -1 : matchBackward(tokens, close);
+    }
+
+    if (head < 0) {
+        return { kind: SCOPE_KINDS.ARROW, name: null, start: tokens[arrowIndex].start };
+    }
+
+    let q = head - 1;
+    if (tokens[q]?.value === 'async') q--;
+    return { kind: SCOPE_KINDS.ARROW, name: getAssignedName(tokens, q), start: tokens[q + 1].start };
+}
+
+/**
+ * "{" 가 여는 블록 분석
+ * @returns {{ kind: string, name: string|null, start: number } | { kind: 'class', name: string|null } | null}
+ */
+function describeBlock(tokens, braceIndex) {
+    const prevIndex = braceIndex - 1;
+    const prev = tokens[prevIndex];
+    if (!prev) return null;
+
+    if (prev.value === '=>') {
+        return describeArrow(tokens, prevIndex);
+    }
+
+    // class Name extends Base {
+    for (let q = prevIndex; q >= 0 && q > prevIndex - 20; q--) {
+        const value = tokens[q].value;
+        if (tokens[q].type === 'punct' && [';', '{', '}', '=>', '('].includes(value)) break;
+        if (tokens[q].type === 'ident' && value === 'class') {
+            const next = tokens[q + 1];
+            const name = next?.type === 'ident' && next.value !== 'extends'
+                ? next.value
+                : getAssignedName(tokens, q - 1);
+            return { kind: 'class', name };
+        }
+    }
+
+    let close = prev.value === ')' ? prevIndex : findParamsCloseBeforeType(tokens, prevIndex);
+    if (close < 0 || tokens[close].value !== ')') {
+        return null;
+    }
+
+    const open = matchBackward(tokens, close);
+    return open < 0 ? null : describeFunctionHead(tokens, open);
+}
+
+/**
+ * Vue/Svelte/HTML 파일은 <script> 블록만 남기고 나머지를 공백으로 (줄/컬럼 위치 유지)
+ */
+export function extractScript(code, fileName = '') {
+    if (!/\.(vue|svelte|html?)$/i.test(fileName.split(/[?#]/)[0])) {
+        return code;
+    }
+
+    const blank = text => text.replace(/[^\n]/g, ' ');
+    let result = '';
+    let cursor = 0;
+    const pattern = /(<script\b[^>]*>)([\s\S]*?)(<\/script>)/gi;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+        const bodyStart = match.index + match[1].length;
+        result += blank(code.slice(cursor, bodyStart)) + match[2];
+        cursor = bodyStart + match[2].length;
+    }
+    return result + blank(code.slice(cursor));
+}
+
+/**
+ * 소스 코드의 모든 함수 범위
+ * @returns {Array<{ kind: string, name: string|null, start: number, end: number, startLine: number, endLine: number }>}
+ */
+export function findFunctionScopes(code, fileName = '') {
+    const source = extractScript(code, fileName);
+    const tokens = tokenize(source);
+    const scopes = [];
+    const stack = [];
+    // 중괄호 없는 화살표 함수 본문 (같은 괄호 깊이의 , ; 닫는 괄호에서 끝남)
+    let concise = [];
+
+    const endConcise = (depth, token) => {
+        concise = concise.filter((entry) => {
+            if (entry.depth < depth) return true;
+            entry.scope.end = token.start;
+            entry.scope.endLine = token.line;
+            return false;
+        });
+    };
+
+    // 오프셋 → 줄 번호 (1부터)
+    const lineStarts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') lineStarts.push(i + 1);
+    }
+    const lineAt = (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+        }
+        return low + 1;
+    };
+
+    const addScope = (info) => {
+        const className = stack[stack.length - 1]?.className;
+        let { kind, name } = info;
+        if (kind === SCOPE_KINDS.METHOD && className) {
+            name = `${className}.${name}`;
+        } else if (name && /^[A-Z]/.test(name) && kind !== SCOPE_KINDS.METHOD) {
+            kind = SCOPE_KINDS.COMPONENT;
+        }
+
+        const scope = { kind, name, start: info.start, end: source.length, startLine: lineAt(info.start), endLine: null };
+        scopes.push(scope);
+        return scope;
+    };
+
+    for (let t = 0; t < tokens.length; t++) {
+        const token = tokens[t];
+
+        if (token.type === 'ident' && STATEMENT_KEYWORDS.has(token.value) && tokens[t - 1] && tokens[t - 1].line < token.line) {
+            endConcise(stack.length, tokens[t - 1]);
+        }
+        if (token.type !== 'punct') continue;
+
+        switch (token.value) {
+            case '{': {
+                const info = describeBlock(tokens, t);
+                if (info?.kind === 'class') {
+                    stack.push({ value: '{', className: info.name || '(익명 클래스)' });
+                } else {
+                    stack.push({ value: '{', scope: info ? addScope(info) : null });
+                }
+                break;
+            }
+            case '(':
+            case '[':
+            case '${':
+                stack.push({ value: token.value });
+                break;
+            case ')':
+            case ']':
+            case '}': {
+                endConcise(stack.length, token);
+                const entry = stack.pop();
+                if (entry?.scope) {
+                    entry.scope.end = token.start;
+                    entry.scope.endLine = token.line;
+                }
+                break;
+            }
+            case ',':
+            case ';':
+                endConcise(stack.length, token);
+                break;
+            case '=>':
+                if (tokens[t + 1]?.value !== '{') {
+                    concise.push({ depth: stack.length, scope: addScope(describeArrow(tokens, t)) });
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    for (const scope of scopes) {
+        scope.endLine = scope.endLine ?? lineStarts.length;
+    }
+
+    return scopes;
+}
+
+/**
+ * 함수 범위 캐시
+ * 큰 원본 소스는 토큰화 비용이 크므로 소스 경로 + 내용 해시별로 findFunctionScopes 결과를 LRU로 보관합니다.
+ */
+export class FunctionScopeCache {
+    constructor(maxSize = 50) {
+        this.maxSize = Math.max(1, maxSize);
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0 };
+    }
+
+    /**
+     * 소스의 함수 범위 (내용이 같으면 다시 분석하지 않음)
+     */
+    get(code, fileName = '') {
+        const hash = crypto.createHash('sha1').update(code).digest('hex');
+        const key = `${fileName}\0${hash}`;
+        const cached = this.entries.get(key);
+
+        if (cached) {
+            // 최근 사용 항목을 맨 뒤로 이동
+            this.entries.delete(key);
+            this.entries.set(key, cached);
+            this.stats.hits++;
+            return cached;
+        }
+
+        this.stats.misses++;
+        const scopes = findFunctionScopes(code, fileName);
+        this.entries.set(key, scopes);
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        return scopes;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
+/**
+ * 위치(줄 1부터, 컬럼 0부터)를 감싸는 가장 안쪽의 이름 있는 함수
+ * 이름 없는 콜백 안이면 그 콜백을 감싸는 함수를 반환하고 inCallback을 표시합니다.
+ * @param {FunctionScopeCache|null} options.scopeCache - 같은 소스를 반복해서 분석하지 않도록 공유할 캐시
+ * @returns {{ name: string, kind: string, startLine: number, endLine: number, inCallback: boolean } | null}
+ */
+export function findEnclosingFunction(code, { line, column = 0, fileName = '', scopeCache = null }) {
+    if (!code || !line) {
+        return null;
+    }
+
+    const lines = code.split('\n');
+    if (line > lines.length) {
+        return null;
+    }
+
+    let offset = Math.min(column, lines[line - 1].length);
+    for (let i = 0; i < line - 1; i++) {
+        offset += lines[i].length + 1;
+    }
+
+    const scopes = scopeCache ? scopeCache.get(code, fileName) : findFunctionScopes(code, fileName);
+    const containing = scopes
+        .filter(scope => scope.start <= offset && offset <= scope.end)
+        .sort((a, b) => b.start - a.start);
+
+    const named = containing.find(scope => scope.name);
+    if (!named) {
+        return null;
+    }
+
+    return {
+        name: named.name,
+        kind: named.kind,
+        startLine: named.startLine,
+        endLine: named.endLine,
+        inCallback: containing[0] !== named,
+    };
+}
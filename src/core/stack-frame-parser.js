@@ -0,0 +1,230 @@
+/**
+ * 스택 프레임 파서
+ * V8(Chrome/Edge), Node.js, Firefox(Gecko), Safari(WebKit) 형식의 프레임을 파싱합니다.
+ */
+
+/**
+ * 프레임을 생성한 엔진
+ */
+export const ENGINES = {
+    V8: 'v8',
+    NODE: 'node',
+    GECKO: 'gecko',
+    WEBKIT: 'webkit',
+};
+
+// 위치 부분: <url 또는 경로>:line:column (column 생략 가능)
+const LOCATION_PATTERN = /^(.*?):(\d+)(?::(\d+))?$/;
+
+// V8: "at fn (location)", "at location", "at async fn (location)", "at new Foo (location)"
+const V8_PATTERN = /^\s*at\s+(?:(.+?)\s+\((.+)\)|(.+))\s*$/;
+
+// Gecko/WebKit: "fn@location", "@location", "async*fn@location"
+const AT_SIGN_PATTERN = /^\s*(.*?)@(.+?)\s*$/;
+
+// WebKit 전용 함수명 표기
+const WEBKIT_MARKERS = /^(?:global code|module code|eval code|promiseReactionJob|promiseReactionJobWithoutPromise)$/;
+
+/**
+ * 위치 문자열 분해 (url, line, column)
+ */
+function parseLocation(location) {
+    const match = location.trim().match(LOCATION_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    return {
+        url: match[1],
+        line: parseInt(match[2]),
+        column: match[3] !== undefined ? parseInt(match[3]) : null,
+    };
+}
+
+/**
+ * URL/경로에서 파일명 추출 (쿼리 스트링, 해시 제거)
+ */
+function getFileName(url) {
+    return url.split(/[?#]/)[0].split(/[\\/]/).pop();
+}
+
+/**
+ * Node.js 경로 여부 (file:// URL, 절대 경로, node: 내장 모듈)
+ */
+function isNodeLocation(url) {
+    return /^(?:file:\/\/|node:|\/(?!\/)|[A-Za-z]:\\)/.test(url);
+}
+
+/**
+ * V8 형식 프레임 파싱
+ */
+function parseV8Frame(line) {
+    const match = line.match(V8_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    let functionName = match[1] || null;
+    let location = match[2] || match[3];
+    let isAsync = false;
+    let isEval = false;
+    let isConstructor = false;
+
+    if (functionName?.startsWith('async ')) {
+        isAsync = true;
+        functionName = functionName.slice('async '.length);
+    }
+    if (functionName?.startsWith('new ')) {
+        isConstructor = true;
+        functionName = functionName.slice('new '.length);
+    }
+
+    // eval 프레임: "eval at fn (url:line:col), <anonymous>:1:2" → 바깥쪽 호출 위치 사용
+    const evalMatch = location.match(/^eval at ([^\s(]+) \((.+?)\)(?:, .+)?$/);
+    if (evalMatch) {
+        isEval = true;
+        functionName = functionName || evalMatch[1];
+        location = evalMatch[2].replace(/^eval at [^\s(]+ \((.+)\)$/, '$1');
+    }
+
+    if (location === 'native' || location === '<anonymous>') {
+        return null;
+    }
+
+    const parsed = parseLocation(location);
+    if (!parsed) {
+        return null;
+    }
+
+    return {
+        function: functionName && !['<anonymous>', '?'].includes(functionName) ? functionName : null,
+        ...parsed,
+        engine: isNodeLocation(parsed.url) ? ENGINES.NODE : ENGINES.V8,
+        async: isAsync,
+        eval: isEval,
+        constructor: isConstructor,
+    };
+}
+
+/**
+ * Gecko/WebKit 형식 프레임 파싱
+ */
+function parseAtSignFrame(line) {
+    const match = line.match(AT_SIGN_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    let functionName = match[1];
+    let location = match[2];
+    let engine = null;
+    let isAsync = false;
+    let isEval = false;
+
+    // Firefox 비동기 구분자: "async*fn@..."
+    if (functionName.startsWith('async*')) {
+        isAsync = true;
+        engine = ENGINES.GECKO;
+        functionName = functionName.slice('async*'.length);
+    }
+
+    // Firefox eval: "fn@url line 2 > eval:1:3" → 바깥쪽 호출 위치 사용
+    const evalMatch = location.match(/^(.+?) line (\d+) > (?:eval|Function)/);
+    if (evalMatch) {
+        isEval = true;
+        engine = ENGINES.GECKO;
+        location = `${evalMatch[1]}:${evalMatch[2]}`;
+    }
+
+    if (location === '[native code]') {
+        return null;
+    }
+
+    const parsed = parseLocation(location);
+    if (!parsed) {
+        return null;
+    }
+
+    if (!engine) {
+        // "fn@url:line:col" 자체는 Firefox와 Safari가 동일하므로 WebKit 전용 표기가 없으면 Gecko로 분류
+        engine = WEBKIT_MARKERS.test(functionName) ? ENGINES.WEBKIT : ENGINES.GECKO;
+    }
+
+    return {
+        function: functionName && !WEBKIT_MARKERS.test(functionName) ? functionName : null,
+        ...parsed,
+        engine,
+        async: isAsync,
+        eval: isEval,
+        constructor: false,
+    };
+}
+
+/**
+ * 단일 스택 프레임 라인 파싱
+ * @returns {{ original: string, function: string|null, url: string, file: string, line: number, column: number|null, engine: string, async: boolean, eval: boolean, constructor: boolean } | null}
+ */
+export function parseStackFrame(line) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+        return null;
+    }
+
+    let frame = null;
+
+    if (/^at\s/.test(trimmed)) {
+        frame = parseV8Frame(trimmed);
+    } else if (trimmed.includes('@')) {
+        frame = parseAtSignFrame(trimmed);
+    } else {
+        // 위치만 있는 라인 (예: "https://.../file.js:1:448")
+        const url = trimmed.match(/((?:https?|file):\/\/\S+?:\d+:\d+)/);
+        const parsed = url && parseLocation(url[1]);
+        if (parsed) {
+            frame = {
+                function: null,
+                ...parsed,
+                engine: isNodeLocation(parsed.url) ? ENGINES.NODE : ENGINES.V8,
+                async: false,
+                eval: false,
+                constructor: false,
+            };
+        }
+    }
+
+    if (!frame) {
+        return null;
+    }
+
+    return {
+        original: trimmed,
+        ...frame,
+        file: getFileName(frame.url),
+    };
+}
+
+/**
+ * 스택 트레이스 전체 파싱 (프레임이 아닌 라인은 건너뜀)
+ * 한 줄로 이어 붙여 기록된 V8 스택("Error: x at a (...) at b (...)")도 프레임별로 분리합니다.
+ */
+export function parseStackTrace(stackTrace) {
+    const frames = [];
+
+    for (const line of stackTrace.split('\n')) {
+        for (const part of line.split(/(?<!\beval)\s+(?=at\s+\S.*:\d+)/)) {
+            const frame = parseStackFrame(part);
+            if (frame) {
+                frames.push(frame);
+            }
+        }
+    }
+
+    return frames;
+}
+
+/**
+ * 스택 프레임 라인 여부
+ */
+export function isStackFrameLine(line) {
+    return parseStackFrame(line) !== null;
+}
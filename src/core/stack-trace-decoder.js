@@ -5,35 +5,25 @@ import { SourceMapConsumer } from 'source-map';
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
+import { parseStackTrace as parseStackFrames } from './stack-frame-parser.js';
+import { parseSourceMapJSON, resolveSections } from './source-mapping-url.js';
 
 // Stack trace 파싱 함수
 function parseStackTrace(stackTrace) {
-    const lines = stackTrace.split('\n');
-    const parsed = [];
-
-    // 정규식: URL과 line:column 추출
-    const regex = /https?:\/\/[^\s]+\/([^:]+):(\d+):(\d+)/g;
-
-    for (const line of lines) {
-        const matches = [...line.matchAll(regex)];
-        for (const match of matches) {
-            parsed.push({
-                original: line.trim(),
-                file: match[1],
-                line: parseInt(match[2]),
-                column: parseInt(match[3]),
-            });
-        }
-    }
-
-    return parsed;
+    return parseStackFrames(stackTrace).map(frame => ({
+        original: frame.original,
+        file: frame.file,
+        line: frame.line,
+        column: frame.column ?? 0,
+        function: frame.function,
+    }));
 }
 
 // Source map 로드 함수
 async function loadSourceMap(sourceMapPath) {
     try {
-        const rawSourceMap = JSON.parse(fs.readFileSync(sourceMapPath, 'utf8'));
-        return await new SourceMapConsumer(rawSourceMap);
+        const rawSourceMap = parseSourceMapJSON(fs.readFileSync(sourceMapPath, 'utf8'));
+        return await new SourceMapConsumer(resolveSections(rawSourceMap, path.dirname(sourceMapPath)));
     } catch (error) {
         throw new Error(`Failed to load source map: ${error.message}`);
     }
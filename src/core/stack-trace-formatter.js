@@ -0,0 +1,158 @@
+import { parseStackFrame } from './stack-frame-parser.js';
+
+/**
+ * 디코딩된 스택 트레이스 출력 형식
+ * 입력 스택 트레이스를 줄 단위로 다시 써서 minified 위치를 원본 위치로 바꾸거나(text),
+ * 프레임 목록을 JSON/Markdown으로 만듭니다. 디코딩하지 못한 프레임은 그대로 둡니다.
+ */
+
+export const OUTPUT_FORMATS = {
+    // 프레임별 컬러 블록 (기존 출력)
+    PRETTY: 'pretty',
+    // 원본 위치로 바꾼 스택 트레이스
+    TEXT: 'text',
+    JSON: 'json',
+    MARKDOWN: 'markdown',
+};
+
+// 한 줄로 이어 붙인 V8 스택의 프레임 구분 (stack-frame-parser와 동일, 구분자 유지)
+const JOINED_FRAME_SEPARATOR = /((?<!\beval)\s+(?=at\s+\S.*:\d+))/;
+
+/**
+ * 프레임 텍스트의 minified 위치
+ */
+function getLocationText(frame) {
+    return `${frame.url}:${frame.line}${frame.column !== null ? `:${frame.column}` : ''}`;
+}
+
+/**
+ * 원본 위치 텍스트 (file:line:column)
+ * 컬럼은 minified 위치와 같이 1부터 시작합니다.
+ */
+export function formatOriginalLocation(original) {
+    return `${original.file}:${original.line}:${original.column}`;
+}
+
+/**
+ * 프레임 하나를 원본 위치/함수 이름으로 다시 쓰기
+ * V8("at fn (url:1:2)", "at url:1:2")과 Gecko/WebKit("fn@url:1:2") 표기를 유지합니다.
+ * @param {string} text - 프레임 텍스트 (앞뒤 공백 포함 가능)
+ * @param {Object} frame - parseStackFrame 결과
+ * @param {{ file: string, line: number, column: number, function: string|null }} original - 원본 위치
+ */
+export function rewriteFrame(text, frame, original) {
+    const location = getLocationText(frame);
+    const index = text.lastIndexOf(location);
+    // Firefox eval 프레임("url line 2 > eval")처럼 위치가 그대로 들어 있지 않으면 바꾸지 않음
+    if (index === -1) {
+        return text;
+    }
+
+    const before = text.slice(0, index);
+    const after = text.slice(index + location.length);
+    const replaced = formatOriginalLocation(original);
+
+    // eval 프레임은 "eval at fn (url)" 안쪽 위치만 교체
+    if (!original.function || frame.eval) {
+        return before + replaced + after;
+    }
+
+    // V8: "at fn (" / "at async new Foo (" → 함수 이름 교체, "at url" → "at fn (url)"
+    const v8Named = before.match(/^(\s*at\s+(?:async\s+)?(?:new\s+)?)(.+?)(\s+\()$/);
+    if (v8Named) {
+        return `${v8Named[1]}${original.function}${v8Named[3]}${replaced}${after}`;
+    }
+    const v8Anonymous = before.match(/^(\s*at\s+)$/);
+    if (v8Anonymous) {
+        return `${v8Anonymous[1]}${original.function} (${replaced})${after}`;
+    }
+
+    // Gecko/WebKit: "fn@", "async*fn@", "@"
+    const atSign = before.match(/^(\s*(?:async\*)?)([^@]*)@$/);
+    if (atSign) {
+        return `${atSign[1]}${original.function}@${replaced}${after}`;
+    }
+
+    return before + replaced + after;
+}
+
+/**
+ * 입력 스택 트레이스를 줄 단위로 다시 쓰기
+ * @param {string} stackTrace - 입력 스택 트레이스
+ * @param {Function} lookup - 프레임 → 원본 위치 (디코딩하지 못했으면 null)
+ */
+export function rewriteStackTrace(stackTrace, lookup) {
+    return stackTrace
+        .split('\n')
+        .map(line => line
+            .split(JOINED_FRAME_SEPARATOR)
+            .map((part) => {
+                const frame = parseStackFrame(part);
+                const original = frame ? lookup(frame) : null;
+                return original ? rewriteFrame(part, frame, original) : part;
+            })
+            .join(''))
+        .join('\n');
+}
+
+/**
+ * 프레임별 디코딩 결과에서 프레임 텍스트 → 원본 위치 조회 함수
+ * @param {Array<{ frame: Object, original: Object|null, error: string|null }>} results
+ */
+function createLookup(results) {
+    const byText = new Map(results.map(({ frame, original }) => [frame.original, original]));
+    return frame => byText.get(frame.original) || null;
+}
+
+/**
+ * 텍스트 출력 (원본 위치로 바꾼 스택 트레이스)
+ * @param {string} stackTrace - 입력 스택 트레이스
+ * @param {Array<{ frame: Object, original: Object|null, error: string|null }>} results - 프레임별 디코딩 결과
+ */
+export function formatText(stackTrace, results) {
+    return rewriteStackTrace(stackTrace, createLookup(results));
+}
+
+/**
+ * JSON 출력
+ */
+export function formatJSON(stackTrace, results) {
+    return JSON.stringify({
+        stackTrace: formatText(stackTrace, results),
+        frames: results.map(({ frame, original, error }, index) => ({
+            index,
+            minified: {
+                file: frame.file,
+                url: frame.url,
+                line: frame.line,
+                column: frame.column,
+                function: frame.function,
+            },
+            original,
+            ...(error && { error }),
+        })),
+    }, null, 2);
+}
+
+/**
+ * Markdown 출력 (이슈/티켓에 붙여넣기용)
+ * 다시 쓴 스택 트레이스 코드 블록과 프레임 표를 만듭니다.
+ */
+export function formatMarkdown(stackTrace, results) {
+    const escapeCell = text => String(text).replace(/\|/g, '\\|');
+    const rows = results.map(({ frame, original, error }, index) => {
+        const fn = original?.function || frame.function;
+        const location = original ? `\`${escapeCell(formatOriginalLocation(original))}\`` : `_${error || '디코딩 실패'}_`;
+        return `| ${index} | ${fn ? `\`${escapeCell(fn)}\`` : '(익명)'} | ${location} | \`${escapeCell(getLocationText({ ...frame, url: frame.file }))}\` |`;
+    });
+
+    return [
+        '```text',
+        formatText(stackTrace, results).trim(),
+        '```',
+        '',
+        '| # | 함수 | 원본 위치 | minified 위치 |',
+        '|---|------|-----------|---------------|',
+        ...rows,
+    ].join('\n');
+}
@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 작업 디렉토리 소스 파일 찾기
+ * 소스맵의 source 경로(webpack://, /@fs/, ../../src/..., sourceRoot가 붙은 URL)를
+ * claudeCode.workingDir 아래의 실제 파일로 변환합니다.
+ * 디코더, decode-trace CLI의 IDE 링크, 자동 수정/커밋 대상 경로가 모두 이 변환을 사용합니다.
+ */
+
+/**
+ * 디스크의 파일이 소스맵 빌드 시점과 달라진 이유
+ */
+export const DRIFT_REASONS = {
+    CONTENT_CHANGED: 'CONTENT_CHANGED',
+    IDENTIFIER_MISMATCH: 'IDENTIFIER_MISMATCH',
+    LINE_OUT_OF_RANGE: 'LINE_OUT_OF_RANGE',
+};
+
+/**
+ * source 경로 정리 (프로토콜, 번들러 접두사, 쿼리 제거)
+ * - webpack://my-app/./src/a.js → src/a.js
+ * - /@fs/Users/me/app/src/a.js → /Users/me/app/src/a.js
+ * - https://example.com/src/a.js (sourceRoot가 URL) → src/a.js
+ * - src/App.vue?vue&type=script → src/App.vue
+ */
+export function cleanSourcePath(source) {
+    let cleaned = String(source).split(/[?#]/)[0];
+
+    cleaned = cleaned
+        .replace(/^webpack:\/\/[^/]*\//, '')
+        .replace(/^file:\/\//, '')
+        .replace(/^\/@fs\//, '/')
+        .replace(/^[a-z]+:\/\/[^/]+\//i, '');
+
+    try {
+        cleaned = decodeURIComponent(cleaned);
+    } catch (error) {
+        // 잘못된 인코딩은 그대로 사용
+    }
+
+    return cleaned.replace(/\\/g, '/').replace(/^(?:\.\/)+/, '');
+}
+
+/**
+ * 작업 디렉토리 기준 상대 경로 후보 (앞쪽이 우선)
+ * 절대 경로나 ../로 시작하는 경로는 앞쪽 디렉토리를 하나씩 제거하며 시도합니다.
+ * - 파일명과 상위 디렉토리 이름은 항상 남김 (원래 경로가 파일명뿐일 때만 파일명 후보 허용, ../a.js는 후보 없음)
+ * - node_modules/ 세그먼트는 제거하지 않음 (node_modules/pkg/src/a.js가 애플리케이션의 src/a.js가 되지 않도록)
+ */
+export function getRelativeCandidates(cleanedPath) {
+    const normalized = path.posix.normalize(cleanedPath);
+    const segments = normalized.split('/').filter(segment => segment && segment !== '.' && segment !== '..');
+    const minSegments = normalized.includes('/') ? 2 : 1;
+    const nodeModulesIndex = segments.indexOf('node_modules');
+    const maxStrip = nodeModulesIndex >= 0 ? nodeModulesIndex : segments.length;
+    const candidates = [];
+
+    for (let i = 0; i <= maxStrip && segments.length - i >= minSegments; i++) {
+        candidates.push(segments.slice(i).join('/'));
+    }
+
+    return candidates;
+}
+
+/**
+ * 파일을 찾지 못했을 때의 작업 디렉토리 기준 추정 경로
+ * ../를 제거하고, 프로젝트 소스 디렉토리(src/ 등)로 시작하지 않으면 src/부터 사용합니다.
+ * 예: ../../src/pages/a.js → src/pages/a.js, /ci/builds/app/src/a.js → src/a.js
+ */
+export function guessRelativePath(cleanedPath) {
+    const stripped = cleanedPath.replace(/^\/+/, '').replace(/^(?:\.\.?\/)+/, '');
+    if (/^(src|lib|dist|public)\//.test(stripped)) {
+        return stripped;
+    }
+
+    const srcMatch = stripped.match(/(?:^|\/)(src\/.+)$/);
+    return srcMatch ? srcMatch[1] : stripped;
+}
+
+export class WorkspaceSourceResolver {
+    constructor(workingDir = process.cwd()) {
+        this.workingDir = path.resolve(workingDir);
+        this.files = new Map();
+    }
+
+    /**
+     * 작업 디렉토리 안의 경로인지 확인
+     */
+    isInside(filePath) {
+        const relative = path.relative(this.workingDir, filePath);
+        return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    /**
+     * source 경로를 작업 디렉토리의 파일로 변환
+     * @param {string} options.sourceMapPath - 상대 source 경로의 기준이 되는 소스맵(또는 번들) 파일
+     * @returns {{ absolutePath: string, relativePath: string } | null}
+     */
+    resolve(source, { sourceMapPath = null } = {}) {
+        if (!source) {
+            return null;
+        }
+
+        const cleaned = cleanSourcePath(source);
+        const absoluteCandidates = [];
+
+        // 소스맵 위치 기준 상대 경로가 작업 디렉토리 안을 가리키는 경우 (예: dist/assets/../../src/a.js)
+        if (sourceMapPath && !path.isAbsolute(cleaned)) {
+            absoluteCandidates.push(path.resolve(path.dirname(sourceMapPath), cleaned));
+        }
+        // 빌드한 머신과 경로가 같은 절대 경로 (/@fs/, file://)
+        if (path.isAbsolute(cleaned)) {
+            absoluteCandidates.push(cleaned);
+        }
+
+        for (const candidate of absoluteCandidates) {
+            if (this.isInside(candidate) && this.isFile(candidate)) {
+                return this.toResult(candidate);
+            }
+        }
+
+        for (const relative of getRelativeCandidates(cleaned)) {
+            const candidate = path.join(this.workingDir, relative);
+            if (this.isFile(candidate)) {
+                return this.toResult(candidate);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * source 경로를 작업 디렉토리 기준 경로로 정규화
+     * 파일이 없어도 추정 경로를 반환하며, exists로 실제 존재 여부를 알려줍니다.
+     * @returns {{ relativePath: string, absolutePath: string, exists: boolean } | null}
+     */
+    normalize(source, { sourceMapPath = null } = {}) {
+        if (!source) {
+            return null;
+        }
+
+        const found = this.resolve(source, { sourceMapPath });
+        if (found) {
+            return { ...found, exists: true };
+        }
+
+        const cleaned = cleanSourcePath(source);
+        const relativePath = path.isAbsolute(cleaned) && this.isInside(cleaned)
+            ? path.relative(this.workingDir, cleaned).replace(/\\/g, '/')
+            : guessRelativePath(cleaned);
+
+        return {
+            relativePath,
+            absolutePath: path.join(this.workingDir, relativePath),
+            exists: false,
+        };
+    }
+
+    isFile(filePath) {
+        try {
+            return fs.statSync(filePath).isFile();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    toResult(absolutePath) {
+        return {
+            absolutePath,
+            relativePath: path.relative(this.workingDir, absolutePath).replace(/\\/g, '/'),
+        };
+    }
+
+    /**
+     * 파일 내용 읽기 (mtime/크기 기준 캐시)
+     */
+    read(absolutePath) {
+        const { mtimeMs, size } = fs.statSync(absolutePath);
+        const cached = this.files.get(absolutePath);
+        if (cached && cached.mtimeMs === mtimeMs && cached.size === size) {
+            return cached.content;
+        }
+
+        const content = fs.readFileSync(absolutePath, 'utf8');
+        this.files.set(absolutePath, { mtimeMs, size, content });
+        return content;
+    }
+}
+
+/**
+ * 디스크의 파일이 소스맵을 만든 시점의 내용과 다른지 확인
+ * - sourcesContent가 있으면 내용 비교
+ * - 없으면 매핑된 줄이 존재하는지, 매핑된 식별자(name)가 그 위치에 있는지 확인
+ * @returns {{ reason: string, message: string } | null}
+ */
+export function detectDrift({ diskContent, mapContent = null, line, name = null }) {
+    const normalize = text => text.replace(/\r\n/g, '\n');
+
+    if (mapContent !== null && mapContent !== undefined) {
+        if (normalize(mapContent) !== normalize(diskContent)) {
+            return {
+                reason: DRIFT_REASONS.CONTENT_CHANGED,
+                message: '작업 디렉토리의 파일 내용이 소스맵의 sourcesContent와 다름',
+            };
+        }
+        return null;
+    }
+
+    const lines = normalize(diskContent).split('\n');
+    if (line > lines.length) {
+        return {
+            reason: DRIFT_REASONS.LINE_OUT_OF_RANGE,
+            message: `작업 디렉토리의 파일이 ${lines.length}줄뿐이라 ${line}번째 줄을 찾을 수 없음`,
+        };
+    }
+
+    if (name && !lines[line - 1].includes(name)) {
+        return {
+            reason: DRIFT_REASONS.IDENTIFIER_MISMATCH,
+            message: `${line}번째 줄에 소스맵의 식별자 "${name}"이(가) 없음`,
+        };
+    }
+
+    return null;
+}
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+
+/**
+ * 로그 수집 상태 DB
+ * 쿼리별 Loki 커서(마지막으로 읽은 타임스탬프)와 집계된 에러 그룹을 저장합니다.
+ */
+export class CollectorStateDB {
+    constructor(dbPath = './.auto-fix-data/collector-state.json') {
+        this.dbPath = path.resolve(dbPath);
+        this.states = this.load();
+    }
+
+    /**
+     * DB 로드
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.dbPath)) {
+                const data = fs.readFileSync(this.dbPath, 'utf8');
+                return JSON.parse(data);
+            }
+        } catch (error) {
+            console.warn('⚠️  수집 상태 로드 실패, 새로 시작합니다:', error.message);
+        }
+        return {};
+    }
+
+    /**
+     * DB 저장
+     */
+    save() {
+        try {
+            const dir = path.dirname(this.dbPath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.dbPath, JSON.stringify(this.states, null, 2), 'utf8');
+        } catch (error) {
+            console.error('❌ 수집 상태 저장 실패:', error.message);
+        }
+    }
+
+    /**
+     * 쿼리의 수집 상태 가져오기
+     * @returns {{ lastTimestamp: string, boundaryKeys: string[], groups: Array, updatedAt: string } | null}
+     */
+    get(queryKey) {
+        return this.states[queryKey] || null;
+    }
+
+    /**
+     * 쿼리의 수집 상태 갱신
+     */
+    update(queryKey, state) {
+        this.states[queryKey] = {
+            ...this.states[queryKey],
+            ...state,
+            updatedAt: new Date().toISOString(),
+        };
+        this.save();
+    }
+
+    /**
+     * 상태 초기화 (쿼리 지정 시 해당 쿼리만)
+     */
+    reset(queryKey = null) {
+        if (queryKey) {
+            delete this.states[queryKey];
+        } else {
+            this.states = {};
+        }
+        this.save();
+        console.log('🔄 수집 상태 리셋 완료');
+    }
+}
+
+// CLI 모드로 실행된 경우 (관리 도구)
+if (__filename === process.argv[1]) {
+    const { createConfig } = await import('../config/index.js');
+    const config = createConfig();
+    const db = new CollectorStateDB(config.paths.collectorState);
+
+    const command = process.argv[2];
+
+    switch (command) {
+        case 'show':
+            console.log('📍 수집 커서:');
+            for (const [queryKey, state] of Object.entries(db.states)) {
+                const lastTime = state.lastTimestamp
+                    ? new Date(Number(BigInt(state.lastTimestamp) / 1000000n)).toISOString()
+                    : '-';
+                console.log(`   ${queryKey}`);
+                console.log(`     마지막 타임스탬프: ${lastTime}`);
+                console.log(`     보관 중인 에러 그룹: ${(state.groups || []).length}개`);
+                console.log(`     갱신: ${state.updatedAt}`);
+            }
+            break;
+
+        case 'reset':
+            db.reset();
+            break;
+
+        default:
+            console.log('사용법:');
+            console.log('  node collector-state-db.js show   - 커서 상태 보기');
+            console.log('  node collector-state-db.js reset  - 커서 초기화 (다음 수집은 lookback 범위부터)');
+            break;
+    }
+}
@@ -59,7 +59,7 @@ export class ProcessedErrorsDB {
     markAsProcessed(errorHash, status, details = {}) {
         this.errors[errorHash] = {
             hash: errorHash,
-            status: status, // 'FIXED', 'FAILED', 'SKIPPED', 'NO_SOURCEMAP'
+            status: status, // 'FIXED', 'FAILED', 'SKIPPED', 'NO_SOURCEMAP', 'FILE_NOT_FOUND', 'LOW_CONFIDENCE', 'VERIFY_FAILED'
             timestamp: new Date().toISOString(),
             ...details,
         };
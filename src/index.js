@@ -1,5 +1,6 @@
 export * from './core/grafana-log-collector.js';
 export * from './core/decoder-wrapper.js';
+export * from './core/error-filter.js';
 export * from './core/claude-code-client.js';
 export * from './core/auto-fix-orchestrator.js';
 export * from './config/index.js';
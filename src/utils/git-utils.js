@@ -1,8 +1,15 @@
-import { exec } from 'child_process';
+import { exec, execFile } from 'child_process';
 import { promisify } from 'util';
+import fs from 'fs';
+import path from 'path';
 import chalk from 'chalk';
 
 const execAsync = promisify(exec);
+// 파일 경로를 셸 인용 없이 인자로 넘기기 위해 사용
+const execFileAsync = promisify(execFile);
+
+// 수정 전 내용을 기록할 변경 파일의 최대 크기 (더 크면 롤백하지 않고 skipped로 보고)
+const MAX_SNAPSHOT_FILE_SIZE = 10 * 1024 * 1024;
 
 /**
  * Git 작업 유틸리티
@@ -53,4 +60,197 @@ export class GitUtils {
             return false;
         }
     }
+
+    /**
+     * 작업 디렉토리의 변경 파일 목록 (git status 기준)
+     * @param {string} cwd - 작업 디렉토리 (저장소 하위 디렉토리면 그 아래 변경만 포함)
+     * @returns {Promise<{ root: string, files: Map<string, string> }>} 저장소 루트와 루트 기준 경로 → 상태 코드(XY)
+     */
+    async getChangedFiles(cwd) {
+        const { stdout: rootOutput } = await execFileAsync('git', ['rev-parse', '--show-toplevel'], { cwd });
+        const { stdout } = await execFileAsync('git', ['status', '--porcelain', '-z', '--untracked-files=all', '--', '.'], { cwd });
+
+        const files = new Map();
+        const entries = stdout.split('\0');
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            if (!entry) continue;
+
+            const status = entry.slice(0, 2);
+            files.set(entry.slice(3), status);
+            // 이름 변경/복사는 다음 항목이 원래 경로
+            if (status[0] === 'R' || status[0] === 'C') {
+                i++;
+            }
+        }
+
+        return { root: rootOutput.trim(), files };
+    }
+
+    /**
+     * 파일 내용을 git blob으로 저장하거나(write) 해시만 계산 (filter 없이 원본 바이트 기준)
+     * @returns {Promise<string[]>} files 순서의 blob 해시
+     */
+    async hashFiles(root, files, write = false) {
+        if (files.length === 0) {
+            return [];
+        }
+
+        const args = ['hash-object', '--no-filters', ...(write ? ['-w'] : []), '--', ...files];
+        const { stdout } = await execFileAsync('git', args, { cwd: root });
+        return stdout.trim().split('\n');
+    }
+
+    /**
+     * 인덱스(스테이징 영역) 항목
+     * @returns {Promise<Map<string, string>>} 루트 기준 경로 → "mode,hash" (스테이징되지 않은 파일은 없음)
+     */
+    async getIndexEntries(root, files) {
+        const entries = new Map();
+        if (files.length === 0) {
+            return entries;
+        }
+
+        const { stdout } = await execFileAsync('git', ['--literal-pathspecs', 'ls-files', '-s', '-z', '--', ...files], { cwd: root });
+        for (const entry of stdout.split('\0')) {
+            const match = entry.match(/^(\d+) ([0-9a-f]+) 0\t(.*)$/s);
+            if (match) {
+                entries.set(match[3], `${match[1]},${match[2]}`);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * 수정 전 작업 디렉토리 상태 기록 (rollbackChanges에서 비교용)
+     * 이미 변경되어 있던 파일은 내용을 git 객체로 저장하고 인덱스 항목도 기록해 두어,
+     * 수정이 같은 파일을 건드려도 수정 전 내용으로 되돌릴 수 있습니다.
+     * git 저장소가 아니면 null을 반환하며, 이 경우 롤백할 수 없습니다.
+     * @returns {Promise<{ root, files, contents: Map<string, { blob: string, mode: number }|null>, index: Map<string, string>, skipped: string[] }|null>}
+     *   contents의 null은 수정 전에 없던(삭제된) 파일, skipped는 너무 커서 기록하지 않은 파일
+     */
+    async snapshotChanges(cwd) {
+        try {
+            const { root, files } = await this.getChangedFiles(cwd);
+            const contents = new Map();
+            const skipped = [];
+            const existing = [];
+
+            for (const file of files.keys()) {
+                const stat = fs.statSync(path.join(root, file), { throwIfNoEntry: false });
+                if (!stat) {
+                    contents.set(file, null);
+                } else if (!stat.isFile() || stat.size > MAX_SNAPSHOT_FILE_SIZE) {
+                    skipped.push(file);
+                } else {
+                    existing.push({ file, mode: stat.mode });
+                }
+            }
+
+            const blobs = await this.hashFiles(root, existing.map(({ file }) => file), true);
+            existing.forEach(({ file, mode }, i) => contents.set(file, { blob: blobs[i], mode }));
+
+            const index = await this.getIndexEntries(root, [...contents.keys()]);
+            return { root, files, contents, index, skipped };
+        } catch (error) {
+            console.log(chalk.yellow(`   ⚠️  작업 디렉토리 상태를 기록할 수 없음 (수정 실패 시 롤백 불가): ${error.message.split('\n')[0]}`));
+            return null;
+        }
+    }
+
+    /**
+     * 스냅샷 이후 변경된 파일 되돌리기
+     * 수정 전부터 변경되어 있던 파일은 기록해 둔 내용과 인덱스 항목으로, 나머지는 HEAD로 되돌리고,
+     * 새로 생긴 파일은 삭제합니다.
+     * @param {Object|null} snapshot - snapshotChanges 결과
+     * @param {string} cwd - 작업 디렉토리
+     * @returns {Promise<{ restored: string[], removed: string[], skipped: string[] }>}
+     */
+    async rollbackChanges(snapshot, cwd) {
+        const result = { restored: [], removed: [], skipped: [] };
+        if (!snapshot) {
+            console.log(chalk.yellow('   ⚠️  수정 전 상태가 없어 롤백하지 않음'));
+            return result;
+        }
+
+        try {
+            const { root, files } = await this.getChangedFiles(cwd);
+            const paths = new Set([...files.keys(), ...snapshot.contents.keys(), ...snapshot.skipped]);
+
+            for (const file of paths) {
+                const status = files.get(file);
+                if (snapshot.skipped.includes(file)) {
+                    result.skipped.push(file);
+                } else if (snapshot.contents.has(file)) {
+                    if (await this.restoreSnapshotFile(root, file, snapshot.contents.get(file), snapshot.index.get(file))) {
+                        result.restored.push(file);
+                    }
+                } else if (status === '??' || status[0] === 'A') {
+                    // 새로 만든 파일 (스테이징된 경우 인덱스에서도 제거)
+                    if (status[0] === 'A') {
+                        await execFileAsync('git', ['rm', '--cached', '--quiet', '--', file], { cwd: root });
+                    }
+                    fs.rmSync(path.join(root, file), { force: true });
+                    result.removed.push(file);
+                } else {
+                    await execFileAsync('git', ['checkout', 'HEAD', '--', file], { cwd: root });
+                    result.restored.push(file);
+                }
+            }
+
+            console.log(chalk.yellow(`   ↩️  롤백 완료: 복원 ${result.restored.length}개, 삭제 ${result.removed.length}개`));
+            if (result.skipped.length > 0) {
+                console.log(chalk.yellow(`   ⚠️  수정 전 내용을 기록하지 못한 파일(디렉토리/${MAX_SNAPSHOT_FILE_SIZE / 1024 / 1024}MB 초과)은 되돌리지 않음: ${result.skipped.join(', ')}`));
+            }
+        } catch (error) {
+            console.error(chalk.red('   ❌ 롤백 실패:'), error.message);
+        }
+
+        return result;
+    }
+
+    /**
+     * 수정 전부터 변경되어 있던 파일을 기록한 내용과 인덱스 항목으로 복원
+     * @returns {Promise<boolean>} 되돌린 내용이 있으면 true
+     */
+    async restoreSnapshotFile(root, file, saved, savedIndex) {
+        const absolutePath = path.join(root, file);
+        const exists = fs.existsSync(absolutePath);
+        let changed = false;
+
+        if (saved === null) {
+            if (exists) {
+                fs.rmSync(absolutePath, { force: true });
+                changed = true;
+            }
+        } else {
+            const [current] = exists ? await this.hashFiles(root, [file]) : [null];
+            if (current !== saved.blob) {
+                const { stdout } = await execFileAsync('git', ['cat-file', 'blob', saved.blob], {
+                    cwd: root,
+                    encoding: 'buffer',
+                    maxBuffer: MAX_SNAPSHOT_FILE_SIZE * 2,
+                });
+                fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+                fs.writeFileSync(absolutePath, stdout);
+                changed = true;
+            }
+            if ((fs.statSync(absolutePath).mode & 0o777) !== (saved.mode & 0o777)) {
+                fs.chmodSync(absolutePath, saved.mode & 0o777);
+                changed = true;
+            }
+        }
+
+        const currentIndex = (await this.getIndexEntries(root, [file])).get(file);
+        if (currentIndex !== savedIndex) {
+            if (savedIndex) {
+                await execFileAsync('git', ['update-index', '--add', '--cacheinfo', `${savedIndex},${file}`], { cwd: root });
+            } else {
+                await execFileAsync('git', ['rm', '--cached', '--quiet', '--ignore-unmatch', '--', file], { cwd: root });
+            }
+            changed = true;
+        }
+
+        return changed;
+    }
 }
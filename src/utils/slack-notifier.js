@@ -5,10 +5,31 @@ import http from 'http';
 import { URL } from 'url';
 import dotenv from 'dotenv';
 import fs from 'fs';
+import { formatCost, formatRunSummary } from '../core/claude-output-parser.js';
 
 // 환경 변수 로드
 dotenv.config();
 
+/**
+ * Slack 요약의 처리된 에러 항목
+ * ProcessedErrorsDB 기록은 markAsProcessed의 details를 최상위 필드로 저장하므로
+ * (metadata 같은 하위 객체 없음) 메시지/위치/검증 실패 단계를 기록에서 바로 읽습니다.
+ * @param {Object} record - ProcessedErrorsDB 기록
+ * @param {Object} error - 수집된 에러 그룹
+ */
+export function summarizeProcessedError(record, error) {
+    return {
+        status: record.status,
+        message: record.demangledMessage || record.message || error.error.message,
+        file: record.file || '',
+        line: record.line || '',
+        occurrences: error.count,
+        pods: error.affected?.pods.length,
+        ...(record.verification && { verifyStep: record.verification.step }),
+        ...(record.claude && { claude: record.claude }),
+    };
+}
+
 /**
  * Slack 알림 클라이언트
  */
@@ -118,16 +139,31 @@ export class SlackNotifier {
             message += `• 스킵: ${skipped}개\n`;
         }
 
-        message += `• 총 에러: ${total}개\n`;
+        message += `• 총 에러: ${total}개`;
+        message += summary.occurrences ? ` (총 ${summary.occurrences}회 발생)\n` : `\n`;
+
+        const costs = (summary.errors || []).map(err => err.claude?.costUsd).filter(cost => cost !== null && cost !== undefined);
+        if (costs.length > 0) {
+            message += `• Claude Code 비용: ${formatCost(costs.reduce((total, cost) => total + cost, 0))}\n`;
+        }
 
         if (summary.errors && summary.errors.length > 0) {
             message += `\n*처리된 에러:*\n`;
             summary.errors.forEach((err, idx) => {
-                const statusIcon = err.status === 'FIXED' ? '✓' : err.status === 'FAILED' ? '✗' : '⊘';
+                const statusIcon = err.status === 'FIXED' ? '✓' : ['FAILED', 'VERIFY_FAILED'].includes(err.status) ? '✗' : '⊘';
                 message += `${idx + 1}. ${statusIcon} ${err.message.substring(0, 100)}\n`;
+                if (err.occurrences) {
+                    message += `   발생 ${err.occurrences}회${err.pods ? `, pod ${err.pods}개` : ''}\n`;
+                }
                 if (err.file && err.line) {
                     message += `   \`${err.file}:${err.line}\`\n`;
                 }
+                if (err.verifyStep) {
+                    message += `   검증 실패: ${err.verifyStep}\n`;
+                }
+                if (err.claude) {
+                    message += `   Claude Code: ${formatRunSummary(err.claude)}\n`;
+                }
             });
         }
 
@@ -146,12 +182,15 @@ export class SlackNotifier {
             failed: 1,
             skipped: 0,
             total: 5,
+            occurrences: 418,
             errors: [
                 {
                     status: 'FIXED',
                     message: 'Cannot read properties of undefined (reading "data")',
                     file: 'src/components/Dashboard.vue',
                     line: 142,
+                    occurrences: 400,
+                    pods: 3,
                 },
                 {
                     status: 'FIXED',
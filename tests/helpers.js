@@ -0,0 +1,32 @@
+import chalk from 'chalk';
+
+/**
+ * 테스트 공통 헬퍼
+ * 항목별 결과를 ✓/✗로 출력하고, 실패가 있으면 종료 코드 1로 끝냅니다.
+ */
+
+let failures = 0;
+
+/**
+ * 검사 결과 출력 (실패하면 개수만 기록하고 계속 진행)
+ */
+export function check(name, condition) {
+    if (condition) {
+        console.log(chalk.green(`   ✓ ${name}`));
+    } else {
+        console.log(chalk.red(`   ✗ ${name}`));
+        failures++;
+    }
+}
+
+/**
+ * 테스트 종료 (실패가 있으면 exit 1, 없으면 완료 메시지)
+ */
+export function finish(message) {
+    if (failures > 0) {
+        console.log(chalk.red(`\n❌ ${failures}개 실패`));
+        process.exit(1);
+    }
+
+    console.log(chalk.green(`\n✅ ${message}`));
+}
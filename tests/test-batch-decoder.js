@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SourceMapGenerator } from 'source-map';
+import { StackTraceDecoder } from '../src/core/decoder-wrapper.js';
+import { parseErrorExport, decodeBatch, BATCH_STATUS, INVALID_ENTRY_REASONS } from '../src/core/batch-decoder.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 일괄 디코딩 테스트
+ * NDJSON/JSON 배열의 수집기 형식·문자열 항목을 하나의 디코더로 디코딩하고 실패 이유별로 집계하는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 일괄 디코딩 테스트\n'));
+
+const appFrame = '    at e (https://example.com/assets/app-Q8JOaMCl.js:1:448)';
+const collected = {
+    hash: 'a1b2c3d4e5f6',
+    labels: { version: '2.3.0' },
+    count: 12,
+    error: { type: 'TypeError', message: 'Cannot read properties of undefined (reading \'status\')', stackTrace: appFrame },
+};
+
+console.log(chalk.yellow('📋 파일 파싱:'));
+const ndjson = [
+    JSON.stringify(collected),
+    '',
+    JSON.stringify(`TypeError: t is not a function\n${appFrame}`),
+    '{ "hash": "broken"',
+    JSON.stringify({ message: 'Network request failed' }),
+    JSON.stringify({ message: 'plain', stack: '    at r (https://example.com/assets/vendor-Zz81kd.js:1:10)' }),
+].join('\n');
+let items = parseErrorExport(ndjson);
+check('빈 줄을 제외한 모든 줄', items.length === 5);
+check('줄 번호 유지', items.map(item => item.line).join() === '1,3,4,5,6');
+check('수집기 형식', items[0].entry?.hash === 'a1b2c3d4e5f6' && items[0].entry.stackTrace === appFrame);
+check('문자열은 첫 줄이 메시지', items[1].entry?.message === 'TypeError: t is not a function' && items[1].entry.hash === null);
+check('잘못된 JSON 줄', items[2].entry === null && items[2].reason === INVALID_ENTRY_REASONS.INVALID_JSON);
+check('스택 트레이스 없는 항목', items[3].reason === INVALID_ENTRY_REASONS.NO_STACK_TRACE);
+check('평문 형식의 stack 필드', items[4].entry?.message === 'plain');
+
+items = parseErrorExport(JSON.stringify([collected, `Error: boom\n${appFrame}`]));
+check('JSON 배열', items.length === 2 && items[1].entry?.message === 'Error: boom');
+check('빈 파일', parseErrorExport('  \n').length === 0);
+
+console.log(chalk.yellow('\n📋 일괄 디코딩:'));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+const generator = new SourceMapGenerator({ file: 'app-Q8JOaMCl.js' });
+generator.setSourceContent('src/stores/authStore.js', 'export function login(user) {\n    return user.profile.status;\n}\n');
+generator.addMapping({ generated: { line: 1, column: 448 }, original: { line: 2, column: 24 }, source: 'src/stores/authStore.js', name: 'status' });
+fs.writeFileSync(path.join(tmpDir, 'app-Q8JOaMCl.js.map'), generator.toString());
+
+const decoder = new StackTraceDecoder({
+    decoder: { sourceMapDir: path.relative(process.cwd(), tmpDir), contextLines: 0, archiveDir: path.join(tmpDir, 'archive') },
+    filters: { ignorePatterns: [] },
+});
+
+const progress = [];
+const report = await decodeBatch(parseErrorExport(ndjson), decoder, {
+    releaseLabels: ['version'],
+    onProgress: (done, total) => progress.push(`${done}/${total}`),
+});
+decoder.close();
+
+const [first, second, invalid, noStack, vendor] = report.results;
+check('디코딩 결과', first.status === BATCH_STATUS.DECODED && first.original.relativePath === 'src/stores/authStore.js' && first.original.line === 2);
+check('해시/릴리스 유지', first.hash === 'a1b2c3d4e5f6' && first.release === '2.3.0' && first.releaseArchived === false);
+check('신뢰도와 호출 스택 포함', first.confidence?.score > 0 && first.frames[0].original === 'src/stores/authStore.js:2:24');
+check('문자열 항목 디코딩', second.status === BATCH_STATUS.DECODED && second.release === null);
+check('잘못된 줄은 실패 이유와 함께 기록', invalid.status === BATCH_STATUS.FAILED && invalid.reason === 'INVALID_JSON' && invalid.line === 4);
+check('스택 트레이스 없는 항목', noStack.reason === 'NO_STACK_TRACE');
+check('소스맵 없는 청크', vendor.status === BATCH_STATUS.FAILED && vendor.reason === 'SOURCE_MAP_NOT_FOUND');
+check('요약', report.summary.total === 5 && report.summary.decoded === 2 && report.summary.failed === 3
+    && report.summary.reasons.SOURCE_MAP_NOT_FOUND === 1 && report.summary.reasons.INVALID_JSON === 1);
+check('소스맵은 한 번만 로드 (공유 캐시)', decoder.cache.stats.misses === 1);
+check('진행 콜백', progress.length === 5 && progress[4] === '5/5');
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('일괄 디코딩 테스트 완료!');
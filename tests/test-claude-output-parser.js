@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    parseClaudeOutput,
+    formatCost,
+    summarizeClaudeRuns,
+    formatRunSummary,
+} from '../src/core/claude-output-parser.js';
+import { ClaudeCodeClient } from '../src/core/claude-code-client.js';
+import { SlackNotifier } from '../src/utils/slack-notifier.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * Claude Code CLI 출력 파싱 테스트
+ * json/stream-json 결과 객체에서 최종 응답, 세션 ID, 턴 수, 비용, 토큰 사용량을 읽는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 Claude Code 출력 파싱 테스트\n'));
+
+const resultEvent = {
+    type: 'result',
+    subtype: 'success',
+    is_error: false,
+    duration_ms: 45210,
+    duration_api_ms: 40100,
+    num_turns: 6,
+    result: 'useAccessibilityStore.js에서 res가 undefined인 경우를 처리했습니다.',
+    session_id: '5b0d7e43-6a4f-4c1a-9f0e-2d6c8d1f0a11',
+    total_cost_usd: 0.123456,
+    usage: {
+        input_tokens: 120,
+        cache_creation_input_tokens: 8000,
+        cache_read_input_tokens: 4200,
+        output_tokens: 1350,
+    },
+};
+
+console.log(chalk.yellow('📋 출력 형식별 파싱:'));
+let run = parseClaudeOutput(JSON.stringify(resultEvent));
+check('json 형식', run?.text.startsWith('useAccessibilityStore.js') && run.sessionId === resultEvent.session_id && !run.isError);
+check('턴 수/소요 시간/비용', run?.numTurns === 6 && run.durationMs === 45210 && run.durationApiMs === 40100 && run.costUsd === 0.123456);
+check('토큰 사용량', run?.usage.inputTokens === 120 && run.usage.cacheCreationInputTokens === 8000 && run.usage.cacheReadInputTokens === 4200 && run.usage.outputTokens === 1350);
+
+const stream = [
+    { type: 'system', subtype: 'init', session_id: resultEvent.session_id, tools: ['Read', 'Edit'] },
+    { type: 'assistant', message: { content: [{ type: 'text', text: '파일을 확인합니다.' }] } },
+    { type: 'user', message: { content: [{ type: 'tool_result', content: 'ok' }] } },
+    resultEvent,
+].map(event => JSON.stringify(event)).join('\n');
+run = parseClaudeOutput(`${stream}\n`);
+check('stream-json 형식 (마지막 result 이벤트)', run?.sessionId === resultEvent.session_id && run.numTurns === 6);
+
+run = parseClaudeOutput(JSON.stringify([{ type: 'system', subtype: 'init' }, { ...resultEvent, total_cost_usd: undefined, cost_usd: 0.05 }]));
+check('메시지 배열과 cost_usd (이전 CLI 버전)', run?.costUsd === 0.05 && run.text === resultEvent.result);
+
+run = parseClaudeOutput(JSON.stringify({ type: 'result', subtype: 'error_max_turns', is_error: true, num_turns: 30, session_id: 'abc' }));
+check('에러 결과', run?.isError && run.subtype === 'error_max_turns' && run.text === '' && run.usage === null);
+
+check('text 형식이면 null', parseClaudeOutput('수정했습니다.\nCost: $0.10') === null);
+check('빈 출력이면 null', parseClaudeOutput('') === null && parseClaudeOutput(null) === null);
+check('결과 이벤트가 없는 JSON이면 null', parseClaudeOutput('{"type":"assistant"}') === null);
+
+console.log(chalk.yellow('\n📋 요약/표시:'));
+check('비용 표시', formatCost(0.123456) === '$0.1235' && formatCost(null) === null);
+
+const first = parseClaudeOutput(JSON.stringify(resultEvent));
+const correction = parseClaudeOutput(JSON.stringify({
+    ...resultEvent,
+    num_turns: 2,
+    duration_ms: 10000,
+    total_cost_usd: 0.02,
+    result: '테스트 기대값에 맞게 수정했습니다.',
+    usage: { input_tokens: 10, output_tokens: 150 },
+}));
+const summary = summarizeClaudeRuns([first, null, correction]);
+check('실행 합계', summary.runs === 2 && summary.numTurns === 8 && summary.durationMs === 55210 && Math.abs(summary.costUsd - 0.143456) < 1e-9);
+check('토큰 합계', summary.usage.inputTokens === 130 && summary.usage.outputTokens === 1500 && summary.usage.cacheReadInputTokens === 4200);
+check('마지막 실행의 응답과 세션', summary.result === '테스트 기대값에 맞게 수정했습니다.' && summary.sessionId === resultEvent.session_id);
+check('파싱된 실행이 없으면 null', summarizeClaudeRuns([null]) === null);
+check('요약 한 줄', formatRunSummary(summary) === '8턴, 55.2초, $0.1435, 토큰 입력 12.3k / 출력 1.5k, 실행 2회');
+
+console.log(chalk.yellow('\n📋 클라이언트 연동:'));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-output-test-'));
+// 인자를 기록하고 json 결과를 출력하는 가짜 Claude Code CLI
+const fakeCli = path.join(tmpDir, 'fake-claude.sh');
+fs.writeFileSync(path.join(tmpDir, 'result.json'), JSON.stringify({ ...resultEvent, session_id: 'cli-session' }));
+fs.writeFileSync(fakeCli, `#!/bin/sh\necho "$@" > "${tmpDir}/args.log"\ncat > /dev/null\ncat "${tmpDir}/result.json"\n`, { mode: 0o755 });
+
+const client = new ClaudeCodeClient({ claudeCode: { cliPath: fakeCli, workingDir: tmpDir, maxRetries: 1 } });
+const fixResult = await client.fixError(
+    { hash: 'output-test', error: { type: 'TypeError', message: 'x is undefined', stackTrace: 'TypeError: x is undefined' } },
+    { original: { file: 'src/a.js', relativePath: 'src/a.js', line: 1, column: 1 }, sourceCode: null },
+);
+check('--output-format json 전달', fs.readFileSync(path.join(tmpDir, 'args.log'), 'utf8').includes('--output-format json'));
+check('CLI가 알려준 세션 ID 사용', fixResult.sessionId === 'cli-session');
+check('최종 응답과 비용', fixResult.result.output === resultEvent.result && fixResult.cost === '$0.1235' && fixResult.result.run.numTurns === 6);
+
+const streamClient = new ClaudeCodeClient({ claudeCode: { cliPath: fakeCli, workingDir: tmpDir, maxRetries: 1, outputFormat: 'stream-json' } });
+await streamClient.runClaudeCode('test');
+check('stream-json은 --verbose 함께 전달', fs.readFileSync(path.join(tmpDir, 'args.log'), 'utf8').includes('--output-format stream-json --verbose'));
+
+fs.writeFileSync(path.join(tmpDir, 'result.json'), JSON.stringify({ type: 'result', subtype: 'error_max_turns', is_error: true, result: '' }));
+let thrown = null;
+try {
+    await client.runClaudeCode('test');
+} catch (error) {
+    thrown = error;
+}
+check('에러 결과는 실패로 처리', thrown?.message.includes('error_max_turns'));
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+console.log(chalk.yellow('\n📋 Slack 알림:'));
+const message = new SlackNotifier({ slack: {}, features: {} }).formatMessage({
+    mode: 'once',
+    fixed: 1,
+    failed: 0,
+    skipped: 0,
+    total: 1,
+    errors: [{ status: 'FIXED', message: 'x is undefined', file: 'src/a.js', line: 1, claude: summary }],
+});
+check('에러별 Claude Code 실행 요약', message.includes('Claude Code: 8턴, 55.2초, $0.1435'));
+check('전체 비용', message.includes('• Claude Code 비용: $0.1435'));
+
+finish('Claude Code 출력 파싱 테스트 완료!');
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SourceMapGenerator } from 'source-map';
+import { StackTraceDecoder } from '../src/core/decoder-wrapper.js';
+import {
+    assessDecodedLocation,
+    getExpectedAccesses,
+    lineMatchesAccess,
+    CONFIDENCE_SIGNALS,
+} from '../src/core/decode-confidence.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 디코딩 위치 신뢰도 테스트
+ * 빈 줄/주석/메시지와 맞지 않는 줄로 디코딩되면 점수를 낮추고, 다른 bias로 다시 찾는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 디코딩 위치 신뢰도 테스트\n'));
+
+console.log(chalk.yellow('📋 메시지에서 기대하는 접근:'));
+const accesses = message => getExpectedAccesses(message).map(({ name, kind }) => `${kind}:${name}`).join();
+check('속성 읽기', accesses('Cannot read properties of undefined (reading \'status\')') === 'property:status');
+check('메서드 호출은 마지막 이름', accesses('TypeError: e.map is not a function') === 'call:map');
+check('생성자', accesses('TypeError: Chart is not a constructor') === 'construct:Chart');
+check('Safari 식 평가', accesses('undefined is not an object (evaluating \'store.user.status\')') === 'property:status');
+check('undefined는 이름이 아님', accesses('TypeError: undefined is not a function') === '');
+check('식별자가 없는 메시지', accesses('Network request failed') === '');
+
+check('속성 접근 일치', lineMatchesAccess('    return store.user?.status;', { name: 'status', kind: 'property' }));
+check('다른 이름에 포함된 경우는 불일치', !lineMatchesAccess('    return statusCode;', { name: 'status', kind: 'property' }));
+check('함수 호출 일치', lineMatchesAccess('    onSubmit?.(payload);', { name: 'onSubmit', kind: 'call' }));
+check('호출하지 않고 참조만 하면 불일치', !lineMatchesAccess('    const fn = onSubmit;', { name: 'onSubmit', kind: 'call' }));
+check('줄 끝 주석의 이름은 무시', !lineMatchesAccess('    load(); // status 확인', { name: 'status', kind: 'property' }));
+
+console.log(chalk.yellow('\n📋 점수 계산:'));
+const source = [
+    'export function loadStatus(store) {',
+    '    // 사용자 상태를 읽음',
+    '    return store.user.status;',
+    '',
+    '}',
+].join('\n');
+const message = 'Cannot read properties of undefined (reading \'status\')';
+
+let confidence = assessDecodedLocation({ content: source, line: 3, message });
+check('메시지의 속성을 읽는 줄은 높은 점수', confidence.score === 1 && confidence.signals.includes(CONFIDENCE_SIGNALS.IDENTIFIER_MATCH));
+
+confidence = assessDecodedLocation({ content: source, line: 4, message });
+check('빈 줄', confidence.score < 0.3 && confidence.signals.includes(CONFIDENCE_SIGNALS.BLANK_LINE));
+
+confidence = assessDecodedLocation({ content: source, line: 2, message });
+check('주석 줄', confidence.score < 0.3 && confidence.signals.includes(CONFIDENCE_SIGNALS.COMMENT_LINE));
+
+confidence = assessDecodedLocation({ content: source, line: 1, message: 'TypeError: t is not a function' });
+check('메시지의 이름이 없는 줄', confidence.signals.includes(CONFIDENCE_SIGNALS.IDENTIFIER_MISSING) && confidence.score === 0.5);
+
+confidence = assessDecodedLocation({ content: 'const user = store.user;\nreturn user.status;', line: 1, message });
+check('앞뒤 줄에 있으면 일부 인정', confidence.signals.includes(CONFIDENCE_SIGNALS.IDENTIFIER_NEARBY));
+
+confidence = assessDecodedLocation({ content: null, line: 3, message, biasFallback: true, fuzzySourceMap: true });
+check('소스 없음/bias 대체/유사 소스맵 감점', confidence.score === 0.25 && confidence.signals.length === 3);
+
+console.log(chalk.yellow('\n📋 디코더:'));
+// 오래된 소스맵: 1:0은 주석 줄을, 1:5는 실제 속성 읽기 위치를 가리킴
+const generator = new SourceMapGenerator({ file: 'status-Zx81Lm2k.js' });
+generator.setSourceContent('src/status.js', source);
+generator.addMapping({ generated: { line: 1, column: 0 }, original: { line: 2, column: 4 }, source: 'src/status.js' });
+generator.addMapping({ generated: { line: 1, column: 5 }, original: { line: 3, column: 22 }, source: 'src/status.js', name: 'status' });
+// 2번째 줄은 컬럼 4부터 매핑이 있어 컬럼 0은 기본 검색으로 찾을 수 없음
+generator.addMapping({ generated: { line: 2, column: 4 }, original: { line: 3, column: 22 }, source: 'src/status.js', name: 'status' });
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'confidence-test-'));
+fs.writeFileSync(path.join(tmpDir, 'status-Zx81Lm2k.js.map'), generator.toString());
+
+const decoder = new StackTraceDecoder({
+    decoder: { sourceMapDir: path.relative(process.cwd(), tmpDir), contextLines: 0 },
+    filters: { ignorePatterns: [] },
+});
+
+let result = await decoder.decodeStackTrace('    at https://example.com/assets/status-Zx81Lm2k.js:1:3', { message });
+check('주석 줄 대신 다음 매핑 위치 사용', result.original?.line === 3 && result.original.bias === 'LEAST_UPPER_BOUND');
+check('bias 대체 감점 포함', result.confidence?.score === 0.9 && result.confidence.signals.includes(CONFIDENCE_SIGNALS.BIAS_FALLBACK));
+check('호출 스택 프레임에도 신뢰도', result.frames?.[0]?.confidence?.score === 0.9);
+
+result = await decoder.decodeStackTrace('    at https://example.com/assets/status-Zx81Lm2k.js:1:6', { message });
+check('기본 검색이 맞으면 그대로 사용', result.original?.line === 3 && result.original.bias === 'GREATEST_LOWER_BOUND' && result.confidence.score === 1);
+
+result = await decoder.decodeStackTrace('    at https://example.com/assets/status-Zx81Lm2k.js:2:0', { message });
+check('기본 검색 실패 시 LEAST_UPPER_BOUND', result.original?.line === 3 && result.original.bias === 'LEAST_UPPER_BOUND');
+
+result = await decoder.decodeStackTrace('    at https://example.com/assets/status-Zx81Lm2k.js:1:3');
+check('메시지 없이도 주석 줄은 다시 찾음', result.original?.line === 3 && result.confidence.score === 0.6);
+
+decoder.close();
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('디코딩 위치 신뢰도 테스트 완료!');
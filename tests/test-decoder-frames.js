@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SourceMapGenerator } from 'source-map';
+import { StackTraceDecoder, SKIP_REASONS } from '../src/core/decoder-wrapper.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 전체 호출 스택 디코딩 테스트
+ * 임시 디렉토리에 소스맵을 생성해 프레임별 원본 위치, in-app 여부, blame 프레임 선택을 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 호출 스택 디코딩 테스트\n'));
+
+const appSource = [
+    'export function loadPage(store) {',
+    '    return checkAccessibility(store);',
+    '}',
+    '',
+    'export function checkAccessibility(store) {',
+    '    return store.response.status;',
+    '}',
+].join('\n');
+
+const vendorSource = [
+    'export function runTask(task) {',
+    '    return task();',
+    '}',
+].join('\n');
+
+// 번들 1번째 줄의 컬럼 → 원본 위치
+const generator = new SourceMapGenerator({ file: 'app-Q8JOaMCl.js' });
+generator.setSourceContent('src/pages/loadPage.js', appSource);
+generator.setSourceContent('node_modules/scheduler/index.js', vendorSource);
+generator.addMapping({ generated: { line: 1, column: 448 }, original: { line: 6, column: 11 }, source: 'src/pages/loadPage.js', name: 'checkAccessibility' });
+generator.addMapping({ generated: { line: 1, column: 120 }, original: { line: 2, column: 11 }, source: 'src/pages/loadPage.js', name: 'loadPage' });
+generator.addMapping({ generated: { line: 1, column: 30 }, original: { line: 2, column: 11 }, source: 'node_modules/scheduler/index.js' });
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'decoder-test-'));
+fs.writeFileSync(path.join(tmpDir, 'app-Q8JOaMCl.js.map'), generator.toString());
+
+const decoder = new StackTraceDecoder({
+    decoder: { sourceMapDir: path.relative(process.cwd(), tmpDir), contextLines: 3, frameContextLines: 1 },
+    filters: { ignorePatterns: [] },
+});
+
+const result = await decoder.decodeStackTrace(`TypeError: Cannot read properties of undefined (reading 'status')
+    at n (https://example.com/static/js/app-Q8JOaMCl.js:1:448)
+    at r (https://example.com/static/js/app-Q8JOaMCl.js:1:120)
+    at https://example.com/static/js/app-Q8JOaMCl.js:1:30
+    at https://example.com/static/js/missing-Ab12Cd34.js:1:10`);
+
+console.log(chalk.yellow('📋 최상위 프레임:'));
+check('기존 결과 형식 유지', result.original?.file === 'src/pages/loadPage.js' && result.original.line === 6);
+check('원본 함수명', result.original?.function === 'checkAccessibility');
+check('작업 디렉토리 기준 경로', result.original?.relativePath === 'src/pages/loadPage.js'
+    && result.original.absolutePath === path.join(process.cwd(), 'src', 'pages', 'loadPage.js'));
+check('작업 디렉토리에 없는 파일 표시', result.original?.exists === false);
+check('최상위 프레임 컨텍스트 줄 수', result.sourceCode?.length === 5);
+
+console.log(chalk.yellow('\n📋 호출 스택:'));
+const frames = result.frames || [];
+check('모든 프레임 포함', frames.length === 4);
+check('호출자 프레임 디코딩', frames[1]?.original?.function === 'loadPage' && frames[1].original.line === 2);
+check('호출자 프레임은 짧은 스니펫', frames[1]?.sourceCode?.length === 3);
+check('애플리케이션 코드 표시', frames[0]?.inApp && frames[1]?.inApp);
+check('node_modules는 서드파티', frames[2]?.original?.file === 'node_modules/scheduler/index.js' && !frames[2].inApp);
+check('소스맵이 없는 프레임은 에러와 함께 유지', frames[3]?.error === 'SOURCE_MAP_NOT_FOUND' && frames[3].minified.file === 'missing-Ab12Cd34.js');
+
+check('최상위 프레임이 애플리케이션 코드면 그대로 blame', result.blame?.index === 0 && result.blame.reason === 'TOP_FRAME');
+
+console.log(chalk.yellow('\n📋 blame 프레임 선택:'));
+const vendorTop = await decoder.decodeStackTrace(`TypeError: task is not a function
+    at https://example.com/static/js/missing-Ab12Cd34.js:1:10
+    at https://example.com/static/js/app-Q8JOaMCl.js:1:30
+    at r (https://example.com/static/js/app-Q8JOaMCl.js:1:120)`);
+check('서드파티/디코딩 실패 프레임 건너뜀', vendorTop.blame?.index === 2 && vendorTop.blame.reason === 'FIRST_IN_APP_FRAME');
+check('건너뛴 이유 기록', vendorTop.blame?.skipped.map(skip => skip.reason).join(',') === `${SKIP_REASONS.DECODE_FAILED},${SKIP_REASONS.THIRD_PARTY}`);
+check('결과 위치는 blame 프레임', vendorTop.original?.file === 'src/pages/loadPage.js' && vendorTop.original.function === 'loadPage');
+check('blame 프레임은 전체 컨텍스트 포함', vendorTop.sourceCode?.length === 5);
+
+const vendorOnly = await decoder.decodeStackTrace('    at https://example.com/static/js/app-Q8JOaMCl.js:1:30');
+check('애플리케이션 코드 프레임이 없으면 NO_IN_APP_FRAME', vendorOnly.error === 'NO_IN_APP_FRAME' && vendorOnly.frames.length === 1);
+
+const notFound = await decoder.decodeStackTrace('    at https://example.com/static/js/missing-Ab12Cd34.js:1:10');
+check('모든 프레임 디코딩 실패 시 기존 오류 유지', notFound.error === 'SOURCE_MAP_NOT_FOUND' && notFound.searchPath);
+
+console.log(chalk.yellow('\n📋 ignorePatterns / inAppPatterns:'));
+decoder.inAppPatterns = ['lib/'];
+const notInApp = await decoder.decodeStackTrace('    at n (https://example.com/static/js/app-Q8JOaMCl.js:1:448)');
+check('DECODER_IN_APP_PATTERNS와 일치하지 않으면 제외', notInApp.blame?.skipped[0]?.reason === SKIP_REASONS.NOT_IN_APP);
+decoder.inAppPatterns = [];
+
+decoder.config.filters.ignorePatterns = ['src/pages/*'];
+const ignored = await decoder.decodeStackTrace('    at n (https://example.com/static/js/app-Q8JOaMCl.js:1:448)');
+check('IGNORE_PATTERNS에 해당하면 서드파티', ignored.frames?.[0]?.inApp === false);
+check('IGNORE_PATTERNS 제외 이유 기록', ignored.blame?.skipped[0]?.reason === SKIP_REASONS.IGNORED_PATH);
+
+// 기본 패턴(test/)은 latest/, contest/ 같은 디렉토리 이름 중간과 일치하지 않아야 함
+const segmentGenerator = new SourceMapGenerator({ file: 'feed-Cc55Dd66.js' });
+segmentGenerator.setSourceContent('src/pages/latest/Feed.vue', 'export default { render() { return this.items[0].title; } };');
+segmentGenerator.setSourceContent('src/contest/Entry.js', 'export function openEntry(feed) {\n    return feed.render();\n}');
+segmentGenerator.setSourceContent('src/test/mockFeed.js', 'export const mockFeed = () => null;');
+segmentGenerator.addMapping({ generated: { line: 1, column: 10 }, original: { line: 1, column: 1 }, source: 'src/test/mockFeed.js' });
+segmentGenerator.addMapping({ generated: { line: 1, column: 40 }, original: { line: 1, column: 36 }, source: 'src/pages/latest/Feed.vue', name: 'render' });
+segmentGenerator.addMapping({ generated: { line: 1, column: 80 }, original: { line: 2, column: 11 }, source: 'src/contest/Entry.js', name: 'openEntry' });
+fs.writeFileSync(path.join(tmpDir, 'feed-Cc55Dd66.js.map'), segmentGenerator.toString());
+
+decoder.config.filters.ignorePatterns = ['node_modules/', 'vendor/', 'test/', '**/*.test.js', '**/*.spec.js'];
+const segment = await decoder.decodeStackTrace(`TypeError: Cannot read properties of undefined (reading 'title')
+    at https://example.com/static/js/feed-Cc55Dd66.js:1:10
+    at render (https://example.com/static/js/feed-Cc55Dd66.js:1:40)
+    at openEntry (https://example.com/static/js/feed-Cc55Dd66.js:1:80)`);
+check('test/ 디렉토리 프레임은 IGNORED_PATH', segment.blame?.skipped.length === 1 && segment.blame.skipped[0].reason === SKIP_REASONS.IGNORED_PATH);
+check('latest/, contest/ 프레임은 애플리케이션 코드', segment.frames?.[1]?.inApp && segment.frames[2]?.inApp);
+check('blame은 src/pages/latest/Feed.vue', segment.blame?.index === 1 && segment.original?.file === 'src/pages/latest/Feed.vue');
+
+console.log(chalk.yellow('\n📋 소스맵 캐시:'));
+decoder.config.filters.ignorePatterns = [];
+decoder.close();
+decoder.cache.stats = { hits: 0, misses: 0, evictions: 0 };
+await decoder.decodeStackTrace('    at n (https://example.com/static/js/app-Q8JOaMCl.js:1:448)');
+await decoder.decodeStackTrace('    at n (https://example.com/static/js/app-Q8JOaMCl.js:1:448)');
+check('같은 소스맵은 한 번만 파싱', decoder.cache.stats.misses === 1 && decoder.cache.stats.hits >= 1);
+
+// mtime이 바뀌면 다시 로드
+const mapPath = path.join(tmpDir, 'app-Q8JOaMCl.js.map');
+const future = new Date(Date.now() + 60000);
+fs.utimesSync(mapPath, future, future);
+await decoder.decodeStackTrace('    at n (https://example.com/static/js/app-Q8JOaMCl.js:1:448)');
+check('소스맵 파일이 변경되면 다시 로드', decoder.cache.stats.misses === 2);
+
+// 새 파일이 추가되면 디렉토리 인덱스 갱신
+fs.copyFileSync(mapPath, path.join(tmpDir, 'other-Zz99Yy88.js.map'));
+decoder.cache.maxSize = 1;
+const other = await decoder.decodeStackTrace('    at n (https://example.com/static/js/other-Zz99Yy88.js:1:448)');
+check('추가된 소스맵 파일 인덱싱', other.original?.function === 'checkAccessibility');
+
+check('최대 개수 초과 시 오래된 소스맵 해제', decoder.cache.consumers.size === 1 && decoder.cache.stats.evictions === 1);
+
+decoder.close();
+check('close()로 모든 소스맵 해제', decoder.cache.consumers.size === 0);
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('호출 스택 디코딩 테스트 완료!');
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SourceMapGenerator } from 'source-map';
+import { StackTraceDecoder } from '../src/core/decoder-wrapper.js';
+import { findEnclosingFunction, findFunctionScopes, FunctionScopeCache, SCOPE_KINDS } from '../src/core/source-scope-analyzer.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 감싸는 함수 이름 복원 테스트
+ * 소스맵 names가 비어 있거나 속성 이름만 있을 때 원본 소스에서 함수/메서드/컴포넌트 이름을 찾는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 감싸는 함수 이름 복원 테스트\n'));
+
+// 위치 찾기 헬퍼: 해당 텍스트가 있는 줄/컬럼
+function locate(code, text) {
+    const lines = code.split('\n');
+    const index = lines.findIndex(line => line.includes(text));
+    return { line: index + 1, column: lines[index].indexOf(text) };
+}
+
+const jsxSource = [
+    'import { memo, useCallback } from \'react\';',
+    '',
+    'export function loadPage(store) {',
+    '    return checkAccessibility(store);',
+    '}',
+    '',
+    'export const Button = memo(({ label, onPress }) => {',
+    '    const handleClick = useCallback(() => {',
+    '        onPress(label.trim());',
+    '    }, [label]);',
+    '    return <button onClick={handleClick}>Don\'t {label}</button>;',
+    '});',
+    '',
+    'const double = x => x * 2',
+    'const total = items => items.reduce((sum, item) => sum + item.price, 0)',
+].join('\n');
+
+const tsSource = [
+    'export class AccessibilityStore extends BaseStore {',
+    '    private pattern = /\\/api\\/{2}/g;',
+    '',
+    '    async checkAccessibility(id: string): Promise<boolean> {',
+    '        const res = await this.fetch(`/api/${id}/${ { v: 1 }.v }`);',
+    '        return res.items.map(item => item.status === "OK");',
+    '    }',
+    '',
+    '    get label(): string { return this.name }',
+    '}',
+    '',
+    'export default {',
+    '    load: async (id) => request(id),',
+    '    save(data) { return data.value }',
+    '};',
+].join('\n');
+
+console.log(chalk.yellow('📋 JS/JSX:'));
+let found = findEnclosingFunction(jsxSource, locate(jsxSource, 'checkAccessibility(store)'));
+check('함수 선언', found?.name === 'loadPage' && found.kind === SCOPE_KINDS.FUNCTION);
+check('함수 범위', found?.startLine === 3 && found.endLine === 5);
+
+found = findEnclosingFunction(jsxSource, locate(jsxSource, 'label.trim()'));
+check('useCallback으로 감싼 화살표 함수는 대입된 이름', found?.name === 'handleClick' && found.kind === SCOPE_KINDS.ARROW);
+
+found = findEnclosingFunction(jsxSource, locate(jsxSource, '<button'));
+check('memo로 감싼 컴포넌트', found?.name === 'Button' && found.kind === SCOPE_KINDS.COMPONENT);
+check('JSX 텍스트의 따옴표 이후에도 범위 유지', found?.endLine === 12);
+
+found = findEnclosingFunction(jsxSource, locate(jsxSource, 'x * 2'));
+check('중괄호 없는 화살표 함수', found?.name === 'double' && found.startLine === 14 && found.endLine === 14);
+
+found = findEnclosingFunction(jsxSource, locate(jsxSource, 'sum + item.price'));
+check('이름 없는 콜백은 감싸는 함수 이름과 콜백 표시', found?.name === 'total' && found.inCallback === true);
+
+check('함수 밖은 null', findEnclosingFunction(jsxSource, { line: 1, column: 0 }) === null);
+
+console.log(chalk.yellow('\n📋 TypeScript/클래스:'));
+found = findEnclosingFunction(tsSource, locate(tsSource, 'item.status'));
+check('클래스 메서드는 클래스 이름 포함', found?.name === 'AccessibilityStore.checkAccessibility' && found.kind === SCOPE_KINDS.METHOD);
+check('반환 타입/템플릿 리터럴/정규식이 있어도 범위 유지', found?.startLine === 4 && found.endLine === 7);
+
+found = findEnclosingFunction(tsSource, locate(tsSource, 'this.name'));
+check('getter', found?.name === 'AccessibilityStore.label');
+
+found = findEnclosingFunction(tsSource, locate(tsSource, 'request(id)'));
+check('객체 속성 화살표 함수', found?.name === 'load');
+
+found = findEnclosingFunction(tsSource, locate(tsSource, 'data.value'));
+check('객체 메서드', found?.name === 'save' && found.kind === SCOPE_KINDS.METHOD);
+
+console.log(chalk.yellow('\n📋 Vue SFC:'));
+const vueSource = [
+    '<template>',
+    '  <p>It\'s {{ count }}</p>',
+    '</template>',
+    '<script setup>',
+    'const increment = () => {',
+    '    count.value++;',
+    '};',
+    '</script>',
+].join('\n');
+found = findEnclosingFunction(vueSource, { ...locate(vueSource, 'count.value'), fileName: 'src/Counter.vue?vue&type=script' });
+check('<script> 블록만 분석', found?.name === 'increment' && found.startLine === 5);
+check('템플릿은 함수로 인식하지 않음', findFunctionScopes(vueSource, 'src/Counter.vue').length === 1);
+
+console.log(chalk.yellow('\n📋 디코더:'));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'enclosing-test-'));
+const generator = new SourceMapGenerator({ file: 'store-Q8JOaMCl.js' });
+generator.setSourceContent('src/store/AccessibilityStore.ts', tsSource);
+// 속성 읽기 위치에는 함수 이름 대신 속성 이름이 기록됨
+const statusPosition = locate(tsSource, 'status ===');
+generator.addMapping({ generated: { line: 1, column: 448 }, original: { line: statusPosition.line, column: statusPosition.column }, source: 'src/store/AccessibilityStore.ts', name: 'status' });
+const labelPosition = locate(tsSource, 'this.name');
+generator.addMapping({ generated: { line: 1, column: 120 }, original: { line: labelPosition.line, column: labelPosition.column }, source: 'src/store/AccessibilityStore.ts' });
+fs.writeFileSync(path.join(tmpDir, 'store-Q8JOaMCl.js.map'), generator.toString());
+
+const decoder = new StackTraceDecoder({
+    decoder: { sourceMapDir: path.relative(process.cwd(), tmpDir), contextLines: 0, frameContextLines: 0 },
+    filters: { ignorePatterns: [] },
+});
+
+const result = await decoder.decodeStackTrace(`TypeError: Cannot read properties of undefined (reading 'status')
+    at https://example.com/assets/store-Q8JOaMCl.js:1:448
+    at e.get (https://example.com/assets/store-Q8JOaMCl.js:1:120)`);
+check('속성 이름 대신 감싸는 메서드 이름', result.original?.function === 'AccessibilityStore.checkAccessibility');
+check('소스맵 이름은 mappedName으로 유지', result.original?.mappedName === 'status');
+check('감싸는 함수 정보', result.original?.enclosing?.startLine === 4 && result.original.enclosing.inCallback === true);
+check('names가 없는 프레임도 이름 복원', result.frames?.[1]?.original?.function === 'AccessibilityStore.label'
+    && result.frames[1].original.mappedName === null);
+
+console.log(chalk.yellow('\n📋 함수 전체 스니펫 (DECODER_SNIPPET_SCOPE=function):'));
+decoder.contextLines = 1;
+decoder.snippetScope = 'function';
+const widened = await decoder.decodeStackTrace('    at https://example.com/assets/store-Q8JOaMCl.js:1:448');
+const lineNums = widened.sourceCode?.map(line => line.lineNum) || [];
+check('감싸는 함수 전체 포함', lineNums[0] === 4 && lineNums[lineNums.length - 1] === 7);
+check('대상 줄 표시 유지', widened.sourceCode?.find(line => line.isTarget)?.lineNum === statusPosition.line);
+
+decoder.snippetMaxLines = 2;
+const capped = await decoder.decodeStackTrace('    at https://example.com/assets/store-Q8JOaMCl.js:1:448');
+check('최대 줄 수보다 긴 함수는 contextLines 범위', capped.sourceCode?.length === 3);
+
+console.log(chalk.yellow('\n📋 함수 범위 캐시:'));
+const scopeCache = new FunctionScopeCache(2);
+const first = findEnclosingFunction(tsSource, { ...locate(tsSource, 'item.status'), scopeCache });
+const second = findEnclosingFunction(tsSource, { ...locate(tsSource, 'this.name'), scopeCache });
+check('같은 소스는 한 번만 분석', scopeCache.stats.misses === 1 && scopeCache.stats.hits === 1
+    && JSON.stringify(first) === JSON.stringify(findEnclosingFunction(tsSource, locate(tsSource, 'item.status')))
+    && JSON.stringify(second) === JSON.stringify(findEnclosingFunction(tsSource, locate(tsSource, 'this.name'))));
+findEnclosingFunction(`${tsSource}\n// changed`, { ...locate(tsSource, 'item.status'), scopeCache });
+check('내용이 바뀌면 다시 분석', scopeCache.stats.misses === 2);
+findEnclosingFunction(jsxSource, { line: 1, column: 0, scopeCache });
+check('최대 개수 초과 시 오래된 항목 제거', scopeCache.entries.size === 2);
+
+decoder.scopeCache.clear();
+decoder.scopeCache.stats = { hits: 0, misses: 0 };
+await decoder.decodeStackTrace(`TypeError: x
+    at https://example.com/assets/store-Q8JOaMCl.js:1:448
+    at e.get (https://example.com/assets/store-Q8JOaMCl.js:1:120)`);
+check('디코더는 프레임 사이에서 함수 범위 재사용', decoder.scopeCache.stats.misses === 1 && decoder.scopeCache.stats.hits >= 1);
+
+decoder.config.filters.ignorePatterns = ['src/store/'];
+decoder.scopeCache.stats = { hits: 0, misses: 0 };
+const vendor = await decoder.decodeStackTrace('    at e.get (https://example.com/assets/store-Q8JOaMCl.js:1:120)');
+check('애플리케이션 코드가 아닌 프레임은 분석하지 않음', vendor.frames?.[0]?.original?.enclosing === null
+    && decoder.scopeCache.stats.misses === 0 && decoder.scopeCache.stats.hits === 0);
+decoder.config.filters.ignorePatterns = [];
+
+decoder.close();
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('감싸는 함수 이름 복원 테스트 완료!');
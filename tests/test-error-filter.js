@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import { ErrorFilter, FILTER_REASONS, matchesPattern } from '../src/core/error-filter.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 에러 필터 규칙 테스트
+ */
+
+console.log(chalk.cyan('🧪 에러 필터 테스트\n'));
+
+const now = Date.parse('2025-12-19T10:00:00Z');
+
+function makeError(hash, { type = 'TypeError', message = 'Cannot read properties of undefined', frame = 'https://example.com/static/js/app-Q8JOaMCl.js:1:448', minutesAgo = 1 } = {}) {
+    return {
+        hash,
+        timestamp: new Date(now - minutesAgo * 60000).toISOString(),
+        labels: {},
+        error: {
+            type,
+            message,
+            stackTrace: `${type}: ${message}\n    at fn (${frame})`,
+        },
+    };
+}
+
+const config = {
+    filters: {
+        errorTypes: ['TypeError', 'ReferenceError'],
+        ignorePatterns: ['node_modules/', 'test/', '**/*.test.js'],
+        minOccurrences: 2,
+        timeWindow: '1h',
+    },
+};
+
+const filter = new ErrorFilter(config);
+const errors = [
+    makeError('aaa'),
+    makeError('aaa'),
+    makeError('bbb'),
+    makeError('ccc', { type: 'SyntaxError' }),
+    makeError('ddd', { frame: 'https://example.com/node_modules/vue/dist/vue.js:10:5' }),
+    makeError('eee', { minutesAgo: 120 }),
+    makeError('ggg', { frame: '/srv/app/src/contest/Entry.js:10:5' }),
+    makeError('ggg', { frame: '/srv/app/src/contest/Entry.js:10:5' }),
+    makeError('fff', { type: 'Error', message: 'ReferenceError: foo is not defined' }),
+    makeError('fff', { type: 'Error', message: 'ReferenceError: foo is not defined' }),
+];
+
+const { passed, dropped } = filter.apply(errors, now);
+const reasonOf = hash => dropped.find(item => item.error.hash === hash)?.reason;
+
+console.log(chalk.yellow('📋 규칙 적용 결과:'));
+check('minOccurrences 충족 에러 통과', passed.filter(e => e.hash === 'aaa').length === 2);
+check('1회 발생 에러 제외', reasonOf('bbb') === FILTER_REASONS.BELOW_MIN_OCCURRENCES);
+check('허용되지 않은 타입 제외', reasonOf('ccc') === FILTER_REASONS.ERROR_TYPE);
+check('node_modules 프레임 제외', reasonOf('ddd') === FILTER_REASONS.IGNORED_PATH);
+check('test/ 패턴이 contest/ 프레임을 제외하지 않음', passed.filter(e => e.hash === 'ggg').length === 2);
+check('시간 범위 밖 에러 제외', reasonOf('eee') === FILTER_REASONS.OUTSIDE_TIME_WINDOW);
+check('메시지 접두어로 타입 추론', passed.filter(e => e.hash === 'fff').length === 2);
+
+console.log(chalk.yellow('\n📋 패턴 매칭:'));
+check('경로 세그먼트 패턴', matchesPattern('webpack://app/node_modules/react/index.js', 'node_modules/')
+    && matchesPattern('src/test/helpers.js', 'test/') && matchesPattern('test/setup.js', 'test/'));
+check('세그먼트 중간에서는 불일치 (latest/, contest/)', !matchesPattern('src/pages/latest/Feed.vue', 'test/')
+    && !matchesPattern('src/contest/Entry.js', 'test/'));
+check('점은 문자 그대로 비교', !matchesPattern('src/vendorXjs/a.js', 'vendor.js') && matchesPattern('static/vendor.js', 'vendor.js'));
+check('glob 패턴', matchesPattern('src/utils/date.test.js', '**/*.test.js'));
+check('glob 불일치', !matchesPattern('src/utils/date.js', '**/*.test.js'));
+
+console.log(chalk.yellow('\n📋 리포트:'));
+filter.printReport({ passed, dropped });
+
+finish('에러 필터 테스트 완료!');
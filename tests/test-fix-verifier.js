@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseVerifySteps, runVerification } from '../src/core/fix-verifier.js';
+import { ClaudeCodeClient } from '../src/core/claude-code-client.js';
+import { GitUtils } from '../src/utils/git-utils.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 수정 결과 검증 테스트
+ * 검증 단계 파싱/실행(실패 시 중단, 타임아웃, 출력 캡처), 같은 세션을 이어서 하는 교정 요청,
+ * 검증 실패 시 작업 디렉토리 롤백을 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 수정 결과 검증 테스트\n'));
+
+console.log(chalk.yellow('📋 VERIFY_STEPS 파싱:'));
+let steps = parseVerifySteps('["npm run lint", {"name": "typecheck", "command": "npx tsc --noEmit", "timeout": 1000}]', 5000);
+check('명령 문자열', steps[0].command === 'npm run lint' && steps[0].name === 'npm run lint' && steps[0].timeout === 5000);
+check('객체 (이름/제한 시간)', steps[1].name === 'typecheck' && steps[1].timeout === 1000);
+check('비어 있으면 검증 단계 없음', parseVerifySteps('', 5000).length === 0 && parseVerifySteps(undefined, 5000).length === 0);
+
+let thrown = null;
+try {
+    parseVerifySteps('npm test', 5000);
+} catch (error) {
+    thrown = error;
+}
+check('JSON이 아니면 에러', thrown?.message.includes('VERIFY_STEPS'));
+thrown = null;
+try {
+    parseVerifySteps('[{"name": "lint"}]', 5000);
+} catch (error) {
+    thrown = error;
+}
+check('명령이 없는 단계는 에러', thrown?.message.includes('VERIFY_STEPS[0]'));
+
+console.log(chalk.yellow('\n📋 검증 실행:'));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-test-'));
+const node = JSON.stringify(process.execPath);
+
+let result = await runVerification(parseVerifySteps([
+    { name: 'lint', command: `${node} -e "console.log('lint ok')"` },
+    { name: 'test', command: `${node} -e "console.error('1 failed'); process.exit(2)"` },
+    { name: 'build', command: `${node} -e "require('fs').writeFileSync('built', '')"` },
+], 10000), tmpDir);
+check('실패한 단계에서 중단', !result.passed && result.failedStep?.name === 'test' && result.steps.length === 2);
+check('종료 코드와 stderr 캡처', result.failedStep?.exitCode === 2 && result.failedStep.output.includes('1 failed'));
+check('통과한 단계의 출력', result.steps[0].passed && result.steps[0].output.includes('lint ok'));
+check('이후 단계는 실행하지 않음', !fs.existsSync(path.join(tmpDir, 'built')));
+
+result = await runVerification(parseVerifySteps([
+    { name: 'slow', command: `${node} -e "setTimeout(() => {}, 10000)"`, timeout: 300 },
+], 10000), tmpDir);
+check('제한 시간 초과', !result.passed && result.failedStep?.timedOut && result.failedStep.durationMs < 5000);
+
+result = await runVerification(parseVerifySteps([`${node} -e "process.exit(0)"`], 10000), tmpDir);
+check('모두 통과', result.passed && result.failedStep === null);
+
+console.log(chalk.yellow('\n📋 ClaudeCodeClient.verifyFix:'));
+const client = new ClaudeCodeClient({
+    claudeCode: { cliPath: 'claude', workingDir: tmpDir },
+    verification: { steps: JSON.stringify([`${node} -e "process.exit(1)"`]), stepTimeout: 10000 },
+});
+result = await client.verifyFix({}, { success: true });
+check('검증 단계 실패 결과', !result.passed && result.failedStep?.exitCode === 1);
+result = await client.verifyFix({}, { success: false });
+check('수정 실패는 실행하지 않고 실패', !result.passed && result.steps.length === 0);
+const noSteps = new ClaudeCodeClient({ claudeCode: { cliPath: 'claude', workingDir: tmpDir } });
+check('검증 단계가 없으면 통과', (await noSteps.verifyFix({}, { success: true })).passed);
+
+console.log(chalk.yellow('\n📋 검증 실패 교정 (세션 이어서 실행):'));
+// 인자와 stdin을 기록하는 가짜 Claude Code CLI
+const fakeCli = path.join(tmpDir, 'fake-claude.sh');
+fs.writeFileSync(fakeCli, `#!/bin/sh\necho "$@" >> "${tmpDir}/args.log"\ncat >> "${tmpDir}/stdin.log"\n`, { mode: 0o755 });
+const fakeClient = new ClaudeCodeClient({
+    claudeCode: { cliPath: fakeCli, workingDir: tmpDir, maxRetries: 1, maxCorrectionRounds: 3 },
+});
+const testError = {
+    hash: 'verify-test',
+    error: { type: 'TypeError', message: 'x is undefined', stackTrace: 'TypeError: x is undefined\n    at a (app.js:1:1)' },
+};
+const fixResult = await fakeClient.fixError(testError, {
+    original: { file: 'src/a.js', relativePath: 'src/a.js', line: 1, column: 1 },
+    sourceCode: null,
+});
+let args = fs.readFileSync(path.join(tmpDir, 'args.log'), 'utf8').trim().split('\n');
+check('첫 수정은 새 세션 ID로 실행', fixResult.success && args[0].includes(`--session-id ${fixResult.sessionId}`));
+
+const failedVerification = {
+    passed: false,
+    steps: [
+        { name: 'lint', passed: true },
+        { name: 'test', command: 'npm test', passed: false, exitCode: 1, timedOut: false, output: 'FAIL src/a.test.js\n  expected 1, received 2\n' },
+    ],
+    failedStep: { name: 'test', command: 'npm test', passed: false, exitCode: 1, timedOut: false, output: 'FAIL src/a.test.js\n  expected 1, received 2\n' },
+};
+const correction = await fakeClient.correctFix(testError, fixResult, failedVerification, 1);
+args = fs.readFileSync(path.join(tmpDir, 'args.log'), 'utf8').trim().split('\n');
+check('교정은 같은 세션을 --resume으로 이어서 실행', correction.success && correction.sessionId === fixResult.sessionId && args[1].includes(`--resume ${fixResult.sessionId}`) && !args[1].includes('--session-id'));
+check('교정 프롬프트에 실패 단계와 출력', correction.prompt.includes('교정 1/3') && correction.prompt.includes('`npm test`') && correction.prompt.includes('expected 1, received 2') && correction.prompt.includes('통과한 단계: lint'));
+check('교정 프롬프트를 stdin으로 전달', fs.readFileSync(path.join(tmpDir, 'stdin.log'), 'utf8').includes('expected 1, received 2'));
+check('타임아웃 단계는 제한 시간 초과로 표시', fakeClient.generateCorrectionPrompt({
+    steps: [],
+    failedStep: { ...failedVerification.failedStep, exitCode: null, timedOut: true },
+}, 2).includes('결과: 제한 시간 초과'));
+
+const brokenClient = new ClaudeCodeClient({ claudeCode: { cliPath: path.join(tmpDir, 'missing-cli'), workingDir: tmpDir } });
+const failedCorrection = await brokenClient.correctFix(testError, fixResult, failedVerification, 1);
+check('교정 실행 실패 결과', !failedCorrection.success && failedCorrection.error.includes('Failed to spawn'));
+check('교정 횟수 기본값', brokenClient.maxCorrectionRounds === 2);
+
+console.log(chalk.yellow('\n📋 검증 실패 시 롤백:'));
+const repoDir = path.join(tmpDir, 'repo');
+const appDir = path.join(repoDir, 'app');
+fs.mkdirSync(path.join(appDir, 'src'), { recursive: true });
+const git = (...args) => execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd: repoDir, stdio: 'pipe' });
+git('init', '-q');
+fs.writeFileSync(path.join(appDir, 'src/store.js'), 'export const a = 1;\n');
+fs.writeFileSync(path.join(appDir, 'src/user.js'), 'export const b = 2;\n');
+fs.writeFileSync(path.join(appDir, 'src/old.js'), 'export const c = 3;\n');
+git('add', '-A');
+git('commit', '-qm', 'init');
+
+fs.writeFileSync(path.join(appDir, 'src/prev.js'), 'export const d = 4;\n');
+git('add', '-A');
+git('commit', '-qm', 'add prev');
+
+// 수정 전부터 있던 변경 (사용자 작업, GIT_AUTO_COMMIT=false일 때 이전 자동 수정 결과 등)
+fs.writeFileSync(path.join(appDir, 'src/user.js'), 'export const b = 20;\n');
+fs.writeFileSync(path.join(appDir, 'src/prev.js'), 'export const d = 40;\n');
+fs.writeFileSync(path.join(appDir, 'src/notes.md'), '메모\n');
+git('add', 'app/src/prev.js');
+fs.writeFileSync(path.join(appDir, 'src/prev.js'), 'export const d = 400;\n');
+
+const gitUtils = new GitUtils({ git: {} });
+const snapshot = await gitUtils.snapshotChanges(appDir);
+check('수정 전 변경 기록', snapshot?.files.has('app/src/user.js') && snapshot.files.size === 3 && snapshot.contents.size === 3);
+
+// Claude Code가 수정/생성/삭제/스테이징한 파일
+fs.writeFileSync(path.join(appDir, 'src/store.js'), 'export const a = broken(;\n');
+fs.writeFileSync(path.join(appDir, 'src/helper.js'), 'export {};\n');
+fs.writeFileSync(path.join(appDir, 'src/staged.js'), 'export {};\n');
+git('add', 'app/src/staged.js');
+fs.rmSync(path.join(appDir, 'src/old.js'));
+// 수정 전부터 변경되어 있던 파일을 다시 수정/스테이징/삭제
+fs.writeFileSync(path.join(appDir, 'src/prev.js'), 'export const d = broken(;\n');
+git('add', 'app/src/prev.js');
+fs.rmSync(path.join(appDir, 'src/notes.md'));
+
+const rollback = await gitUtils.rollbackChanges(snapshot, appDir);
+check('수정한 파일 복원', fs.readFileSync(path.join(appDir, 'src/store.js'), 'utf8') === 'export const a = 1;\n');
+check('삭제한 파일 복원', fs.existsSync(path.join(appDir, 'src/old.js')));
+check('새 파일 삭제 (스테이징 포함)', !fs.existsSync(path.join(appDir, 'src/helper.js')) && !fs.existsSync(path.join(appDir, 'src/staged.js')));
+check('수정하지 않은 기존 변경은 유지', fs.readFileSync(path.join(appDir, 'src/user.js'), 'utf8') === 'export const b = 20;\n'
+    && !rollback.restored.includes('app/src/user.js'));
+check('기존 변경 위의 수정은 수정 전 내용으로 복원', fs.readFileSync(path.join(appDir, 'src/prev.js'), 'utf8') === 'export const d = 400;\n');
+check('기존 변경의 스테이징 상태 복원', git('show', ':app/src/prev.js').toString() === 'export const d = 40;\n');
+check('삭제한 추적되지 않은 파일 복원', fs.readFileSync(path.join(appDir, 'src/notes.md'), 'utf8') === '메모\n');
+check('롤백 결과', rollback.restored.length === 4 && rollback.removed.length === 2 && rollback.skipped.length === 0);
+const after = (await gitUtils.getChangedFiles(appDir)).files;
+check('작업 디렉토리 상태가 수정 전과 같음', after.size === 3 && [...snapshot.files].every(([file, status]) => after.get(file) === status));
+
+check('git 저장소가 아니면 스냅샷 없음', (await gitUtils.snapshotChanges(tmpDir)) === null);
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('수정 결과 검증 테스트 완료!');
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SourceMapGenerator } from 'source-map';
+import { StackTraceDecoder } from '../src/core/decoder-wrapper.js';
+import { extractMessageIdentifiers } from '../src/core/identifier-demangler.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 에러 메시지 식별자 복원 테스트
+ * 메시지의 minified 식별자를 에러 위치 주변 소스맵 names로 원래 이름으로 바꾸는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 에러 메시지 식별자 복원 테스트\n'));
+
+console.log(chalk.yellow('📋 메시지 식별자 추출:'));
+const names = message => extractMessageIdentifiers(message).map(identifier => identifier.name);
+check('V8 호출 에러', names('TypeError: t is not a function').join() === 't');
+check('V8 속성 읽기', names('Cannot read properties of undefined (reading \'a\')').join() === 'a');
+check('Firefox 속성 접근', names('can\'t access property "x", r is undefined').join() === 'x,r');
+check('Safari 식 평가', names('undefined is not an object (evaluating \'e.a.b\')').join() === 'e,a,b');
+check('TDZ 에러', names('ReferenceError: Cannot access \'Q\' before initialization').join() === 'Q');
+check('식별자가 없는 메시지', names('Network request failed').length === 0);
+
+// 번들: function r(t,e){return t(e.a)}
+const bundle = 'function r(t,e){return t(e.a)}';
+const original = [
+    'export function submitForm(onSubmit, payload) {',
+    '    return onSubmit(payload.amount);',
+    '}',
+].join('\n');
+
+const generator = new SourceMapGenerator({ file: 'form-Ab12Cd34.js' });
+generator.setSourceContent('src/form.js', original);
+const addName = (column, line, originalColumn, name) => generator.addMapping({
+    generated: { line: 1, column },
+    original: { line, column: originalColumn },
+    source: 'src/form.js',
+    name,
+});
+addName(9, 1, 16, 'submitForm');
+addName(11, 1, 27, 'onSubmit');
+addName(13, 1, 37, 'payload');
+addName(23, 2, 11, 'onSubmit');
+addName(25, 2, 20, 'payload');
+addName(27, 2, 28, 'amount');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'demangle-test-'));
+fs.writeFileSync(path.join(tmpDir, 'form-Ab12Cd34.js'), bundle);
+fs.writeFileSync(path.join(tmpDir, 'form-Ab12Cd34.js.map'), generator.toString());
+
+const decoder = new StackTraceDecoder({
+    decoder: { sourceMapDir: path.relative(process.cwd(), tmpDir), contextLines: 1 },
+    filters: { ignorePatterns: [] },
+});
+const callTrace = '    at r (https://example.com/assets/form-Ab12Cd34.js:1:23)';
+const propertyTrace = '    at r (https://example.com/assets/form-Ab12Cd34.js:1:27)';
+
+console.log(chalk.yellow('\n📋 번들 파일이 있는 경우:'));
+let result = await decoder.decodeStackTrace(callTrace, { message: 'TypeError: t is not a function' });
+check('호출한 변수 이름 복원', result.demangledMessage === 'TypeError: onSubmit is not a function');
+check('바꾼 식별자 기록', result.demangledIdentifiers?.length === 1 && result.demangledIdentifiers[0].from === 't');
+check('디코딩 결과는 그대로', result.original?.line === 2);
+
+result = await decoder.decodeStackTrace(propertyTrace, { message: 'Cannot read properties of undefined (reading \'a\')' });
+check('축약된 속성 이름 복원', result.demangledMessage === 'Cannot read properties of undefined (reading \'amount\')');
+
+result = await decoder.decodeStackTrace(propertyTrace, { message: 'Cannot read properties of undefined (reading \'length\')' });
+check('소스맵 names에 없는 식별자는 그대로', result.demangledMessage === undefined);
+
+result = await decoder.decodeStackTrace(callTrace);
+check('메시지를 넘기지 않으면 생략', result.demangledMessage === undefined && result.original?.line === 2);
+
+console.log(chalk.yellow('\n📋 번들 파일이 없는 경우:'));
+fs.rmSync(path.join(tmpDir, 'form-Ab12Cd34.js'));
+result = await decoder.decodeStackTrace(callTrace, { message: 'TypeError: t is not a function' });
+check('에러 위치 매핑의 name으로 주어 복원', result.demangledMessage === 'TypeError: onSubmit is not a function');
+
+result = await decoder.decodeStackTrace(propertyTrace, { message: 'Cannot read properties of undefined (reading \'a\')' });
+check('확인할 수 없는 식별자는 그대로', result.demangledMessage === undefined);
+
+decoder.close();
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('에러 메시지 식별자 복원 테스트 완료!');
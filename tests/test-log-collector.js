@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { GrafanaLogCollector } from '../src/core/grafana-log-collector.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * Grafana 로그 수집기 테스트 (Loki 응답 파싱 및 집계)
+ */
+
+console.log(chalk.cyan('🧪 로그 수집기 테스트\n'));
+
+const config = {
+    grafana: {
+        url: 'http://localhost:3000',
+        apiKey: 'test',
+        datasourceUid: 'loki',
+        logQuery: '{job="frontend"}',
+        maxSamplesPerGroup: 2,
+        incremental: false,
+    },
+};
+
+const collector = new GrafanaLogCollector(config);
+
+function ns(isoTime) {
+    return (BigInt(Date.parse(isoTime)) * 1000000n).toString();
+}
+
+function logLine(message, extra = {}) {
+    return JSON.stringify({
+        message,
+        stack: `TypeError: ${message}\n    at n (https://example.com/static/js/app-Q8JOaMCl.js:1:448)`,
+        ...extra,
+    });
+}
+
+const chromeUA = 'Mozilla/5.0 (Windows NT 10.0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const firefoxUA = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+const response = {
+    data: {
+        result: [
+            {
+                stream: { job: 'frontend', app: 'web', pod: 'web-1' },
+                values: [
+                    [ns('2025-12-19T10:05:00Z'), logLine('Cannot read properties of undefined', { userAgent: chromeUA })],
+                    [ns('2025-12-19T10:01:00Z'), logLine('Cannot read properties of undefined', { userAgent: firefoxUA })],
+                    [ns('2025-12-19T10:02:00Z'), logLine('t is not a function')],
+                ],
+            },
+            {
+                stream: { job: 'frontend', app: 'web', pod: 'web-2' },
+                values: [
+                    [ns('2025-12-19T10:03:00Z'), logLine('Cannot read properties of undefined', { userAgent: chromeUA })],
+                ],
+            },
+        ],
+    },
+};
+
+console.log(chalk.yellow('📋 해시 기준 그룹화:'));
+const entries = collector.parseLogData(response);
+const groups = collector.aggregateErrors(entries);
+
+check('로그 라인 4개 파싱', entries.length === 4);
+check('고유 에러 2개로 그룹화', groups.length === 2);
+
+const top = groups[0];
+check('발생 횟수 내림차순 정렬', top.count === 3 && groups[1].count === 1);
+check('최초 발생 시각', top.firstSeen === '2025-12-19T10:01:00.000Z');
+check('최근 발생 시각', top.lastSeen === '2025-12-19T10:05:00.000Z');
+check('고유 라벨 집합', top.labelSets.length === 2);
+check('영향 pod 목록', top.affected.pods.join(',') === 'web-1,web-2');
+check('영향 브라우저 목록', top.affected.browsers.sort().join(',') === 'Chrome,Firefox');
+check('샘플 개수 제한', top.samples.length === 2);
+
+console.log(chalk.yellow('\n📋 통계 출력:'));
+collector.printErrorStats(groups);
+
+console.log(chalk.yellow('\n📋 여러 줄 스택 트레이스 재조립:'));
+
+const base = Date.parse('2025-12-19T11:00:00Z');
+const at = offsetMs => (BigInt(base + offsetMs) * 1000000n).toString();
+const multiline = collector.parseLogData({
+    data: {
+        result: [
+            {
+                stream: { job: 'frontend', pod: 'web-1' },
+                // backward 방향 응답처럼 최신 항목이 먼저 옴
+                values: [
+                    [at(5000), '    at https://example.com/static/js/orphan-Ab12Cd34.js:1:10'],
+                    [at(12), '    at Object.load (https://example.com/static/js/index-Bglop1x2.js:2:31)'],
+                    [at(11), '    at n (https://example.com/static/js/app-Q8JOaMCl.js:1:448)'],
+                    [at(10), 'TypeError: Cannot read properties of undefined (reading \'status\')'],
+                    [at(1), JSON.stringify({ level: 'error', message: 'ReferenceError: foo is not defined' })],
+                    [at(2), JSON.stringify({ message: 'e@https://example.com/static/js/app-Q8JOaMCl.js:1:90' })],
+                    [at(3), JSON.stringify({ message: 'async*@https://example.com/static/js/app-Q8JOaMCl.js:1:12' })],
+                ],
+            },
+        ],
+    },
+});
+
+const typeError = multiline.find(e => e.error.message.startsWith('TypeError'));
+const referenceError = multiline.find(e => e.error.message.startsWith('ReferenceError'));
+check('V8 형식 헤더 + 프레임 라인 재조립', typeError?.error.stackTrace.split('\n').length === 3);
+check('재조립된 에러 타입 추론', typeError?.error.type === 'TypeError');
+check('JSON 메시지 필드의 Firefox 프레임 재조립', referenceError?.error.stackTrace.split('\n').length === 3);
+check('JSON 필드 유지', referenceError?.error.level === 'error');
+check('시간 간격이 큰 라인은 합치지 않음', !typeError?.error.stackTrace.includes('orphan'));
+
+console.log(chalk.yellow('\n📋 커서 기반 증분 수집:'));
+
+// forward 방향 query_range를 흉내내는 가짜 Loki (start 포함, end 미포함, 전역 limit)
+const lokiEntries = [];
+const requests = [];
+globalThis.fetch = async (url) => {
+    const params = new URL(url).searchParams;
+    const start = BigInt(params.get('start'));
+    const end = BigInt(params.get('end'));
+    const limit = parseInt(params.get('limit'));
+    requests.push({ start, direction: params.get('direction') });
+
+    const selected = lokiEntries
+        .filter(entry => BigInt(entry.ts) >= start && BigInt(entry.ts) < end)
+        .sort((a, b) => (BigInt(a.ts) < BigInt(b.ts) ? -1 : 1))
+        .slice(0, limit);
+
+    const byStream = new Map();
+    for (const entry of selected) {
+        const key = JSON.stringify(entry.stream);
+        if (!byStream.has(key)) byStream.set(key, { stream: entry.stream, values: [] });
+        byStream.get(key).values.push([entry.ts, entry.line]);
+    }
+
+    return {
+        ok: true,
+        json: async () => ({ data: { result: [...byStream.values()] } }),
+    };
+};
+
+function pushEntries(count, secondsAgo, message) {
+    for (let i = 0; i < count; i++) {
+        lokiEntries.push({
+            ts: (BigInt(Date.now() - secondsAgo * 1000) * 1000000n + BigInt(i)).toString(),
+            stream: { job: 'frontend', pod: `web-${i % 2}` },
+            line: logLine(message),
+        });
+    }
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'collector-test-'));
+const incrementalConfig = {
+    grafana: { ...config.grafana, incremental: true, maxResults: 4, maxPages: 50, lookbackWindow: '1h' },
+    paths: { collectorState: path.join(tmpDir, 'collector-state.json') },
+};
+
+// 같은 나노초에 찍힌 로그도 페이지 경계에서 누락/중복되지 않아야 함
+pushEntries(10, 120, 'Cannot read properties of undefined');
+lokiEntries.push({ ...lokiEntries[9], line: logLine('Cannot read properties of undefined', { userAgent: chromeUA }) });
+lokiEntries.push({ ts: lokiEntries[9].ts, stream: { job: 'frontend', pod: 'web-9' }, line: logLine('Cannot read properties of undefined') });
+
+const originalLog = console.log;
+console.log = () => {};
+let collected = await new GrafanaLogCollector(incrementalConfig).collectErrors();
+console.log = originalLog;
+
+check('첫 수집: lookback 범위 전체를 여러 페이지로 조회', requests.length >= 3);
+check('forward 방향 조회', requests.every(req => req.direction === 'forward'));
+check('첫 수집: 12개 로그 모두 집계', collected.length === 1 && collected[0].count === 12);
+
+const readCursor = () => Object.values(JSON.parse(fs.readFileSync(incrementalConfig.paths.collectorState, 'utf8')))[0].lastTimestamp;
+const firstCursor = readCursor();
+
+requests.length = 0;
+pushEntries(3, 30, 'Cannot read properties of undefined');
+pushEntries(1, 30, 't is not a function');
+
+console.log = () => {};
+collected = await new GrafanaLogCollector(incrementalConfig).collectErrors();
+console.log = originalLog;
+
+check('두 번째 수집: 저장된 커서부터 시작', requests[0].start === BigInt(firstCursor));
+check('두 번째 수집: 새 로그만 누적 (중복 없음)', collected.find(e => e.error.message.startsWith('Cannot'))?.count === 15);
+check('두 번째 수집: 새 에러 추가', collected.length === 2);
+
+requests.length = 0;
+console.log = () => {};
+collected = await new GrafanaLogCollector(incrementalConfig).collectErrors();
+console.log = originalLog;
+check('새 로그가 없으면 발생 횟수 유지', collected.find(e => e.error.message.startsWith('Cannot'))?.count === 15 && requests.length === 1);
+
+// 수집 끝에 기록된 에러 헤더의 프레임 라인이 다음 수집에 도착
+const stitchConfig = { ...incrementalConfig, grafana: { ...incrementalConfig.grafana, stitchWindowMs: 200 } };
+const headerTs = BigInt(Date.now() - 50) * 1000000n;
+const splitStream = { job: 'frontend', pod: 'web-5' };
+lokiEntries.push({ ts: headerTs.toString(), stream: splitStream, line: 'RangeError: Maximum call stack size exceeded' });
+
+console.log = () => {};
+collected = await new GrafanaLogCollector(stitchConfig).collectErrors();
+console.log = originalLog;
+const readState = () => Object.values(JSON.parse(fs.readFileSync(incrementalConfig.paths.collectorState, 'utf8')))[0];
+check('조회 끝의 에러 헤더는 다음 수집으로 넘김', !collected.some(e => e.error.message.startsWith('RangeError'))
+    && readState().pending?.[0]?.values.length === 1);
+
+lokiEntries.push({ ts: (headerTs + 1000000n).toString(), stream: splitStream, line: '    at walk (https://example.com/static/js/app-Q8JOaMCl.js:1:90)' });
+lokiEntries.push({ ts: (headerTs + 2000000n).toString(), stream: splitStream, line: '    at walk (https://example.com/static/js/app-Q8JOaMCl.js:1:120)' });
+await new Promise(resolve => setTimeout(resolve, 300));
+
+console.log = () => {};
+collected = await new GrafanaLogCollector(stitchConfig).collectErrors();
+console.log = originalLog;
+const rangeError = collected.find(e => e.error.message.startsWith('RangeError'));
+check('넘어온 헤더와 다음 수집의 프레임 라인 재조립', rangeError?.error.stackTrace.split('\n').length === 3
+    && readState().pending.length === 0);
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('로그 수집기 테스트 완료!');
@@ -61,6 +61,10 @@ const args = [
     '--permission-mode', config.claudeCode.permissionMode || 'acceptEdits',
 ];
 
+if (config.claudeCode.outputFormat !== 'text') {
+    args.push('--output-format', config.claudeCode.outputFormat);
+}
+
 if (config.claudeCode.allowedTools && config.claudeCode.allowedTools.length > 0) {
     args.push('--allowedTools', config.claudeCode.allowedTools.join(','));
 }
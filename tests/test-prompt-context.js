@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+    extractImports,
+    resolveImportPath,
+    formatCallerItems,
+    formatImportItems,
+    formatBreadcrumbItems,
+    fitSectionsToBudget,
+} from '../src/core/prompt-context.js';
+import { GrafanaLogCollector, getSelectorLabelNames, getStreamSelector } from '../src/core/grafana-log-collector.js';
+import { ClaudeCodeClient } from '../src/core/claude-code-client.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 프롬프트 추가 컨텍스트 테스트
+ * 호출자 코드, 대상 파일의 import, 에러 직전 로그를 만들고 컨텍스트 예산 안으로 줄이는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 프롬프트 추가 컨텍스트 테스트\n'));
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-context-test-'));
+fs.mkdirSync(path.join(tmpDir, 'src/stores'), { recursive: true });
+fs.mkdirSync(path.join(tmpDir, 'src/api/client'), { recursive: true });
+fs.writeFileSync(path.join(tmpDir, 'src/api/user.ts'), 'export const fetchUser = () => null;\n');
+fs.writeFileSync(path.join(tmpDir, 'src/api/client/index.js'), 'export default {};\n');
+const targetFile = path.join(tmpDir, 'src/stores/authStore.js');
+fs.writeFileSync(targetFile, [
+    "import axios from 'axios';",
+    "import api, { fetchUser as loadUser, type User } from '../api/user';",
+    'import {',
+    '    createStore,',
+    "} from 'zustand';",
+    "import '../styles.css';",
+    "export * from '../api/client';",
+    "const { debounce } = require('lodash');",
+    '',
+    'export function login(id) {',
+    '    const user = loadUser(id);',
+    '    return user.profile.status;',
+    '}',
+    "const lazy = () => import('./lazyPanel');",
+    '',
+].join('\n'));
+
+console.log(chalk.yellow('📋 import 추출:'));
+const imports = extractImports(fs.readFileSync(targetFile, 'utf8'));
+check('import/export/require/동적 import', imports.map(item => item.specifier).join() === 'axios,../api/user,zustand,../styles.css,../api/client,lodash,./lazyPanel');
+check('줄 번호', imports.find(item => item.specifier === 'zustand').line === 3 && imports.find(item => item.specifier === './lazyPanel').line === 14);
+check('로컬 이름 (별칭, type, 구조 분해)', imports[1].names.join() === 'loadUser,User,api' && imports[5].names.join() === 'debounce');
+check('여러 줄 구문은 한 줄로', imports[2].statement === "import { createStore, } from 'zustand'");
+
+console.log(chalk.yellow('\n📋 import 경로 해석:'));
+check('확장자 생략', resolveImportPath('../api/user', targetFile, tmpDir) === 'src/api/user.ts');
+check('디렉토리 index', resolveImportPath('../api/client', targetFile, tmpDir) === 'src/api/client/index.js');
+check('패키지와 없는 파일은 null', resolveImportPath('axios', targetFile, tmpDir) === null
+    && resolveImportPath('./lazyPanel', targetFile, tmpDir) === null);
+
+const importItems = formatImportItems(imports, specifier => resolveImportPath(specifier, targetFile, tmpDir), '    const user = loadUser(id);');
+check('스니펫에서 사용하는 import가 먼저', importItems[0] === "- `import api, { fetchUser as loadUser, type User } from '../api/user'` (→ src/api/user.ts, 스니펫에서 사용)");
+check('해석할 수 없는 import는 경로만', importItems.includes("- `import axios from 'axios'`"));
+
+console.log(chalk.yellow('\n📋 호출자 코드:'));
+const frames = [
+    { index: 0, inApp: false, original: { relativePath: 'node_modules/react/index.js', line: 1, function: 'render' }, sourceCode: [{ lineNum: 1, content: 'x', isTarget: true }] },
+    { index: 1, inApp: true, original: { relativePath: 'src/stores/authStore.js', line: 12, function: 'login' }, sourceCode: [{ lineNum: 12, content: '    return user.profile.status;', isTarget: true }] },
+    { index: 2, inApp: true, original: { relativePath: 'src/pages/Login.jsx', line: 30, function: 'onSubmit' }, sourceCode: [
+        { lineNum: 29, content: '    const id = form.id;', isTarget: false },
+        { lineNum: 30, content: '    login(id);', isTarget: true },
+    ] },
+    { index: 3, inApp: false, original: { relativePath: 'node_modules/react-dom/index.js', line: 9, function: 'dispatch' }, sourceCode: [{ lineNum: 9, content: 'y', isTarget: true }] },
+    { index: 4, inApp: true, original: null, minified: { file: 'app.js', line: 1, column: 2 } },
+];
+const callerItems = formatCallerItems(frames, { index: 1 });
+check('blame 이후의 애플리케이션 코드 프레임만', callerItems.length === 1 && callerItems[0].startsWith('#2 onSubmit - src/pages/Login.jsx:30\n```javascript'));
+check('호출 위치 표시', callerItems[0].includes('→   30 |     login(id);') && callerItems[0].includes('    29 |     const id = form.id;'));
+check('blame이 없으면 빈 목록', formatCallerItems(frames, { index: null }).length === 0);
+
+console.log(chalk.yellow('\n📋 컨텍스트 예산:'));
+let fitted = fitSectionsToBudget([
+    { key: 'a', items: ['12345', '12345'] },
+    { key: 'b', items: ['123'] },
+], 100);
+check('예산 안이면 모두 포함', fitted.a === '12345\n12345' && fitted.b === '123');
+
+fitted = fitSectionsToBudget([
+    { key: 'a', items: ['12345', '12345'] },
+    { key: 'b', items: ['123'] },
+    { key: 'c', items: ['old', 'mid', 'new'], keepLast: true },
+], 17);
+check('앞쪽 섹션부터 채우고 생략 개수 표시', fitted.a === '12345\n12345' && fitted.b === '123' && fitted.c === '(컨텍스트 예산 초과로 3개 생략)');
+fitted = fitSectionsToBudget([
+    { key: 'a', items: ['1234567890'] },
+    { key: 'c', items: ['old', 'mid', 'new'], keepLast: true },
+], 15);
+check('keepLast는 최근 항목부터', fitted.a === '1234567890' && fitted.c === '(컨텍스트 예산 초과로 2개 생략)\nnew');
+fitted = fitSectionsToBudget([{ key: 'a', items: ['1234567890', '1'] }], 5);
+check('첫 항목이 넘치면 모두 생략', fitted.a === '(컨텍스트 예산 초과로 2개 생략)');
+check('빈 섹션은 빈 문자열', fitSectionsToBudget([{ key: 'a', items: [] }], 10).a === '');
+
+console.log(chalk.yellow('\n📋 에러 직전 로그 (Loki):'));
+const errorTimeNs = BigInt(Date.parse('2024-05-01T10:00:05.123Z')) * 1000000n;
+const at = offsetMs => (errorTimeNs + BigInt(offsetMs) * 1000000n).toString();
+const collector = new GrafanaLogCollector({ grafana: { url: 'http://localhost', apiKey: 'x', datasourceUid: 'loki', logQuery: '{app="web"} | json', incremental: false } });
+const calls = [];
+const labelCalls = [];
+collector.queryLabelNames = async (...args) => {
+    labelCalls.push(args);
+    return ['app', 'env', 'pod'];
+};
+collector.queryLogs = async (...args) => {
+    calls.push(args);
+    return {
+        data: {
+            result: [{
+                stream: { app: 'web' },
+                values: [
+                    [at(1000), '{"level":"info","message":"after error"}'],
+                    [at(0), "{\"level\":\"error\",\"message\":\"Cannot read properties of undefined (reading 'status')\"}"],
+                    [at(0), '    at login (https://example.com/assets/app.js:1:448)'],
+                    [at(-200), 'level=warn msg="GET /api/user/7 404"'],
+                    [at(-3000), '{"level":"info","message":"login submitted"}'],
+                    [at(-5000), '{"level":"debug","message":"form mounted"}'],
+                ],
+            }],
+        },
+    };
+};
+
+const errorGroup = {
+    hash: 'abc',
+    timestamp: '2024-05-01T10:00:05.123Z',
+    // level, message는 수집 쿼리의 | json이 추출한 라벨 (스트림 셀렉터에 쓸 수 없음)
+    labels: { app: 'web', env: 'prod "eu"', level: 'error', message: "Cannot read properties of undefined (reading 'status')" },
+    error: { type: 'TypeError', message: "Cannot read properties of undefined (reading 'status')" },
+};
+let breadcrumbs = await collector.fetchBreadcrumbs(errorGroup, { limit: 2, windowMs: 30000 });
+check('인덱싱된 스트림 라벨로만 조회 (따옴표 이스케이프)', calls[0][0] === '{app="web", env="prod \\"eu\\""}');
+check('수집 쿼리의 셀렉터와 일치하는 스트림의 라벨 이름 조회', labelCalls[0]?.[2] === '{app="web"}');
+check('에러 시각 이전 범위', calls[0][1] === Date.parse(errorGroup.timestamp) - 30000 && calls[0][2] === Date.parse(errorGroup.timestamp) + 1);
+check('에러 자체, 스택 프레임, 에러 이후 로그 제외 + 최근 limit개', breadcrumbs.length === 2
+    && breadcrumbs[0].line === 'login submitted' && breadcrumbs[1].line === 'level=warn msg="GET /api/user/7 404"');
+check('레벨 (JSON, key=value)', breadcrumbs[0].level === 'info' && breadcrumbs[1].level === 'warn');
+check('오래된 순 시각', breadcrumbs[0].timestamp === '2024-05-01T10:00:02.123Z');
+check('한 줄 형식', formatBreadcrumbItems(breadcrumbs)[1] === '10:00:04.923 [warn] level=warn msg="GET /api/user/7 404"');
+check('긴 줄은 잘라냄', formatBreadcrumbItems([{ timestamp: breadcrumbs[0].timestamp, level: null, line: 'x'.repeat(400) }])[0].length < 330);
+
+check('라벨이 없으면 조회하지 않음', (await collector.fetchBreadcrumbs({ ...errorGroup, labels: {} })).length === 0 && calls.length === 1);
+check('인덱싱된 라벨이 없으면 조회하지 않음', (await collector.fetchBreadcrumbs({ ...errorGroup, labels: { level: 'error' } })).length === 0 && calls.length === 1);
+
+// 라벨 이름을 조회할 수 없으면 GRAFANA_LOG_QUERY 셀렉터의 라벨만 사용
+collector.queryLabelNames = async () => {
+    throw new Error('HTTP 404');
+};
+await collector.fetchBreadcrumbs(errorGroup);
+check('라벨 이름 조회 실패 시 수집 쿼리 셀렉터의 라벨', calls[1]?.[0] === '{app="web"}');
+check('셀렉터 라벨 이름 (부정 매처, 따옴표 안 문자 제외)', getSelectorLabelNames('{job="a=b}", env=~"prod.*", pod!="x"} | json | level="error"').join() === 'job,env'
+    && getStreamSelector('{job="a}b"} | json') === '{job="a}b"}');
+collector.queryLogs = async () => {
+    throw new Error('HTTP 502');
+};
+breadcrumbs = await collector.fetchBreadcrumbs(errorGroup);
+check('조회 실패는 빈 목록', Array.isArray(breadcrumbs) && breadcrumbs.length === 0);
+
+console.log(chalk.yellow('\n📋 클라이언트 프롬프트:'));
+const errorInfo = {
+    hash: 'prompt-context-test',
+    count: 3,
+    error: {
+        type: 'TypeError',
+        message: "Cannot read properties of undefined (reading 'status')",
+        stackTrace: "TypeError: Cannot read properties of undefined (reading 'status')\n    at e (https://example.com/assets/app.js:1:448)",
+    },
+};
+const decodedLocation = {
+    original: { file: 'webpack://app/./src/stores/authStore.js', relativePath: 'src/stores/authStore.js', absolutePath: targetFile, exists: true, line: 12, column: 24, function: 'login' },
+    sourceCode: [
+        { lineNum: 11, content: '    const user = loadUser(id);', isTarget: false },
+        { lineNum: 12, content: '    return user.profile.status;', isTarget: true },
+    ],
+    frames: frames.slice(1).map(frame => ({ ...frame, index: frame.index - 1 })),
+    blame: { index: 0, skipped: [] },
+};
+const crumbs = [
+    { timestamp: '2024-05-01T10:00:02.123Z', level: 'info', line: 'login submitted' },
+    { timestamp: '2024-05-01T10:00:04.923Z', level: 'warn', line: 'GET /api/user/7 404' },
+];
+
+const baseConfig = { claudeCode: { cliPath: 'claude', workingDir: path.relative(process.cwd(), tmpDir) } };
+let client = new ClaudeCodeClient({ ...baseConfig, prompt: {} });
+let prompt = client.generatePrompt(errorInfo, decodedLocation, { breadcrumbs: crumbs });
+check('호출자 코드 섹션', prompt.includes('## 호출자 코드') && prompt.includes('#1 onSubmit - src/pages/Login.jsx:30'));
+check('import 섹션', prompt.includes('## 관련 파일 (import)\n- `import api, { fetchUser as loadUser, type User } from \'../api/user\'` (→ src/api/user.ts, 스니펫에서 사용)'));
+check('직전 로그 섹션', prompt.includes('## 에러 직전 로그') && prompt.includes('10:00:02.123 [info] login submitted\n10:00:04.923 [warn] GET /api/user/7 404'));
+check('섹션 순서 (호출 스택 → 추가 컨텍스트 → 요구사항)', prompt.indexOf('## 호출 스택') < prompt.indexOf('## 호출자 코드')
+    && prompt.indexOf('## 호출자 코드') < prompt.indexOf('## 관련 파일') && prompt.indexOf('## 에러 직전 로그') < prompt.indexOf('## 요구사항'));
+
+const examplesDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../examples/prompts');
+client = new ClaudeCodeClient({ ...baseConfig, prompt: { templateDir: examplesDir } });
+prompt = client.generatePrompt(errorInfo, decodedLocation, { breadcrumbs: crumbs });
+check('예제 템플릿에도 추가 컨텍스트 ({{additionalContext}})', prompt.startsWith('다음 프로덕션 에러는') && prompt.includes('## 호출자 코드')
+    && prompt.includes('## 에러 직전 로그') && !prompt.includes('{{'));
+
+client = new ClaudeCodeClient({ ...baseConfig, prompt: { includeCallers: false, includeImports: false } });
+prompt = client.generatePrompt(errorInfo, decodedLocation);
+check('끄면 섹션 없음 (직전 로그도 없으면 기존 프롬프트)', !prompt.includes('## 호출자 코드') && !prompt.includes('## 관련 파일') && !prompt.includes('## 에러 직전 로그')
+    && prompt.includes('```\n\n## 호출 스택') && prompt.includes('→ 0. login'));
+
+client = new ClaudeCodeClient({ ...baseConfig, prompt: { contextBudget: 160 } });
+const context = client.buildPromptContext(errorInfo, decodedLocation, { breadcrumbs: crumbs });
+check('예산을 넘는 항목은 생략 (직전 로그는 최근 줄 우선)', context.callers.startsWith('#1 onSubmit') && context.imports === '(컨텍스트 예산 초과로 7개 생략)'
+    && context.breadcrumbs === '(컨텍스트 예산 초과로 1개 생략)\n10:00:04.923 [warn] GET /api/user/7 404');
+check('추가 컨텍스트 변수 길이 제한', (context.callers + context.imports + context.breadcrumbs).length <= 160 + 60);
+
+client = new ClaudeCodeClient({ ...baseConfig, prompt: {} });
+prompt = client.generatePrompt(errorInfo, { ...decodedLocation, original: { ...decodedLocation.original, exists: false } });
+check('작업 디렉토리에 파일이 없으면 import 섹션 없음', !prompt.includes('## 관련 파일'));
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('프롬프트 추가 컨텍스트 테스트 완료!');
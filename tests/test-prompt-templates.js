@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SourceMapGenerator } from 'source-map';
+import {
+    parseFrontMatter,
+    parseTemplate,
+    matchesTemplate,
+    renderTemplate,
+    PromptTemplateLibrary,
+    REQUIRED_INSTRUCTIONS,
+} from '../src/core/prompt-templates.js';
+import { ClaudeCodeClient } from '../src/core/claude-code-client.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 프롬프트 템플릿 테스트
+ * 에러 타입/메시지 정규식으로 템플릿을 고르고 변수를 채우는지, 맞는 템플릿이 없으면 기본 프롬프트를 쓰는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 프롬프트 템플릿 테스트\n'));
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const examplesDir = path.join(rootDir, 'examples/prompts');
+
+console.log(chalk.yellow('📋 템플릿 파싱:'));
+const { attributes, body } = parseFrontMatter('---\nname: "quoted"\n# 주석\nerrorTypes: TypeError, RangeError\n---\n본문 {{error.message}}\n');
+check('front-matter', attributes.name === 'quoted' && attributes.errorTypes === 'TypeError, RangeError' && body === '본문 {{error.message}}\n');
+check('front-matter가 없으면 전체가 본문', parseFrontMatter('본문만').body === '본문만');
+
+let template = parseTemplate('---\nerrorTypes: TypeError, RangeError\nmessagePattern: /reading \'status\'/gi\npriority: 5\n---\n본문\n', 'status.md');
+check('이름 기본값은 파일 이름', template.name === 'status' && template.priority === 5 && template.body === '본문');
+check('에러 타입 목록', template.errorTypes.join() === 'TypeError,RangeError');
+check('타입과 메시지가 모두 맞아야 선택', matchesTemplate(template, { type: 'TypeError', message: "Cannot read properties of undefined (reading 'STATUS')" })
+    && !matchesTemplate(template, { type: 'ReferenceError', message: "reading 'status'" })
+    && !matchesTemplate(template, { type: 'TypeError', message: 'x is not a function' }));
+check('g 플래그를 써도 반복 선택 가능', matchesTemplate(template, { type: 'TypeError', message: "reading 'status'" })
+    && matchesTemplate(template, { type: 'TypeError', message: "reading 'status'" }));
+check('조건이 없는 템플릿은 선택하지 않음', !matchesTemplate(parseTemplate('본문', 'any.md'), { type: 'TypeError', message: 'x' }));
+
+let thrown = null;
+try {
+    parseTemplate('---\nmessagePattern: /(unclosed/\n---\n', 'broken.md');
+} catch (error) {
+    thrown = error;
+}
+check('잘못된 정규식은 파일 이름과 함께 에러', thrown?.message.includes('broken.md'));
+
+console.log(chalk.yellow('\n📋 변수 채우기:'));
+const rendered = renderTemplate('{{error.message}} @ {{ original.file }}:{{original.line}} ({{occurrences}}회) {{unknown.value}}{{original.function}}', {
+    error: { message: 'boom' },
+    original: { file: 'src/a.js', line: 0, function: '' },
+    occurrences: 3,
+});
+check('점 경로와 공백', rendered.text === 'boom @ src/a.js:0 (3회) ');
+check('값이 없는 변수 기록 (빈 문자열은 값으로 취급)', rendered.missing.join() === 'unknown.value');
+
+console.log(chalk.yellow('\n📋 예제 템플릿 선택:'));
+const library = new PromptTemplateLibrary({ templateDir: examplesDir, rulesFile: path.join(rootDir, 'examples/prompt-rules.md') });
+const select = (type, message) => library.select({ type, message })?.name || null;
+check('TypeError null 접근', select('TypeError', "Cannot read properties of undefined (reading 'status')") === 'null-access');
+check('ChunkLoadError (메시지 정규식, 높은 우선순위)', select('ChunkLoadError', 'Loading chunk 42 failed.') === 'chunk-load-error'
+    && select('TypeError', 'Failed to fetch dynamically imported module: https://example.com/assets/a.js') === 'chunk-load-error');
+check('RangeError / ReferenceError', select('RangeError', 'Maximum call stack size exceeded') === 'range-error'
+    && select('ReferenceError', 'foo is not defined') === 'reference-error');
+check('맞는 템플릿이 없으면 null', select('TypeError', 'x is not a function') === null && select('SyntaxError', 'Unexpected token') === null);
+check('규칙 파일', library.rules.startsWith('- 기존 코드 스타일'));
+
+// 템플릿이 요구사항을 빠뜨려도 커밋 금지/테스트 삭제 금지 지침은 항상 포함
+const bare = parseTemplate('---\nerrorTypes: TypeError\n---\n{{error.message}} 고쳐주세요 {{rules}}', 'bare.md');
+let renderedBare = library.render(bare, { error: { message: 'boom' } }).text;
+check('필수 지침은 템플릿 밖에서 추가', renderedBare.startsWith('boom 고쳐주세요 - 기존 코드 스타일')
+    && renderedBare.includes('절대 git commit을 수행하지 마세요') && renderedBare.includes('테스트를 삭제하거나'));
+renderedBare = new PromptTemplateLibrary().render(bare, { error: { message: 'boom' } }).text;
+check('규칙 파일이 없어도 필수 지침', renderedBare === `boom 고쳐주세요\n\n## 필수 지침\n${REQUIRED_INSTRUCTIONS}\n`);
+
+thrown = null;
+try {
+    new PromptTemplateLibrary({ templateDir: path.join(rootDir, 'missing-prompts') });
+} catch (error) {
+    thrown = error;
+}
+check('템플릿 디렉토리가 없으면 에러', thrown?.message.includes('missing-prompts'));
+
+console.log(chalk.yellow('\n📋 클라이언트 프롬프트:'));
+const errorInfo = {
+    hash: 'prompt-test',
+    count: 7,
+    error: {
+        type: 'TypeError',
+        message: "Cannot read properties of undefined (reading 'status')",
+        stackTrace: "TypeError: Cannot read properties of undefined (reading 'status')\n    at e (https://example.com/assets/app.js:1:448)",
+    },
+};
+const decodedLocation = {
+    original: { file: 'webpack://app/./src/stores/authStore.js', relativePath: 'src/stores/authStore.js', line: 2, column: 24, function: 'login' },
+    sourceCode: [{ lineNum: 2, content: '    return user.profile.status;', isTarget: true }],
+    frames: [{ index: 0, inApp: true, original: { relativePath: 'src/stores/authStore.js', line: 2, column: 24, function: 'login' } }],
+    blame: { index: 0 },
+};
+
+const baseConfig = { claudeCode: { cliPath: 'claude', workingDir: '.' } };
+const templated = new ClaudeCodeClient({ ...baseConfig, prompt: { templateDir: examplesDir, rulesFile: path.join(rootDir, 'examples/prompt-rules.md') } });
+let prompt = templated.generatePrompt(errorInfo, decodedLocation);
+check('템플릿 사용', prompt.startsWith('다음 프로덕션 에러는 `undefined`/`null` 값의 속성에 접근해서'));
+check('변수 채움', prompt.includes('발생 위치: src/stores/authStore.js:2:24') && prompt.includes('발생 횟수: 7회')
+    && prompt.includes('→    2 |     return user.profile.status;') && prompt.includes('0. login - src/stores/authStore.js:2:24'));
+check('템플릿 끝에 프로젝트 규칙', prompt.includes('## 프로젝트 규칙\n- 기존 코드 스타일'));
+check('프로젝트 규칙 뒤에 필수 지침', prompt.trimEnd().endsWith(`## 필수 지침\n${REQUIRED_INSTRUCTIONS}`)
+    && prompt.indexOf('## 프로젝트 규칙') < prompt.indexOf('## 필수 지침'));
+check('남은 변수 표기 없음', !prompt.includes('{{'));
+
+prompt = templated.generatePrompt({ ...errorInfo, error: { ...errorInfo.error, message: 'x is not a function' } }, decodedLocation);
+check('맞는 템플릿이 없으면 기본 프롬프트 + 규칙', prompt.startsWith('다음 프로덕션 에러를 수정해주세요:') && prompt.trimEnd().endsWith('테스트도 함께 수정하세요'));
+
+const plain = new ClaudeCodeClient(baseConfig);
+prompt = plain.generatePrompt(errorInfo, decodedLocation);
+check('설정이 없으면 기본 프롬프트 (규칙 없음)', prompt.startsWith('다음 프로덕션 에러를 수정해주세요:') && !prompt.includes('프로젝트 규칙'));
+
+const context = plain.buildPromptContext({ ...errorInfo, error: { ...errorInfo.error, demangledMessage: "Cannot read properties of undefined (reading 'profile')" } }, { ...decodedLocation, frames: [] });
+check('복원한 메시지와 수집된 메시지', context.error.message.includes("'profile'") && context.error.collectedMessage.includes("'status'"));
+check('디코딩된 프레임이 없으면 수집된 스택 트레이스', context.stack === errorInfo.error.stackTrace);
+
+console.log(chalk.yellow('\n📋 --render-prompt:'));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompt-test-'));
+const generator = new SourceMapGenerator({ file: 'app.js' });
+generator.setSourceContent('src/stores/authStore.js', 'export function login(user) {\n    return user.profile.status;\n}\n');
+generator.addMapping({ generated: { line: 1, column: 448 }, original: { line: 2, column: 24 }, source: 'src/stores/authStore.js', name: 'status' });
+fs.writeFileSync(path.join(tmpDir, 'app.js.map'), generator.toString());
+
+const renderPrompt = input => spawnSync(process.execPath, [path.join(rootDir, 'src/cli/decode-trace.js'), '--render-prompt'], {
+    cwd: rootDir,
+    input,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: {
+        ...process.env,
+        // 디코더는 SOURCE_MAP_DIR을 작업 디렉토리 기준 상대 경로로 처리
+        SOURCE_MAP_DIR: path.relative(rootDir, tmpDir),
+        WORKING_DIR: tmpDir,
+        SOURCEMAP_ARCHIVE_DIR: path.join(tmpDir, 'archive'),
+        PROMPT_TEMPLATE_DIR: examplesDir,
+        PROMPT_RULES_FILE: '',
+        FORCE_COLOR: '0',
+    },
+});
+
+let output = renderPrompt(errorInfo.error.stackTrace);
+check('스택 트레이스 입력', output.status === 0 && output.stdout.includes('발생 위치: src/stores/authStore.js:2:24'));
+check('선택된 템플릿은 stderr', output.stderr.includes('템플릿: null-access') && !output.stdout.includes('템플릿: null-access'));
+
+output = renderPrompt(JSON.stringify({ ...errorInfo, error: { ...errorInfo.error, message: 'x is not a function' } }));
+check('수집기 형식 JSON 입력 (기본 프롬프트)', output.status === 0 && output.stdout.startsWith('다음 프로덕션 에러를 수정해주세요:')
+    && output.stderr.includes('기본 프롬프트 (맞는 템플릿 없음)'));
+
+output = renderPrompt('no stack here');
+check('디코딩할 수 없으면 실패', output.status === 1 && output.stdout === '');
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('프롬프트 템플릿 테스트 완료!');
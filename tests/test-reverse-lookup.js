@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SourceMapGenerator } from 'source-map';
+import {
+    parseLocation,
+    matchesSource,
+    findGeneratedPositions,
+    buildLogQLFilter,
+} from '../src/core/reverse-lookup.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 역방향 조회 테스트
+ * 원본 파일:줄에서 번들 청크와 minified 줄:컬럼, LogQL 필터를 만드는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 역방향 조회 테스트\n'));
+
+console.log(chalk.yellow('📋 위치 파싱/경로 비교:'));
+let location = parseLocation('src/stores/authStore.js:53');
+check('파일:줄', location?.file === 'src/stores/authStore.js' && location.line === 53 && location.column === null);
+location = parseLocation('C:\\app\\src\\a.js:3:7');
+check('Windows 경로와 컬럼', location?.file === 'C:\\app\\src\\a.js' && location.line === 3 && location.column === 7);
+check('줄 번호가 없으면 null', parseLocation('src/a.js') === null);
+check('컬럼은 1부터 시작', parseLocation('src/a.js:3:0') === null);
+
+check('webpack:// 경로', matchesSource('webpack://app/./src/stores/authStore.js', 'src/stores/authStore.js'));
+check('../ 상대 경로', matchesSource('../../src/stores/authStore.js', 'stores/authStore.js'));
+check('다른 디렉토리의 같은 파일명은 제외', !matchesSource('src/pages/authStore.js', 'src/stores/authStore.js'));
+
+console.log(chalk.yellow('\n📋 소스맵 검색:'));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reverse-test-'));
+
+// authStore.js 53번째 줄이 두 청크에 포함됨 (한 청크에서는 두 위치)
+// 소스맵 매핑의 컬럼은 0부터, 조회 입력/결과와 스택 트레이스의 컬럼은 1부터 시작
+const authMap = new SourceMapGenerator({ file: 'authStore-Q8JOaMCl.js' });
+authMap.addMapping({ generated: { line: 1, column: 448 }, original: { line: 53, column: 8 }, source: 'webpack://app/./src/stores/authStore.js', name: 'status' });
+authMap.addMapping({ generated: { line: 1, column: 512 }, original: { line: 53, column: 20 }, source: 'webpack://app/./src/stores/authStore.js' });
+authMap.addMapping({ generated: { line: 2, column: 10 }, original: { line: 60, column: 0 }, source: 'webpack://app/./src/stores/authStore.js' });
+fs.writeFileSync(path.join(tmpDir, 'authStore-Q8JOaMCl.js.map'), authMap.toString());
+
+const legacyMap = new SourceMapGenerator({ file: 'legacy-Bq1x9Zz0.js' });
+legacyMap.addMapping({ generated: { line: 3, column: 7 }, original: { line: 53, column: 8 }, source: '../../src/stores/authStore.js' });
+fs.writeFileSync(path.join(tmpDir, 'legacy-Bq1x9Zz0.js.map'), legacyMap.toString());
+
+// 다른 파일만 포함한 소스맵
+const otherMap = new SourceMapGenerator({ file: 'vendor-Kd8s7A1b.js' });
+otherMap.addMapping({ generated: { line: 1, column: 0 }, original: { line: 53, column: 0 }, source: 'src/pages/authStore.js' });
+fs.writeFileSync(path.join(tmpDir, 'vendor-Kd8s7A1b.js.map'), otherMap.toString());
+fs.writeFileSync(path.join(tmpDir, 'broken.js.map'), '{ not json');
+
+let results = await findGeneratedPositions(tmpDir, parseLocation('src/stores/authStore.js:53'));
+const authResult = results.find(result => result.chunk === 'authStore-Q8JOaMCl.js');
+check('원본 줄을 포함한 청크만', results.length === 2 && results.every(result => result.chunk !== 'vendor-Kd8s7A1b.js'));
+check('같은 줄의 모든 위치', authResult?.positions.map(position => `${position.line}:${position.column}`).join() === '1:449,1:513');
+check('위치의 원본 줄/컬럼/이름', authResult?.positions[0].originalLine === 53 && authResult.positions[0].originalColumn === 9
+    && authResult.positions[0].name === 'status');
+
+let filter = buildLogQLFilter([authResult], '{job="frontend"}');
+check('청크별 LogQL (같은 줄의 컬럼은 묶음)', filter === '{job="frontend"} |~ `authStore-Q8JOaMCl\\.js:1:(?:449|513)`');
+filter = buildLogQLFilter(results, '{job="frontend"}');
+check('전체 LogQL', filter === '{job="frontend"} |~ `authStore-Q8JOaMCl\\.js:1:(?:449|513)|legacy-Bq1x9Zz0\\.js:3:8`');
+
+results = await findGeneratedPositions(tmpDir, parseLocation('src/stores/authStore.js:53:21'));
+check('컬럼을 지정하면 해당 위치만', results.find(result => result.chunk === 'authStore-Q8JOaMCl.js')?.positions.map(position => position.column).join() === '513');
+
+results = await findGeneratedPositions(tmpDir, parseLocation('src/stores/authStore.js:55'));
+const shifted = results.find(result => result.chunk === 'authStore-Q8JOaMCl.js')?.positions[0];
+check('매핑이 없는 줄은 다음 줄 위치와 실제 원본 줄', shifted?.line === 2 && shifted.originalLine === 60);
+
+results = await findGeneratedPositions(tmpDir, parseLocation('src/stores/missing.js:1'));
+check('포함한 소스맵이 없으면 빈 배열', results.length === 0 && buildLogQLFilter(results, '{job="frontend"}') === null);
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('역방향 조회 테스트 완료!');
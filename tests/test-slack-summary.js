@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProcessedErrorsDB } from '../src/db/processed-errors-db.js';
+import { SlackNotifier, summarizeProcessedError } from '../src/utils/slack-notifier.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * Slack 요약 테스트
+ * ProcessedErrorsDB에 저장된 기록(최상위 필드)에서 복원된 메시지와 검증 실패 단계가 Slack 메시지에 표시되는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 Slack 요약 테스트\n'));
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-summary-test-'));
+const db = new ProcessedErrorsDB(path.join(tmpDir, 'processed-errors-db.json'));
+
+const error = {
+    hash: 'aaa',
+    count: 12,
+    affected: { pods: ['web-1', 'web-2'] },
+    error: { message: "Cannot read properties of undefined (reading 'a')" },
+};
+db.markAsProcessed('aaa', 'VERIFY_FAILED', {
+    message: error.error.message,
+    demangledMessage: "Cannot read properties of undefined (reading 'status')",
+    file: 'src/stores/authStore.js',
+    line: 53,
+    verification: { step: 'lint', command: 'npm run lint', exitCode: 1 },
+    claude: { numTurns: 4, costUsd: 0.12 },
+});
+
+const plain = { hash: 'bbb', count: 1, error: { message: 'foo is not defined' } };
+db.markAsProcessed('bbb', 'FIXED', { message: plain.error.message, file: 'src/a.js', line: 3 });
+
+console.log(chalk.yellow('📋 처리된 에러 항목:'));
+const entry = summarizeProcessedError(db.get('aaa'), error);
+check('복원된 메시지 사용', entry.message === "Cannot read properties of undefined (reading 'status')");
+check('파일/줄', entry.file === 'src/stores/authStore.js' && entry.line === 53);
+check('검증 실패 단계', entry.verifyStep === 'lint');
+check('발생 횟수/pod 수', entry.occurrences === 12 && entry.pods === 2);
+check('Claude Code 실행 요약', entry.claude?.costUsd === 0.12);
+
+const plainEntry = summarizeProcessedError(db.get('bbb'), plain);
+check('복원된 메시지가 없으면 수집된 메시지', plainEntry.message === 'foo is not defined');
+check('검증 정보가 없으면 verifyStep 없음', !('verifyStep' in plainEntry) && !('claude' in plainEntry));
+
+console.log(chalk.yellow('\n📋 Slack 메시지:'));
+const notifier = new SlackNotifier({});
+const message = notifier.formatMessage({
+    mode: 'once', fixed: 1, failed: 1, skipped: 0, total: 2,
+    errors: [entry, plainEntry],
+});
+check('메시지에 복원된 메시지 표시', message.includes("(reading 'status')") && !message.includes("(reading 'a')"));
+check('메시지에 검증 실패 단계 표시', message.includes('검증 실패: lint'));
+check('메시지에 위치 표시', message.includes('`src/stores/authStore.js:53`') && message.includes('`src/a.js:3`'));
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('Slack 요약 테스트 완료!');
@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SourceMapGenerator } from 'source-map';
+import { StackTraceDecoder, SOURCE_MAP_STRATEGIES } from '../src/core/decoder-wrapper.js';
+import { BuildManifest, parseBuildManifest, MANIFEST_FORMATS } from '../src/core/build-manifest.js';
+import { SourceMapArchive, getReleaseFromError } from '../src/core/source-map-archive.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 소스맵 파일 탐색 테스트
+ * (릴리스 아카이브, 빌드 매니페스트 → 정확한 파일명 → sourceMappingURL/인라인 → fuzzy matching, 인덱스 소스맵)
+ */
+
+console.log(chalk.cyan('🧪 소스맵 탐색 테스트\n'));
+
+/**
+ * 1:10 위치가 지정한 원본 파일로 매핑되는 소스맵 JSON
+ */
+function createMap(source, content = 'export const value = 1;') {
+    const generator = new SourceMapGenerator({ file: 'bundle.js' });
+    generator.setSourceContent(source, content);
+    generator.addMapping({ generated: { line: 1, column: 10 }, original: { line: 1, column: 0 }, source });
+    return generator.toJSON();
+}
+
+function writeMap(filePath, source, mtime = null) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(createMap(source)));
+    if (mtime) {
+        fs.utimesSync(filePath, mtime, mtime);
+    }
+}
+
+function frame(fileName) {
+    return `    at n (https://example.com/assets/${fileName}:1:10)`;
+}
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sourcemap-test-'));
+
+console.log(chalk.yellow('📋 Vite 매니페스트:'));
+const viteDist = path.join(tmpDir, 'vite', 'dist');
+const viteAssets = path.join(viteDist, 'assets');
+
+// 같은 디렉토리에 이전 빌드(더 최신 mtime)와 현재 빌드의 소스맵이 섞여 있음
+writeMap(path.join(viteAssets, 'data-table-Q8JOaMCl.js.map'), 'src/current/data-table.js', new Date(Date.now() - 60000));
+writeMap(path.join(viteAssets, 'data-table-Zz99Yy88.js.map'), 'src/previous/data-table.js');
+writeMap(path.join(viteAssets, 'legacy-Ab12Cd34.js.map'), 'src/legacy.js');
+fs.mkdirSync(path.join(viteDist, '.vite'));
+fs.writeFileSync(path.join(viteDist, '.vite', 'manifest.json'), JSON.stringify({
+    'src/components/data-table.js': { file: 'assets/data-table-Q8JOaMCl.js', src: 'src/components/data-table.js', isEntry: true },
+    'src/styles.css': { file: 'assets/styles-1a2b3c4d.css', src: 'src/styles.css' },
+}));
+// PWA 매니페스트는 무시되어야 함
+fs.writeFileSync(path.join(viteDist, 'manifest.json'), JSON.stringify({ name: 'App', icons: [{ src: 'icon.png' }] }));
+
+const viteDecoder = new StackTraceDecoder({
+    decoder: { sourceMapDir: path.relative(process.cwd(), viteAssets) },
+    filters: { ignorePatterns: [] },
+});
+
+// 매니페스트가 없으면 fuzzy matching이 최신 mtime인 이전 빌드를 고름
+let result = await viteDecoder.decodeStackTrace(frame('data-table-Ab12Cd34.js'));
+check('매니페스트에 없는 청크는 fuzzy matching', result.sourceMap?.strategy === SOURCE_MAP_STRATEGIES.FUZZY && result.original?.file === 'src/previous/data-table.js');
+
+result = await viteDecoder.decodeStackTrace(frame('data-table-Q8JOaMCl.js'));
+check('매니페스트의 청크는 MANIFEST 전략', result.sourceMap?.strategy === SOURCE_MAP_STRATEGIES.MANIFEST);
+check('현재 빌드의 소스맵으로 디코딩', result.original?.file === 'src/current/data-table.js');
+
+result = await viteDecoder.decodeStackTrace(frame('legacy-Ab12Cd34.js'));
+check('매니페스트에 없지만 같은 이름의 소스맵은 EXACT 전략', result.sourceMap?.strategy === SOURCE_MAP_STRATEGIES.EXACT);
+
+check('결과 프레임에도 소스맵 정보 포함', result.frames?.[0]?.sourceMap?.path.endsWith('legacy-Ab12Cd34.js.map'));
+viteDecoder.close();
+
+console.log(chalk.yellow('\n📋 webpack asset-manifest.json:'));
+const webpackBuild = path.join(tmpDir, 'webpack', 'build');
+const webpackJs = path.join(webpackBuild, 'static', 'js');
+writeMap(path.join(webpackJs, 'main.8a2b9c1d.js.map'), 'src/index.js');
+fs.writeFileSync(path.join(webpackBuild, 'asset-manifest.json'), JSON.stringify({
+    files: {
+        'main.js': '/app/static/js/main.8a2b9c1d.js',
+        'main.js.map': '/app/static/js/main.8a2b9c1d.js.map',
+    },
+    entrypoints: ['static/js/main.8a2b9c1d.js'],
+}));
+// 문자열 값만 있는 PWA manifest.json이 asset-manifest.json보다 먼저 검색되어도 가리지 않아야 함
+fs.writeFileSync(path.join(webpackBuild, 'manifest.json'), JSON.stringify({ short_name: 'App', name: 'App', start_url: '.', display: 'standalone' }));
+
+const webpackDecoder = new StackTraceDecoder({
+    decoder: { sourceMapDir: path.relative(process.cwd(), webpackJs) },
+    filters: { ignorePatterns: [] },
+});
+result = await webpackDecoder.decodeStackTrace(frame('main.8a2b9c1d.js'));
+check('publicPath가 붙은 경로도 매칭', result.sourceMap?.strategy === SOURCE_MAP_STRATEGIES.MANIFEST && result.original?.file === 'src/index.js');
+webpackDecoder.close();
+
+console.log(chalk.yellow('\n📋 매니페스트 탐색 캐시:'));
+const buildManifest = new BuildManifest({ sourceMapDir: webpackJs });
+const countLookups = (fn) => {
+    const existsSync = fs.existsSync;
+    let lookups = 0;
+    fs.existsSync = (target) => {
+        if (/manifest\.json$|stats\.json$/.test(target)) lookups++;
+        return existsSync(target);
+    };
+    try {
+        return { value: fn(), lookups };
+    } finally {
+        fs.existsSync = existsSync;
+    }
+};
+let lookup = countLookups(() => buildManifest.resolve('main.8a2b9c1d.js'));
+check('처음에는 매니페스트 후보 탐색', lookup.value?.manifest === path.join(webpackBuild, 'asset-manifest.json') && lookup.lookups > 0);
+lookup = countLookups(() => buildManifest.resolve('main.8a2b9c1d.js'));
+check('디렉토리가 그대로면 다시 탐색하지 않음', lookup.value?.format === MANIFEST_FORMATS.WEBPACK_ASSETS && lookup.lookups === 0);
+
+// 우선순위가 높은 매니페스트가 추가되면 다시 탐색
+writeMap(path.join(webpackJs, 'main.1f2e3d4c.js.map'), 'src/next.js');
+fs.mkdirSync(path.join(webpackBuild, '.vite'));
+fs.writeFileSync(path.join(webpackBuild, '.vite', 'manifest.json'), JSON.stringify({
+    'src/next.js': { file: 'static/js/main.1f2e3d4c.js', isEntry: true },
+}));
+check('새 매니페스트 반영', buildManifest.resolve('main.1f2e3d4c.js')?.format === MANIFEST_FORMATS.VITE
+    && buildManifest.resolve('main.8a2b9c1d.js') === null);
+fs.rmSync(path.join(webpackBuild, '.vite'), { recursive: true });
+check('삭제되면 다음 후보 사용', buildManifest.resolve('main.8a2b9c1d.js')?.format === MANIFEST_FORMATS.WEBPACK_ASSETS);
+
+console.log(chalk.yellow('\n📋 sourceMappingURL / 인라인 / 인덱스 소스맵:'));
+const bundleDir = path.join(tmpDir, 'bundle', 'js');
+fs.mkdirSync(bundleDir, { recursive: true });
+
+// 다른 디렉토리의 소스맵을 가리키는 주석
+writeMap(path.join(tmpDir, 'bundle', 'maps', 'widget-Aa11Bb22.js.map'), 'src/widget.js');
+fs.writeFileSync(path.join(bundleDir, 'widget-Aa11Bb22.js'), 'var a=1;\n//# sourceMappingURL=../maps/widget-Aa11Bb22.js.map\n');
+
+// data: URL 인라인 소스맵 (읽기 범위보다 큰 경우 포함)
+const inlineUrl = map => `data:application/json;charset=utf-8;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`;
+fs.writeFileSync(path.join(bundleDir, 'inline-Cc33Dd44.js'), `var a=1;\n//# sourceMappingURL=${inlineUrl(createMap('src/inline.js'))}`);
+const largeContent = `// ${'x'.repeat(120 * 1024)}\nexport const value = 1;`;
+fs.writeFileSync(path.join(bundleDir, 'large-Gg77Hh88.js'), `var a=1;//# sourceMappingURL=${inlineUrl(createMap('src/large.js', largeContent))}`);
+
+// 인덱스 소스맵: 1번째 줄은 section.map, 2번째 줄은 외부 파일(section.url)
+fs.writeFileSync(path.join(bundleDir, 'part2.map'), JSON.stringify(createMap('src/part2.js')));
+fs.writeFileSync(path.join(bundleDir, 'sectioned-Ee55Ff66.js.map'), JSON.stringify({
+    version: 3,
+    sections: [
+        { offset: { line: 0, column: 0 }, map: createMap('src/part1.js') },
+        { offset: { line: 1, column: 0 }, url: 'part2.map' },
+    ],
+}));
+
+const commentDecoder = new StackTraceDecoder({
+    decoder: { sourceMapDir: path.relative(process.cwd(), bundleDir) },
+    filters: { ignorePatterns: [] },
+});
+
+result = await commentDecoder.decodeStackTrace(frame('widget-Aa11Bb22.js'));
+check('sourceMappingURL의 상대 경로', result.sourceMap?.strategy === SOURCE_MAP_STRATEGIES.SOURCE_MAPPING_URL && result.original?.file === 'src/widget.js');
+
+result = await commentDecoder.decodeStackTrace(frame('inline-Cc33Dd44.js'));
+check('인라인 base64 소스맵', result.sourceMap?.strategy === SOURCE_MAP_STRATEGIES.INLINE && result.original?.file === 'src/inline.js');
+
+result = await commentDecoder.decodeStackTrace(frame('large-Gg77Hh88.js'));
+check('64KB보다 큰 인라인 소스맵', result.original?.file === 'src/large.js' && result.sourceCode?.some(line => line.isTarget));
+
+result = await commentDecoder.decodeStackTrace(frame('sectioned-Ee55Ff66.js'));
+check('인덱스 소스맵 section.map', result.original?.file === 'src/part1.js');
+result = await commentDecoder.decodeStackTrace('    at n (https://example.com/assets/sectioned-Ee55Ff66.js:2:10)');
+check('인덱스 소스맵 section.url', result.original?.file === 'src/part2.js');
+
+// 잘못된 % 인코딩의 sourceMappingURL은 원래 문자열로 찾고, 없으면 이 프레임만 실패
+fs.writeFileSync(path.join(bundleDir, 'badurl-Ii99Jj00.js'), 'var a=1;\n//# sourceMappingURL=bad%E0%A4%A.map\n');
+result = await commentDecoder.decodeStackTrace(`${frame('badurl-Ii99Jj00.js')}\n${frame('widget-Aa11Bb22.js')}`);
+check('잘못된 sourceMappingURL 인코딩은 프레임별 오류', result.frames?.[0]?.error === 'SOURCE_MAP_NOT_FOUND'
+    && result.original?.file === 'src/widget.js');
+writeMap(path.join(bundleDir, 'bad%E0%A4%A.map'), 'src/badurl.js');
+result = await commentDecoder.decodeStackTrace(frame('badurl-Ii99Jj00.js'));
+check('디코딩할 수 없는 URL은 그대로 파일명으로 사용', result.original?.file === 'src/badurl.js');
+commentDecoder.close();
+
+console.log(chalk.yellow('\n📋 decode-trace CLI (디코더와 같은 소스맵 탐색):'));
+// XSSI 방지 접두사가 붙은 소스맵
+fs.writeFileSync(path.join(bundleDir, 'xssi-Kk11Ll22.js.map'), `)]}'\n${JSON.stringify(createMap('src/xssi.js'))}`);
+
+const runDecodeTrace = (args, input = '') => spawnSync(process.execPath, [path.join(rootDir, 'src/cli/decode-trace.js'), ...args], {
+    cwd: rootDir,
+    input,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, SOURCE_MAP_DIR: path.relative(rootDir, bundleDir), FORCE_COLOR: '0' },
+});
+
+const cliTrace = [
+    'Error: boom',
+    frame('widget-Aa11Bb22.js'),
+    frame('inline-Cc33Dd44.js'),
+    '    at n (https://example.com/assets/sectioned-Ee55Ff66.js:2:10)',
+    frame('xssi-Kk11Ll22.js'),
+].join('\n');
+const cliOutput = runDecodeTrace(['--format', 'json'], cliTrace);
+const cliFiles = cliOutput.status === 0 ? JSON.parse(cliOutput.stdout).frames.map(item => item.original?.source ?? null) : [];
+check('sourceMappingURL 소스맵', cliFiles[0] === 'src/widget.js');
+check('인라인 소스맵', cliFiles[1] === 'src/inline.js');
+check('인덱스 소스맵 section.url', cliFiles[2] === 'src/part2.js');
+check('XSSI 접두사', cliFiles[3] === 'src/xssi.js');
+
+const reverseOutput = ['src/widget.js:1', 'src/inline.js:1', 'src/part2.js:1']
+    .map(target => runDecodeTrace(['--reverse', target]).stdout);
+check('--reverse: 다른 디렉토리/인라인/section.url 소스맵', reverseOutput[0].includes('원본 source: src/widget.js')
+    && reverseOutput[1].includes('원본 source: src/inline.js') && reverseOutput[2].includes('원본 source: src/part2.js'));
+
+console.log(chalk.yellow('\n📋 매니페스트 형식 판별:'));
+const stats = parseBuildManifest({
+    assets: [
+        { name: 'static/js/main.8a2b9c1d.js', info: { related: { sourceMap: 'static/js/main.8a2b9c1d.js.map' } } },
+        { name: 'static/js/vendor.1234abcd.js', info: {} },
+        { name: 'static/js/vendor.1234abcd.js.map', info: {} },
+    ],
+    chunks: [],
+}, path.join(tmpDir, 'stats.json'));
+check('webpack stats.json', stats?.format === MANIFEST_FORMATS.WEBPACK_STATS && stats.chunks.size === 2);
+check('stats.json related.sourceMap 사용', stats?.chunks.get('main.8a2b9c1d.js')?.map === 'static/js/main.8a2b9c1d.js.map');
+
+const flat = parseBuildManifest({ 'main.js': 'main.8a2b9c1d.js', 'main.js.map': 'main.8a2b9c1d.js.map' }, path.join(tmpDir, 'assets-manifest.json'));
+check('webpack-assets-manifest 평평한 형식', flat?.format === MANIFEST_FORMATS.WEBPACK_ASSETS && flat.chunks.has('main.8a2b9c1d.js'));
+
+const vite = parseBuildManifest({ 'src/main.ts': { file: 'assets/main-B1a2C3d4.js' } }, path.join(tmpDir, 'dist', '.vite', 'manifest.json'));
+check('.vite/manifest.json의 기준 디렉토리는 빌드 출력 디렉토리', vite?.root === path.join(tmpDir, 'dist'));
+check('PWA manifest.json은 인식하지 않음', parseBuildManifest({ name: 'App', short_name: 'App', icons: [] }, 'manifest.json') === null);
+check('JS 청크가 없는 매니페스트는 인식하지 않음', parseBuildManifest({ name: 'App', start_url: '.' }, 'manifest.json') === null
+    && parseBuildManifest({ 'src/styles.css': { file: 'assets/styles-1a2b3c4d.css' } }, 'manifest.json') === null);
+
+console.log(chalk.yellow('\n📋 릴리스별 소스맵 아카이브:'));
+const archiveDir = path.join(tmpDir, 'archive');
+const archive = new SourceMapArchive(archiveDir);
+
+// 1.0.0 빌드를 보관한 뒤 같은 출력 디렉토리를 다음 빌드로 덮어씀
+const releaseBuild = path.join(tmpDir, 'release', 'dist');
+writeMap(path.join(releaseBuild, 'assets', 'app-Q8JOaMCl.js.map'), 'src/v1/app.js');
+fs.mkdirSync(path.join(releaseBuild, '.vite'));
+fs.writeFileSync(path.join(releaseBuild, '.vite', 'manifest.json'), JSON.stringify({
+    'src/app.js': { file: 'assets/app-Q8JOaMCl.js' },
+}));
+// 번들 파일: 외부 소스맵을 쓰는 청크와 인라인 소스맵만 있는 청크
+fs.writeFileSync(path.join(releaseBuild, 'assets', 'app-Q8JOaMCl.js'), 'var a=1;\n//# sourceMappingURL=app-Q8JOaMCl.js.map\n');
+fs.writeFileSync(path.join(releaseBuild, 'assets', 'widget-Mm11Nn22.js'), `var a=1;\n//# sourceMappingURL=${inlineUrl(createMap('src/v1/widget.js'))}`);
+const ingested = archive.ingest(releaseBuild, '1.0.0');
+check('소스맵과 매니페스트 보관', ingested.files === 1 && ingested.manifests.includes(path.join('.vite', 'manifest.json')));
+check('번들 파일도 소스맵 옆에 보관', ingested.scripts === 2
+    && fs.existsSync(path.join(ingested.dir, 'app-Q8JOaMCl.js')) && fs.existsSync(path.join(ingested.dir, 'widget-Mm11Nn22.js')));
+
+writeMap(path.join(releaseBuild, 'assets', 'app-Q8JOaMCl.js.map'), 'src/v2/app.js');
+fs.writeFileSync(path.join(releaseBuild, 'assets', 'widget-Mm11Nn22.js'), `var a=1;\n//# sourceMappingURL=${inlineUrl(createMap('src/v2/widget.js'))}`);
+archive.ingest(releaseBuild, 'feature/x@2');
+check('릴리스 목록', archive.list().length === 2);
+
+const releaseDecoder = new StackTraceDecoder({
+    decoder: { sourceMapDir: path.relative(process.cwd(), path.join(releaseBuild, 'assets')), archiveDir },
+    filters: { ignorePatterns: [] },
+});
+
+result = await releaseDecoder.decodeStackTrace(frame('app-Q8JOaMCl.js'), { release: '1.0.0' });
+check('릴리스의 소스맵으로 디코딩', result.original?.file === 'src/v1/app.js' && result.release?.archived === true);
+check('아카이브의 매니페스트 사용', result.sourceMap?.strategy === SOURCE_MAP_STRATEGIES.MANIFEST);
+
+result = await releaseDecoder.decodeStackTrace(frame('widget-Mm11Nn22.js'), { release: '1.0.0' });
+check('보관된 번들의 인라인 소스맵으로 디코딩', result.sourceMap?.strategy === SOURCE_MAP_STRATEGIES.INLINE
+    && result.original?.file === 'src/v1/widget.js');
+
+result = await releaseDecoder.decodeStackTrace(frame('app-Q8JOaMCl.js'), { release: 'feature/x@2' });
+check('디렉토리 이름으로 쓸 수 없는 문자가 있는 릴리스 ID', result.original?.file === 'src/v2/app.js');
+
+result = await releaseDecoder.decodeStackTrace(frame('app-Q8JOaMCl.js'), { release: '0.9.0' });
+check('아카이브에 없는 릴리스는 기본 소스맵 디렉토리 사용', result.original?.file === 'src/v2/app.js' && result.release?.archived === false);
+
+result = await releaseDecoder.decodeStackTrace(frame('app-Q8JOaMCl.js'));
+check('릴리스를 모르면 기본 소스맵 디렉토리 사용', !result.release && result.original?.file === 'src/v2/app.js');
+releaseDecoder.close();
+
+const releaseLabels = ['version', 'release', 'commit'];
+check('Loki 라벨에서 릴리스 추출', getReleaseFromError({ labels: { job: 'web', release: 'r1', commit: 'abc' } }, releaseLabels) === 'r1');
+check('라벨이 없으면 로그 페이로드에서 추출', getReleaseFromError({ labels: {}, error: { raw: { version: '2.0.0' } } }, releaseLabels) === '2.0.0');
+check('릴리스 정보가 없으면 null', getReleaseFromError({ labels: { job: 'web' } }, releaseLabels) === null);
+
+// 1.0.0을 40일 전에 보관한 것으로 변경
+const oldMetaPath = path.join(archiveDir, '1.0.0', 'release.json');
+const oldMeta = JSON.parse(fs.readFileSync(oldMetaPath, 'utf8'));
+fs.writeFileSync(oldMetaPath, JSON.stringify({ ...oldMeta, ingestedAt: new Date(Date.now() - 40 * 86400000).toISOString() }));
+const removed = archive.prune(30);
+check('보관 기간이 지난 릴리스 삭제', removed.join(',') === '1.0.0' && archive.list().length === 1);
+check('가장 최근 릴리스는 기간이 지나도 유지', archive.prune(0).length === 0);
+
+// 다른 디렉토리의 같은 이름 소스맵은 평평하게 복사하면 덮어쓰므로 보관하지 않음 (기존 보관본 유지)
+const collidingBuild = path.join(tmpDir, 'colliding', 'dist');
+writeMap(path.join(collidingBuild, 'assets', 'index.js.map'), 'src/index.js');
+writeMap(path.join(collidingBuild, 'legacy', 'index.js.map'), 'src/legacy/index.js');
+let thrown = null;
+try {
+    archive.ingest(collidingBuild, 'feature/x@2');
+} catch (error) {
+    thrown = error;
+}
+check('같은 이름의 소스맵이 있으면 에러', thrown?.message.includes(path.join('assets', 'index.js.map'))
+    && thrown.message.includes(path.join('legacy', 'index.js.map')));
+check('실패한 보관은 기존 릴리스를 지우지 않음', archive.resolveDir('feature/x@2') !== null
+    && fs.existsSync(path.join(archiveDir, 'feature_x_2', 'app-Q8JOaMCl.js.map')));
+
+// CLI prune: 0일(인자/SOURCEMAP_ARCHIVE_RETENTION_DAYS)도 그대로 사용하고, 숫자가 아니면 에러
+const runArchiveCli = (args, retentionDays = '30') => spawnSync(process.execPath, [path.join(rootDir, 'src/cli/sourcemap-archive.js'), ...args], {
+    cwd: tmpDir,
+    env: { ...process.env, SOURCEMAP_ARCHIVE_DIR: archiveDir, SOURCEMAP_ARCHIVE_RETENTION_DAYS: retentionDays },
+    encoding: 'utf8',
+    timeout: 30000,
+});
+archive.ingest(releaseBuild, '3.0.0');
+let cli = runArchiveCli(['prune', 'abc']);
+check('CLI prune: 잘못된 보관 기간은 에러', cli.status === 1 && cli.stdout.includes('abc'));
+cli = runArchiveCli(['prune', '0']);
+check('CLI prune 0: 가장 최근 릴리스만 유지', cli.status === 0 && cli.stdout.includes('0일')
+    && archive.list().map(release => release.release).join() === '3.0.0');
+archive.ingest(releaseBuild, '4.0.0');
+cli = runArchiveCli(['prune'], '0');
+check('SOURCEMAP_ARCHIVE_RETENTION_DAYS=0', cli.status === 0 && cli.stdout.includes('0일')
+    && archive.list().map(release => release.release).join() === '4.0.0');
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('소스맵 탐색 테스트 완료!');
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseStackTrace, ENGINES } from '../src/core/stack-frame-parser.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 스택 프레임 파서 테스트 (tests/fixtures/stack-traces/*.txt)
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const fixturesDir = path.join(__dirname, 'fixtures', 'stack-traces');
+
+console.log(chalk.cyan('🧪 스택 프레임 파서 테스트\n'));
+
+const expected = {
+    'chrome.txt': [
+        { function: 'checkAccessibility', file: 'useAccessibilityStore-Q8JOaMCl.js', line: 1, column: 448, engine: ENGINES.V8 },
+        { function: 'loadPage', file: 'index-Bglop1x2.js', line: 2, column: 1031, engine: ENGINES.V8, async: true },
+        { function: 'Store', file: 'store-Ab12Cd34.js', line: 1, column: 90, engine: ENGINES.V8, constructor: true },
+        { function: 'Object.<anonymous>', file: 'index-Bglop1x2.js', line: 1, column: 15, engine: ENGINES.V8 },
+        { function: 'eval', file: 'vendor-9f8e7d6c.js', line: 3, column: 220, engine: ENGINES.V8, eval: true },
+        { function: null, file: 'index-Bglop1x2.js', line: 4, column: 77, engine: ENGINES.V8 },
+    ],
+    'firefox.txt': [
+        { function: 'checkAccessibility', file: 'useAccessibilityStore-Q8JOaMCl.js', line: 1, column: 448, engine: ENGINES.GECKO },
+        { function: 'loadPage', file: 'index-Bglop1x2.js', line: 2, column: 1031, engine: ENGINES.GECKO, async: true },
+        { function: 'mounted/<', file: 'index-Bglop1x2.js', line: 3, column: 12, engine: ENGINES.GECKO },
+        { function: null, file: 'index-Bglop1x2.js', line: 4, column: 77, engine: ENGINES.GECKO },
+        { function: 'compile', file: 'vendor-9f8e7d6c.js', line: 3, column: null, engine: ENGINES.GECKO, eval: true },
+    ],
+    'safari.txt': [
+        { function: 'checkAccessibility', file: 'useAccessibilityStore-Q8JOaMCl.js', line: 1, column: 448, engine: ENGINES.GECKO },
+        { function: 'loadPage', file: 'index-Bglop1x2.js', line: 2, column: 1031, engine: ENGINES.GECKO },
+        { function: null, file: 'index-Bglop1x2.js', line: 4, column: 77, engine: ENGINES.WEBKIT },
+        { function: null, file: 'main-Zz99Yy88.js', line: 1, column: 3, engine: ENGINES.WEBKIT },
+    ],
+    'node.txt': [
+        { function: 'checkAccessibility', file: 'useAccessibilityStore.js', line: 53, column: 24, engine: ENGINES.NODE },
+        { function: 'loadPage', file: 'index.js', line: 12, column: 5, engine: ENGINES.NODE, async: true },
+        { function: 'Module._compile', file: 'loader', line: 1256, column: 14, engine: ENGINES.NODE },
+        { function: null, file: 'server.js', line: 7, column: 3, engine: ENGINES.NODE },
+    ],
+};
+
+for (const [fixture, frames] of Object.entries(expected)) {
+    console.log(chalk.yellow(`📋 ${fixture}:`));
+    const parsed = parseStackTrace(fs.readFileSync(path.join(fixturesDir, fixture), 'utf8'));
+
+    check(`프레임 ${frames.length}개 파싱`, parsed.length === frames.length);
+
+    frames.forEach((frame, idx) => {
+        const actual = parsed[idx] || {};
+        const mismatches = Object.entries(frame)
+            .filter(([key, value]) => actual[key] !== value)
+            .map(([key, value]) => `${key}: ${JSON.stringify(actual[key])} ≠ ${JSON.stringify(value)}`);
+
+        check(`#${idx + 1} ${frame.function || '(익명)'} ${frame.file}:${frame.line}`, mismatches.length === 0);
+        mismatches.forEach(mismatch => console.log(chalk.dim(`      ${mismatch}`)));
+    });
+    console.log();
+}
+
+console.log(chalk.yellow('📋 한 줄로 기록된 스택:'));
+const inline = parseStackTrace('Error: Cannot read properties of undefined (reading \'status\') at ? (https://example.com/static/js/useAccessibilityStore-Q8JOaMCl.js:1:448) at n (https://example.com/static/js/index-Bglop1x2.js:2:31)');
+check('프레임 2개 분리', inline.length === 2);
+check('"?" 함수명은 익명 처리', inline[0]?.function === null && inline[1]?.function === 'n');
+
+finish('스택 프레임 파서 테스트 완료!');
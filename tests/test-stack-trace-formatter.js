@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SourceMapGenerator } from 'source-map';
+import { parseStackTrace } from '../src/core/stack-frame-parser.js';
+import { formatText, formatJSON, formatMarkdown, rewriteFrame } from '../src/core/stack-trace-formatter.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 스택 트레이스 출력 형식 테스트
+ * 입력 스택 트레이스의 minified 위치를 원본 위치로 줄 단위로 바꾸고, 디코딩하지 못한 프레임은 그대로 두는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 스택 트레이스 출력 형식 테스트\n'));
+
+// 테스트용 디코딩: app 청크만 원본 위치로 매핑
+const ORIGINALS = {
+    448: { file: 'src/stores/authStore.js', line: 53, column: 12, function: 'AuthStore.login' },
+    120: { file: 'src/pages/Login.jsx', line: 8, column: 4, function: null },
+};
+
+function decode(stackTrace) {
+    return parseStackTrace(stackTrace).map((frame) => {
+        const original = frame.file.startsWith('app-') ? ORIGINALS[frame.column] || null : null;
+        return { frame, original, error: original ? null : 'SOURCE_MAP_NOT_FOUND' };
+    });
+}
+
+console.log(chalk.yellow('📋 텍스트 (줄 단위 다시 쓰기):'));
+const v8 = [
+    'TypeError: Cannot read properties of undefined (reading \'status\')',
+    '    at e.get (https://example.com/assets/app-Q8JOaMCl.js:1:448)',
+    '    at async new Xt (https://example.com/assets/app-Q8JOaMCl.js:1:448)',
+    '    at https://example.com/assets/app-Q8JOaMCl.js:1:120',
+    '    at r (https://example.com/assets/vendor-Zz81kd.js:2:10)',
+].join('\n');
+const lines = formatText(v8, decode(v8)).split('\n');
+check('메시지 줄은 그대로', lines[0] === v8.split('\n')[0]);
+check('V8 함수 이름과 위치 교체', lines[1] === '    at AuthStore.login (src/stores/authStore.js:53:12)');
+check('async/new 표기 유지', lines[2] === '    at async new AuthStore.login (src/stores/authStore.js:53:12)');
+check('원본 함수 이름이 없으면 위치만 교체', lines[3] === '    at src/pages/Login.jsx:8:4');
+check('디코딩하지 못한 프레임은 그대로', lines[4] === v8.split('\n')[4]);
+
+const gecko = 'login@https://example.com/assets/app-Q8JOaMCl.js:1:448\n@https://example.com/assets/app-Q8JOaMCl.js:1:448\nasync*t@https://example.com/assets/app-Q8JOaMCl.js:1:448';
+check('Gecko/WebKit 표기', formatText(gecko, decode(gecko)) === 'AuthStore.login@src/stores/authStore.js:53:12\nAuthStore.login@src/stores/authStore.js:53:12\nasync*AuthStore.login@src/stores/authStore.js:53:12');
+
+const joined = 'Error: boom at e.get (https://example.com/assets/app-Q8JOaMCl.js:1:448) at r (https://example.com/assets/vendor-Zz81kd.js:2:10)';
+check('한 줄로 이어진 스택', formatText(joined, decode(joined)) === 'Error: boom at AuthStore.login (src/stores/authStore.js:53:12) at r (https://example.com/assets/vendor-Zz81kd.js:2:10)');
+
+const [evalFrame] = parseStackTrace('    at eval (eval at load (https://example.com/assets/app-Q8JOaMCl.js:1:448), <anonymous>:1:1)');
+check('eval 프레임은 안쪽 위치만 교체', rewriteFrame(evalFrame.original, evalFrame, ORIGINALS[448])
+    === 'at eval (eval at load (src/stores/authStore.js:53:12), <anonymous>:1:1)');
+const [firefoxEval] = parseStackTrace('load@https://example.com/assets/app-Q8JOaMCl.js line 2 > eval:1:3');
+check('위치가 그대로 들어 있지 않은 프레임은 그대로', rewriteFrame(firefoxEval.original, firefoxEval, ORIGINALS[448]) === firefoxEval.original);
+
+console.log(chalk.yellow('\n📋 JSON/Markdown:'));
+const json = JSON.parse(formatJSON(v8, decode(v8)));
+check('JSON 프레임 수', json.frames.length === 4);
+check('JSON에 다시 쓴 스택 트레이스', json.stackTrace.split('\n')[1] === lines[1]);
+check('JSON 디코딩 실패 프레임', json.frames[3].original === null && json.frames[3].error === 'SOURCE_MAP_NOT_FOUND');
+
+const markdown = formatMarkdown(v8, decode(v8));
+check('Markdown 코드 블록', markdown.startsWith('```text\n') && markdown.includes(lines[1]));
+check('Markdown 프레임 표', markdown.includes('| 0 | `AuthStore.login` | `src/stores/authStore.js:53:12` | `app-Q8JOaMCl.js:1:448` |'));
+check('Markdown 디코딩 실패 표시', markdown.includes('| 3 | `r` | _SOURCE_MAP_NOT_FOUND_ | `vendor-Zz81kd.js:2:10` |'));
+
+console.log(chalk.yellow('\n📋 실제 소스맵 (decode-trace --format):'));
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'formatter-test-'));
+const generator = new SourceMapGenerator({ file: 'app-abc123.js' });
+generator.setSourceContent('src/a.js', 'export function outer() {\n    const value = 1;\n    return inner(value);\n}\n');
+// 소스맵의 원본 컬럼 9는 0부터 시작 → 출력은 1부터 시작하는 3:10
+generator.addMapping({ generated: { line: 1, column: 11 }, original: { line: 3, column: 9 }, source: 'src/a.js', name: 'inner' });
+fs.writeFileSync(path.join(tmpDir, 'app-abc123.js.map'), generator.toString());
+
+const decodeTrace = (args, input = '') => spawnSync(process.execPath, [path.join(rootDir, 'src/cli/decode-trace.js'), ...args], {
+    cwd: rootDir,
+    input,
+    encoding: 'utf8',
+    timeout: 30000,
+    env: { ...process.env, SOURCE_MAP_DIR: path.relative(rootDir, tmpDir), FORCE_COLOR: '0' },
+});
+
+const realTrace = 'Error: boom\n    at outer (https://example.com/assets/app-abc123.js:1:11)';
+const text = decodeTrace(['--format', 'text'], realTrace);
+check('텍스트: 원본 컬럼은 1부터 시작', text.status === 0 && text.stdout.split('\n')[1] === '    at outer (src/a.js:3:10)');
+
+const realJSON = JSON.parse(decodeTrace(['--format', 'json'], realTrace).stdout);
+const [realFrame] = realJSON.frames;
+check('JSON: minified/원본 컬럼 모두 1부터 시작', realFrame.minified.column === 11 && realFrame.original.line === 3 && realFrame.original.column === 10);
+
+const realMarkdown = decodeTrace(['--format', 'markdown'], realTrace).stdout;
+check('Markdown: 원본 컬럼은 1부터 시작', realMarkdown.includes('`src/a.js:3:10`') && !realMarkdown.includes('src/a.js:3:9'));
+
+const reverse = decodeTrace(['--reverse', 'src/a.js:3']);
+check('--reverse와 같은 원본 컬럼', reverse.status === 0 && reverse.stdout.includes('← 3:10'));
+
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('스택 트레이스 출력 형식 테스트 완료!');
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import { WebSocketServer } from 'ws';
+import { GrafanaLogCollector } from '../src/core/grafana-log-collector.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * Loki tail 모드 테스트
+ * 로컬 가짜 웹소켓 서버로 Grafana 데이터소스 프록시의 /loki/api/v1/tail을 흉내냅니다.
+ */
+
+console.log(chalk.cyan('🧪 Loki tail 모드 테스트\n'));
+
+function ns(offsetMs) {
+    return (BigInt(Date.now() + offsetMs) * 1000000n).toString();
+}
+
+function logLine(message) {
+    return JSON.stringify({
+        message,
+        stack: `TypeError: ${message}\n    at n (https://example.com/static/js/app-Q8JOaMCl.js:1:448)`,
+    });
+}
+
+const stream = { job: 'frontend', pod: 'web-1' };
+const first = [ns(-2000), logLine('Cannot read properties of undefined')];
+const second = [ns(-1000), logLine('Cannot read properties of undefined')];
+const third = [ns(0), logLine('t is not a function')];
+
+const connections = [];
+const server = new WebSocketServer({ port: 0 });
+
+server.on('connection', (socket, request) => {
+    const url = new URL(request.url, 'http://localhost');
+    connections.push({
+        path: url.pathname,
+        query: url.searchParams.get('query'),
+        start: url.searchParams.get('start'),
+        authorization: request.headers.authorization,
+    });
+
+    if (connections.length === 1) {
+        // 첫 연결: 2개 전송 후 서버 측에서 강제 종료
+        socket.send(JSON.stringify({ streams: [{ stream, values: [first, second] }] }));
+        setTimeout(() => socket.terminate(), 50);
+    } else {
+        // 재연결: 이미 보낸 항목을 다시 포함해도 중복 처리되지 않아야 함
+        socket.send(JSON.stringify({ streams: [{ stream, values: [second, third] }], dropped_entries: [] }));
+    }
+});
+
+await new Promise(resolve => server.on('listening', resolve));
+
+const config = {
+    grafana: {
+        url: `http://127.0.0.1:${server.address().port}`,
+        apiKey: 'test-key',
+        datasourceUid: 'loki-uid',
+        logQuery: '{job="frontend"}',
+        maxResults: 100,
+        incremental: false,
+        tailReconnectDelay: 50,
+        tailMaxReconnectDelay: 200,
+    },
+};
+
+const batches = [];
+const originalLog = console.log;
+console.log = () => {};
+
+const collector = new GrafanaLogCollector(config);
+let tail;
+
+await new Promise((resolve) => {
+    const timeout = setTimeout(resolve, 5000);
+    tail = collector.startTail((errors) => {
+        batches.push(errors);
+        if (batches.length === 2) {
+            clearTimeout(timeout);
+            resolve();
+        }
+    });
+});
+
+tail.stop();
+console.log = originalLog;
+server.close();
+
+console.log(chalk.yellow('📋 연결:'));
+check('데이터소스 프록시 tail 경로로 연결', connections[0]?.path === '/api/datasources/proxy/uid/loki-uid/loki/api/v1/tail');
+check('쿼리 전달', connections[0]?.query === '{job="frontend"}');
+check('Authorization 헤더 전달', connections[0]?.authorization === 'Bearer test-key');
+check('연결 끊김 후 자동 재연결', connections.length === 2);
+check('재연결 시 마지막 수신 타임스탬프부터 시작', connections[1]?.start === second[0]);
+
+console.log(chalk.yellow('\n📋 수신 에러:'));
+check('첫 배치: 같은 해시 2회 집계', batches[0]?.length === 1 && batches[0][0].count === 2);
+const cannotRead = batches[1]?.find(e => e.error.message.startsWith('Cannot'));
+check('재연결 후 중복 항목 제외', !cannotRead);
+check('두 번째 배치: 새 에러만 전달', batches[1]?.length === 1 && batches[1][0].error.message === 't is not a function');
+
+console.log(chalk.yellow('\n📋 메시지 경계의 여러 줄 스택 트레이스:'));
+
+// 헤더와 프레임 라인이 서로 다른 tail 메시지로 도착
+const header = [ns(0), "TypeError: Cannot read properties of undefined (reading 'status')"];
+const frames = [
+    [(BigInt(header[0]) + 1000000n).toString(), '    at n (https://example.com/static/js/app-Q8JOaMCl.js:1:448)'],
+    [(BigInt(header[0]) + 2000000n).toString(), '    at Object.load (https://example.com/static/js/index-Bglop1x2.js:2:31)'],
+];
+
+const splitServer = new WebSocketServer({ port: 0 });
+splitServer.on('connection', (socket) => {
+    socket.send(JSON.stringify({ streams: [{ stream, values: [header] }] }));
+    setTimeout(() => socket.send(JSON.stringify({ streams: [{ stream, values: frames }] })), 30);
+});
+await new Promise(resolve => splitServer.on('listening', resolve));
+
+const splitBatches = [];
+console.log = () => {};
+const splitCollector = new GrafanaLogCollector({
+    grafana: { ...config.grafana, url: `http://127.0.0.1:${splitServer.address().port}`, stitchWindowMs: 100 },
+});
+let receivedAt = null;
+const startedAt = Date.now();
+await new Promise((resolve) => {
+    const timeout = setTimeout(resolve, 3000);
+    tail = splitCollector.startTail((errors) => {
+        splitBatches.push(errors);
+        receivedAt = Date.now() - startedAt;
+        clearTimeout(timeout);
+        resolve();
+    });
+});
+tail.stop();
+console.log = originalLog;
+splitServer.close();
+
+check('헤더와 다음 메시지의 프레임 라인을 하나로 재조립', splitBatches.length === 1
+    && splitBatches[0][0]?.error.stackTrace.split('\n').length === 3);
+check('다음 메시지가 없으면 대기 시간 뒤에 처리', receivedAt !== null && receivedAt >= 100);
+
+finish('Loki tail 모드 테스트 완료!');
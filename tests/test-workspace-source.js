@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SourceMapGenerator } from 'source-map';
+import { StackTraceDecoder, SOURCE_ORIGINS } from '../src/core/decoder-wrapper.js';
+import { WorkspaceSourceResolver, cleanSourcePath, getRelativeCandidates, DRIFT_REASONS } from '../src/core/workspace-source-resolver.js';
+import { check, finish } from './helpers.js';
+
+/**
+ * 작업 디렉토리 소스 fallback 테스트
+ * sourcesContent가 없는 소스맵의 source 경로를 작업 디렉토리 파일로 변환하고, 빌드 이후 변경(drift)을 감지하는지 확인합니다.
+ */
+
+console.log(chalk.cyan('🧪 작업 디렉토리 소스 fallback 테스트\n'));
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspace-source-test-'));
+const workingDir = path.join(tmpDir, 'workspace');
+const buildDir = path.join(workingDir, 'dist', 'assets');
+fs.mkdirSync(path.join(workingDir, 'src', 'pages'), { recursive: true });
+fs.mkdirSync(buildDir, { recursive: true });
+
+const appSource = [
+    'export function loadPage(store) {',
+    '    return checkAccessibility(store);',
+    '}',
+    '',
+    'export function checkAccessibility(store) {',
+    '    return store.response.status;',
+    '}',
+].join('\n');
+const appPath = path.join(workingDir, 'src', 'pages', 'loadPage.js');
+fs.writeFileSync(appPath, appSource);
+
+console.log(chalk.yellow('📋 source 경로 정리:'));
+check('webpack:// 접두사 제거', cleanSourcePath('webpack://my-app/./src/pages/loadPage.js') === 'src/pages/loadPage.js');
+check('/@fs/는 절대 경로', cleanSourcePath('/@fs/home/me/app/src/a.js') === '/home/me/app/src/a.js');
+check('sourceRoot URL 호스트 제거', cleanSourcePath('https://example.com/src/a.js') === 'src/a.js');
+check('쿼리 제거', cleanSourcePath('src/App.vue?vue&type=script&lang.ts') === 'src/App.vue');
+
+console.log(chalk.yellow('\n📋 작업 디렉토리 파일 찾기:'));
+const resolver = new WorkspaceSourceResolver(workingDir);
+const mapPath = path.join(buildDir, 'app-Q8JOaMCl.js.map');
+check('webpack:// 경로', resolver.resolve('webpack://my-app/./src/pages/loadPage.js')?.relativePath === 'src/pages/loadPage.js');
+check('소스맵 기준 상대 경로 (../../src/...)', resolver.resolve('../../src/pages/loadPage.js', { sourceMapPath: mapPath })?.absolutePath === appPath);
+check('빌드 머신의 절대 경로 (/@fs/)', resolver.resolve('/@fs/ci/builds/app/src/pages/loadPage.js')?.relativePath === 'src/pages/loadPage.js');
+check('작업 디렉토리 안의 절대 경로', resolver.resolve(`/@fs${appPath}`)?.absolutePath === appPath);
+check('없는 파일은 null', resolver.resolve('webpack://my-app/./src/pages/missing.js') === null);
+check('파일명만 같은 다른 파일과 혼동하지 않음', resolver.resolve('/ci/other/loadPage.js') === null);
+check('상위 디렉토리를 모르는 경로는 파일명만으로 찾지 않음', resolver.resolve('../loadPage.js') === null
+    && getRelativeCandidates('../../loadPage.js').length === 0 && getRelativeCandidates('loadPage.js').join() === 'loadPage.js');
+check('후보는 node_modules/ 앞까지만 제거', getRelativeCandidates('/ci/app/node_modules/ui-kit/src/pages/loadPage.js').join()
+    === 'ci/app/node_modules/ui-kit/src/pages/loadPage.js,app/node_modules/ui-kit/src/pages/loadPage.js,node_modules/ui-kit/src/pages/loadPage.js');
+check('node_modules 안의 같은 경로를 애플리케이션 파일로 찾지 않음', resolver.resolve('webpack://my-app/./node_modules/ui-kit/src/pages/loadPage.js') === null
+    && resolver.resolve('../../node_modules/ui-kit/src/pages/loadPage.js') === null);
+check('중간의 ../는 경로로 해석', getRelativeCandidates('lib/../src/pages/loadPage.js')[0] === 'src/pages/loadPage.js');
+
+console.log(chalk.yellow('\n📋 경로 정규화:'));
+const found = resolver.normalize('webpack://my-app/./src/pages/loadPage.js');
+check('찾은 파일은 exists', found?.exists === true && found.absolutePath === appPath);
+const guessed = resolver.normalize('../../src/pages/Missing.vue?vue&type=script');
+check('없는 파일은 src/부터 추정', guessed?.exists === false && guessed.relativePath === 'src/pages/Missing.vue');
+check('추정 경로도 작업 디렉토리 기준 절대 경로', guessed?.absolutePath === path.join(workingDir, 'src', 'pages', 'Missing.vue'));
+check('빌드 머신 경로에서 src/ 찾기', resolver.normalize('/ci/builds/app/src/utils/format.js')?.relativePath === 'src/utils/format.js');
+check('작업 디렉토리 안의 절대 경로는 그대로', resolver.normalize(path.join(workingDir, 'lib', 'a.js'))?.relativePath === 'lib/a.js');
+
+// sourcesContent 없이 빌드한 소스맵 (source는 빌드 출력 기준 상대 경로)
+const generator = new SourceMapGenerator({ file: 'app-Q8JOaMCl.js' });
+generator.addMapping({ generated: { line: 1, column: 448 }, original: { line: 6, column: 11 }, source: '../../src/pages/loadPage.js', name: 'response' });
+fs.writeFileSync(mapPath, generator.toString());
+
+const decoder = new StackTraceDecoder({
+    decoder: { sourceMapDir: path.relative(process.cwd(), buildDir), contextLines: 2 },
+    filters: { ignorePatterns: [] },
+    claudeCode: { workingDir },
+});
+const stackTrace = '    at n (https://example.com/assets/app-Q8JOaMCl.js:1:448)';
+
+console.log(chalk.yellow('\n📋 sourcesContent 없는 소스맵:'));
+const result = await decoder.decodeStackTrace(stackTrace);
+check('작업 디렉토리 파일로 소스 코드 생성', result.sourceCode?.find(line => line.isTarget)?.content === '    return store.response.status;');
+check('소스 코드 출처 표시', result.sourceOrigin === SOURCE_ORIGINS.WORKSPACE);
+check('작업 디렉토리 기준 파일 경로', result.original?.relativePath === 'src/pages/loadPage.js'
+    && result.original.absolutePath === appPath && result.original.exists === true);
+check('변경 없으면 drift 없음', result.drift === null);
+
+fs.writeFileSync(appPath, appSource.replace('store.response.status', 'store.status'));
+const renamed = await decoder.decodeStackTrace(stackTrace);
+check('매핑된 식별자가 없으면 drift', renamed.drift?.reason === DRIFT_REASONS.IDENTIFIER_MISMATCH);
+
+fs.writeFileSync(appPath, 'export {};\n');
+const shortened = await decoder.decodeStackTrace(stackTrace);
+check('대상 줄이 없으면 drift', shortened.drift?.reason === DRIFT_REASONS.LINE_OUT_OF_RANGE);
+
+console.log(chalk.yellow('\n📋 sourcesContent 있는 소스맵:'));
+fs.writeFileSync(appPath, appSource.replace('return store.response.status;', 'return store.response?.status;'));
+generator.setSourceContent('../../src/pages/loadPage.js', appSource);
+fs.writeFileSync(mapPath, generator.toString());
+const future = new Date(Date.now() + 60000);
+fs.utimesSync(mapPath, future, future);
+
+const embedded = await decoder.decodeStackTrace(stackTrace);
+check('sourcesContent 우선 사용', embedded.sourceOrigin === SOURCE_ORIGINS.SOURCES_CONTENT
+    && embedded.sourceCode?.find(line => line.isTarget)?.content === '    return store.response.status;');
+check('디스크 파일과 다르면 drift', embedded.drift?.reason === DRIFT_REASONS.CONTENT_CHANGED);
+check('호출 스택 프레임에도 drift 표시', embedded.frames?.[0]?.drift?.reason === DRIFT_REASONS.CONTENT_CHANGED);
+
+console.log(chalk.yellow('\n📋 작업 디렉토리에 파일이 없는 경우:'));
+fs.rmSync(appPath);
+const missingGenerator = new SourceMapGenerator({ file: 'app-Q8JOaMCl.js' });
+missingGenerator.addMapping({ generated: { line: 1, column: 448 }, original: { line: 6, column: 11 }, source: '../../src/pages/loadPage.js' });
+fs.writeFileSync(mapPath, missingGenerator.toString());
+const later = new Date(Date.now() + 120000);
+fs.utimesSync(mapPath, later, later);
+
+const missing = await decoder.decodeStackTrace(stackTrace);
+check('원본 위치는 그대로 디코딩', missing.original?.file === '../../src/pages/loadPage.js' && missing.original.line === 6);
+check('소스 코드 없음', missing.sourceCode === null && missing.sourceOrigin === null);
+check('파일 없음 표시', missing.original?.exists === false && missing.original.relativePath === 'src/pages/loadPage.js');
+
+decoder.close();
+fs.rmSync(tmpDir, { recursive: true, force: true });
+
+finish('작업 디렉토리 소스 fallback 테스트 완료!');